@@ -0,0 +1,589 @@
+import {ConcurrencyError, InvalidStateError, NotFoundError, ValidationError} from "../shared/domain/model/errors.js";
+import {restoreField} from "../shared/domain/model/snapshot.js";
+import {isValidUUID} from "../shared/domain/model/uuid.js";
+import {SupplierId} from "../shared/domain/model/supplier-id.js";
+import {ProductId} from "../shared/domain/model/product-id.js";
+import {Currency} from "../shared/domain/model/currency.js";
+import {DateTime} from "../shared/domain/model/date-time.js";
+import {Money} from "../shared/domain/model/money.js";
+import {Address} from "../scm/domain/model/address.js";
+import {PaymentTerms} from "../scm/domain/model/payment-terms.js";
+import {PurchaseOrderFilter} from "../procurement/application/purchase-order-filter.js";
+import {HttpError} from "./http-error.js";
+import {Router} from "./router.js";
+import {openApiDocument} from "./openapi-document.js";
+
+/**
+ * Largest request body accepted, in bytes.
+ * @type {number}
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Converters of the supplier profile fields of a request body into the values {@link Supplier} takes.
+ * Each field has the same representation as in {@link Supplier#toJSON}; null clears an optional field.
+ * @type {Object<string, function(*): *>}
+ */
+const PROFILE_FIELDS = {
+    name: value => value,
+    contactEmail: value => value,
+    phone: value => value,
+    taxId: value => value,
+    address: value => value === null ? null : Address.fromJSON(value),
+    paymentTerms: value => value === null ? null : PaymentTerms.fromJSON(value),
+    preferredCurrency: value => value === null ? null : Currency.fromJSON(value)
+};
+
+/**
+ * A response produced by a route handler.
+ * @typedef {Object} HttpResponse
+ * @property {number} status - The HTTP status code.
+ * @property {*} [body] - The value sent as JSON; none for 204 responses.
+ * @property {Object<string, string>} [headers] - Extra response headers.
+ */
+
+/**
+ * Reads a field of a request body, converting it if present.
+ * @template T
+ * @param {Object} body - The request body.
+ * @param {string} name - The field name.
+ * @param {function(*): T} convert - Converts the value; its validation errors are reported against the field.
+ * @returns {T|undefined} The converted value, or undefined if the field is absent.
+ */
+function optionalField(body, name, convert) {
+    return body[name] === undefined ? undefined : restoreField(name, () => convert(body[name]));
+}
+
+/**
+ * Reads a mandatory field of a request body, converting it.
+ * @template T
+ * @param {Object} body - The request body.
+ * @param {string} name - The field name.
+ * @param {function(*): T} convert - Converts the value; its validation errors are reported against the field.
+ * @throws {ValidationError} If the field is absent or null.
+ * @returns {T} The converted value.
+ */
+function requiredField(body, name, convert) {
+    if (body[name] === undefined || body[name] === null)
+        throw new ValidationError(`${name} is required`, name);
+    return restoreField(name, () => convert(body[name]));
+}
+
+/**
+ * Checks that a value is a number, as request bodies give quantities and prices.
+ * @param {*} value - The value.
+ * @throws {ValidationError} If the value is not a finite number.
+ * @returns {number} The value.
+ */
+function number(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value))
+        throw new ValidationError('must be a number');
+    return value;
+}
+
+/**
+ * Checks that a request body only has known fields, so that a misspelt field is not silently ignored.
+ * @param {Object} body - The request body.
+ * @param {string[]} fields - The known fields.
+ * @throws {ValidationError} If the body has other fields.
+ */
+function assertKnownFields(body, fields) {
+    const unknown = Object.keys(body).filter(field => !fields.includes(field));
+    if (unknown.length > 0)
+        throw new ValidationError(`Unknown fields: ${unknown.join(', ')}`, unknown[0]);
+}
+
+/**
+ * Builds a 200 response.
+ * @param {*} body - The response body.
+ * @returns {HttpResponse} The response.
+ */
+function ok(body) {
+    return {status: 200, body};
+}
+
+/**
+ * Builds a 201 response for a new resource.
+ * @param {string} location - The path of the new resource.
+ * @param {*} body - The representation of the new resource.
+ * @returns {HttpResponse} The response.
+ */
+function created(location, body) {
+    return {status: 201, body, headers: {Location: location}};
+}
+
+/**
+ * HTTP interface exposing suppliers and purchase orders as JSON resources, for tools that cannot use the domain
+ * classes directly. Commands go through the same application services as the console application, and domain errors
+ * are mapped to status codes with a consistent body, {"error": {"type", "message", "field"}}: 400 for invalid input,
+ * 404 for unknown resources, and 409 for commands the current state does not allow or concurrent changes.
+ * The routes are described by the OpenAPI document served at /openapi.json.
+ */
+export class HttpApi {
+    #supplierRepository
+    #purchaseOrderRepository
+    #supplierCommandService
+    #purchaseOrderCommandService
+    #purchaseOrderQueryService
+    #auditTrailService
+    #logger
+    #router
+
+    /**
+     * Creates a new HttpApi instance.
+     * @param {Object} params
+     * @param {SupplierRepository} params.supplierRepository - Repository used to look suppliers up.
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository used to look purchase orders up.
+     * @param {SupplierCommandService} params.supplierCommandService - Service handling supplier commands.
+     * @param {PurchaseOrderCommandService} params.purchaseOrderCommandService - Service handling purchase order commands.
+     * @param {PurchaseOrderQueryService} params.purchaseOrderQueryService - Service answering purchase order searches.
+     * @param {AuditTrailService|null} [params.auditTrailService=null] - Service the changes are audited by; needed to
+     * audit them as the actor named in the X-Actor header.
+     * @param {{error: function(*): void}} [params.logger=console] - Where unexpected errors are logged.
+     */
+    constructor({supplierRepository, purchaseOrderRepository, supplierCommandService, purchaseOrderCommandService,
+                    purchaseOrderQueryService, auditTrailService = null, logger = console}) {
+        this.#supplierRepository = supplierRepository;
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#supplierCommandService = supplierCommandService;
+        this.#purchaseOrderCommandService = purchaseOrderCommandService;
+        this.#purchaseOrderQueryService = purchaseOrderQueryService;
+        this.#auditTrailService = auditTrailService;
+        this.#logger = logger;
+        this.#router = this.#defineRoutes();
+    }
+
+    /**
+     * Handles a request, as a listener of {@link http.Server}. Errors are always answered, never thrown.
+     * The changes it makes are audited as the actor named in the X-Actor header, if any.
+     * @param {http.IncomingMessage} request - The request.
+     * @param {http.ServerResponse} response - The response to write.
+     * @returns {Promise<void>}
+     */
+    async handle(request, response) {
+        let result;
+        try {
+            const url = new URL(request.url, 'http://localhost');
+            const {handler, params} = this.#router.match(request.method, url.pathname);
+            const actor = HttpApi.#actorOf(request);
+            const body = await HttpApi.#readBody(request);
+            const run = () => handler({params, query: url.searchParams, body});
+            result = await (actor === null || !this.#auditTrailService ? run() : this.#auditTrailService.runAs(actor, run));
+        } catch (error) {
+            result = this.#errorResponse(error);
+        }
+        const headers = {...result.headers};
+        if (result.status === 204) {
+            response.writeHead(204, headers).end();
+            return;
+        }
+        const json = JSON.stringify(result.body, null, 2);
+        response.writeHead(result.status, {
+            ...headers,
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json)
+        }).end(json);
+    }
+
+    /**
+     * Declares the routes.
+     * @returns {Router} The router.
+     */
+    #defineRoutes() {
+        const router = new Router()
+            .add('GET', '/openapi.json', async () => ok(openApiDocument))
+            .add('GET', '/suppliers', async () => ok((await this.#supplierRepository.findAll()).map(supplier => supplier.toJSON())))
+            .add('POST', '/suppliers', ({body}) => this.#createSupplier(body))
+            .add('GET', '/suppliers/:id', async ({params}) => ok((await this.#findSupplier(params.id)).toJSON()))
+            .add('PATCH', '/suppliers/:id', ({params, body}) => this.#updateSupplier(params.id, body))
+            .add('GET', '/purchase-orders', ({query}) => this.#searchOrders(query))
+            .add('POST', '/purchase-orders', ({body}) => this.#createOrder(body))
+            .add('GET', '/purchase-orders/:id', async ({params}) =>
+                ok(HttpApi.#orderRepresentation(await this.#findOrder(params.id))))
+            .add('GET', '/purchase-orders/:id/items', async ({params}) =>
+                ok((await this.#findOrder(params.id)).items.map(item => item.toJSON())))
+            .add('POST', '/purchase-orders/:id/items', ({params, body}) => this.#addItem(params.id, body))
+            .add('GET', '/purchase-orders/:id/items/:productId', async ({params}) =>
+                ok(HttpApi.#findItem(await this.#findOrder(params.id), params.productId).toJSON()))
+            .add('PATCH', '/purchase-orders/:id/items/:productId', ({params, body}) =>
+                this.#updateItem(params.id, params.productId, body))
+            .add('DELETE', '/purchase-orders/:id/items/:productId', ({params}) =>
+                this.#removeItem(params.id, params.productId))
+            .add('POST', '/purchase-orders/:id/receipts', ({params, body}) => this.#receiveGoods(params.id, body))
+            .add('PATCH', '/purchase-orders/:id/delivery-schedule', ({params, body}) => this.#scheduleDelivery(params.id, body));
+        for (const action of ['suspend', 'blacklist', 'reactivate'])
+            router.add('POST', `/suppliers/:id/${action}`, ({params, body}) => this.#changeSupplierStatus(params.id, action, body));
+        for (const action of ['submit', 'reject', 'approve', 'ship', 'complete', 'cancel'])
+            router.add('POST', `/purchase-orders/:id/${action}`, ({params, body}) => this.#transition(params.id, action, body));
+        return router;
+    }
+
+    /**
+     * Handles `POST /suppliers`.
+     * @param {Object} body - The supplier profile; name is required.
+     * @returns {Promise<HttpResponse>} 201 with the new supplier.
+     */
+    async #createSupplier(body) {
+        const supplier = await this.#supplierCommandService.register({
+            ...HttpApi.#profileFields(body),
+            name: requiredField(body, 'name', value => value)
+        });
+        return created(`/suppliers/${supplier.id.value}`, supplier.toJSON());
+    }
+
+    /**
+     * Handles `PATCH /suppliers/:id`.
+     * @param {string} id - The supplier ID.
+     * @param {Object} body - The profile fields to change.
+     * @returns {Promise<HttpResponse>} 200 with the updated supplier.
+     */
+    async #updateSupplier(id, body) {
+        const supplier = await this.#findSupplier(id);
+        const changes = HttpApi.#profileFields(body);
+        if (Object.values(changes).every(value => value === undefined))
+            throw new ValidationError('Nothing to update: give at least one profile field');
+        return ok((await this.#supplierCommandService.updateProfile(supplier.id, changes)).toJSON());
+    }
+
+    /**
+     * Handles `POST /suppliers/:id/suspend`, `/blacklist` and `/reactivate`.
+     * @param {string} id - The supplier ID.
+     * @param {string} action - The SupplierCommandService method to call.
+     * @param {Object} body - Holds the reason, except to reactivate.
+     * @returns {Promise<HttpResponse>} 200 with the updated supplier.
+     */
+    async #changeSupplierStatus(id, action, body) {
+        const supplier = await this.#findSupplier(id);
+        const updated = action === 'reactivate'
+            ? await this.#supplierCommandService.reactivate(supplier.id)
+            : await this.#supplierCommandService[action](supplier.id, requiredField(body, 'reason', value => value));
+        return ok(updated.toJSON());
+    }
+
+    /**
+     * Handles `GET /purchase-orders`, with the same filters, sort orders and pages as `order list`.
+     * @param {URLSearchParams} query - The query parameters.
+     * @returns {Promise<HttpResponse>} 200 with a page of summaries.
+     */
+    async #searchOrders(query) {
+        const text = name => {
+            const value = query.get(name);
+            return value === null || value === '' ? null : value;
+        };
+        const integer = name => text(name) === null ? undefined : restoreField(name, () => {
+            if (!/^\d+$/.test(text(name)))
+                throw new ValidationError('must be a non-negative integer');
+            return Number(text(name));
+        });
+        const currency = text('currency') && restoreField('currency', () => new Currency(text('currency').toUpperCase()));
+        const totalBound = name => {
+            if (text(name) === null) return null;
+            if (!currency)
+                throw new ValidationError(`${name} requires currency`, name);
+            return restoreField(name, () => new Money({amount: text(name), currency}));
+        };
+        const [min, max] = [totalBound('minTotal'), totalBound('maxTotal')];
+        const filters = [
+            text('supplierId') && PurchaseOrderFilter.bySupplier(restoreField('supplierId', () => new SupplierId(text('supplierId')))),
+            text('state') && restoreField('state', () => PurchaseOrderFilter.inState(text('state'))),
+            currency && PurchaseOrderFilter.inCurrency(currency),
+            (text('from') || text('to')) && PurchaseOrderFilter.orderedBetween({
+                from: text('from') && restoreField('from', () => new DateTime(text('from'))),
+                to: text('to') && restoreField('to', () => new DateTime(text('to')))
+            }),
+            (min || max) && PurchaseOrderFilter.totalBetween({min, max}),
+            text('productId') && PurchaseOrderFilter.containingProduct(restoreField('productId', () => new ProductId(text('productId'))))
+        ];
+        const descending = text('descending');
+        if (descending !== null && descending !== 'true' && descending !== 'false')
+            throw new ValidationError('must be "true" or "false"', 'descending');
+        const page = await this.#purchaseOrderQueryService.search({
+            filter: filters.filter(Boolean).reduce((combined, filter) => combined.and(filter), PurchaseOrderFilter.all()),
+            sortBy: text('sort') ?? undefined,
+            descending: descending === 'true',
+            limit: integer('limit'),
+            offset: integer('offset'),
+            after: text('after') ?? undefined
+        });
+        return ok({
+            items: page.summaries.map(summary => summary.toJSON()),
+            total: page.total,
+            offset: page.offset,
+            nextCursor: page.nextCursor
+        });
+    }
+
+    /**
+     * Handles `POST /purchase-orders`.
+     * @param {Object} body - The supplier ID, currency and optional order date.
+     * @returns {Promise<HttpResponse>} 201 with the new draft order.
+     */
+    async #createOrder(body) {
+        assertKnownFields(body, ['supplierId', 'currency', 'orderDate']);
+        const purchaseOrder = await this.#purchaseOrderCommandService.open({
+            supplierId: requiredField(body, 'supplierId', SupplierId.fromJSON),
+            currency: requiredField(body, 'currency', Currency.fromJSON),
+            orderDate: optionalField(body, 'orderDate', DateTime.fromJSON)
+        });
+        return created(`/purchase-orders/${purchaseOrder.id}`, HttpApi.#orderRepresentation(purchaseOrder));
+    }
+
+    /**
+     * Handles `POST /purchase-orders/:id/items`; the supplier's catalog price is used when no unit price is given.
+     * @param {string} id - The purchase order ID.
+     * @param {Object} body - The product ID, quantity and optional unit price.
+     * @returns {Promise<HttpResponse>} 201 with the line the product is on.
+     */
+    async #addItem(id, body) {
+        assertKnownFields(body, ['productId', 'quantity', 'unitPrice']);
+        const productId = requiredField(body, 'productId', ProductId.fromJSON);
+        const updated = await this.#purchaseOrderCommandService.addItem(id, {
+            productId,
+            quantity: requiredField(body, 'quantity', number),
+            unitPrice: optionalField(body, 'unitPrice', number)
+        });
+        return created(`/purchase-orders/${updated.id}/items/${productId.value}`,
+            HttpApi.#findItem(updated, productId.value).toJSON());
+    }
+
+    /**
+     * Handles `PATCH /purchase-orders/:id/items/:productId`.
+     * @param {string} id - The purchase order ID.
+     * @param {string} productId - The product ID of the line.
+     * @param {Object} body - The new quantity and/or unit price.
+     * @returns {Promise<HttpResponse>} 200 with the updated line.
+     */
+    async #updateItem(id, productId, body) {
+        assertKnownFields(body, ['quantity', 'unitPrice']);
+        const item = HttpApi.#findItem(await this.#findOrder(id), productId);
+        const quantity = optionalField(body, 'quantity', number);
+        const unitPrice = optionalField(body, 'unitPrice', number);
+        if (quantity === undefined && unitPrice === undefined)
+            throw new ValidationError('Nothing to update: give quantity or unitPrice');
+        const updated = await this.#purchaseOrderCommandService.updateItem(id, item.productId, {quantity, unitPrice});
+        return ok(HttpApi.#findItem(updated, productId).toJSON());
+    }
+
+    /**
+     * Handles `DELETE /purchase-orders/:id/items/:productId`.
+     * @param {string} id - The purchase order ID.
+     * @param {string} productId - The product ID of the line.
+     * @returns {Promise<HttpResponse>} 204.
+     */
+    async #removeItem(id, productId) {
+        const item = HttpApi.#findItem(await this.#findOrder(id), productId);
+        await this.#purchaseOrderCommandService.removeItem(id, item.productId);
+        return {status: 204};
+    }
+
+    /**
+     * Handles `PATCH /purchase-orders/:id/delivery-schedule`: dates left out are kept, null clears them.
+     * @param {string} id - The purchase order ID.
+     * @param {Object} body - The optional productId of a line and the requested and promised delivery dates.
+     * @returns {Promise<HttpResponse>} 200 with the updated order.
+     */
+    async #scheduleDelivery(id, body) {
+        assertKnownFields(body, ['productId', 'requestedDeliveryDate', 'promisedDeliveryDate']);
+        const date = value => value === null ? null : DateTime.fromJSON(value);
+        const updated = await this.#purchaseOrderCommandService.scheduleDelivery(id, {
+            productId: optionalField(body, 'productId', ProductId.fromJSON) ?? null,
+            requestedDeliveryDate: optionalField(body, 'requestedDeliveryDate', date),
+            promisedDeliveryDate: optionalField(body, 'promisedDeliveryDate', date)
+        });
+        return ok(HttpApi.#orderRepresentation(updated));
+    }
+
+    /**
+     * Handles `POST /purchase-orders/:id/receipts`.
+     * @param {string} id - The purchase order ID.
+     * @param {Object} body - The delivery date and lines, as in {@link GoodsReceipt#toJSON} with a productId.
+     * @returns {Promise<HttpResponse>} 200 with the updated order.
+     */
+    async #receiveGoods(id, body) {
+        assertKnownFields(body, ['receivedOn', 'lines']);
+        const lines = requiredField(body, 'lines', lines => {
+            if (!Array.isArray(lines))
+                throw new ValidationError('must be an array');
+            return lines.map((line, index) => restoreField(`[${index}]`, () => {
+                if (line === null || typeof line !== 'object')
+                    throw new ValidationError('must be an object');
+                assertKnownFields(line, ['productId', 'receivedQuantity', 'rejectedQuantity', 'rejectionReason']);
+                return {
+                    productId: requiredField(line, 'productId', ProductId.fromJSON),
+                    receivedQuantity: requiredField(line, 'receivedQuantity', number),
+                    rejectedQuantity: optionalField(line, 'rejectedQuantity', number) ?? 0,
+                    rejectionReason: line.rejectionReason ?? null
+                };
+            }));
+        });
+        const updated = await this.#purchaseOrderCommandService.receiveGoods(id, {
+            receivedOn: optionalField(body, 'receivedOn', DateTime.fromJSON),
+            lines
+        });
+        return ok(HttpApi.#orderRepresentation(updated));
+    }
+
+    /**
+     * Handles the lifecycle routes, such as `POST /purchase-orders/:id/ship`.
+     * Rejections take a reason, approvals an approverId, an optional role and an optional approvedOn date,
+     * and shipments an optional shippedOn date.
+     * @param {string} id - The purchase order ID.
+     * @param {string} action - The name of the {@link PurchaseOrderCommandService} method to call.
+     * @param {Object} body - The request body.
+     * @returns {Promise<HttpResponse>} 200 with the updated order.
+     */
+    async #transition(id, action, body) {
+        let updated;
+        if (action === 'reject') {
+            assertKnownFields(body, ['reason']);
+            updated = await this.#purchaseOrderCommandService.reject(id, requiredField(body, 'reason', value => value));
+        } else if (action === 'approve') {
+            assertKnownFields(body, ['approverId', 'role', 'approvedOn']);
+            updated = await this.#purchaseOrderCommandService.approve(id, {
+                approverId: requiredField(body, 'approverId', value => value),
+                role: body.role ?? null,
+                approvedOn: optionalField(body, 'approvedOn', DateTime.fromJSON)
+            });
+        } else if (action === 'ship') {
+            assertKnownFields(body, ['shippedOn']);
+            updated = await this.#purchaseOrderCommandService.ship(id, {shippedOn: optionalField(body, 'shippedOn', DateTime.fromJSON)});
+        } else {
+            assertKnownFields(body, []);
+            updated = await this.#purchaseOrderCommandService[action](id);
+        }
+        return ok(HttpApi.#orderRepresentation(updated));
+    }
+
+    /**
+     * Finds a supplier by ID.
+     * @param {string} id - The supplier ID.
+     * @throws {NotFoundError} If no supplier has the ID.
+     * @returns {Promise<Supplier>} The supplier.
+     */
+    async #findSupplier(id) {
+        const supplier = isValidUUID(id) ? await this.#supplierRepository.findById(new SupplierId(id)) : null;
+        if (!supplier)
+            throw new NotFoundError(`Supplier ${id} not found`);
+        return supplier;
+    }
+
+    /**
+     * Finds a purchase order by ID.
+     * @param {string} id - The purchase order ID.
+     * @throws {NotFoundError} If no purchase order has the ID.
+     * @returns {Promise<PurchaseOrder>} The purchase order.
+     */
+    async #findOrder(id) {
+        const purchaseOrder = await this.#purchaseOrderRepository.findById(id);
+        if (!purchaseOrder)
+            throw new NotFoundError(`Purchase order ${id} not found`);
+        return purchaseOrder;
+    }
+
+    /**
+     * Finds the line of a purchase order for a product.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order.
+     * @param {string} productId - The product ID.
+     * @throws {NotFoundError} If the order has no line for the product.
+     * @returns {PurchaseOrderItem} The line.
+     */
+    static #findItem(purchaseOrder, productId) {
+        const item = isValidUUID(productId)
+            ? purchaseOrder.items.find(candidate => candidate.productId.equals(new ProductId(productId)))
+            : undefined;
+        if (!item)
+            throw new NotFoundError(`Purchase order ${purchaseOrder.id} has no item for product ${productId}`);
+        return item;
+    }
+
+    /**
+     * Reads the supplier profile fields of a request body.
+     * @param {Object} body - The request body.
+     * @throws {ValidationError} If a field is unknown or cannot be converted.
+     * @returns {Object} The profile fields; absent fields are undefined.
+     */
+    static #profileFields(body) {
+        assertKnownFields(body, Object.keys(PROFILE_FIELDS));
+        return Object.fromEntries(Object.entries(PROFILE_FIELDS)
+            .map(([field, convert]) => [field, optionalField(body, field, convert)]));
+    }
+
+    /**
+     * Represents a purchase order as its snapshot with its grand total.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order.
+     * @returns {Object} The representation.
+     */
+    static #orderRepresentation(purchaseOrder) {
+        return {
+            ...purchaseOrder.toJSON(),
+            totalPrice: purchaseOrder.items.length > 0 ? purchaseOrder.calculateTotalPrice().grandTotal.toJSON() : null
+        };
+    }
+
+    /**
+     * Reads who makes the request from the X-Actor header.
+     * @param {http.IncomingMessage} request - The request.
+     * @throws {HttpError} 400 if the header is blank or longer than 100 characters.
+     * @returns {string|null} The actor, trimmed; null if the header is absent.
+     */
+    static #actorOf(request) {
+        const header = request.headers['x-actor'];
+        if (header === undefined) return null;
+        const actor = header.trim();
+        if (!actor || actor.length > 100) throw new HttpError(400, 'X-Actor must have 1 to 100 characters');
+        return actor;
+    }
+
+    /**
+     * Reads the JSON body of a POST, PATCH or PUT request; other requests have none.
+     * @param {http.IncomingMessage} request - The request.
+     * @throws {HttpError} 413 if the body is too large, 415 if it is not JSON, 400 if it is malformed or not an object.
+     * @returns {Promise<Object>} The body; an empty object if the request has none.
+     */
+    static async #readBody(request) {
+        if (!['POST', 'PATCH', 'PUT'].includes(request.method)) return {};
+        const chunks = [];
+        let size = 0;
+        for await (const chunk of request) {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES)
+                throw new HttpError(413, `Request bodies cannot exceed ${MAX_BODY_BYTES} bytes`);
+            chunks.push(chunk);
+        }
+        const text = Buffer.concat(chunks).toString('utf8');
+        if (!text.trim()) return {};
+        if (!/^application\/json\b/i.test(request.headers['content-type'] ?? ''))
+            throw new HttpError(415, 'Request bodies must be application/json');
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            throw new HttpError(400, `Malformed JSON: ${error.message}`);
+        }
+        if (body === null || typeof body !== 'object' || Array.isArray(body))
+            throw new HttpError(400, 'The request body must be a JSON object');
+        return body;
+    }
+
+    /**
+     * Maps an error to a response. Unexpected errors are logged and answered with 500, without details.
+     * @param {Error} error - The error raised while handling a request.
+     * @returns {HttpResponse} The error response.
+     */
+    #errorResponse(error) {
+        const status = error instanceof HttpError ? error.status
+            : error instanceof InvalidStateError || error instanceof ConcurrencyError ? 409
+                : error instanceof ValidationError ? 400
+                    : error instanceof NotFoundError ? 404
+                        : 500;
+        if (status === 500) {
+            this.#logger.error(error);
+            return {status, body: {error: {type: 'InternalError', message: 'Internal server error', field: null}}};
+        }
+        return {
+            status,
+            headers: error.headers,
+            body: {error: {type: error.name, message: error.reason ?? error.message, field: error.field ?? null}}
+        };
+    }
+}
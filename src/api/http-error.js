@@ -0,0 +1,18 @@
+/**
+ * Custom error class for HTTP protocol errors that are not domain errors, such as unknown routes,
+ * unsupported methods or request bodies that are not JSON.
+ */
+export class HttpError extends Error {
+    /**
+     * Creates a new HttpError instance.
+     * @param {number} status - The HTTP status code to respond with.
+     * @param {string} message - Description of the error.
+     * @param {Object<string, string>} [headers={}] - Extra response headers, e.g. Allow for 405 responses.
+     */
+    constructor(status, message, headers = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.headers = headers;
+    }
+}
@@ -0,0 +1,441 @@
+/**
+ * Refers to a schema of the document.
+ * @param {string} name - The schema name.
+ * @returns {{$ref: string}} The reference.
+ */
+function schema(name) {
+    return {$ref: `#/components/schemas/${name}`};
+}
+
+/**
+ * Describes a JSON request body.
+ * @param {Object} bodySchema - The schema of the body.
+ * @param {boolean} [required=true] - Whether the body is required.
+ * @returns {Object} The request body object.
+ */
+function jsonBody(bodySchema, required = true) {
+    return {required, content: {'application/json': {schema: bodySchema}}};
+}
+
+/**
+ * Describes a JSON response.
+ * @param {string} description - What the response means.
+ * @param {Object} bodySchema - The schema of the body.
+ * @returns {Object} The response object.
+ */
+function jsonResponse(description, bodySchema) {
+    return {description, content: {'application/json': {schema: bodySchema}}};
+}
+
+/**
+ * Refers to the shared error responses of the given status codes.
+ * @param {...number} statuses - The status codes, among 400, 404 and 409.
+ * @returns {Object<string, {$ref: string}>} The responses, keyed by status code.
+ */
+function errors(...statuses) {
+    const names = {400: 'BadRequest', 404: 'NotFound', 409: 'Conflict'};
+    return Object.fromEntries(statuses.map(status => [status, {$ref: `#/components/responses/${names[status]}`}]));
+}
+
+/**
+ * Describes a path parameter.
+ * @param {string} name - The parameter name.
+ * @param {string} description - What the parameter identifies.
+ * @returns {Object} The parameter object.
+ */
+function pathParameter(name, description) {
+    return {name, in: 'path', required: true, description, schema: {type: 'string', format: 'uuid'}};
+}
+
+/**
+ * Describes a query parameter of the purchase order search.
+ * @param {string} name - The parameter name.
+ * @param {string} description - What the parameter does.
+ * @param {Object} [parameterSchema={type: 'string'}] - The schema of the value.
+ * @returns {Object} The parameter object.
+ */
+function queryParameter(name, description, parameterSchema = {type: 'string'}) {
+    return {name, in: 'query', required: false, description, schema: parameterSchema};
+}
+
+const supplierId = pathParameter('id', 'The supplier ID');
+const purchaseOrderId = pathParameter('id', 'The purchase order ID');
+const productId = pathParameter('productId', 'The product ID of the line');
+const supplierResponse = jsonResponse('The supplier', schema('Supplier'));
+const purchaseOrderResponse = jsonResponse('The purchase order', schema('PurchaseOrder'));
+const itemResponse = jsonResponse('The line', schema('PurchaseOrderItem'));
+const nullableString = {type: 'string', nullable: true};
+const reasonBody = jsonBody({type: 'object', required: ['reason'], properties: {reason: {type: 'string'}}});
+
+/**
+ * Builds the description of a purchase order lifecycle route.
+ * @param {string} summary - What the route does.
+ * @param {Object} [requestBody] - The request body, if the route takes one.
+ * @returns {Object} The path item object.
+ */
+function lifecycleRoute(summary, requestBody) {
+    return {
+        post: {
+            tags: ['Purchase orders'], summary, parameters: [purchaseOrderId],
+            ...(requestBody && {requestBody}),
+            responses: {200: purchaseOrderResponse, ...errors(400, 404, 409)}
+        }
+    };
+}
+
+/**
+ * Builds the description of a supplier status route.
+ * @param {string} summary - What the route does.
+ * @param {Object} [requestBody] - The request body, if the route takes one.
+ * @returns {Object} The path item object.
+ */
+function supplierStatusRoute(summary, requestBody) {
+    return {
+        post: {
+            tags: ['Suppliers'], summary, parameters: [supplierId],
+            ...(requestBody && {requestBody}),
+            responses: {200: supplierResponse, ...errors(400, 404, 409)}
+        }
+    };
+}
+
+/**
+ * Adds the X-Actor header to the operations that change resources, i.e. all but GET.
+ * @param {Object<string, Object>} paths - The path item objects by path.
+ * @returns {Object<string, Object>} The path item objects, with the header added.
+ */
+function withActorHeader(paths) {
+    const actor = {$ref: '#/components/parameters/Actor'};
+    return Object.fromEntries(Object.entries(paths).map(([path, pathItem]) => [path, Object.fromEntries(
+        Object.entries(pathItem).map(([method, operation]) => [method, method === 'get'
+            ? operation
+            : {...operation, parameters: [...(operation.parameters ?? []), actor]}]))]));
+}
+
+/**
+ * OpenAPI 3.0 description of the routes of {@link HttpApi}, served at /openapi.json.
+ * Resources have the same JSON representation as the snapshots of the aggregates.
+ * @type {Object}
+ */
+export const openApiDocument = Object.freeze({
+    openapi: '3.0.3',
+    info: {
+        title: 'Supply Chain Management API',
+        version: '1.0.0',
+        description: 'Suppliers and purchase orders as JSON resources. Errors have the body '
+            + '{"error": {"type", "message", "field"}}: 400 for invalid input, 404 for unknown resources, '
+            + 'and 409 for commands the current state does not allow or changes made concurrently. '
+            + 'Changes are audited as the actor named in the X-Actor header. '
+            + 'Suppliers and purchase orders cannot be deleted, only the lines of draft orders: cancel an order, or suspend '
+            + 'or blacklist a supplier, which keeps its history; DELETE on them answers 405 with an Allow header.'
+    },
+    tags: [{name: 'Suppliers'}, {name: 'Purchase orders'}],
+    paths: withActorHeader({
+        '/suppliers': {
+            get: {
+                tags: ['Suppliers'], summary: 'List suppliers',
+                responses: {200: jsonResponse('The suppliers', {type: 'array', items: schema('Supplier')})}
+            },
+            post: {
+                tags: ['Suppliers'], summary: 'Register a supplier',
+                requestBody: jsonBody({allOf: [schema('SupplierProfile'), {required: ['name']}]}),
+                responses: {201: jsonResponse('The new supplier; its path is in the Location header', schema('Supplier')), ...errors(400)}
+            }
+        },
+        '/suppliers/{id}': {
+            get: {
+                tags: ['Suppliers'], summary: 'Get a supplier', parameters: [supplierId],
+                responses: {200: supplierResponse, ...errors(404)}
+            },
+            patch: {
+                tags: ['Suppliers'], summary: 'Update the profile of a supplier; null clears an optional field',
+                parameters: [supplierId], requestBody: jsonBody(schema('SupplierProfile')),
+                responses: {200: supplierResponse, ...errors(400, 404)}
+            }
+        },
+        '/suppliers/{id}/suspend': supplierStatusRoute('Suspend an active supplier', reasonBody),
+        '/suppliers/{id}/blacklist': supplierStatusRoute('Blacklist a supplier permanently', reasonBody),
+        '/suppliers/{id}/reactivate': supplierStatusRoute('Reactivate a suspended supplier'),
+        '/purchase-orders': {
+            get: {
+                tags: ['Purchase orders'], summary: 'Search purchase orders',
+                parameters: [
+                    queryParameter('supplierId', 'Only orders of this supplier', {type: 'string', format: 'uuid'}),
+                    queryParameter('state', 'Only orders in this state, e.g. Approved'),
+                    queryParameter('currency', 'Only orders in this currency, e.g. USD'),
+                    queryParameter('from', 'Only orders placed on or after this date', {type: 'string', format: 'date-time'}),
+                    queryParameter('to', 'Only orders placed before this date', {type: 'string', format: 'date-time'}),
+                    queryParameter('minTotal', 'Only orders with at least this total in currency, which is required'),
+                    queryParameter('maxTotal', 'Only orders with at most this total in currency, which is required'),
+                    queryParameter('productId', 'Only orders with a line for this product', {type: 'string', format: 'uuid'}),
+                    queryParameter('sort', 'Sort order', {type: 'string', enum: ['orderDate', 'totalPrice'], default: 'orderDate'}),
+                    queryParameter('descending', 'Whether to sort in descending order', {type: 'boolean', default: false}),
+                    queryParameter('limit', 'Page size', {type: 'integer', minimum: 1, maximum: 500, default: 20}),
+                    queryParameter('offset', 'Number of orders to skip; not allowed with after', {type: 'integer', minimum: 0}),
+                    queryParameter('after', 'The nextCursor of the previous page')
+                ],
+                responses: {200: jsonResponse('A page of order summaries', schema('PurchaseOrderPage')), ...errors(400)}
+            },
+            post: {
+                tags: ['Purchase orders'], summary: 'Open a draft purchase order',
+                requestBody: jsonBody({
+                    type: 'object', required: ['supplierId', 'currency'],
+                    properties: {
+                        supplierId: {type: 'string', format: 'uuid'},
+                        currency: {type: 'string', example: 'USD'},
+                        orderDate: {type: 'string', format: 'date-time'}
+                    }
+                }),
+                responses: {
+                    201: jsonResponse('The new order; its path is in the Location header', schema('PurchaseOrder')),
+                    ...errors(400, 404, 409)
+                }
+            }
+        },
+        '/purchase-orders/{id}': {
+            get: {
+                tags: ['Purchase orders'], summary: 'Get a purchase order', parameters: [purchaseOrderId],
+                responses: {200: purchaseOrderResponse, ...errors(404)}
+            }
+        },
+        '/purchase-orders/{id}/items': {
+            get: {
+                tags: ['Purchase orders'], summary: 'List the lines of a purchase order', parameters: [purchaseOrderId],
+                responses: {200: jsonResponse('The lines', {type: 'array', items: schema('PurchaseOrderItem')}), ...errors(404)}
+            },
+            post: {
+                tags: ['Purchase orders'],
+                summary: 'Add a product to a draft order; the unit price defaults to the supplier price list',
+                parameters: [purchaseOrderId],
+                requestBody: jsonBody({
+                    type: 'object', required: ['productId', 'quantity'],
+                    properties: {
+                        productId: {type: 'string', format: 'uuid'},
+                        quantity: {type: 'integer', minimum: 1},
+                        unitPrice: {type: 'number', minimum: 0}
+                    }
+                }),
+                responses: {201: itemResponse, ...errors(400, 404, 409)}
+            }
+        },
+        '/purchase-orders/{id}/items/{productId}': {
+            get: {
+                tags: ['Purchase orders'], summary: 'Get a line of a purchase order', parameters: [purchaseOrderId, productId],
+                responses: {200: itemResponse, ...errors(404)}
+            },
+            patch: {
+                tags: ['Purchase orders'], summary: 'Change the quantity or unit price of a line of a draft order',
+                parameters: [purchaseOrderId, productId],
+                requestBody: jsonBody({
+                    type: 'object', minProperties: 1,
+                    properties: {quantity: {type: 'integer', minimum: 1}, unitPrice: {type: 'number', minimum: 0}}
+                }),
+                responses: {200: itemResponse, ...errors(400, 404, 409)}
+            },
+            delete: {
+                tags: ['Purchase orders'], summary: 'Remove a line from a draft order', parameters: [purchaseOrderId, productId],
+                responses: {204: {description: 'The line was removed'}, ...errors(404, 409)}
+            }
+        },
+        '/purchase-orders/{id}/delivery-schedule': {
+            patch: {
+                tags: ['Purchase orders'],
+                summary: 'Set or clear when the goods of an order, or of one of its lines, are requested and promised',
+                parameters: [purchaseOrderId],
+                requestBody: jsonBody({
+                    type: 'object',
+                    properties: {
+                        productId: {type: 'string', format: 'uuid', description: 'The line to reschedule; the whole order if absent'},
+                        requestedDeliveryDate: {type: 'string', format: 'date-time', nullable: true},
+                        promisedDeliveryDate: {type: 'string', format: 'date-time', nullable: true}
+                    }
+                }),
+                responses: {200: purchaseOrderResponse, ...errors(400, 404, 409)}
+            }
+        },
+        '/purchase-orders/{id}/submit': lifecycleRoute('Submit a draft order for approval'),
+        '/purchase-orders/{id}/reject': lifecycleRoute('Return a submitted order to draft', reasonBody),
+        '/purchase-orders/{id}/approve': lifecycleRoute(
+            'Record an approval; the order is approved once the approval policy is satisfied',
+            jsonBody({
+                type: 'object', required: ['approverId'],
+                properties: {
+                    approverId: {type: 'string'},
+                    role: {type: 'string', description: 'The role the approval policy requires at this level'},
+                    approvedOn: {type: 'string', format: 'date-time'}
+                }
+            })),
+        '/purchase-orders/{id}/ship': lifecycleRoute('Mark an approved order as shipped', jsonBody({
+            type: 'object',
+            properties: {shippedOn: {type: 'string', format: 'date-time', description: 'Defaults to now'}}
+        }, false)),
+        '/purchase-orders/{id}/complete': lifecycleRoute('Complete a shipped order, closing outstanding lines short'),
+        '/purchase-orders/{id}/cancel': lifecycleRoute('Cancel an order'),
+        '/purchase-orders/{id}/receipts': lifecycleRoute('Record a delivery for lines of a shipped order', jsonBody({
+            type: 'object', required: ['lines'],
+            properties: {
+                receivedOn: {type: 'string', format: 'date-time'},
+                lines: {
+                    type: 'array', minItems: 1,
+                    items: {
+                        type: 'object', required: ['productId', 'receivedQuantity'],
+                        properties: {
+                            productId: {type: 'string', format: 'uuid'},
+                            receivedQuantity: {type: 'integer', minimum: 0},
+                            rejectedQuantity: {type: 'integer', minimum: 0, default: 0},
+                            rejectionReason: {type: 'string', description: 'Required when units are rejected'}
+                        }
+                    }
+                }
+            }
+        }))
+    }),
+    components: {
+        parameters: {
+            Actor: {
+                name: 'X-Actor', in: 'header', required: false,
+                description: 'Who makes the change, as recorded in the audit trail; '
+                    + 'defaults to SCM_ACTOR or the user running the server',
+                schema: {type: 'string', minLength: 1, maxLength: 100}
+            }
+        },
+        responses: {
+            BadRequest: jsonResponse('The request is invalid', schema('Error')),
+            NotFound: jsonResponse('The resource does not exist', schema('Error')),
+            Conflict: jsonResponse('The current state of the resource does not allow the command, '
+                + 'or it was changed concurrently', schema('Error'))
+        },
+        schemas: {
+            Error: {
+                type: 'object', required: ['error'],
+                properties: {
+                    error: {
+                        type: 'object', required: ['type', 'message', 'field'],
+                        properties: {
+                            type: {type: 'string', example: 'ValidationError'},
+                            message: {type: 'string'},
+                            field: {...nullableString, description: 'Path of the offending field, e.g. lines[0].productId'}
+                        }
+                    }
+                }
+            },
+            Money: {
+                type: 'object', required: ['amount', 'currency'],
+                properties: {amount: {type: 'string', example: '125.50'}, currency: {type: 'string', example: 'USD'}}
+            },
+            Address: {
+                type: 'object', required: ['street', 'city', 'country'],
+                properties: {
+                    street: {type: 'string'}, city: {type: 'string'}, region: nullableString,
+                    postalCode: nullableString, country: {type: 'string', example: 'PE'}
+                }
+            },
+            SupplierProfile: {
+                type: 'object', additionalProperties: false,
+                properties: {
+                    name: {type: 'string'},
+                    contactEmail: {...nullableString, format: 'email'},
+                    phone: nullableString,
+                    address: {allOf: [schema('Address')], nullable: true},
+                    taxId: nullableString,
+                    paymentTerms: {type: 'integer', nullable: true, description: 'Net days, e.g. 30'},
+                    preferredCurrency: nullableString
+                }
+            },
+            Supplier: {
+                allOf: [schema('SupplierProfile'), {
+                    type: 'object',
+                    properties: {
+                        id: {type: 'string', format: 'uuid'},
+                        status: {type: 'string', enum: ['Active', 'Suspended', 'Blacklisted']},
+                        statusReason: nullableString,
+                        lastOrderTotalPrice: {allOf: [schema('Money')], nullable: true},
+                        orderStatistics: {type: 'object'}
+                    }
+                }]
+            },
+            PurchaseOrderItem: {
+                type: 'object',
+                properties: {
+                    orderId: {type: 'string', format: 'uuid'},
+                    productId: {type: 'string', format: 'uuid'},
+                    quantity: {type: 'integer'},
+                    unitPrice: schema('Money'),
+                    discount: {type: 'object', nullable: true},
+                    taxRate: {type: 'object', nullable: true},
+                    receipts: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                receivedOn: {type: 'string', format: 'date-time'},
+                                receivedQuantity: {type: 'integer'},
+                                rejectedQuantity: {type: 'integer'},
+                                rejectionReason: nullableString
+                            }
+                        }
+                    },
+                    closedShortReason: nullableString,
+                    requestedDeliveryDate: {type: 'string', format: 'date-time', nullable: true},
+                    promisedDeliveryDate: {type: 'string', format: 'date-time', nullable: true}
+                }
+            },
+            PurchaseOrder: {
+                type: 'object',
+                properties: {
+                    id: {type: 'string', format: 'uuid'},
+                    supplierId: {type: 'string', format: 'uuid'},
+                    currency: {type: 'string'},
+                    orderDate: {type: 'string', format: 'date-time'},
+                    state: {
+                        type: 'string',
+                        enum: ['Draft', 'Submitted', 'Approved', 'Shipped', 'PartiallyReceived', 'Completed', 'Cancelled']
+                    },
+                    items: {type: 'array', items: schema('PurchaseOrderItem')},
+                    rejectionReason: nullableString,
+                    approvals: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                approverId: {type: 'string'}, role: nullableString,
+                                approvedOn: {type: 'string', format: 'date-time'}
+                            }
+                        }
+                    },
+                    discount: {type: 'object', nullable: true},
+                    taxRate: {type: 'object', nullable: true},
+                    shippingCharge: schema('Money'),
+                    handlingCharge: schema('Money'),
+                    shippedOn: {type: 'string', format: 'date-time', nullable: true},
+                    completedOn: {type: 'string', format: 'date-time', nullable: true},
+                    requestedDeliveryDate: {type: 'string', format: 'date-time', nullable: true},
+                    promisedDeliveryDate: {type: 'string', format: 'date-time', nullable: true},
+                    totalPrice: {allOf: [schema('Money')], nullable: true, description: 'Grand total; null without items'}
+                }
+            },
+            PurchaseOrderSummary: {
+                type: 'object',
+                properties: {
+                    id: {type: 'string', format: 'uuid'},
+                    supplierId: {type: 'string', format: 'uuid'},
+                    currency: {type: 'string'},
+                    orderDate: {type: 'string', format: 'date-time'},
+                    state: {type: 'string'},
+                    productIds: {type: 'array', items: {type: 'string', format: 'uuid'}},
+                    totalQuantity: {type: 'integer'},
+                    totalPrice: {allOf: [schema('Money')], nullable: true}
+                }
+            },
+            PurchaseOrderPage: {
+                type: 'object',
+                properties: {
+                    items: {type: 'array', items: schema('PurchaseOrderSummary')},
+                    total: {type: 'integer', description: 'Number of orders matching the filters'},
+                    offset: {type: 'integer'},
+                    nextCursor: {...nullableString, description: 'Pass as after to get the next page; null on the last page'}
+                }
+            }
+        }
+    }
+});
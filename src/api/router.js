@@ -0,0 +1,67 @@
+import {HttpError} from "./http-error.js";
+
+/**
+ * Matches request methods and paths against route patterns such as "/purchase-orders/:id/items".
+ * Segments starting with a colon capture the corresponding path segment, URL-decoded, as a parameter.
+ */
+export class Router {
+    #routes = []
+
+    /**
+     * Adds a route.
+     * @param {string} method - The HTTP method, e.g. "GET".
+     * @param {string} pattern - The path pattern, e.g. "/suppliers/:id".
+     * @param {function(Object): Promise<Object>} handler - The route handler.
+     * @returns {Router} This router, for chaining.
+     */
+    add(method, pattern, handler) {
+        this.#routes.push({method, segments: pattern.split('/').filter(Boolean), handler});
+        return this;
+    }
+
+    /**
+     * Finds the route of a request.
+     * @param {string} method - The request method.
+     * @param {string} pathname - The request path, without query string.
+     * @throws {HttpError} 404 if no route has the path, 405 if none has the method for it, 400 if the path is malformed.
+     * @returns {{handler: function(Object): Promise<Object>, params: Object<string, string>}} The handler and path parameters.
+     */
+    match(method, pathname) {
+        const segments = pathname.split('/').filter(Boolean);
+        const candidates = this.#routes
+            .map(route => ({route, params: Router.#matchSegments(route.segments, segments)}))
+            .filter(({params}) => params !== null);
+        if (candidates.length === 0)
+            throw new HttpError(404, `No resource at ${pathname}`);
+        const found = candidates.find(({route}) => route.method === method);
+        if (!found) {
+            const allowed = [...new Set(candidates.map(({route}) => route.method))].join(', ');
+            throw new HttpError(405, `Method ${method} is not allowed on ${pathname}`, {Allow: allowed});
+        }
+        return {handler: found.route.handler, params: found.params};
+    }
+
+    /**
+     * Matches path segments against the segments of a pattern.
+     * @param {string[]} pattern - The pattern segments.
+     * @param {string[]} segments - The path segments.
+     * @throws {HttpError} 400 if a parameter is not validly URL-encoded.
+     * @returns {Object<string, string>|null} The parameters, or null if the path does not match.
+     */
+    static #matchSegments(pattern, segments) {
+        if (pattern.length !== segments.length) return null;
+        const params = {};
+        for (const [index, part] of pattern.entries()) {
+            if (part.startsWith(':')) {
+                try {
+                    params[part.slice(1)] = decodeURIComponent(segments[index]);
+                } catch {
+                    throw new HttpError(400, `Malformed path segment ${segments[index]}`);
+                }
+            } else if (part !== segments[index]) {
+                return null;
+            }
+        }
+        return params;
+    }
+}
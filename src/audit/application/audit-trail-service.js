@@ -0,0 +1,83 @@
+import {AsyncLocalStorage} from "node:async_hooks";
+import {AuditEntry} from "../domain/model/audit-entry.js";
+
+/**
+ * Application service recording changes to purchase orders and suppliers in the audit log and answering queries on it.
+ * Command services call {@link AuditTrailService#record} after every successful save; the actor is asked for
+ * at that moment, so it can follow whoever is using the application. Work run through
+ * {@link AuditTrailService#runAs} is recorded as the actor given there instead, e.g. the caller of an HTTP request.
+ */
+export class AuditTrailService {
+    #auditLog
+    #currentActor
+    #actorScope = new AsyncLocalStorage()
+
+    /**
+     * Creates a new AuditTrailService instance.
+     * @param {Object} params
+     * @param {AuditLog} params.auditLog - Log where entries are appended.
+     * @param {function(): string} [params.currentActor] - Returns who is making changes; defaults to "system".
+     */
+    constructor({auditLog, currentActor = () => 'system'}) {
+        this.#auditLog = auditLog;
+        this.#currentActor = currentActor;
+    }
+
+    /**
+     * Runs work on behalf of an actor: changes it records, including after awaiting, are made by that actor.
+     * Work running concurrently keeps its own actor.
+     * @template T
+     * @param {string} actor - Who is making the changes.
+     * @param {function(): T} work - The work to run.
+     * @returns {T} What the work returns.
+     */
+    runAs(actor, work) {
+        return this.#actorScope.run(actor, work);
+    }
+
+    /**
+     * Records a change made by the current actor.
+     * @param {Object} change
+     * @param {string} change.action - What was done, e.g. "cancel".
+     * @param {string} change.aggregateType - "PurchaseOrder", "Supplier" or "Invoice".
+     * @param {string} change.aggregateId - The ID of the aggregate changed.
+     * @param {SupplierId} change.supplierId - The supplier the aggregate is, or belongs to.
+     * @param {Object|null} change.before - Snapshot before the change, or null if the aggregate was created.
+     * @param {Object|null} change.after - Snapshot after the change.
+     * @throws {ValidationError} If the change cannot be recorded.
+     * @returns {Promise<AuditEntry>} The recorded entry.
+     */
+    async record({action, aggregateType, aggregateId, supplierId, before, after}) {
+        const entry = new AuditEntry({
+            actor: this.#actorScope.getStore() ?? this.#currentActor(), action, aggregateType, aggregateId, supplierId, before, after
+        });
+        await this.#auditLog.append(entry);
+        return entry;
+    }
+
+    /**
+     * Finds recorded changes, oldest first. Criteria left undefined match every entry.
+     * @param {Object} [criteria]
+     * @param {string} [criteria.purchaseOrderId] - Only changes to this purchase order.
+     * @param {SupplierId} [criteria.supplierId] - Only changes to this supplier and its purchase orders.
+     * @param {DateTime} [criteria.from] - Only changes made at or after this moment.
+     * @param {DateTime} [criteria.to] - Only changes made before this moment.
+     * @returns {Promise<AuditEntry[]>} The matching entries.
+     */
+    async findEntries({purchaseOrderId, supplierId, from, to} = {}) {
+        const entries = await this.#auditLog.find({
+            ...(purchaseOrderId === undefined ? {} : {aggregateType: 'PurchaseOrder', aggregateId: purchaseOrderId}),
+            supplierId, from, to
+        });
+        return entries.sort((a, b) => a.recordedOn.date - b.recordedOn.date);
+    }
+
+    /**
+     * Exports recorded changes as JSON Lines: one {@link AuditEntry#toJSON} object per line, oldest first.
+     * @param {Object} [criteria] - The criteria, as accepted by {@link AuditTrailService#findEntries}.
+     * @returns {Promise<string>} The JSON Lines document; empty if nothing matches.
+     */
+    async exportJsonLines(criteria = {}) {
+        return (await this.findEntries(criteria)).map(entry => `${JSON.stringify(entry)}\n`).join('');
+    }
+}
@@ -0,0 +1,221 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {generateUUID} from "../../../shared/domain/model/uuid.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Immutable record of one change made to an audited aggregate: who made it, when, through which action,
+ * and what the aggregate looked like before and after. The snapshots are deep-frozen copies, so an entry
+ * can never be altered once created.
+ * @class
+ * @property {string} id - Unique identifier for the entry.
+ * @property {DateTime} recordedOn - When the change was made.
+ * @property {string} actor - Who made the change.
+ * @property {string} action - What was done, e.g. "cancel" or "updateProfile".
+ * @property {string} aggregateType - The kind of aggregate changed: "PurchaseOrder", "Supplier" or "Invoice".
+ * @property {string} aggregateId - The ID of the aggregate changed.
+ * @property {SupplierId} supplierId - The supplier the aggregate is, or belongs to.
+ * @property {Object|null} before - Snapshot of the aggregate before the change, or null if it was created.
+ * @property {Object|null} after - Snapshot of the aggregate after the change.
+ */
+export class AuditEntry {
+    static #AGGREGATE_TYPES = ['PurchaseOrder', 'Supplier', 'Invoice']
+    #id
+    #recordedOn
+    #actor
+    #action
+    #aggregateType
+    #aggregateId
+    #supplierId
+    #before
+    #after
+
+    /**
+     * Creates a new AuditEntry instance.
+     * @param {Object} params
+     * @param {string} [params.id] - Identifier of the entry; generated if not provided.
+     * @param {DateTime} [params.recordedOn] - When the change was made; defaults to now.
+     * @param {string} params.actor - Who made the change (1-100 characters).
+     * @param {string} params.action - What was done (1-50 characters).
+     * @param {string} params.aggregateType - "PurchaseOrder", "Supplier" or "Invoice".
+     * @param {string} params.aggregateId - The ID of the aggregate changed.
+     * @param {SupplierId} params.supplierId - The supplier the aggregate is, or belongs to.
+     * @param {Object|null} params.before - Snapshot before the change, or null if the aggregate was created.
+     * @param {Object|null} params.after - Snapshot after the change.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({id = generateUUID(), recordedOn = new DateTime(), actor, action, aggregateType, aggregateId,
+                    supplierId, before, after}) {
+        if (typeof id !== 'string' || !id)
+            throw new ValidationError('ID must be a non-empty string', 'id');
+        if (!(recordedOn instanceof DateTime))
+            throw new ValidationError('Recorded on must be an instance of DateTime', 'recordedOn');
+        if (typeof actor !== 'string' || !actor.trim() || actor.length > 100)
+            throw new ValidationError('Actor must be between 1 and 100 characters', 'actor');
+        if (typeof action !== 'string' || !action.trim() || action.length > 50)
+            throw new ValidationError('Action must be between 1 and 50 characters', 'action');
+        if (!AuditEntry.#AGGREGATE_TYPES.includes(aggregateType))
+            throw new ValidationError(`Aggregate type must be one of: ${AuditEntry.#AGGREGATE_TYPES.join(', ')}`, 'aggregateType');
+        if (typeof aggregateId !== 'string' || !aggregateId)
+            throw new ValidationError('Aggregate ID must be a non-empty string', 'aggregateId');
+        if (!(supplierId instanceof SupplierId))
+            throw new ValidationError('Supplier ID must be an instance of SupplierId', 'supplierId');
+        this.#id = id;
+        this.#recordedOn = recordedOn;
+        this.#actor = actor.trim();
+        this.#action = action.trim();
+        this.#aggregateType = aggregateType;
+        this.#aggregateId = aggregateId;
+        this.#supplierId = supplierId;
+        this.#before = AuditEntry.#freezeSnapshot(before, 'before');
+        this.#after = AuditEntry.#freezeSnapshot(after, 'after');
+    }
+
+    /**
+     * Validates a snapshot and returns a deep-frozen copy of it.
+     * @param {Object|null} snapshot - The snapshot.
+     * @param {string} field - The field name, used in the error.
+     * @throws {ValidationError} If the snapshot is neither a plain object nor null.
+     * @returns {Object|null} The frozen copy.
+     */
+    static #freezeSnapshot(snapshot, field) {
+        if (snapshot === null) return null;
+        restoreField(field, () => assertSnapshotObject(snapshot, 'Audited'));
+        const deepFreeze = value => {
+            if (typeof value === 'object' && value !== null)
+                Object.values(Object.freeze(value)).forEach(deepFreeze);
+            return value;
+        };
+        return deepFreeze(structuredClone(snapshot));
+    }
+
+    /**
+     * Checks whether the entry matches query criteria. Criteria left undefined match every entry.
+     * @param {Object} criteria
+     * @param {string} [criteria.aggregateType] - Only entries of this kind of aggregate.
+     * @param {string} [criteria.aggregateId] - Only entries of this aggregate.
+     * @param {SupplierId} [criteria.supplierId] - Only entries of this supplier and its purchase orders.
+     * @param {DateTime} [criteria.from] - Only entries recorded at or after this moment.
+     * @param {DateTime} [criteria.to] - Only entries recorded before this moment.
+     * @returns {boolean} True if the entry matches every given criterion.
+     */
+    matches({aggregateType, aggregateId, supplierId, from, to} = {}) {
+        return (aggregateType === undefined || this.#aggregateType === aggregateType)
+            && (aggregateId === undefined || this.#aggregateId === aggregateId)
+            && (supplierId === undefined || this.#supplierId.equals(supplierId))
+            && (from === undefined || this.#recordedOn.date >= from.date)
+            && (to === undefined || this.#recordedOn.date < to.date);
+    }
+
+    /**
+     * Gets the entry ID.
+     * @returns {string} The entry ID.
+     */
+    get id() {
+        return this.#id;
+    }
+
+    /**
+     * Gets when the change was made.
+     * @returns {DateTime} The recording date.
+     */
+    get recordedOn() {
+        return this.#recordedOn;
+    }
+
+    /**
+     * Gets who made the change.
+     * @returns {string} The actor.
+     */
+    get actor() {
+        return this.#actor;
+    }
+
+    /**
+     * Gets what was done.
+     * @returns {string} The action.
+     */
+    get action() {
+        return this.#action;
+    }
+
+    /**
+     * Gets the kind of aggregate changed.
+     * @returns {string} "PurchaseOrder", "Supplier" or "Invoice".
+     */
+    get aggregateType() {
+        return this.#aggregateType;
+    }
+
+    /**
+     * Gets the ID of the aggregate changed.
+     * @returns {string} The aggregate ID.
+     */
+    get aggregateId() {
+        return this.#aggregateId;
+    }
+
+    /**
+     * Gets the supplier the aggregate is, or belongs to.
+     * @returns {SupplierId} The supplier ID.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the snapshot of the aggregate before the change.
+     * @returns {Object|null} The frozen snapshot, or null if the aggregate was created.
+     */
+    get before() {
+        return this.#before;
+    }
+
+    /**
+     * Gets the snapshot of the aggregate after the change.
+     * @returns {Object|null} The frozen snapshot.
+     */
+    get after() {
+        return this.#after;
+    }
+
+    /**
+     * Returns the JSON representation of the entry.
+     * @returns {Object} The entry snapshot.
+     */
+    toJSON() {
+        return {
+            id: this.#id,
+            recordedOn: this.#recordedOn.toJSON(),
+            actor: this.#actor,
+            action: this.#action,
+            aggregateType: this.#aggregateType,
+            aggregateId: this.#aggregateId,
+            supplierId: this.#supplierId.toJSON(),
+            before: this.#before,
+            after: this.#after
+        };
+    }
+
+    /**
+     * Restores an AuditEntry from its JSON representation.
+     * @param {Object} json - The entry snapshot, as produced by {@link AuditEntry#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {AuditEntry} The restored entry.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'AuditEntry');
+        return new AuditEntry({
+            id: json.id,
+            recordedOn: restoreField('recordedOn', () => DateTime.fromJSON(json.recordedOn)),
+            actor: json.actor,
+            action: json.action,
+            aggregateType: json.aggregateType,
+            aggregateId: json.aggregateId,
+            supplierId: restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            before: json.before ?? null,
+            after: json.after ?? null
+        });
+    }
+}
@@ -0,0 +1,24 @@
+/**
+ * Repository contract for {@link AuditEntry} records in the Audit bounded context.
+ * The log is append-only: entries can be added and read, but never changed or removed.
+ * @interface
+ */
+export class AuditLog {
+    /**
+     * Appends an entry to the log.
+     * @param {AuditEntry} entry - The entry to append.
+     * @returns {Promise<void>}
+     */
+    async append(entry) {
+        throw new Error('AuditLog.append() must be implemented');
+    }
+
+    /**
+     * Finds the entries matching query criteria, oldest first.
+     * @param {Object} [criteria] - The criteria, as accepted by {@link AuditEntry#matches}; all entries if omitted.
+     * @returns {Promise<AuditEntry[]>} The matching entries.
+     */
+    async find(criteria = {}) {
+        throw new Error('AuditLog.find() must be implemented');
+    }
+}
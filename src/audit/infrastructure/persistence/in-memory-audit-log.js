@@ -0,0 +1,20 @@
+import {AuditLog} from "../../domain/repositories/audit-log.js";
+import {AuditEntry} from "../../domain/model/audit-entry.js";
+
+/**
+ * In-memory implementation of {@link AuditLog}.
+ * Entries are kept as plain records and rebuilt on every read. Data is lost when the process exits.
+ */
+export class InMemoryAuditLog extends AuditLog {
+    #records = []
+
+    /** @inheritDoc */
+    async append(entry) {
+        this.#records.push(entry.toJSON());
+    }
+
+    /** @inheritDoc */
+    async find(criteria = {}) {
+        return this.#records.map(record => AuditEntry.fromJSON(record)).filter(entry => entry.matches(criteria));
+    }
+}
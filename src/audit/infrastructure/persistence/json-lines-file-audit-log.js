@@ -0,0 +1,47 @@
+import {appendFile, mkdir, readFile} from "node:fs/promises";
+import {dirname} from "node:path";
+import {AuditLog} from "../../domain/repositories/audit-log.js";
+import {AuditEntry} from "../../domain/model/audit-entry.js";
+import {restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * JSON Lines file implementation of {@link AuditLog}: one entry per line, appended and never rewritten.
+ * Entries survive process restarts, and the file itself is a JSON Lines export of the whole log.
+ */
+export class JsonLinesFileAuditLog extends AuditLog {
+    #filePath
+
+    /**
+     * Creates a new JsonLinesFileAuditLog instance.
+     * @param {string} filePath - Path of the JSON Lines file; it is created on the first append if missing.
+     * @throws {TypeError} If the file path is not a non-empty string.
+     */
+    constructor(filePath) {
+        super();
+        if (typeof filePath !== 'string' || !filePath)
+            throw new TypeError('filePath must be a non-empty string');
+        this.#filePath = filePath;
+    }
+
+    /** @inheritDoc */
+    async append(entry) {
+        await mkdir(dirname(this.#filePath), {recursive: true});
+        await appendFile(this.#filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+    }
+
+    /** @inheritDoc */
+    async find(criteria = {}) {
+        let content;
+        try {
+            content = await readFile(this.#filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        return content.split('\n')
+            .map((line, index) => ({line, index}))
+            .filter(({line}) => line.trim())
+            .map(({line, index}) => restoreField(`[${index}]`, () => AuditEntry.fromJSON(JSON.parse(line))))
+            .filter(entry => entry.matches(criteria));
+    }
+}
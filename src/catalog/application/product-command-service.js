@@ -0,0 +1,87 @@
+import {Product} from "../domain/model/product.js";
+import {ProductId} from "../../shared/domain/model/product-id.js";
+import {NotFoundError, ValidationError} from "../../shared/domain/model/errors.js";
+
+/**
+ * Application service handling product catalog commands.
+ */
+export class ProductCommandService {
+    #productRepository
+
+    /**
+     * Creates a new ProductCommandService instance.
+     * @param {Object} params
+     * @param {ProductRepository} params.productRepository - Repository where products are stored.
+     */
+    constructor({productRepository}) {
+        this.#productRepository = productRepository;
+    }
+
+    /**
+     * Registers a new, active product with a generated ID.
+     * @param {Object} params
+     * @param {string} params.sku - The stock keeping unit; must not be used by another product.
+     * @param {string} params.name - The product name.
+     * @param {UnitOfMeasure} params.unitOfMeasure - The unit the product is purchased in.
+     * @param {string} params.category - The product category.
+     * @throws {ValidationError} If the product data is invalid or the SKU is taken.
+     * @returns {Promise<Product>} The new product.
+     */
+    async register({sku, name, unitOfMeasure, category}) {
+        const product = new Product({id: ProductId.generate(), sku, name, unitOfMeasure, category});
+        if (await this.#productRepository.findBySku(product.sku))
+            throw new ValidationError(`SKU ${product.sku} is already used by another product`, 'sku');
+        await this.#productRepository.save(product);
+        return product;
+    }
+
+    /**
+     * Changes the descriptive details of a product, see {@link Product#changeDetails}.
+     * @param {ProductId} productId - The product ID.
+     * @param {Object} changes - The details to change.
+     * @throws {NotFoundError} If the product does not exist.
+     * @throws {ValidationError} If any value is invalid.
+     * @returns {Promise<Product>} The updated product.
+     */
+    async changeDetails(productId, changes) {
+        return this.#execute(productId, product => product.changeDetails(changes));
+    }
+
+    /**
+     * Makes a product available for ordering again.
+     * @param {ProductId} productId - The product ID.
+     * @throws {NotFoundError} If the product does not exist.
+     * @throws {ValidationError} If the product is already active.
+     * @returns {Promise<Product>} The updated product.
+     */
+    async activate(productId) {
+        return this.#execute(productId, product => product.activate());
+    }
+
+    /**
+     * Withdraws a product from ordering.
+     * @param {ProductId} productId - The product ID.
+     * @throws {NotFoundError} If the product does not exist.
+     * @throws {ValidationError} If the product is already inactive.
+     * @returns {Promise<Product>} The updated product.
+     */
+    async deactivate(productId) {
+        return this.#execute(productId, product => product.deactivate());
+    }
+
+    /**
+     * Loads a product, applies a change to it and saves it.
+     * @param {ProductId} productId - The product ID.
+     * @param {function(Product): void} change - The change to apply.
+     * @throws {NotFoundError} If the product does not exist.
+     * @returns {Promise<Product>} The updated product.
+     */
+    async #execute(productId, change) {
+        const product = await this.#productRepository.findById(productId);
+        if (!product)
+            throw new NotFoundError(`Product ${productId.value} not found`);
+        change(product);
+        await this.#productRepository.save(product);
+        return product;
+    }
+}
@@ -0,0 +1,46 @@
+import {SupplierPriceList} from "../domain/model/supplier-price-list.js";
+import {PriceListEntry} from "../domain/model/price-list-entry.js";
+import {NotFoundError} from "../../shared/domain/model/errors.js";
+
+/**
+ * Application service handling supplier price list commands.
+ */
+export class SupplierPriceListCommandService {
+    #priceListRepository
+    #productRepository
+
+    /**
+     * Creates a new SupplierPriceListCommandService instance.
+     * @param {Object} params
+     * @param {SupplierPriceListRepository} params.priceListRepository - Repository where price lists are stored.
+     * @param {ProductRepository} params.productRepository - Repository used to check that priced products exist.
+     */
+    constructor({priceListRepository, productRepository}) {
+        this.#priceListRepository = priceListRepository;
+        this.#productRepository = productRepository;
+    }
+
+    /**
+     * Sets the price a supplier charges for a product from a given moment on, see {@link SupplierPriceList#setPrice}.
+     * The supplier's price list is created on its first price.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @param {Object} params
+     * @param {ProductId} params.productId - The product the price applies to.
+     * @param {Money} params.unitPrice - The price of one unit.
+     * @param {DateTime} params.validFrom - When the price takes effect.
+     * @param {DateTime|null} [params.validUntil] - When the price stops applying, or null if open-ended.
+     * @throws {NotFoundError} If the product does not exist.
+     * @throws {ValidationError} If the price is invalid or overlaps an existing one.
+     * @returns {Promise<SupplierPriceList>} The updated price list.
+     */
+    async setPrice(supplierId, {productId, unitPrice, validFrom, validUntil = null}) {
+        const entry = new PriceListEntry({productId, unitPrice, validFrom, validUntil});
+        if (!await this.#productRepository.findById(productId))
+            throw new NotFoundError(`Product ${productId.value} not found`);
+        const priceList = await this.#priceListRepository.findBySupplierId(supplierId)
+            ?? new SupplierPriceList({supplierId});
+        priceList.setPrice(entry);
+        await this.#priceListRepository.save(priceList);
+        return priceList;
+    }
+}
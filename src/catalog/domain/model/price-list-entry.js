@@ -0,0 +1,146 @@
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object representing the price a supplier charges for one unit of a product during a period.
+ * The period starts at validFrom (inclusive) and ends at validUntil (exclusive); an entry without validUntil is open-ended.
+ */
+export class PriceListEntry {
+    #productId
+    #unitPrice
+    #validFrom
+    #validUntil
+
+    /**
+     * Creates a new PriceListEntry instance.
+     * @param {Object} params
+     * @param {ProductId} params.productId - The product the price applies to.
+     * @param {Money} params.unitPrice - The price of one unit.
+     * @param {DateTime} params.validFrom - When the price takes effect.
+     * @param {DateTime|null} [params.validUntil] - When the price stops applying, or null if open-ended.
+     * @throws {ValidationError} If any value is invalid or the period is empty.
+     */
+    constructor({productId, unitPrice, validFrom, validUntil = null}) {
+        if (!(productId instanceof ProductId))
+            throw new ValidationError('Product ID must be an instance of ProductId', 'productId');
+        if (!(unitPrice instanceof Money))
+            throw new ValidationError('Unit price must be an instance of Money', 'unitPrice');
+        if (!(validFrom instanceof DateTime))
+            throw new ValidationError('Valid from must be an instance of DateTime', 'validFrom');
+        if (validUntil !== null && !(validUntil instanceof DateTime))
+            throw new ValidationError('Valid until must be an instance of DateTime or null', 'validUntil');
+        if (validUntil !== null && validUntil.date <= validFrom.date)
+            throw new ValidationError('Valid until must be later than valid from', 'validUntil');
+        this.#productId = productId;
+        this.#unitPrice = unitPrice;
+        this.#validFrom = validFrom;
+        this.#validUntil = validUntil;
+    }
+
+    /**
+     * Gets the product ID.
+     * @returns {ProductId} The product ID.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets the unit price.
+     * @returns {Money} The unit price.
+     */
+    get unitPrice() {
+        return this.#unitPrice;
+    }
+
+    /**
+     * Gets when the price takes effect.
+     * @returns {DateTime} The start of the validity period.
+     */
+    get validFrom() {
+        return this.#validFrom;
+    }
+
+    /**
+     * Gets when the price stops applying.
+     * @returns {DateTime|null} The end of the validity period, or null if open-ended.
+     */
+    get validUntil() {
+        return this.#validUntil;
+    }
+
+    /**
+     * Checks whether this entry prices a product in a currency.
+     * @param {ProductId} productId - The product.
+     * @param {Currency} currency - The currency.
+     * @returns {boolean} True if the entry is for that product and currency.
+     */
+    isFor(productId, currency) {
+        return this.#productId.equals(productId) && this.#unitPrice.currency.equals(currency);
+    }
+
+    /**
+     * Checks whether the price applies at a given moment.
+     * @param {DateTime} asOf - The moment.
+     * @returns {boolean} True if the moment falls within the validity period.
+     */
+    isValidAt(asOf) {
+        return asOf.date >= this.#validFrom.date && (this.#validUntil === null || asOf.date < this.#validUntil.date);
+    }
+
+    /**
+     * Checks whether the validity period of this entry overlaps the one of another entry.
+     * @param {PriceListEntry} other - The other entry.
+     * @returns {boolean} True if both periods share at least one moment.
+     */
+    overlaps(other) {
+        const endsAfterOtherStarts = this.#validUntil === null || this.#validUntil.date > other.#validFrom.date;
+        const startsBeforeOtherEnds = other.#validUntil === null || this.#validFrom.date < other.#validUntil.date;
+        return endsAfterOtherStarts && startsBeforeOtherEnds;
+    }
+
+    /**
+     * Returns a copy of this entry ending at the given moment.
+     * @param {DateTime} validUntil - The new end of the validity period.
+     * @throws {ValidationError} If the period would be empty.
+     * @returns {PriceListEntry} The closed entry.
+     */
+    closedAt(validUntil) {
+        return new PriceListEntry({
+            productId: this.#productId, unitPrice: this.#unitPrice, validFrom: this.#validFrom, validUntil
+        });
+    }
+
+    /**
+     * Returns the JSON representation of the entry.
+     * @returns {Object} The entry snapshot.
+     */
+    toJSON() {
+        return {
+            productId: this.#productId.toJSON(),
+            unitPrice: this.#unitPrice.toJSON(),
+            validFrom: this.#validFrom.toJSON(),
+            validUntil: this.#validUntil?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores a PriceListEntry from its JSON representation.
+     * @param {Object} json - The entry snapshot, as produced by {@link PriceListEntry#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PriceListEntry} The restored entry.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PriceListEntry');
+        return new PriceListEntry({
+            productId: restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            unitPrice: restoreField('unitPrice', () => Money.fromJSON(json.unitPrice)),
+            validFrom: restoreField('validFrom', () => DateTime.fromJSON(json.validFrom)),
+            validUntil: json.validUntil == null ? null
+                : restoreField('validUntil', () => DateTime.fromJSON(json.validUntil))
+        });
+    }
+}
@@ -0,0 +1,218 @@
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {UnitOfMeasure} from "./unit-of-measure.js";
+
+/**
+ * Represents a product in the catalog: something that can be bought from suppliers.
+ * Inactive products are kept for the orders that reference them but cannot be ordered anymore.
+ * @class
+ * @property {ProductId} id - Unique identifier for the product.
+ * @property {string} sku - Stock keeping unit (3-32 uppercase letters, digits or dashes), unique in the catalog.
+ * @property {string} name - Name of the product (2-100 characters).
+ * @property {UnitOfMeasure} unitOfMeasure - Unit the product is purchased in.
+ * @property {string} category - Category of the product (1-50 characters).
+ * @property {boolean} isActive - Whether the product can be ordered.
+ * @throws {ValidationError} If any property fails validation.
+ */
+export class Product {
+    #id
+    #sku
+    #name
+    #unitOfMeasure
+    #category
+    #active
+
+    /**
+     * Creates a new Product instance.
+     * @param {Object} params - Parameters for creating a Product.
+     * @param {ProductId} params.id The unique identifier for the product.
+     * @param {string} params.sku The stock keeping unit; stored in upper case.
+     * @param {string} params.name The name of the product.
+     * @param {UnitOfMeasure} params.unitOfMeasure The unit the product is purchased in.
+     * @param {string} params.category The category of the product.
+     * @param {boolean} [params.active] Whether the product can be ordered; defaults to true.
+     * @throws {ValidationError} Throws if any property fails validation.
+     */
+    constructor({id, sku, name, unitOfMeasure, category, active = true}) {
+        if (!(id instanceof ProductId))
+            throw new ValidationError("Product ID must be an instance of ProductId");
+        if (typeof active !== 'boolean')
+            throw new ValidationError("Active flag must be a boolean");
+        this.#id = id;
+        this.#sku = Product.#validateSku(sku);
+        this.#name = Product.#validateName(name);
+        this.#unitOfMeasure = Product.#validateUnitOfMeasure(unitOfMeasure);
+        this.#category = Product.#validateCategory(category);
+        this.#active = active;
+    }
+
+    /**
+     * Restores a Product from its JSON representation.
+     * @param {Object} json - The product snapshot, as produced by {@link Product#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {Product} The restored product.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'Product');
+        return new Product({
+            id: restoreField('id', () => ProductId.fromJSON(json.id)),
+            sku: json.sku,
+            name: json.name,
+            unitOfMeasure: restoreField('unitOfMeasure', () => UnitOfMeasure.fromJSON(json.unitOfMeasure)),
+            category: json.category,
+            active: json.active
+        });
+    }
+
+    /**
+     * Validates and normalizes the SKU.
+     * @param {string} sku - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {string} The SKU in upper case.
+     */
+    static #validateSku(sku) {
+        const normalized = typeof sku === 'string' ? sku.trim().toUpperCase() : '';
+        if (!/^[A-Z0-9][A-Z0-9-]{2,31}$/.test(normalized))
+            throw new ValidationError("SKU must be 3-32 letters, digits or dashes", 'sku');
+        return normalized;
+    }
+
+    /**
+     * Validates the name.
+     * @param {string} name - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {string} The validated value.
+     */
+    static #validateName(name) {
+        if (typeof name !== 'string' || name.trim().length < 2 || name.length > 100)
+            throw new ValidationError("Product name must be between 2 and 100 characters", 'name');
+        return name;
+    }
+
+    /**
+     * Validates the unit of measure.
+     * @param {UnitOfMeasure} unitOfMeasure - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {UnitOfMeasure} The validated value.
+     */
+    static #validateUnitOfMeasure(unitOfMeasure) {
+        if (!(unitOfMeasure instanceof UnitOfMeasure))
+            throw new ValidationError("Unit of measure must be an instance of UnitOfMeasure", 'unitOfMeasure');
+        return unitOfMeasure;
+    }
+
+    /**
+     * Validates the category.
+     * @param {string} category - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {string} The validated value.
+     */
+    static #validateCategory(category) {
+        if (typeof category !== 'string' || !category.trim() || category.length > 50)
+            throw new ValidationError("Category must be between 1 and 50 characters", 'category');
+        return category.trim();
+    }
+
+    /**
+     * Changes the descriptive details of the product. Fields left undefined are not changed.
+     * @param {Object} changes
+     * @param {string} [changes.name] - The new name.
+     * @param {UnitOfMeasure} [changes.unitOfMeasure] - The new unit of measure.
+     * @param {string} [changes.category] - The new category.
+     * @throws {ValidationError} If any value is invalid; nothing is changed in that case.
+     */
+    changeDetails({name, unitOfMeasure, category}) {
+        const validated = {
+            name: name === undefined ? this.#name : Product.#validateName(name),
+            unitOfMeasure: unitOfMeasure === undefined ? this.#unitOfMeasure : Product.#validateUnitOfMeasure(unitOfMeasure),
+            category: category === undefined ? this.#category : Product.#validateCategory(category),
+        };
+        this.#name = validated.name;
+        this.#unitOfMeasure = validated.unitOfMeasure;
+        this.#category = validated.category;
+    }
+
+    /**
+     * Makes the product available for ordering again.
+     * @throws {ValidationError} If the product is already active.
+     */
+    activate() {
+        if (this.#active)
+            throw new ValidationError(`Product ${this.#sku} is already active`);
+        this.#active = true;
+    }
+
+    /**
+     * Withdraws the product from ordering.
+     * @throws {ValidationError} If the product is already inactive.
+     */
+    deactivate() {
+        if (!this.#active)
+            throw new ValidationError(`Product ${this.#sku} is already inactive`);
+        this.#active = false;
+    }
+
+    /**
+     * Gets the product ID.
+     * @returns {ProductId} The product ID.
+     */
+    get id() {
+        return this.#id;
+    }
+
+    /**
+     * Gets the SKU.
+     * @returns {string} The SKU.
+     */
+    get sku() {
+        return this.#sku;
+    }
+
+    /**
+     * Gets the product name.
+     * @returns {string} The product name.
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Gets the unit of measure.
+     * @returns {UnitOfMeasure} The unit of measure.
+     */
+    get unitOfMeasure() {
+        return this.#unitOfMeasure;
+    }
+
+    /**
+     * Gets the category.
+     * @returns {string} The category.
+     */
+    get category() {
+        return this.#category;
+    }
+
+    /**
+     * Checks whether the product can be ordered.
+     * @returns {boolean} True if the product is active, false otherwise.
+     */
+    get isActive() {
+        return this.#active;
+    }
+
+    /**
+     * Returns the JSON representation of the product.
+     * @returns {Object} The product snapshot.
+     */
+    toJSON() {
+        return {
+            id: this.#id.toJSON(),
+            sku: this.#sku,
+            name: this.#name,
+            unitOfMeasure: this.#unitOfMeasure.toJSON(),
+            category: this.#category,
+            active: this.#active
+        };
+    }
+}
@@ -0,0 +1,126 @@
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {PriceListEntry} from "./price-list-entry.js";
+
+/**
+ * Aggregate holding the prices a supplier charges for catalog products.
+ * A product may have several dated prices per currency, but their validity periods never overlap,
+ * so at most one price applies at any moment.
+ * @class
+ * @property {SupplierId} supplierId - The supplier the price list belongs to; also the aggregate identity.
+ * @property {PriceListEntry[]} entries - The dated prices.
+ */
+export class SupplierPriceList {
+    #supplierId
+    #entries
+
+    /**
+     * Creates a new SupplierPriceList instance.
+     * @param {Object} params
+     * @param {SupplierId} params.supplierId - The supplier the price list belongs to.
+     * @param {PriceListEntry[]} [params.entries] - The dated prices; defaults to none.
+     * @throws {ValidationError} If any value is invalid or two entries overlap.
+     */
+    constructor({supplierId, entries = []}) {
+        if (!(supplierId instanceof SupplierId))
+            throw new ValidationError('Supplier ID must be an instance of SupplierId');
+        if (!Array.isArray(entries) || entries.some(entry => !(entry instanceof PriceListEntry)))
+            throw new ValidationError('Entries must be an array of PriceListEntry instances');
+        this.#supplierId = supplierId;
+        this.#entries = [];
+        entries.forEach(entry => this.#add(entry));
+    }
+
+    /**
+     * Sets the price of a product from a given moment on.
+     * An open-ended price that started earlier is closed when the new one takes effect;
+     * any other overlap with an existing price is rejected.
+     * @param {PriceListEntry} entry - The new dated price.
+     * @throws {ValidationError} If the entry overlaps an existing price that cannot be closed.
+     */
+    setPrice(entry) {
+        if (!(entry instanceof PriceListEntry))
+            throw new ValidationError('Entry must be an instance of PriceListEntry');
+        const superseded = this.#entries.find(existing =>
+            existing.isFor(entry.productId, entry.unitPrice.currency)
+            && existing.validUntil === null && existing.validFrom.date < entry.validFrom.date);
+        const entries = superseded
+            ? this.#entries.map(existing => existing === superseded ? existing.closedAt(entry.validFrom) : existing)
+            : this.#entries;
+        const list = new SupplierPriceList({supplierId: this.#supplierId, entries});
+        list.#add(entry);
+        this.#entries = list.#entries;
+    }
+
+    /**
+     * Adds an entry, checking it does not overlap another price for the same product and currency.
+     * @param {PriceListEntry} entry - The entry to add.
+     * @throws {ValidationError} If the entry overlaps an existing price.
+     */
+    #add(entry) {
+        const conflict = this.#entries.find(existing =>
+            existing.isFor(entry.productId, entry.unitPrice.currency) && existing.overlaps(entry));
+        if (conflict)
+            throw new ValidationError(`A ${entry.unitPrice.currency.code} price for product ${entry.productId.value} `
+                + `already applies from ${conflict.validFrom.toISOString()}`);
+        this.#entries.push(entry);
+    }
+
+    /**
+     * Finds the price of a product in a currency at a given moment.
+     * @param {ProductId} productId - The product.
+     * @param {Currency} currency - The currency.
+     * @param {DateTime} asOf - The moment.
+     * @returns {Money|null} The unit price, or null if the supplier has no price for it then.
+     */
+    priceFor(productId, currency, asOf) {
+        return this.#entries.find(entry => entry.isFor(productId, currency) && entry.isValidAt(asOf))?.unitPrice ?? null;
+    }
+
+    /**
+     * Gets the supplier ID.
+     * @returns {SupplierId} The supplier ID.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the dated prices, oldest first.
+     * @returns {PriceListEntry[]} A copy of the entries.
+     */
+    get entries() {
+        return [...this.#entries].sort((a, b) => a.validFrom.date - b.validFrom.date);
+    }
+
+    /**
+     * Returns the JSON representation of the price list.
+     * @returns {Object} The price list snapshot.
+     */
+    toJSON() {
+        return {
+            supplierId: this.#supplierId.toJSON(),
+            entries: this.entries.map(entry => entry.toJSON())
+        };
+    }
+
+    /**
+     * Restores a SupplierPriceList from its JSON representation.
+     * @param {Object} json - The price list snapshot, as produced by {@link SupplierPriceList#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {SupplierPriceList} The restored price list.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'SupplierPriceList');
+        const entries = restoreField('entries', () => {
+            if (!Array.isArray(json.entries))
+                throw new ValidationError('Entries must be an array');
+            return json.entries.map((entry, index) => restoreField(`[${index}]`, () => PriceListEntry.fromJSON(entry)));
+        });
+        return new SupplierPriceList({
+            supplierId: restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            entries
+        });
+    }
+}
@@ -0,0 +1,99 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+
+/**
+ * Value Object representing the unit a product is purchased in.
+ * Valid units are identified by short codes: EA (each), BOX, PK (pack), PAL (pallet), KG, G, T (tonne), L, ML, M, CM, M2, M3 and H (hour).
+ */
+export class UnitOfMeasure {
+    static #VALID_UNITS = {
+        EA: 'Each',
+        BOX: 'Box',
+        PK: 'Pack',
+        PAL: 'Pallet',
+        KG: 'Kilogram',
+        G: 'Gram',
+        T: 'Tonne',
+        L: 'Litre',
+        ML: 'Millilitre',
+        M: 'Metre',
+        CM: 'Centimetre',
+        M2: 'Square metre',
+        M3: 'Cubic metre',
+        H: 'Hour',
+    }
+    #code
+
+    /**
+     * Creates a new UnitOfMeasure.
+     * Defaults to 'EA' (each) if no code is provided.
+     * @param {string} code - The unit code, case-insensitive.
+     * @throws {ValidationError} If the code is not a known unit.
+     */
+    constructor(code = 'EA') {
+        const normalized = typeof code === 'string' ? code.trim().toUpperCase() : code;
+        if (!Object.hasOwn(UnitOfMeasure.#VALID_UNITS, normalized))
+            throw new ValidationError(`Invalid unit of measure: ${code}. Valid units are: ${UnitOfMeasure.values.join(', ')}`);
+        this.#code = normalized;
+    }
+
+    /**
+     * Gets all valid unit codes.
+     * @returns {string[]} The valid unit codes.
+     */
+    static get values() {
+        return Object.keys(UnitOfMeasure.#VALID_UNITS);
+    }
+
+    /**
+     * Gets the unit code.
+     * @returns {string} The unit code, e.g. "KG".
+     */
+    get code() {
+        return this.#code;
+    }
+
+    /**
+     * Gets the unit name.
+     * @returns {string} The unit name, e.g. "Kilogram".
+     */
+    get name() {
+        return UnitOfMeasure.#VALID_UNITS[this.#code];
+    }
+
+    /**
+     * Returns the JSON representation of the unit.
+     * @returns {string} The unit code.
+     */
+    toJSON() {
+        return this.#code;
+    }
+
+    /**
+     * Restores a UnitOfMeasure from its JSON representation.
+     * @param {string} json - The unit code.
+     * @throws {ValidationError} If the code is not a known unit.
+     * @returns {UnitOfMeasure} The restored unit.
+     */
+    static fromJSON(json) {
+        if (json === undefined)
+            throw new ValidationError('Unit of measure is required');
+        return new UnitOfMeasure(json);
+    }
+
+    /**
+     * Verifies equality with another UnitOfMeasure.
+     * @param {UnitOfMeasure} other - The other unit.
+     * @returns {boolean} True if both units have the same code.
+     */
+    equals(other) {
+        return other instanceof UnitOfMeasure && this.#code === other.#code;
+    }
+
+    /**
+     * Returns a string representation of the unit.
+     * @returns {string} The unit code.
+     */
+    toString() {
+        return this.#code;
+    }
+}
@@ -0,0 +1,50 @@
+/**
+ * Repository contract for {@link Product} aggregates in the Catalog bounded context.
+ * Concrete implementations live in the infrastructure layer and decide where products are persisted.
+ * @interface
+ */
+export class ProductRepository {
+    /**
+     * Persists a product, inserting it or replacing a previously saved version with the same ID.
+     * @param {Product} product - The product to save.
+     * @returns {Promise<void>}
+     */
+    async save(product) {
+        throw new Error('ProductRepository.save() must be implemented');
+    }
+
+    /**
+     * Finds a product by its identifier.
+     * @param {ProductId} id - The product ID.
+     * @returns {Promise<Product|null>} The product, or null if none was found.
+     */
+    async findById(id) {
+        throw new Error('ProductRepository.findById() must be implemented');
+    }
+
+    /**
+     * Finds a product by its SKU.
+     * @param {string} sku - The SKU, case-insensitive.
+     * @returns {Promise<Product|null>} The product, or null if none was found.
+     */
+    async findBySku(sku) {
+        throw new Error('ProductRepository.findBySku() must be implemented');
+    }
+
+    /**
+     * Finds all stored products.
+     * @returns {Promise<Product[]>} All products.
+     */
+    async findAll() {
+        throw new Error('ProductRepository.findAll() must be implemented');
+    }
+
+    /**
+     * Deletes a product by its identifier.
+     * @param {ProductId} id - The product ID.
+     * @returns {Promise<boolean>} True if a product was deleted, false if none existed.
+     */
+    async delete(id) {
+        throw new Error('ProductRepository.delete() must be implemented');
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * Repository contract for {@link SupplierPriceList} aggregates in the Catalog bounded context.
+ * Each supplier has at most one price list, identified by the supplier ID.
+ * @interface
+ */
+export class SupplierPriceListRepository {
+    /**
+     * Persists a price list, inserting it or replacing the previously saved one of the same supplier.
+     * @param {SupplierPriceList} priceList - The price list to save.
+     * @returns {Promise<void>}
+     */
+    async save(priceList) {
+        throw new Error('SupplierPriceListRepository.save() must be implemented');
+    }
+
+    /**
+     * Finds the price list of a supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @returns {Promise<SupplierPriceList|null>} The price list, or null if the supplier has none.
+     */
+    async findBySupplierId(supplierId) {
+        throw new Error('SupplierPriceListRepository.findBySupplierId() must be implemented');
+    }
+
+    /**
+     * Finds all stored price lists.
+     * @returns {Promise<SupplierPriceList[]>} All price lists.
+     */
+    async findAll() {
+        throw new Error('SupplierPriceListRepository.findAll() must be implemented');
+    }
+}
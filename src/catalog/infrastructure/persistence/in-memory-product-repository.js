@@ -0,0 +1,37 @@
+import {ProductRepository} from "../../domain/repositories/product-repository.js";
+import {Product} from "../../domain/model/product.js";
+
+/**
+ * In-memory implementation of {@link ProductRepository}.
+ * Products are kept as plain records and rebuilt on every read. Data is lost when the process exits.
+ */
+export class InMemoryProductRepository extends ProductRepository {
+    #records = new Map()
+
+    /** @inheritDoc */
+    async save(product) {
+        this.#records.set(product.id.value, product.toJSON());
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const record = this.#records.get(id.value);
+        return record ? Product.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findBySku(sku) {
+        const record = [...this.#records.values()].find(current => current.sku === sku.toUpperCase());
+        return record ? Product.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return [...this.#records.values()].map(record => Product.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#records.delete(id.value);
+    }
+}
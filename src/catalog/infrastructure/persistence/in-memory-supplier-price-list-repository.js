@@ -0,0 +1,26 @@
+import {SupplierPriceListRepository} from "../../domain/repositories/supplier-price-list-repository.js";
+import {SupplierPriceList} from "../../domain/model/supplier-price-list.js";
+
+/**
+ * In-memory implementation of {@link SupplierPriceListRepository}.
+ * Price lists are kept as plain records and rebuilt on every read. Data is lost when the process exits.
+ */
+export class InMemorySupplierPriceListRepository extends SupplierPriceListRepository {
+    #records = new Map()
+
+    /** @inheritDoc */
+    async save(priceList) {
+        this.#records.set(priceList.supplierId.value, priceList.toJSON());
+    }
+
+    /** @inheritDoc */
+    async findBySupplierId(supplierId) {
+        const record = this.#records.get(supplierId.value);
+        return record ? SupplierPriceList.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return [...this.#records.values()].map(record => SupplierPriceList.fromJSON(record));
+    }
+}
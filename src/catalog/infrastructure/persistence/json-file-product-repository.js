@@ -0,0 +1,55 @@
+import {ProductRepository} from "../../domain/repositories/product-repository.js";
+import {JsonFileStore} from "../../../shared/infrastructure/persistence/json-file-store.js";
+import {Product} from "../../domain/model/product.js";
+
+/**
+ * JSON-file-backed implementation of {@link ProductRepository}.
+ * Products survive process restarts.
+ */
+export class JsonFileProductRepository extends ProductRepository {
+    #store
+
+    /**
+     * Creates a new JsonFileProductRepository instance.
+     * @param {string} filePath - Path of the JSON file holding the products.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /** @inheritDoc */
+    async save(product) {
+        await this.#store.update(records => {
+            records[product.id.value] = product.toJSON();
+        });
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, id.value) ? Product.fromJSON(records[id.value]) : null;
+    }
+
+    /** @inheritDoc */
+    async findBySku(sku) {
+        const records = await this.#store.readAll();
+        const record = Object.values(records).find(current => current.sku === sku.toUpperCase());
+        return record ? Product.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        const records = await this.#store.readAll();
+        return Object.values(records).map(record => Product.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#store.update(records => {
+            if (!Object.hasOwn(records, id.value)) return false;
+            delete records[id.value];
+            return true;
+        });
+    }
+}
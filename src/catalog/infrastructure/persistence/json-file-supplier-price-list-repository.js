@@ -0,0 +1,39 @@
+import {SupplierPriceListRepository} from "../../domain/repositories/supplier-price-list-repository.js";
+import {JsonFileStore} from "../../../shared/infrastructure/persistence/json-file-store.js";
+import {SupplierPriceList} from "../../domain/model/supplier-price-list.js";
+
+/**
+ * JSON-file-backed implementation of {@link SupplierPriceListRepository}.
+ * Price lists survive process restarts.
+ */
+export class JsonFileSupplierPriceListRepository extends SupplierPriceListRepository {
+    #store
+
+    /**
+     * Creates a new JsonFileSupplierPriceListRepository instance.
+     * @param {string} filePath - Path of the JSON file holding the price lists.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /** @inheritDoc */
+    async save(priceList) {
+        await this.#store.update(records => {
+            records[priceList.supplierId.value] = priceList.toJSON();
+        });
+    }
+
+    /** @inheritDoc */
+    async findBySupplierId(supplierId) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, supplierId.value) ? SupplierPriceList.fromJSON(records[supplierId.value]) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        const records = await this.#store.readAll();
+        return Object.values(records).map(record => SupplierPriceList.fromJSON(record));
+    }
+}
@@ -0,0 +1,89 @@
+import {ConcurrencyError, NotFoundError, ValidationError} from "../shared/domain/model/errors.js";
+import {parseArguments} from "./command-line.js";
+import {UsageError} from "./usage-error.js";
+
+/**
+ * Exit codes returned by {@link CliApplication#execute}.
+ * @readonly
+ * @enum {number}
+ */
+export const ExitCode = Object.freeze({
+    SUCCESS: 0,
+    FAILURE: 1,
+    USAGE: 2,
+});
+
+/**
+ * Console front end for managing suppliers, the product catalog and purchase orders.
+ * Each call to {@link CliApplication#execute} runs one command, e.g. `order approve 3f2a`, dispatched to the
+ * command group declaring it, and reports domain errors as plain messages instead of stack traces.
+ * Aggregates can be referred to by a unique prefix of their ID.
+ */
+export class CliApplication {
+    #output
+    #commands
+
+    /**
+     * Creates a new CliApplication instance.
+     * @param {Object} params
+     * @param {CommandGroup[]} params.commandGroups - The groups declaring the commands, in the order the help text lists them;
+     * see {@link createCommandGroups}.
+     * @param {{log: function(string): void, error: function(string): void}} [params.output=console] - Where to write results and errors.
+     */
+    constructor({commandGroups, output = console}) {
+        this.#output = output;
+        this.#commands = new Map(commandGroups.flatMap(group => group.definitions()).map(([name, args, description, handler]) =>
+            [name, {usage: `${name} ${args}`.trim(), description, handler}]));
+    }
+
+    /**
+     * Runs a single command.
+     * @param {string[]} args - The command arguments, e.g. ["order", "show", "3f2a"].
+     * @returns {Promise<number>} The {@link ExitCode}: 0 on success, 1 on domain errors, 2 on usage errors.
+     */
+    async execute(args) {
+        try {
+            const [group, action, ...rest] = args;
+            if (!group || group === 'help' || group === '--help') {
+                this.#output.log(this.helpText());
+                return ExitCode.SUCCESS;
+            }
+            const command = this.#commands.get(`${group} ${action ?? ''}`.trim());
+            if (!command)
+                throw new UsageError(`Unknown command: ${args.join(' ')}. Run "help" to list the available commands`);
+            const {positionals, options} = parseArguments(rest);
+            await command.handler(positionals, options);
+            return ExitCode.SUCCESS;
+        } catch (error) {
+            return this.#report(error);
+        }
+    }
+
+    /**
+     * Builds the help text listing every command, with its description indented below the usage
+     * so that long option lists do not widen every line.
+     * @returns {string} The help text.
+     */
+    helpText() {
+        const entries = [...this.#commands.values()].map(command => `  ${command.usage}\n      ${command.description}`);
+        return `Commands:\n${entries.join('\n')}`;
+    }
+
+    /**
+     * Writes an error message and maps the error to an exit code.
+     * Unexpected errors are rethrown so that they are not mistaken for domain errors.
+     * @param {Error} error - The error raised by a command.
+     * @returns {number} The exit code.
+     */
+    #report(error) {
+        if (error instanceof UsageError) {
+            this.#output.error(`Usage error: ${error.message}`);
+            return ExitCode.USAGE;
+        }
+        if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConcurrencyError) {
+            this.#output.error(`Error: ${error.message}`);
+            return ExitCode.FAILURE;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,61 @@
+import {UsageError} from "./usage-error.js";
+
+/**
+ * Splits a command line into arguments, honouring single and double quotes,
+ * e.g. `supplier create --name "Acme Corp"` → ["supplier", "create", "--name", "Acme Corp"].
+ * @param {string} line - The command line.
+ * @throws {UsageError} If a quote is not closed.
+ * @returns {string[]} The arguments.
+ */
+export function tokenize(line) {
+    const tokens = [];
+    let current = '';
+    let quote = null;
+    let inToken = false;
+    for (const character of line) {
+        if (quote) {
+            if (character === quote) quote = null;
+            else current += character;
+        } else if (character === '"' || character === "'") {
+            quote = character;
+            inToken = true;
+        } else if (/\s/.test(character)) {
+            if (inToken) tokens.push(current);
+            current = '';
+            inToken = false;
+        } else {
+            current += character;
+            inToken = true;
+        }
+    }
+    if (quote)
+        throw new UsageError(`Unterminated ${quote} quote`);
+    if (inToken) tokens.push(current);
+    return tokens;
+}
+
+/**
+ * Separates positional arguments from `--name value`, `--name=value` and bare `--flag` options.
+ * @param {string[]} args - The arguments.
+ * @returns {{positionals: string[], options: Object<string, string|boolean>}} The parsed arguments.
+ */
+export function parseArguments(args) {
+    const positionals = [];
+    const options = {};
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (!arg.startsWith('--') || arg === '--') {
+            positionals.push(arg);
+            continue;
+        }
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+        if (inlineValue !== undefined) {
+            options[name] = inlineValue;
+        } else if (index + 1 < args.length && !args[index + 1].startsWith('--')) {
+            options[name] = args[++index];
+        } else {
+            options[name] = true;
+        }
+    }
+    return {positionals, options};
+}
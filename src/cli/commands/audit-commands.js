@@ -0,0 +1,106 @@
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {formatTable} from "../table.js";
+import {optionalOption} from "./command-options.js";
+
+/**
+ * Usage of the filter options accepted by `audit list` and `audit export`.
+ * @type {string}
+ */
+const AUDIT_FILTER_USAGE = '[--order <order-id>] [--supplier <supplier-id>] [--from <iso-date>] [--to <iso-date>]';
+
+/**
+ * Summarizes the differences between two audit snapshots, e.g. "state: Draft -> Submitted; items".
+ * Plain values and amounts are shown before and after; other fields that changed are only named.
+ * @param {Object|null} before - The snapshot before the change, or null if the aggregate was created.
+ * @param {Object|null} after - The snapshot after the change.
+ * @returns {string} The summary.
+ */
+function describeChanges(before, after) {
+    if (before === null) return 'created';
+    const show = value => value === null || typeof value !== 'object' ? String(value)
+        : 'amount' in value && 'currency' in value ? `${value.amount} ${value.currency}` : null;
+    const changes = Object.keys(after ?? {})
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => {
+            const [from, to] = [show(before[field] ?? null), show(after[field])];
+            return from !== null && to !== null ? `${field}: ${from} -> ${to}` : field;
+        });
+    return changes.join('; ') || 'no changes';
+}
+
+/**
+ * The `audit` commands: listing and exporting the recorded changes to purchase orders, suppliers and invoices.
+ */
+export class AuditCommands {
+    #auditTrailService
+    #references
+    #output
+
+    /**
+     * Creates a new AuditCommands instance.
+     * @param {Object} params
+     * @param {AuditTrailService} params.auditTrailService - Service answering audit trail queries.
+     * @param {ReferenceResolver} params.references - Finds the orders and suppliers the filters refer to.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({auditTrailService, references, output}) {
+        this.#auditTrailService = auditTrailService;
+        this.#references = references;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['audit list', AUDIT_FILTER_USAGE, 'List recorded changes to purchase orders, suppliers and invoices',
+                (_, options) => this.#listAuditEntries(options)],
+            ['audit export', AUDIT_FILTER_USAGE, 'Print recorded changes as JSON Lines, with before and after snapshots',
+                (_, options) => this.#exportAuditEntries(options)],
+        ];
+    }
+
+    /**
+     * Handles `audit list`.
+     * @param {Object} options - The command options.
+     */
+    async #listAuditEntries(options) {
+        const entries = await this.#auditTrailService.findEntries(await this.#auditCriteria(options));
+        if (entries.length === 0) {
+            this.#output.log('No changes found');
+            return;
+        }
+        this.#output.log(formatTable(['Date', 'Actor', 'Action', 'Type', 'ID', 'Changes'],
+            entries.map(entry => [entry.recordedOn.toISOString(), entry.actor, entry.action, entry.aggregateType,
+                entry.aggregateId, describeChanges(entry.before, entry.after)])));
+    }
+
+    /**
+     * Handles `audit export`.
+     * @param {Object} options - The command options.
+     */
+    async #exportAuditEntries(options) {
+        const jsonLines = await this.#auditTrailService.exportJsonLines(await this.#auditCriteria(options));
+        if (jsonLines) this.#output.log(jsonLines.trimEnd());
+    }
+
+    /**
+     * Reads the filter options shared by the audit commands.
+     * @param {Object} options - The command options.
+     * @returns {Promise<Object>} The criteria, as accepted by {@link AuditTrailService#findEntries}.
+     */
+    async #auditCriteria(options) {
+        const order = optionalOption(options, 'order');
+        const supplier = optionalOption(options, 'supplier');
+        const from = optionalOption(options, 'from');
+        const to = optionalOption(options, 'to');
+        return {
+            purchaseOrderId: order ? (await this.#references.findOrder(order)).id : undefined,
+            supplierId: supplier ? (await this.#references.findSupplier(supplier)).id : undefined,
+            from: from ? DateTime.parse(from) : undefined,
+            to: to ? DateTime.parse(to) : undefined
+        };
+    }
+}
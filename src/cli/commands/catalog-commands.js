@@ -0,0 +1,160 @@
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {UnitOfMeasure} from "../../catalog/domain/model/unit-of-measure.js";
+import {formatTable} from "../table.js";
+import {UsageError} from "../usage-error.js";
+import {optionalOption, requireMoney, requireOption} from "./command-options.js";
+
+/**
+ * The `product` and `price` commands: maintaining the product catalog and the prices suppliers charge.
+ */
+export class CatalogCommands {
+    #productRepository
+    #productCommandService
+    #priceListRepository
+    #priceListCommandService
+    #references
+    #output
+
+    /**
+     * Creates a new CatalogCommands instance.
+     * @param {Object} params
+     * @param {ProductRepository} params.productRepository - Repository used to list products.
+     * @param {ProductCommandService} params.productCommandService - Service handling product commands.
+     * @param {SupplierPriceListRepository} params.priceListRepository - Repository used to look supplier price lists up.
+     * @param {SupplierPriceListCommandService} params.priceListCommandService - Service handling supplier price list commands.
+     * @param {ReferenceResolver} params.references - Finds the suppliers and products the commands refer to.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({productRepository, productCommandService, priceListRepository, priceListCommandService, references, output}) {
+        this.#productRepository = productRepository;
+        this.#productCommandService = productCommandService;
+        this.#priceListRepository = priceListRepository;
+        this.#priceListCommandService = priceListCommandService;
+        this.#references = references;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['product create', '--sku <sku> --name <name> --category <category> [--unit <code>]', 'Add a product to the catalog',
+                (_, options) => this.#createProduct(options)],
+            ['product update', '<product> [--name <name>] [--category <category>] [--unit <code>]', 'Edit the details of a product',
+                ([reference], options) => this.#updateProduct(reference, options)],
+            ['product activate', '<product>', 'Make a product orderable again',
+                ([reference]) => this.#changeProductAvailability(reference, 'activate')],
+            ['product deactivate', '<product>', 'Withdraw a product from ordering',
+                ([reference]) => this.#changeProductAvailability(reference, 'deactivate')],
+            ['product list', '[--category <category>]', 'List catalog products',
+                (_, options) => this.#listProducts(options)],
+            ['price set', '--supplier <supplier-id> --product <product> --price <amount> --currency <code> [--from <iso-date>] [--until <iso-date>]',
+                'Set the price a supplier charges for a product', (_, options) => this.#setPrice(options)],
+            ['price list', '--supplier <supplier-id>', 'List the price list of a supplier',
+                (_, options) => this.#listPrices(options)],
+        ];
+    }
+
+    /**
+     * Handles `product create`.
+     * @param {Object} options - The command options.
+     */
+    async #createProduct(options) {
+        const unit = optionalOption(options, 'unit');
+        const product = await this.#productCommandService.register({
+            sku: requireOption(options, 'sku'),
+            name: requireOption(options, 'name'),
+            category: requireOption(options, 'category'),
+            unitOfMeasure: new UnitOfMeasure(unit)
+        });
+        this.#output.log(`Product ${product.sku} added with ID ${product.id.value}`);
+    }
+
+    /**
+     * Handles `product update`.
+     * @param {string} reference - The product SKU, ID or ID prefix.
+     * @param {Object} options - The command options.
+     */
+    async #updateProduct(reference, options) {
+        const product = await this.#references.findProduct(reference);
+        const unit = optionalOption(options, 'unit');
+        const changes = {
+            name: optionalOption(options, 'name'),
+            category: optionalOption(options, 'category'),
+            unitOfMeasure: unit === undefined ? undefined : new UnitOfMeasure(unit)
+        };
+        if (Object.values(changes).every(value => value === undefined))
+            throw new UsageError('Nothing to update: give --name, --category or --unit');
+        const updated = await this.#productCommandService.changeDetails(product.id, changes);
+        this.#output.log(`Product ${updated.sku} updated`);
+    }
+
+    /**
+     * Handles `product activate` and `product deactivate`.
+     * @param {string} reference - The product SKU, ID or ID prefix.
+     * @param {string} action - The ProductCommandService method to call.
+     */
+    async #changeProductAvailability(reference, action) {
+        const product = await this.#references.findProduct(reference);
+        const updated = await this.#productCommandService[action](product.id);
+        this.#output.log(`Product ${updated.sku} is now ${updated.isActive ? 'active' : 'inactive'}`);
+    }
+
+    /**
+     * Handles `product list`.
+     * @param {Object} options - The command options.
+     */
+    async #listProducts(options) {
+        const category = optionalOption(options, 'category');
+        const products = (await this.#productRepository.findAll())
+            .filter(product => !category || product.category.toLowerCase() === category.toLowerCase())
+            .sort((a, b) => a.sku.localeCompare(b.sku));
+        if (products.length === 0) {
+            this.#output.log('No products found');
+            return;
+        }
+        this.#output.log(formatTable(['SKU', 'Name', 'Unit', 'Category', 'Active', 'ID'],
+            products.map(product => [product.sku, product.name, product.unitOfMeasure.code, product.category,
+                product.isActive ? 'yes' : 'no', product.id.value])));
+    }
+
+    /**
+     * Handles `price set`.
+     * @param {Object} options - The command options.
+     */
+    async #setPrice(options) {
+        const supplier = await this.#references.findSupplier(requireOption(options, 'supplier'));
+        const product = await this.#references.findProduct(requireOption(options, 'product'));
+        const from = optionalOption(options, 'from');
+        const until = optionalOption(options, 'until');
+        const unitPrice = requireMoney(options, 'price', new Currency(requireOption(options, 'currency').toUpperCase()));
+        await this.#priceListCommandService.setPrice(supplier.id, {
+            productId: product.id,
+            unitPrice,
+            validFrom: from ? DateTime.parse(from) : new DateTime(),
+            validUntil: until ? DateTime.parse(until) : null
+        });
+        this.#output.log(`${supplier.name} charges ${unitPrice} per ${product.unitOfMeasure.code} of ${product.sku}`);
+    }
+
+    /**
+     * Handles `price list`.
+     * @param {Object} options - The command options.
+     */
+    async #listPrices(options) {
+        const supplier = await this.#references.findSupplier(requireOption(options, 'supplier'));
+        const priceList = await this.#priceListRepository.findBySupplierId(supplier.id);
+        if (!priceList || priceList.entries.length === 0) {
+            this.#output.log(`No prices found for ${supplier.name}`);
+            return;
+        }
+        const products = await this.#references.productsById();
+        this.#output.log(formatTable(['SKU', 'Unit price', 'Valid from', 'Valid until'],
+            priceList.entries.map(entry => [products.get(entry.productId.value)?.sku ?? entry.productId.value,
+                entry.unitPrice.toString(), entry.validFrom.toISODate(),
+                entry.validUntil?.toISODate()])));
+    }
+}
@@ -0,0 +1,41 @@
+import {ReferenceResolver} from "./reference-resolver.js";
+import {SupplierCommands} from "./supplier-commands.js";
+import {CatalogCommands} from "./catalog-commands.js";
+import {PurchaseOrderCommands} from "./purchase-order-commands.js";
+import {AuditCommands} from "./audit-commands.js";
+import {ReportCommands} from "./report-commands.js";
+import {ImportCommands} from "./import-commands.js";
+import {InvoiceCommands} from "./invoice-commands.js";
+import {InventoryCommands} from "./inventory-commands.js";
+
+/**
+ * A console command: its name ("group action"), the usage of its arguments, a description, and the handler
+ * called with the positional arguments and the options.
+ * @typedef {[string, string, string, function(string[], Object): Promise<void>]} CommandDefinition
+ */
+
+/**
+ * A set of related console commands, such as the `order` commands.
+ * @typedef {Object} CommandGroup
+ * @property {function(): CommandDefinition[]} definitions - Declares the commands of the group.
+ */
+
+/**
+ * Creates the command groups of the console application, in the order the help text lists them.
+ * @param {Object} services - The repositories and services of the application, as built by the composition root.
+ * @param {{log: function(string): void}} [output=console] - Where the commands write their results.
+ * @returns {CommandGroup[]} The command groups.
+ */
+export function createCommandGroups(services, output = console) {
+    const references = new ReferenceResolver(services);
+    return [
+        new SupplierCommands({...services, references, output}),
+        new CatalogCommands({...services, references, output}),
+        new PurchaseOrderCommands({...services, references, output}),
+        new AuditCommands({...services, references, output}),
+        new ReportCommands({...services, output}),
+        new ImportCommands({...services, output}),
+        new InvoiceCommands({...services, references, output}),
+        new InventoryCommands({...services, references, output}),
+    ];
+}
@@ -0,0 +1,84 @@
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {Money} from "../../shared/domain/model/money.js";
+import {UsageError} from "../usage-error.js";
+
+/**
+ * Reads a mandatory string option.
+ * @param {Object} options - The command options.
+ * @param {string} name - The option name.
+ * @throws {UsageError} If the option is missing or has no value.
+ * @returns {string} The option value.
+ */
+export function requireOption(options, name) {
+    const value = options[name];
+    if (typeof value !== 'string' || !value)
+        throw new UsageError(`Option --${name} requires a value`);
+    return value;
+}
+
+/**
+ * Reads an optional string option.
+ * @param {Object} options - The command options.
+ * @param {string} name - The option name.
+ * @throws {UsageError} If the option is given without a value.
+ * @returns {string|undefined} The option value, or undefined if absent.
+ */
+export function optionalOption(options, name) {
+    if (options[name] === undefined) return undefined;
+    return requireOption(options, name);
+}
+
+/**
+ * Reads an optional date option that can also be cleared.
+ * @param {Object} options - The command options.
+ * @param {string} name - The option name.
+ * @throws {UsageError} If the option is given without a value.
+ * @throws {ValidationError} If the value is not a valid date.
+ * @returns {DateTime|null|undefined} The date, null for "none", or undefined if absent.
+ */
+export function dateOption(options, name) {
+    const value = optionalOption(options, name);
+    if (value === undefined) return undefined;
+    return value.toLowerCase() === 'none' ? null : DateTime.parse(value);
+}
+
+/**
+ * Reads a flag option, which takes no value.
+ * @param {Object} options - The command options.
+ * @param {string} name - The option name.
+ * @throws {UsageError} If the option is given a value.
+ * @returns {boolean} True if the flag is set.
+ */
+export function flagOption(options, name) {
+    if (options[name] === undefined) return false;
+    if (options[name] !== true)
+        throw new UsageError(`Option --${name} takes no value`);
+    return true;
+}
+
+/**
+ * Reads a mandatory amount option, written as people do in the configured locale, e.g. "1234.50" or "1.234,50 €".
+ * @param {Object} options - The command options.
+ * @param {string} name - The option name.
+ * @param {Currency} currency - The currency of the amount; an amount naming another one is rejected.
+ * @throws {UsageError} If the option is missing.
+ * @throws {ValidationError} If the value is not an amount in the currency.
+ * @returns {Money} The amount.
+ */
+export function requireMoney(options, name, currency) {
+    return Money.parse(requireOption(options, name), {currency});
+}
+
+/**
+ * Reads a mandatory numeric option.
+ * @param {Object} options - The command options.
+ * @param {string} name - The option name.
+ * @throws {UsageError} If the option is missing or not a number.
+ * @returns {number} The option value.
+ */
+export function requireNumber(options, name) {
+    const value = Number(requireOption(options, name));
+    if (Number.isNaN(value))
+        throw new UsageError(`Option --${name} must be a number`);
+    return value;
+}
@@ -0,0 +1,65 @@
+import {ValidationError} from "../../shared/domain/model/errors.js";
+import {readRecordFile} from "../../imports/infrastructure/record-file-reader.js";
+import {formatTable} from "../table.js";
+import {UsageError} from "../usage-error.js";
+import {flagOption} from "./command-options.js";
+
+/**
+ * The `import` commands: registering suppliers and recording purchase orders from CSV or JSON files.
+ */
+export class ImportCommands {
+    #bulkImportService
+    #output
+
+    /**
+     * Creates a new ImportCommands instance.
+     * @param {Object} params
+     * @param {BulkImportService} params.bulkImportService - Service importing suppliers and purchase orders from files.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({bulkImportService, output}) {
+        this.#bulkImportService = bulkImportService;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['import suppliers', '<file.csv|file.json> [--dry-run]', 'Register suppliers from a file, reporting every rejected row',
+                ([file], options) => this.#importRecords(file, options,
+                    (records, dryRun) => this.#bulkImportService.importSuppliers(records, {dryRun}))],
+            ['import orders', '<file.csv|file.json> [--dry-run]',
+                'Record purchase orders from a file, one row per item; an order with a rejected row is not imported',
+                ([file], options) => this.#importRecords(file, options,
+                    (records, dryRun) => this.#bulkImportService.importPurchaseOrders(records, {dryRun}))],
+        ];
+    }
+
+    /**
+     * Handles `import suppliers` and `import orders`: imports the records of a file, or only validates them
+     * with --dry-run, then prints the rejected rows and how many suppliers or orders were imported.
+     * @param {string} file - Path of the CSV or JSON file.
+     * @param {Object} options - The command options.
+     * @param {function(ImportRecord[], boolean): Promise<ImportReport>} importRecords - Imports the records.
+     * @throws {UsageError} If no file is given.
+     * @throws {ValidationError} If any row was rejected, so that the command fails.
+     */
+    async #importRecords(file, options, importRecords) {
+        if (typeof file !== 'string' || !file)
+            throw new UsageError('A CSV or JSON file is required');
+        const dryRun = flagOption(options, 'dry-run');
+        const report = await importRecords(await readRecordFile(file), dryRun);
+        const rejected = report.rejectedRows;
+        if (rejected.length > 0)
+            this.#output.log(formatTable(['Row', 'Order ref', 'Status', 'Field', 'Message'],
+                rejected.map(result => [result.row, result.reference ?? '', result.status, result.field ?? '', result.message])));
+        const plural = report.importedCount === 1 ? report.subject : `${report.subject}s`;
+        this.#output.log(`${report.importedCount} ${plural} ${report.dryRun ? 'would be imported' : 'imported'}`
+            + (rejected.length > 0 ? `, ${rejected.length} of ${report.results.length} rows rejected` : ''));
+        if (!report.isComplete)
+            throw new ValidationError(report.dryRun ? 'The file has rejected rows' : 'Some rows were not imported');
+    }
+}
@@ -0,0 +1,159 @@
+import {formatTable} from "../table.js";
+import {UsageError} from "../usage-error.js";
+import {flagOption, optionalOption, requireNumber} from "./command-options.js";
+
+/**
+ * The `stock` commands: tracking the stock of products, reserving and counting it, and replenishing
+ * the products at or below their reorder point.
+ */
+export class InventoryCommands {
+    #inventoryLevelRepository
+    #inventoryCommandService
+    #replenishmentService
+    #references
+    #output
+
+    /**
+     * Creates a new InventoryCommands instance.
+     * @param {Object} params
+     * @param {InventoryLevelRepository} params.inventoryLevelRepository - Repository used to list inventory levels.
+     * @param {InventoryCommandService} params.inventoryCommandService - Service handling inventory commands.
+     * @param {ReplenishmentService} params.replenishmentService - Service opening orders for products to replenish.
+     * @param {ReferenceResolver} params.references - Finds the products and suppliers the commands refer to.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({inventoryLevelRepository, inventoryCommandService, replenishmentService, references, output}) {
+        this.#inventoryLevelRepository = inventoryLevelRepository;
+        this.#inventoryCommandService = inventoryCommandService;
+        this.#replenishmentService = replenishmentService;
+        this.#references = references;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['stock track', '<product> --reorder-quantity <n> [--reorder-point <n>] [--on-hand <n>] [--reserved <n>] [--supplier <supplier-id>]',
+                'Start tracking the stock of a product', ([reference], options) => this.#trackStock(reference, options)],
+            ['stock policy', '<product> [--reorder-point <n>] [--reorder-quantity <n>] [--supplier <supplier-id>]',
+                'Change when and from whom a product is replenished', ([reference], options) => this.#changeReorderPolicy(reference, options)],
+            ['stock count', '<product> --on-hand <n>', 'Record the stock found by a count',
+                ([reference], options) => this.#changeStock(reference, 'recordCount', requireNumber(options, 'on-hand'))],
+            ['stock reserve', '<product> --quantity <n>', 'Reserve units of a product for a known demand',
+                ([reference], options) => this.#changeStock(reference, 'reserve', requireNumber(options, 'quantity'))],
+            ['stock release', '<product> --quantity <n>', 'Release reserved units of a product',
+                ([reference], options) => this.#changeStock(reference, 'releaseReservation', requireNumber(options, 'quantity'))],
+            ['stock list', '[--below]', 'List tracked stock, or only the products at or below their reorder point',
+                (_, options) => this.#listStock(options)],
+            ['stock replenish', '[--dry-run]', 'Open draft orders for the products at or below their reorder point',
+                (_, options) => this.#replenish(options)],
+        ];
+    }
+
+    /**
+     * Handles `stock track`.
+     * @param {string} reference - The product SKU, ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #trackStock(reference, options) {
+        const product = await this.#references.findProduct(reference);
+        const supplier = optionalOption(options, 'supplier');
+        const number = (name, fallback) => options[name] === undefined ? fallback : requireNumber(options, name);
+        const inventoryLevel = await this.#inventoryCommandService.track({
+            productId: product.id,
+            onHand: number('on-hand', 0),
+            reserved: number('reserved', 0),
+            reorderPoint: number('reorder-point', 0),
+            reorderQuantity: requireNumber(options, 'reorder-quantity'),
+            preferredSupplierId: supplier ? (await this.#references.findSupplier(supplier)).id : null
+        });
+        this.#output.log(`Tracking ${product.sku}: ${inventoryLevel.available} available, `
+            + `reordered by ${inventoryLevel.reorderQuantity} at ${inventoryLevel.reorderPoint}`);
+    }
+
+    /**
+     * Handles `stock policy`.
+     * @param {string} reference - The product SKU, ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #changeReorderPolicy(reference, options) {
+        const product = await this.#references.findProduct(reference);
+        const supplier = optionalOption(options, 'supplier');
+        const changes = {
+            reorderPoint: options['reorder-point'] === undefined ? undefined : requireNumber(options, 'reorder-point'),
+            reorderQuantity: options['reorder-quantity'] === undefined ? undefined : requireNumber(options, 'reorder-quantity'),
+            preferredSupplierId: supplier ? (await this.#references.findSupplier(supplier)).id : undefined
+        };
+        if (Object.values(changes).every(value => value === undefined))
+            throw new UsageError('Nothing to change: give --reorder-point, --reorder-quantity or --supplier');
+        const inventoryLevel = await this.#inventoryCommandService.changeReorderPolicy(product.id, changes);
+        this.#output.log(`${product.sku} is now reordered by ${inventoryLevel.reorderQuantity} at ${inventoryLevel.reorderPoint}`
+            + (inventoryLevel.preferredSupplierId ? ` from ${inventoryLevel.preferredSupplierId.value}` : ''));
+    }
+
+    /**
+     * Handles the stock commands that change a quantity, such as `stock reserve`.
+     * @param {string} reference - The product SKU, ID or prefix.
+     * @param {string} command - The name of the {@link InventoryCommandService} method to call.
+     * @param {number} quantity - The quantity given to the command.
+     */
+    async #changeStock(reference, command, quantity) {
+        const product = await this.#references.findProduct(reference);
+        const inventoryLevel = await this.#inventoryCommandService[command](product.id, quantity);
+        this.#output.log(`${product.sku}: ${inventoryLevel.onHand} on hand, ${inventoryLevel.reserved} reserved, `
+            + `${inventoryLevel.available} available`);
+    }
+
+    /**
+     * Handles `stock list`.
+     * @param {Object} options - The command options.
+     */
+    async #listStock(options) {
+        const below = flagOption(options, 'below');
+        const products = await this.#references.productsById();
+        const inventoryLevels = (await this.#inventoryLevelRepository.findAll())
+            .filter(inventoryLevel => !below || inventoryLevel.available <= inventoryLevel.reorderPoint);
+        if (inventoryLevels.length === 0) {
+            this.#output.log(below ? 'No products at or below their reorder point' : 'No stock tracked');
+            return;
+        }
+        this.#output.log(formatTable(['Product', 'On hand', 'Reserved', 'Available', 'Reorder point', 'Reorder qty', 'Supplier'],
+            inventoryLevels.map(inventoryLevel => [
+                products.get(inventoryLevel.productId.value)?.sku ?? inventoryLevel.productId.value,
+                inventoryLevel.onHand,
+                inventoryLevel.reserved,
+                inventoryLevel.available,
+                inventoryLevel.reorderPoint,
+                inventoryLevel.reorderQuantity,
+                inventoryLevel.preferredSupplierId?.value ?? '-'
+            ])));
+    }
+
+    /**
+     * Handles `stock replenish`: opens the replenishment orders, or with --dry-run only lists them,
+     * then lists the products that need replenishing but cannot be ordered.
+     * @param {Object} options - The command options.
+     */
+    async #replenish(options) {
+        const dryRun = flagOption(options, 'dry-run');
+        const products = await this.#references.productsById();
+        const sku = productId => products.get(productId.value)?.sku ?? productId.value;
+        const describe = lines => lines.map(line => `${sku(line.productId)} x ${line.quantity}`).join(', ');
+        const result = dryRun ? await this.#replenishmentService.plan() : await this.#replenishmentService.replenish();
+        const rows = dryRun
+            ? result.proposals.map((proposal, index) => [index + 1, proposal.supplierId.value, proposal.currency.code, describe(proposal.lines)])
+            : result.orders.map(order => [order.id, order.supplierId.value, order.currency.code, describe(order.items)]);
+        const skipped = result.skipped;
+        if (rows.length > 0)
+            this.#output.log(formatTable([dryRun ? 'Order' : 'ID', 'Supplier', 'Currency', 'Items'], rows));
+        if (skipped.length > 0)
+            this.#output.log(formatTable(['Product', 'Quantity', 'Not ordered because'],
+                skipped.map(skip => [sku(skip.productId), skip.quantity, skip.reason])));
+        const plural = rows.length === 1 ? 'purchase order' : 'purchase orders';
+        this.#output.log(rows.length === 0 && skipped.length === 0 ? 'Nothing to replenish'
+            : `${rows.length} draft ${plural} ${dryRun ? 'would be opened' : 'opened'}`);
+    }
+}
@@ -0,0 +1,174 @@
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {formatTable} from "../table.js";
+import {optionalOption, requireMoney, requireNumber, requireOption} from "./command-options.js";
+
+/**
+ * The `invoice` commands: recording supplier invoices and matching them against their order and the goods received.
+ */
+export class InvoiceCommands {
+    #invoiceRepository
+    #invoiceCommandService
+    #supplierRepository
+    #references
+    #output
+
+    /**
+     * Creates a new InvoiceCommands instance.
+     * @param {Object} params
+     * @param {InvoiceRepository} params.invoiceRepository - Repository used to list supplier invoices.
+     * @param {InvoiceCommandService} params.invoiceCommandService - Service handling supplier invoice commands.
+     * @param {SupplierRepository} params.supplierRepository - Repository used to show the supplier of an invoice.
+     * @param {ReferenceResolver} params.references - Finds the invoices, orders and products the commands refer to.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({invoiceRepository, invoiceCommandService, supplierRepository, references, output}) {
+        this.#invoiceRepository = invoiceRepository;
+        this.#invoiceCommandService = invoiceCommandService;
+        this.#supplierRepository = supplierRepository;
+        this.#references = references;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['invoice register', '--order <order-id> --number <invoice-number> [--date <iso-date>] [--currency <code>]',
+                'Record an invoice the supplier of an order sent', (_, options) => this.#registerInvoice(options)],
+            ['invoice add-line', '<invoice-id> --product <product> --quantity <n> --price <amount>', 'Add a line to a pending invoice',
+                ([reference], options) => this.#addInvoiceLine(reference, options)],
+            ['invoice remove-line', '<invoice-id> --product <product>', 'Remove a line from a pending invoice',
+                ([reference], options) => this.#removeInvoiceLine(reference, options)],
+            ['invoice match', '<invoice-id>', 'Match an invoice against its order and the goods received',
+                ([reference]) => this.#matchInvoice(reference)],
+            ['invoice list', '[--order <order-id>] [--status <status>]', 'List supplier invoices',
+                (_, options) => this.#listInvoices(options)],
+            ['invoice show', '<invoice-id>', 'Show an invoice with its lines and discrepancies',
+                ([reference]) => this.#showInvoice(reference)],
+        ];
+    }
+
+    /**
+     * Handles `invoice register`.
+     * @param {Object} options - The command options.
+     */
+    async #registerInvoice(options) {
+        const purchaseOrder = await this.#references.findOrder(requireOption(options, 'order'));
+        const date = optionalOption(options, 'date');
+        const currency = optionalOption(options, 'currency');
+        const invoice = await this.#invoiceCommandService.register({
+            purchaseOrderId: purchaseOrder.id,
+            invoiceNumber: requireOption(options, 'number'),
+            invoiceDate: date ? DateTime.parse(date) : undefined,
+            currency: currency ? new Currency(currency.toUpperCase()) : null
+        });
+        this.#output.log(`Invoice ${invoice.invoiceNumber} registered with ID ${invoice.id} for purchase order ${purchaseOrder.id}`);
+    }
+
+    /**
+     * Handles `invoice add-line`; the price is in the invoice currency.
+     * @param {string} reference - The invoice ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #addInvoiceLine(reference, options) {
+        const invoice = await this.#references.findInvoice(reference);
+        const product = await this.#references.findProduct(requireOption(options, 'product'));
+        const updated = await this.#invoiceCommandService.addLine(invoice.id, {
+            productId: product.id,
+            quantity: requireNumber(options, 'quantity'),
+            unitPrice: requireMoney(options, 'price', invoice.currency)
+        });
+        this.#output.log(`Added ${product.sku} to invoice ${updated.invoiceNumber}; total is now ${updated.calculateTotal()}`);
+    }
+
+    /**
+     * Handles `invoice remove-line`.
+     * @param {string} reference - The invoice ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #removeInvoiceLine(reference, options) {
+        const invoice = await this.#references.findInvoice(reference);
+        const product = await this.#references.findProduct(requireOption(options, 'product'));
+        const updated = await this.#invoiceCommandService.removeLine(invoice.id, product.id);
+        this.#output.log(`Removed ${product.sku} from invoice ${updated.invoiceNumber}; total is now ${updated.calculateTotal()}`);
+    }
+
+    /**
+     * Handles `invoice match`.
+     * @param {string} reference - The invoice ID or prefix.
+     */
+    async #matchInvoice(reference) {
+        const invoice = await this.#references.findInvoice(reference);
+        const matched = await this.#invoiceCommandService.match(invoice.id);
+        this.#output.log(`Invoice ${matched.invoiceNumber} is ${matched.status}`);
+        if (matched.discrepancies.length > 0)
+            this.#output.log(await this.#discrepancyTable(matched));
+    }
+
+    /**
+     * Handles `invoice list`.
+     * @param {Object} options - The command options.
+     */
+    async #listInvoices(options) {
+        const order = optionalOption(options, 'order');
+        const status = optionalOption(options, 'status');
+        const invoices = (order
+            ? await this.#invoiceRepository.findByPurchaseOrderId((await this.#references.findOrder(order)).id)
+            : await this.#invoiceRepository.findAll())
+            .filter(invoice => !status || invoice.status.toLowerCase() === status.toLowerCase())
+            .sort((a, b) => a.invoiceDate.toISOString().localeCompare(b.invoiceDate.toISOString()));
+        if (invoices.length === 0) {
+            this.#output.log('No invoices found');
+            return;
+        }
+        this.#output.log(formatTable(['ID', 'Number', 'Supplier', 'Order', 'Date', 'Status', 'Lines', 'Total'],
+            invoices.map(invoice => [invoice.id, invoice.invoiceNumber, invoice.supplierId.value, invoice.purchaseOrderId,
+                invoice.invoiceDate.toISODate(), invoice.status, invoice.lines.length,
+                invoice.calculateTotal().toString()])));
+    }
+
+    /**
+     * Handles `invoice show`.
+     * @param {string} reference - The invoice ID or prefix.
+     */
+    async #showInvoice(reference) {
+        const invoice = await this.#references.findInvoice(reference);
+        const supplier = await this.#supplierRepository.findById(invoice.supplierId);
+        const lines = [
+            `Invoice ${invoice.invoiceNumber} (${invoice.id})`,
+            `  Supplier: ${supplier ? `${supplier.name} (${supplier.id.value})` : invoice.supplierId.value}`,
+            `  Order:    ${invoice.purchaseOrderId}`,
+            `  Date:     ${invoice.invoiceDate.toISOString()}`,
+            `  Status:   ${invoice.status}${invoice.matchedOn ? ` (matched on ${invoice.matchedOn.toISOString()})` : ''}`,
+            `  Currency: ${invoice.currency.code}`
+        ];
+        if (invoice.lines.length === 0) {
+            lines.push('', 'No lines');
+        } else {
+            const products = await this.#references.productsById();
+            lines.push('', formatTable(['Product', 'Quantity', 'Unit price', 'Line total'],
+                invoice.lines.map(line => [products.get(line.productId.value)?.sku ?? line.productId.value, line.quantity,
+                    line.unitPrice.toString(), line.lineTotal.toString()])));
+            lines.push('', `  Total: ${invoice.calculateTotal()}`);
+        }
+        if (invoice.discrepancies.length > 0)
+            lines.push('', await this.#discrepancyTable(invoice));
+        this.#output.log(lines.join('\n'));
+    }
+
+    /**
+     * Formats the discrepancies of an invoice as a table.
+     * @param {Invoice} invoice - The invoice.
+     * @returns {Promise<string>} The table.
+     */
+    async #discrepancyTable(invoice) {
+        const products = await this.#references.productsById();
+        return formatTable(['Discrepancy', 'Product', 'Message'],
+            invoice.discrepancies.map(discrepancy => [discrepancy.type,
+                discrepancy.productId ? products.get(discrepancy.productId.value)?.sku ?? discrepancy.productId.value : '',
+                discrepancy.message]));
+    }
+}
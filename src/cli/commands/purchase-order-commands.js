@@ -0,0 +1,438 @@
+import {NotFoundError} from "../../shared/domain/model/errors.js";
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {PurchaseOrderFilter} from "../../procurement/application/purchase-order-filter.js";
+import {formatTable} from "../table.js";
+import {UsageError} from "../usage-error.js";
+import {dateOption, flagOption, optionalOption, requireMoney, requireNumber, requireOption} from "./command-options.js";
+
+/**
+ * Usage of the search options accepted by `order list`.
+ * @type {string}
+ */
+const ORDER_SEARCH_USAGE = '[--supplier <supplier-id>] [--state <state>] [--currency <code>] [--from <iso-date>] [--to <iso-date>] '
+    + '[--min-total <amount>] [--max-total <amount>] [--product <product>] [--sort date|total] [--desc] '
+    + '[--limit <n>] [--offset <n> | --after <cursor>]';
+
+/**
+ * The `order` commands: drafting purchase orders and taking them through approval, shipping and receiving,
+ * searching them and showing them with their history.
+ */
+export class PurchaseOrderCommands {
+    #supplierRepository
+    #purchaseOrderCommandService
+    #purchaseOrderQueryService
+    #purchaseOrderSummaryProjection
+    #purchaseOrderHistory
+    #references
+    #output
+
+    /**
+     * Creates a new PurchaseOrderCommands instance.
+     * @param {Object} params
+     * @param {SupplierRepository} params.supplierRepository - Repository used to show the supplier of an order.
+     * @param {PurchaseOrderCommandService} params.purchaseOrderCommandService - Service handling purchase order commands.
+     * @param {PurchaseOrderQueryService} params.purchaseOrderQueryService - Service answering purchase order searches.
+     * @param {PurchaseOrderSummaryProjection} params.purchaseOrderSummaryProjection - Projection maintaining
+     * the summaries searches are answered from.
+     * @param {PurchaseOrderHistory|null} [params.purchaseOrderHistory] - Recorded history of purchase orders,
+     * available with event-sourced persistence only.
+     * @param {ReferenceResolver} params.references - Finds the orders, suppliers and products the commands refer to.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({supplierRepository, purchaseOrderCommandService, purchaseOrderQueryService, purchaseOrderSummaryProjection,
+                    purchaseOrderHistory = null, references, output}) {
+        this.#supplierRepository = supplierRepository;
+        this.#purchaseOrderCommandService = purchaseOrderCommandService;
+        this.#purchaseOrderQueryService = purchaseOrderQueryService;
+        this.#purchaseOrderSummaryProjection = purchaseOrderSummaryProjection;
+        this.#purchaseOrderHistory = purchaseOrderHistory;
+        this.#references = references;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['order create', '--supplier <supplier-id> --currency <code> [--date <iso-date>]', 'Open a draft purchase order',
+                (_, options) => this.#createOrder(options)],
+            ['order add-item', '<order-id> --product <product> --quantity <n> [--price <amount>]', 'Add a catalog product to a draft order',
+                ([reference], options) => this.#addItem(reference, options)],
+            ['order update-item', '<order-id> --product <product> [--quantity <n>] [--price <amount>]', 'Change the quantity or unit price of an item',
+                ([reference], options) => this.#updateItem(reference, options)],
+            ['order remove-item', '<order-id> --product <product>', 'Remove an item from a draft order',
+                ([reference], options) => this.#removeItem(reference, options)],
+            ['order submit', '<order-id>', 'Submit a draft order for approval',
+                ([reference]) => this.#transition(reference, 'submit')],
+            ['order reject', '<order-id> --reason <text>', 'Return a submitted order to draft',
+                ([reference], options) => this.#reject(reference, options)],
+            ['order approve', '<order-id> --approver <name> [--role <role>] [--date <iso-date>]',
+                'Record an approval; the order is approved once the approval policy is satisfied',
+                ([reference], options) => this.#approve(reference, options)],
+            ['order schedule', '<order-id> [--product <product>] [--requested <iso-date|none>] [--promised <iso-date|none>]',
+                'Set when the goods of an order, or of one of its lines, are requested and promised',
+                ([reference], options) => this.#scheduleDelivery(reference, options)],
+            ['order ship', '<order-id> [--date <iso-date>]', 'Mark an approved order as shipped',
+                ([reference], options) => this.#ship(reference, options)],
+            ['order receive', '<order-id> --product <product> --quantity <n> [--rejected <n> --reason <text>] [--date <iso-date>]',
+                'Record a delivery for a line of a shipped order', ([reference], options) => this.#receiveGoods(reference, options)],
+            ['order close-line', '<order-id> --product <product> --reason <text>', 'Stop expecting the outstanding units of a line',
+                ([reference], options) => this.#closeLineShort(reference, options)],
+            ['order complete', '<order-id>', 'Complete a shipped order, closing outstanding lines short',
+                ([reference]) => this.#transition(reference, 'complete')],
+            ['order cancel', '<order-id>', 'Cancel an order',
+                ([reference]) => this.#transition(reference, 'cancel')],
+            ['order list', ORDER_SEARCH_USAGE, 'Find purchase orders, oldest first unless sorted otherwise, 20 per page by default',
+                (_, options) => this.#listOrders(options)],
+            ['order reindex', '', 'Rebuild the summaries purchase order searches are answered from',
+                () => this.#reindexOrders()],
+            ['order show', '<order-id> [--as-of <iso-date>]', 'Show a purchase order with its items and totals, now or as it was then',
+                ([reference], options) => this.#showOrder(reference, options)],
+            ['order history', '<order-id>', 'List the recorded events that brought an order to its current state',
+                ([reference]) => this.#showOrderHistory(reference)],
+        ];
+    }
+
+    /**
+     * Handles `order create`.
+     * @param {Object} options - The command options.
+     */
+    async #createOrder(options) {
+        const supplier = await this.#references.findSupplier(requireOption(options, 'supplier'));
+        const date = optionalOption(options, 'date');
+        const purchaseOrder = await this.#purchaseOrderCommandService.open({
+            supplierId: supplier.id,
+            currency: new Currency(requireOption(options, 'currency').toUpperCase()),
+            orderDate: date ? DateTime.parse(date) : undefined
+        });
+        this.#output.log(`Purchase order ${purchaseOrder.id} opened for ${supplier.name}`);
+    }
+
+    /**
+     * Handles `order add-item`; the supplier's catalog price is used when no price is given.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #addItem(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const product = await this.#references.findProduct(requireOption(options, 'product'));
+        const updated = await this.#purchaseOrderCommandService.addItem(purchaseOrder.id, {
+            productId: product.id,
+            quantity: requireNumber(options, 'quantity'),
+            unitPrice: options.price === undefined ? undefined : requireMoney(options, 'price', purchaseOrder.currency).amount
+        });
+        this.#output.log(`Added ${product.sku} to ${updated.id}; total is now ${updated.calculateTotalPrice().grandTotal}`);
+    }
+
+    /**
+     * Handles `order remove-item`; the product is matched against the items of the order.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #removeItem(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const {item, label} = await this.#references.findItem(purchaseOrder, requireOption(options, 'product'));
+        await this.#purchaseOrderCommandService.removeItem(purchaseOrder.id, item.productId);
+        this.#output.log(`Removed ${label} from ${purchaseOrder.id}`);
+    }
+
+    /**
+     * Handles `order update-item`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #updateItem(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const {item, label} = await this.#references.findItem(purchaseOrder, requireOption(options, 'product'));
+        if (options.quantity === undefined && options.price === undefined)
+            throw new UsageError('Nothing to update: give --quantity or --price');
+        const quantity = options.quantity === undefined ? undefined : requireNumber(options, 'quantity');
+        const price = options.price === undefined ? undefined : requireMoney(options, 'price', purchaseOrder.currency).amount;
+        const updated = await this.#purchaseOrderCommandService.updateItem(purchaseOrder.id, item.productId,
+            {quantity, unitPrice: price});
+        this.#output.log(`Updated ${label} on ${updated.id}; total is now ${updated.calculateTotalPrice().grandTotal}`);
+    }
+
+    /**
+     * Handles `order receive`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #receiveGoods(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const {item, label} = await this.#references.findItem(purchaseOrder, requireOption(options, 'product'));
+        const date = optionalOption(options, 'date');
+        const updated = await this.#purchaseOrderCommandService.receiveGoods(purchaseOrder.id, {
+            receivedOn: date ? DateTime.parse(date) : undefined,
+            lines: [{
+                productId: item.productId,
+                receivedQuantity: requireNumber(options, 'quantity'),
+                rejectedQuantity: options.rejected === undefined ? 0 : requireNumber(options, 'rejected'),
+                rejectionReason: optionalOption(options, 'reason') ?? null
+            }]
+        });
+        const line = updated.items.find(current => current.productId.equals(item.productId));
+        this.#output.log(`Received ${label} on ${updated.id}: ${line.receivedQuantity} of ${line.quantity} units; `
+            + `order is now ${updated.state}`);
+    }
+
+    /**
+     * Handles `order close-line`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #closeLineShort(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const {item, label} = await this.#references.findItem(purchaseOrder, requireOption(options, 'product'));
+        const updated = await this.#purchaseOrderCommandService.closeLineShort(purchaseOrder.id, item.productId,
+            requireOption(options, 'reason'));
+        this.#output.log(`Closed ${label} on ${updated.id} short; order is now ${updated.state}`);
+    }
+
+    /**
+     * Handles `order reject`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #reject(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const updated = await this.#purchaseOrderCommandService.reject(purchaseOrder.id, requireOption(options, 'reason'));
+        this.#output.log(`Purchase order ${updated.id} is now ${updated.state}`);
+    }
+
+    /**
+     * Handles `order approve`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #approve(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const date = optionalOption(options, 'date');
+        const updated = await this.#purchaseOrderCommandService.approve(purchaseOrder.id, {
+            approverId: requireOption(options, 'approver'),
+            role: optionalOption(options, 'role') ?? null,
+            approvedOn: date ? DateTime.parse(date) : undefined
+        });
+        const approval = updated.approvals.at(-1);
+        this.#output.log(`Approval by ${approval.approverId} recorded on ${updated.id}; order is now ${updated.state}`);
+    }
+
+    /**
+     * Handles `order schedule`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     * @throws {UsageError} If no date is given.
+     */
+    async #scheduleDelivery(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const product = optionalOption(options, 'product');
+        const found = product ? await this.#references.findItem(purchaseOrder, product) : null;
+        const requestedDeliveryDate = dateOption(options, 'requested');
+        const promisedDeliveryDate = dateOption(options, 'promised');
+        if (requestedDeliveryDate === undefined && promisedDeliveryDate === undefined)
+            throw new UsageError('Nothing to schedule: give --requested or --promised');
+        const updated = await this.#purchaseOrderCommandService.scheduleDelivery(purchaseOrder.id, {
+            productId: found?.item.productId ?? null, requestedDeliveryDate, promisedDeliveryDate
+        });
+        const line = found && updated.items.find(item => item.productId.equals(found.item.productId));
+        const requested = line?.requestedDeliveryDate ?? updated.requestedDeliveryDate;
+        const promised = line ? updated.promisedDeliveryDateFor(line.productId) : updated.promisedDeliveryDate;
+        const describe = date => date?.toISODate() ?? 'not set';
+        this.#output.log(`Delivery of ${found ? `${found.label} on ` : ''}${updated.id}: `
+            + `requested ${describe(requested)}, promised ${describe(promised)}`);
+    }
+
+    /**
+     * Handles `order ship`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #ship(reference, options) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const date = optionalOption(options, 'date');
+        const updated = await this.#purchaseOrderCommandService.ship(purchaseOrder.id, {
+            shippedOn: date ? DateTime.parse(date) : undefined
+        });
+        this.#output.log(`Purchase order ${updated.id} is now ${updated.state}`);
+    }
+
+    /**
+     * Handles the lifecycle commands that take no options, such as `order complete`.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {string} command - The name of the {@link PurchaseOrderCommandService} method to call.
+     */
+    async #transition(reference, command) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const updated = await this.#purchaseOrderCommandService[command](purchaseOrder.id);
+        this.#output.log(`Purchase order ${updated.id} is now ${updated.state}`);
+    }
+
+    /**
+     * Handles `order list`.
+     * @param {Object} options - The command options.
+     */
+    async #listOrders(options) {
+        const sort = optionalOption(options, 'sort') ?? 'date';
+        if (sort !== 'date' && sort !== 'total')
+            throw new UsageError('Option --sort must be "date" or "total"');
+        const page = await this.#purchaseOrderQueryService.search({
+            filter: await this.#orderFilter(options),
+            sortBy: sort === 'date' ? 'orderDate' : 'totalPrice',
+            descending: flagOption(options, 'desc'),
+            limit: options.limit === undefined ? undefined : requireNumber(options, 'limit'),
+            offset: options.offset === undefined ? undefined : requireNumber(options, 'offset'),
+            after: optionalOption(options, 'after')
+        });
+        if (page.summaries.length === 0) {
+            this.#output.log(page.total === 0 ? 'No purchase orders found' : `No more purchase orders; ${page.total} found`);
+            return;
+        }
+        this.#output.log(formatTable(['ID', 'Supplier', 'Date', 'State', 'Items', 'Total'],
+            page.summaries.map(summary => [
+                summary.id,
+                summary.supplierId.value,
+                summary.orderDate.toISODate(),
+                summary.state,
+                summary.itemCount,
+                summary.totalPrice?.toString() ?? '-'
+            ])));
+        const shown = `Showing ${page.offset + 1}-${page.offset + page.summaries.length} of ${page.total}`;
+        this.#output.log(page.nextCursor ? `${shown}; next page: --after ${page.nextCursor}` : shown);
+    }
+
+    /**
+     * Reads the search options of `order list` into a filter.
+     * @param {Object} options - The command options.
+     * @throws {UsageError} If a total bound is given without --currency.
+     * @returns {Promise<PurchaseOrderFilter>} The filter; it matches every order if no option is given.
+     */
+    async #orderFilter(options) {
+        const supplier = optionalOption(options, 'supplier');
+        const state = optionalOption(options, 'state');
+        const currencyCode = optionalOption(options, 'currency');
+        const from = optionalOption(options, 'from');
+        const to = optionalOption(options, 'to');
+        const product = optionalOption(options, 'product');
+        const currency = currencyCode ? new Currency(currencyCode) : null;
+        const totalBound = name => {
+            if (options[name] === undefined) return null;
+            if (!currency)
+                throw new UsageError(`Option --${name} requires --currency`);
+            return requireMoney(options, name, currency);
+        };
+        const [min, max] = [totalBound('min-total'), totalBound('max-total')];
+        const filters = [
+            supplier && PurchaseOrderFilter.bySupplier((await this.#references.findSupplier(supplier)).id),
+            state && PurchaseOrderFilter.inState(state),
+            currency && PurchaseOrderFilter.inCurrency(currency),
+            (from || to) && PurchaseOrderFilter.orderedBetween({
+                from: from ? DateTime.parse(from) : null,
+                to: to ? DateTime.parse(to) : null
+            }),
+            (min || max) && PurchaseOrderFilter.totalBetween({min, max}),
+            product && PurchaseOrderFilter.containingProduct((await this.#references.findProduct(product)).id)
+        ];
+        return filters.filter(Boolean).reduce((combined, filter) => combined.and(filter), PurchaseOrderFilter.all());
+    }
+
+    /**
+     * Handles `order reindex`.
+     */
+    async #reindexOrders() {
+        const count = await this.#purchaseOrderSummaryProjection.rebuild();
+        this.#output.log(`Purchase order summaries rebuilt for ${count} order(s)`);
+    }
+
+    /**
+     * Handles `order show`; dates and amounts are written for the configured locale and time zone.
+     * @param {string} reference - The purchase order ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #showOrder(reference, options) {
+        const asOf = optionalOption(options, 'as-of');
+        let purchaseOrder = await this.#references.findOrder(reference);
+        if (asOf) {
+            purchaseOrder = await this.#requireHistory().findByIdAsOf(purchaseOrder.id, DateTime.parse(asOf));
+            if (!purchaseOrder)
+                throw new NotFoundError(`Purchase order ${reference} did not exist yet on ${asOf}`);
+        }
+        const supplier = await this.#supplierRepository.findById(purchaseOrder.supplierId);
+        const day = date => date?.format({dateStyle: 'medium', timeStyle: null}) ?? '';
+        const lines = [
+            `Purchase order ${purchaseOrder.id}`,
+            `  Supplier: ${supplier ? `${supplier.name} (${supplier.id.value})` : purchaseOrder.supplierId.value}`,
+            `  Date:     ${purchaseOrder.orderDate.format()}`,
+            `  State:    ${purchaseOrder.state}`,
+            `  Currency: ${purchaseOrder.currency.code}`
+        ];
+        if (purchaseOrder.rejectionReason)
+            lines.push(`  Rejected: ${purchaseOrder.rejectionReason}`);
+        purchaseOrder.approvals.forEach(approval => lines.push(`  Approved: by ${approval.approverId}`
+            + `${approval.role ? ` (${approval.role})` : ''} on ${approval.approvedOn.format()}`));
+        if (purchaseOrder.requestedDeliveryDate)
+            lines.push(`  Requested: ${day(purchaseOrder.requestedDeliveryDate)}`);
+        if (purchaseOrder.promisedDeliveryDate)
+            lines.push(`  Promised: ${day(purchaseOrder.promisedDeliveryDate)}`);
+        if (purchaseOrder.shippedOn)
+            lines.push(`  Shipped:  ${purchaseOrder.shippedOn.format()}`);
+        if (purchaseOrder.completedOn)
+            lines.push(`  Completed: ${purchaseOrder.completedOn.format()}`);
+        if (purchaseOrder.state === 'Submitted') {
+            const levels = this.#purchaseOrderCommandService.approvalRuleFor(purchaseOrder).levels;
+            const pending = levels.slice(purchaseOrder.approvals.length).map(role => role ?? 'any approver');
+            lines.push(`  Awaiting: ${pending.join(', then ') || 'any approver'}`);
+        }
+        if (purchaseOrder.items.length === 0) {
+            lines.push('', 'No items');
+        } else {
+            const breakdown = purchaseOrder.calculateTotalPrice();
+            const products = await this.#references.productsById();
+            const receiving = purchaseOrder.items.some(item => item.receipts.length > 0 || item.closedShortReason);
+            const scheduled = purchaseOrder.items.some(item => item.requestedDeliveryDate || item.promisedDeliveryDate);
+            lines.push('', formatTable(['Product', 'Quantity', 'Unit price', 'Subtotal', ...(scheduled ? ['Requested', 'Promised'] : []),
+                ...(receiving ? ['Received', 'Rejected', 'Outstanding'] : [])],
+                purchaseOrder.items.map(item => [products.get(item.productId.value)?.sku ?? item.productId.value, item.quantity,
+                    item.unitPrice.format(), item.calculateSubtotal().format(),
+                    ...(scheduled ? [day(item.requestedDeliveryDate ?? purchaseOrder.requestedDeliveryDate),
+                        day(purchaseOrder.promisedDeliveryDateFor(item.productId))] : []),
+                    ...(receiving ? [item.receivedQuantity, item.rejectedQuantity,
+                        item.closedShortReason ? `closed short: ${item.closedShortReason}` : item.outstandingQuantity] : [])])));
+            lines.push('',
+                `  Subtotal:    ${breakdown.subtotal.format()}`,
+                `  Discounts:   ${breakdown.discounts.format()}`,
+                `  Tax:         ${breakdown.tax.format()}`,
+                `  Shipping:    ${breakdown.shipping.format()}`,
+                `  Grand total: ${breakdown.grandTotal.format()}`);
+        }
+        lines.push('', `Next states: ${purchaseOrder.allowedNextStates.join(', ') || 'none'}`);
+        this.#output.log(lines.join('\n'));
+    }
+
+    /**
+     * Handles `order history`.
+     * @param {string} reference - The purchase order ID or prefix.
+     */
+    async #showOrderHistory(reference) {
+        const purchaseOrder = await this.#references.findOrder(reference);
+        const history = await this.#requireHistory().findHistory(purchaseOrder.id);
+        this.#output.log(formatTable(['Version', 'Date', 'Event', 'State', 'Total'],
+            history.map((event, index) => [index + 1, event.occurredOn.toISOString(),
+                event.eventType.replace(/^PurchaseOrder/, ''),
+                event.newState ? `${event.previousState} -> ${event.newState}` : '',
+                event.totalPrice?.toString() ?? ''])));
+    }
+
+    /**
+     * Gets the recorded history of purchase orders.
+     * @throws {UsageError} If purchase orders are not event-sourced.
+     * @returns {PurchaseOrderHistory} The purchase order history.
+     */
+    #requireHistory() {
+        if (!this.#purchaseOrderHistory)
+            throw new UsageError('Order history needs event-sourced persistence; set SCM_PURCHASE_ORDER_STORE=events');
+        return this.#purchaseOrderHistory;
+    }
+}
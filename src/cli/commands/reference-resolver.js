@@ -0,0 +1,139 @@
+import {NotFoundError} from "../../shared/domain/model/errors.js";
+import {UsageError} from "../usage-error.js";
+
+/**
+ * Finds the aggregates the console commands refer to, by ID or by a unique prefix of their ID
+ * (products also by SKU), so that every command group resolves references the same way.
+ */
+export class ReferenceResolver {
+    #supplierRepository
+    #productRepository
+    #purchaseOrderRepository
+    #invoiceRepository
+
+    /**
+     * Creates a new ReferenceResolver instance.
+     * @param {Object} params
+     * @param {SupplierRepository} params.supplierRepository - Repository used to look suppliers up.
+     * @param {ProductRepository} params.productRepository - Repository used to look products up.
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository used to look purchase orders up.
+     * @param {InvoiceRepository} params.invoiceRepository - Repository used to look supplier invoices up.
+     */
+    constructor({supplierRepository, productRepository, purchaseOrderRepository, invoiceRepository}) {
+        this.#supplierRepository = supplierRepository;
+        this.#productRepository = productRepository;
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#invoiceRepository = invoiceRepository;
+    }
+
+    /**
+     * Finds a supplier by ID or unique ID prefix.
+     * @param {string} reference - The supplier ID or a prefix of it.
+     * @throws {UsageError} If no reference is given or the prefix is ambiguous.
+     * @throws {NotFoundError} If no supplier matches.
+     * @returns {Promise<Supplier>} The supplier.
+     */
+    async findSupplier(reference) {
+        if (typeof reference !== 'string' || !reference)
+            throw new UsageError('A supplier ID is required');
+        const matches = (await this.#supplierRepository.findAll())
+            .filter(supplier => supplier.id.value.startsWith(reference));
+        return ReferenceResolver.#single(matches, reference, 'supplier', supplier => supplier.id.value);
+    }
+
+    /**
+     * Finds a product by SKU, ID or unique ID prefix.
+     * @param {string} reference - The product SKU, ID or a prefix of the ID.
+     * @throws {UsageError} If no reference is given or the prefix is ambiguous.
+     * @throws {NotFoundError} If no product matches.
+     * @returns {Promise<Product>} The product.
+     */
+    async findProduct(reference) {
+        if (typeof reference !== 'string' || !reference)
+            throw new UsageError('A product SKU or ID is required');
+        const bySku = await this.#productRepository.findBySku(reference);
+        if (bySku) return bySku;
+        const matches = (await this.#productRepository.findAll())
+            .filter(product => product.id.value.startsWith(reference));
+        return ReferenceResolver.#single(matches, reference, 'product', product => product.id.value);
+    }
+
+    /**
+     * Finds the item of a purchase order for a product given by SKU, ID or unique ID prefix.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order.
+     * @param {string} reference - The product SKU, ID or a prefix of the ID.
+     * @throws {UsageError} If the prefix is ambiguous.
+     * @throws {NotFoundError} If the order has no matching item.
+     * @returns {Promise<{item: PurchaseOrderItem, label: string}>} The item and the SKU (or ID) to show for it.
+     */
+    async findItem(purchaseOrder, reference) {
+        const products = await this.productsById();
+        const matches = purchaseOrder.items.filter(item => item.productId.value.startsWith(reference)
+            || products.get(item.productId.value)?.sku === reference.toUpperCase());
+        const item = ReferenceResolver.#single(matches, reference, 'item', match => match.productId.value);
+        return {item, label: products.get(item.productId.value)?.sku ?? item.productId.value};
+    }
+
+    /**
+     * Loads all catalog products keyed by ID, to show SKUs instead of product IDs.
+     * @returns {Promise<Map<string, Product>>} The products keyed by ID value.
+     */
+    async productsById() {
+        return new Map((await this.#productRepository.findAll()).map(product => [product.id.value, product]));
+    }
+
+    /**
+     * Finds a purchase order by ID or unique ID prefix.
+     * @param {string} reference - The purchase order ID or a prefix of it.
+     * @throws {UsageError} If no reference is given or the prefix is ambiguous.
+     * @throws {NotFoundError} If no purchase order matches.
+     * @returns {Promise<PurchaseOrder>} The purchase order.
+     */
+    async findOrder(reference) {
+        if (typeof reference !== 'string' || !reference)
+            throw new UsageError('A purchase order ID is required');
+        const exact = await this.#purchaseOrderRepository.findById(reference);
+        if (exact) return exact;
+        const matches = (await this.#purchaseOrderRepository.findAll())
+            .filter(purchaseOrder => purchaseOrder.id.startsWith(reference));
+        return ReferenceResolver.#single(matches, reference, 'purchase order', purchaseOrder => purchaseOrder.id);
+    }
+
+    /**
+     * Finds a supplier invoice by ID or unique ID prefix.
+     * @param {string} reference - The invoice ID or a prefix of it.
+     * @throws {UsageError} If no reference is given or the prefix is ambiguous.
+     * @throws {NotFoundError} If no invoice matches.
+     * @returns {Promise<Invoice>} The invoice.
+     */
+    async findInvoice(reference) {
+        if (typeof reference !== 'string' || !reference)
+            throw new UsageError('An invoice ID is required');
+        const exact = await this.#invoiceRepository.findById(reference);
+        if (exact) return exact;
+        const matches = (await this.#invoiceRepository.findAll())
+            .filter(invoice => invoice.id.startsWith(reference));
+        return ReferenceResolver.#single(matches, reference, 'invoice', invoice => invoice.id);
+    }
+
+    /**
+     * Picks the only element matching an ID prefix.
+     * @template T
+     * @param {T[]} matches - The elements whose ID starts with the reference.
+     * @param {string} reference - The reference given by the user.
+     * @param {string} kind - The kind of element, used in error messages.
+     * @param {function(T): string} idOf - Returns the ID of an element.
+     * @throws {NotFoundError} If nothing matches.
+     * @throws {UsageError} If several elements match.
+     * @returns {T} The matching element.
+     */
+    static #single(matches, reference, kind, idOf) {
+        const exact = matches.find(match => idOf(match) === reference);
+        if (exact) return exact;
+        if (matches.length === 0)
+            throw new NotFoundError(`No ${kind} found with ID ${reference}`);
+        if (matches.length > 1)
+            throw new UsageError(`ID prefix ${reference} matches ${matches.length} ${kind}s; use a longer prefix`);
+        return matches[0];
+    }
+}
@@ -0,0 +1,157 @@
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {formatTable} from "../table.js";
+import {formatCsv} from "../csv.js";
+import {UsageError} from "../usage-error.js";
+import {optionalOption, requireNumber, requireOption} from "./command-options.js";
+
+/**
+ * Usage of the options accepted by the report commands.
+ * @type {string}
+ */
+const REPORT_USAGE = '[--from <iso-date>] [--to <iso-date>] [--currency <code>] [--format table|csv|json]';
+
+/**
+ * Usage of the options accepted by the report commands that involve no amounts.
+ * @type {string}
+ */
+const PERIOD_REPORT_USAGE = '[--from <iso-date>] [--to <iso-date>] [--format table|csv|json]';
+
+/**
+ * What `report scorecards --by` accepts, mapped to the rankings of {@link SupplierScorecardService#ranking}.
+ * @type {Object<string, string>}
+ */
+const SCORECARD_RANKINGS = {
+    score: 'score',
+    ship: 'shipDays',
+    completion: 'completionDays',
+    cancellation: 'cancellationRate',
+    'short-delivery': 'shortDeliveryRate',
+    price: 'priceChangePercent'
+};
+
+/**
+ * Reads the period and currency options shared by the report commands.
+ * @param {Object} options - The command options.
+ * @returns {Object} The criteria, as accepted by {@link SpendAnalyticsService#spendBy}.
+ */
+function reportCriteria(options) {
+    const from = optionalOption(options, 'from');
+    const to = optionalOption(options, 'to');
+    const currency = optionalOption(options, 'currency');
+    return {
+        from: from ? DateTime.parse(from) : undefined,
+        to: to ? DateTime.parse(to) : undefined,
+        reportingCurrency: currency ? new Currency(currency) : undefined
+    };
+}
+
+/**
+ * The `report` commands: spend, open commitments, cancellations, supplier scorecards and overdue deliveries,
+ * each printed as a console table, CSV or JSON.
+ */
+export class ReportCommands {
+    #spendAnalyticsService
+    #supplierScorecardService
+    #deliveryTrackingService
+    #output
+
+    /**
+     * Creates a new ReportCommands instance.
+     * @param {Object} params
+     * @param {SpendAnalyticsService} params.spendAnalyticsService - Service producing spend reports.
+     * @param {SupplierScorecardService} params.supplierScorecardService - Service scoring supplier performance.
+     * @param {DeliveryTrackingService} params.deliveryTrackingService - Service finding orders delivered late.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({spendAnalyticsService, supplierScorecardService, deliveryTrackingService, output}) {
+        this.#spendAnalyticsService = spendAnalyticsService;
+        this.#supplierScorecardService = supplierScorecardService;
+        this.#deliveryTrackingService = deliveryTrackingService;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['report spend', `--by supplier|product|month|state ${REPORT_USAGE}`,
+                'Report committed spend by supplier, product or month, or the value of all orders by state',
+                (_, options) => this.#reportSpend(options)],
+            ['report commitments', REPORT_USAGE, 'Report approved and shipped orders that are not completed yet',
+                (_, options) => this.#printReport(options, criteria => this.#spendAnalyticsService.openCommitments(criteria))],
+            ['report cancellations', PERIOD_REPORT_USAGE,
+                'Report how many closed orders were cancelled, per supplier',
+                (_, options) => this.#printReport(options,
+                    criteria => this.#spendAnalyticsService.cancellationStatistics(criteria))],
+            ['report scorecards', `[--by ${Object.keys(SCORECARD_RANKINGS).join('|')}] ${PERIOD_REPORT_USAGE}`,
+                'Score suppliers on the orders placed in a period and rank them, best first',
+                (_, options) => this.#reportScorecards(options)],
+            ['report overdue', '[--as-of <iso-date>] [--sla <business-days>] [--format table|csv|json]',
+                'Report the approved and shipped orders past their promised delivery date',
+                (_, options) => this.#reportOverdue(options)],
+            ['report scorecard-alerts', PERIOD_REPORT_USAGE, 'Report the suppliers scoring below the alert threshold',
+                (_, options) => this.#printReport(options, criteria => this.#supplierScorecardService.alerts(criteria),
+                    'no supplier')],
+        ];
+    }
+
+    /**
+     * Handles `report spend`.
+     * @param {Object} options - The command options.
+     */
+    async #reportSpend(options) {
+        const dimension = requireOption(options, 'by').toLowerCase();
+        await this.#printReport(options, criteria => this.#spendAnalyticsService.spendBy(dimension, criteria));
+    }
+
+    /**
+     * Handles `report overdue`.
+     * @param {Object} options - The command options.
+     */
+    async #reportOverdue(options) {
+        const asOf = optionalOption(options, 'as-of');
+        const slaBusinessDays = options.sla === undefined ? null : requireNumber(options, 'sla');
+        await this.#printReport(options, () => this.#deliveryTrackingService.overdueOrders({
+            asOf: asOf ? DateTime.parse(asOf) : undefined, slaBusinessDays
+        }));
+    }
+
+    /**
+     * Handles `report scorecards`.
+     * @param {Object} options - The command options.
+     * @throws {UsageError} If the ranking is unknown.
+     */
+    async #reportScorecards(options) {
+        const by = optionalOption(options, 'by') ?? 'score';
+        if (!Object.hasOwn(SCORECARD_RANKINGS, by))
+            throw new UsageError(`Option --by must be one of: ${Object.keys(SCORECARD_RANKINGS).join(', ')}`);
+        await this.#printReport(options,
+            criteria => this.#supplierScorecardService.ranking({...criteria, rankBy: SCORECARD_RANKINGS[by]}), 'no supplier');
+    }
+
+    /**
+     * Produces a report for the period and currency options and prints it in the format chosen with --format:
+     * a console table (the default), CSV or JSON.
+     * @param {Object} options - The command options.
+     * @param {function(Object): Promise<Report>} produceReport - Produces the report for the criteria.
+     * @param {string} [nothingFound="no orders found"] - What an empty report says in a console table.
+     * @throws {UsageError} If the format is unknown.
+     */
+    async #printReport(options, produceReport, nothingFound = 'no orders found') {
+        const format = optionalOption(options, 'format') ?? 'table';
+        if (!['table', 'csv', 'json'].includes(format))
+            throw new UsageError('Option --format must be "table", "csv" or "json"');
+        const report = await produceReport(reportCriteria(options));
+        const headers = report.columns.map(column => column.header);
+        const rows = report.rows.map(row => report.columns.map(column => row[column.key]));
+        if (format === 'json')
+            this.#output.log(JSON.stringify(report, null, 2));
+        else if (format === 'csv')
+            this.#output.log(formatCsv(headers, rows).trimEnd());
+        else
+            this.#output.log(rows.length === 0 ? `${report.title}: ${nothingFound}` : `${report.title}\n${formatTable(headers, rows)}`);
+    }
+}
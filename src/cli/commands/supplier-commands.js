@@ -0,0 +1,195 @@
+import {Currency} from "../../shared/domain/model/currency.js";
+import {Address} from "../../scm/domain/model/address.js";
+import {PaymentTerms} from "../../scm/domain/model/payment-terms.js";
+import {formatTable} from "../table.js";
+import {UsageError} from "../usage-error.js";
+import {optionalOption, requireOption} from "./command-options.js";
+
+/**
+ * Usage of the optional profile options accepted by `supplier create` and `supplier update`.
+ * @type {string}
+ */
+const PROFILE_USAGE = '[--email <email>] [--phone <phone>] [--tax-id <id>] [--payment-terms <"Net 30">] [--currency <code>] '
+    + '[--street <street>] [--city <city>] [--region <region>] [--postal-code <code>] [--country <alpha-2>]';
+
+/**
+ * Reads the optional profile options shared by `supplier create` and `supplier update`.
+ * Address options are merged into the current address, if any.
+ * @param {Object} options - The command options.
+ * @param {Address|null} currentAddress - The address the supplier has now.
+ * @throws {ValidationError} If a value cannot be converted.
+ * @returns {Object} The profile changes; absent options are undefined.
+ */
+function profileChanges(options, currentAddress) {
+    const paymentTerms = optionalOption(options, 'payment-terms');
+    const currency = optionalOption(options, 'currency');
+    const addressFields = {
+        street: optionalOption(options, 'street'),
+        city: optionalOption(options, 'city'),
+        region: optionalOption(options, 'region'),
+        postalCode: optionalOption(options, 'postal-code'),
+        country: optionalOption(options, 'country'),
+    };
+    const addressChanged = Object.values(addressFields).some(value => value !== undefined);
+    return {
+        contactEmail: optionalOption(options, 'email'),
+        phone: optionalOption(options, 'phone'),
+        taxId: optionalOption(options, 'tax-id'),
+        paymentTerms: paymentTerms === undefined ? undefined : PaymentTerms.parse(paymentTerms),
+        preferredCurrency: currency === undefined ? undefined : new Currency(currency.toUpperCase()),
+        address: addressChanged
+            ? new Address({
+                ...currentAddress?.toJSON(),
+                ...Object.fromEntries(Object.entries(addressFields).filter(([, value]) => value !== undefined))
+            })
+            : undefined,
+    };
+}
+
+/**
+ * The `supplier` commands: registering suppliers, editing their profile and status, and showing them.
+ */
+export class SupplierCommands {
+    #supplierRepository
+    #supplierCommandService
+    #references
+    #output
+
+    /**
+     * Creates a new SupplierCommands instance.
+     * @param {Object} params
+     * @param {SupplierRepository} params.supplierRepository - Repository used to list suppliers.
+     * @param {SupplierCommandService} params.supplierCommandService - Service handling supplier commands.
+     * @param {ReferenceResolver} params.references - Finds the suppliers the commands refer to.
+     * @param {{log: function(string): void}} params.output - Where to write results.
+     */
+    constructor({supplierRepository, supplierCommandService, references, output}) {
+        this.#supplierRepository = supplierRepository;
+        this.#supplierCommandService = supplierCommandService;
+        this.#references = references;
+        this.#output = output;
+    }
+
+    /**
+     * Declares the commands of the group.
+     * @returns {CommandDefinition[]} The commands, in the order the help text lists them.
+     */
+    definitions() {
+        return [
+            ['supplier create', `--name <name> ${PROFILE_USAGE}`, 'Register a supplier',
+                (_, options) => this.#createSupplier(options)],
+            ['supplier update', `<supplier-id> [--name <name>] ${PROFILE_USAGE}`, 'Edit the profile of a supplier',
+                ([reference], options) => this.#updateSupplier(reference, options)],
+            ['supplier suspend', '<supplier-id> --reason <text>', 'Suspend an active supplier',
+                ([reference], options) => this.#changeSupplierStatus(reference, 'suspend', options)],
+            ['supplier blacklist', '<supplier-id> --reason <text>', 'Blacklist a supplier permanently',
+                ([reference], options) => this.#changeSupplierStatus(reference, 'blacklist', options)],
+            ['supplier reactivate', '<supplier-id>', 'Reactivate a suspended supplier',
+                ([reference], options) => this.#changeSupplierStatus(reference, 'reactivate', options)],
+            ['supplier list', '', 'List suppliers',
+                () => this.#listSuppliers()],
+            ['supplier show', '<supplier-id>', 'Show a supplier',
+                ([reference]) => this.#showSupplier(reference)],
+            ['supplier stats', '<supplier-id>', 'Show the order statistics of a supplier',
+                ([reference]) => this.#showSupplierStatistics(reference)],
+        ];
+    }
+
+    /**
+     * Handles `supplier create`.
+     * @param {Object} options - The command options.
+     */
+    async #createSupplier(options) {
+        const supplier = await this.#supplierCommandService.register({
+            ...profileChanges(options, null),
+            name: requireOption(options, 'name')
+        });
+        this.#output.log(`Supplier ${supplier.name} registered with ID ${supplier.id.value}`);
+    }
+
+    /**
+     * Handles `supplier update`.
+     * @param {string} reference - The supplier ID or prefix.
+     * @param {Object} options - The command options.
+     */
+    async #updateSupplier(reference, options) {
+        const supplier = await this.#references.findSupplier(reference);
+        const changes = {...profileChanges(options, supplier.address), name: optionalOption(options, 'name')};
+        if (Object.values(changes).every(value => value === undefined))
+            throw new UsageError('Nothing to update: give at least one profile option');
+        const updated = await this.#supplierCommandService.updateProfile(supplier.id, changes);
+        this.#output.log(`Supplier ${updated.name} updated`);
+    }
+
+    /**
+     * Handles `supplier suspend`, `supplier blacklist` and `supplier reactivate`.
+     * @param {string} reference - The supplier ID or prefix.
+     * @param {string} action - The SupplierCommandService method to call.
+     * @param {Object} options - The command options.
+     */
+    async #changeSupplierStatus(reference, action, options) {
+        const supplier = await this.#references.findSupplier(reference);
+        const updated = action === 'reactivate'
+            ? await this.#supplierCommandService.reactivate(supplier.id)
+            : await this.#supplierCommandService[action](supplier.id, requireOption(options, 'reason'));
+        this.#output.log(`Supplier ${updated.name} is now ${updated.status}`);
+    }
+
+    /**
+     * Handles `supplier list`.
+     */
+    async #listSuppliers() {
+        const suppliers = await this.#supplierRepository.findAll();
+        if (suppliers.length === 0) {
+            this.#output.log('No suppliers found');
+            return;
+        }
+        this.#output.log(formatTable(['ID', 'Name', 'Status', 'Email', 'Last order total'],
+            suppliers.map(supplier => [supplier.id.value, supplier.name, supplier.status, supplier.contactEmail,
+                supplier.lastOrderTotalPrice?.toString()])));
+    }
+
+    /**
+     * Handles `supplier show`.
+     * @param {string} reference - The supplier ID or prefix.
+     */
+    async #showSupplier(reference) {
+        const supplier = await this.#references.findSupplier(reference);
+        this.#output.log([
+            `Supplier ${supplier.id.value}`,
+            `  Name:             ${supplier.name}`,
+            `  Status:           ${supplier.status}${supplier.statusReason ? ` (${supplier.statusReason})` : ''}`,
+            `  Email:            ${supplier.contactEmail ?? '-'}`,
+            `  Phone:            ${supplier.phone ?? '-'}`,
+            `  Address:          ${supplier.address?.toString() ?? '-'}`,
+            `  Tax ID:           ${supplier.taxId ?? '-'}`,
+            `  Payment terms:    ${supplier.paymentTerms?.toString() ?? '-'}`,
+            `  Currency:         ${supplier.preferredCurrency?.code ?? '-'}`,
+            `  Last order total: ${supplier.lastOrderTotalPrice?.toString() ?? '-'}`
+        ].join('\n'));
+    }
+
+    /**
+     * Handles `supplier stats`.
+     * @param {string} reference - The supplier ID or prefix.
+     */
+    async #showSupplierStatistics(reference) {
+        const supplier = await this.#references.findSupplier(reference);
+        const statistics = supplier.orderStatistics;
+        const rate = statistics.cancellationRate;
+        this.#output.log([
+            `Order statistics for ${supplier.name}`,
+            `  Completed orders:  ${statistics.orderCount}`,
+            `  Cancelled orders:  ${statistics.cancelledOrderCount}`,
+            `  Cancellation rate: ${rate === null ? '-' : `${(rate * 100).toFixed(1)}%`}`,
+            `  Last order date:   ${statistics.lastOrderDate?.toISODate() ?? '-'}`,
+            `  Last order total:  ${supplier.lastOrderTotalPrice?.toString() ?? '-'}`
+        ].join('\n'));
+        if (statistics.orderCount > 0) {
+            const averages = statistics.averageOrderValues;
+            this.#output.log(formatTable(['Currency', 'Orders', 'Total spend', 'Average order'],
+                statistics.spendByCurrency.map((total, index) => [total.currency.code,
+                    String(statistics.orderCountIn(total.currency)), total.toString(), averages[index].toString()])));
+        }
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * Formats rows as CSV (RFC 4180): comma-separated, with a header row and CRLF line endings.
+ * Values containing commas, quotes or line breaks are quoted, doubling any quotes inside them.
+ * @param {string[]} headers - The column headers.
+ * @param {Array<Array<*>>} rows - The rows; null and undefined become empty values, others are converted to strings.
+ * @returns {string} The CSV document, ending with a line break.
+ */
+export function formatCsv(headers, rows) {
+    const formatValue = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => `${row.map(formatValue).join(',')}\r\n`).join('');
+}
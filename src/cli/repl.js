@@ -0,0 +1,47 @@
+import {createInterface} from "node:readline/promises";
+import {tokenize} from "./command-line.js";
+import {UsageError} from "./usage-error.js";
+
+/**
+ * Describes an error the application does not report itself, e.g. the failures of event handlers after a change
+ * was saved, listed one per line.
+ * @param {Error} error - The error.
+ * @returns {string} The description.
+ */
+function describeUnexpected(error) {
+    const causes = error instanceof AggregateError ? error.errors.map(cause => `\n  ${cause?.message ?? cause}`) : [];
+    return `Unexpected error: ${error?.message ?? error}${causes.join('')}`;
+}
+
+/**
+ * Runs an interactive read-eval-print loop on top of a {@link CliApplication}.
+ * Every line is executed as a command; errors are reported without leaving the loop, including those the application
+ * does not report itself.
+ * The loop ends on "exit", "quit" or end of input.
+ * @param {CliApplication} application - The application executing the commands.
+ * @param {Object} [streams]
+ * @param {NodeJS.ReadableStream} [streams.input=process.stdin] - Where commands are read from.
+ * @param {NodeJS.WritableStream} [streams.output=process.stdout] - Where the prompt is written.
+ * @returns {Promise<void>}
+ */
+export async function startRepl(application, {input = process.stdin, output = process.stdout} = {}) {
+    const readline = createInterface({input, output, terminal: input.isTTY ?? false});
+    readline.setPrompt('scm> ');
+    output.write('Supply chain console. Type "help" for the list of commands, "exit" to leave.\n');
+    readline.prompt();
+    for await (const line of readline) {
+        const trimmed = line.trim();
+        if (trimmed === 'exit' || trimmed === 'quit') break;
+        if (trimmed) {
+            try {
+                await application.execute(tokenize(trimmed));
+            } catch (error) {
+                output.write(error instanceof UsageError
+                    ? `Usage error: ${error.message}\n`
+                    : `${describeUnexpected(error)}\n`);
+            }
+        }
+        readline.prompt();
+    }
+    readline.close();
+}
@@ -0,0 +1,23 @@
+/**
+ * Formats rows as a plain-text table with aligned columns and a header separator.
+ * Columns whose values all look numeric are right-aligned.
+ * @param {string[]} headers - The column headers.
+ * @param {Array<Array<*>>} rows - The rows; each value is converted to a string.
+ * @returns {string} The formatted table, without a trailing newline.
+ */
+export function formatTable(headers, rows) {
+    const cells = rows.map(row => row.map(value => value === null || value === undefined ? '' : String(value)));
+    const widths = headers.map((header, column) =>
+        Math.max(header.length, ...cells.map(row => (row[column] ?? '').length)));
+    const numeric = headers.map((_, column) =>
+        cells.length > 0 && cells.every(row => /^-?[\d.,]+( [A-Z]{3})?$/.test(row[column] ?? '')));
+    const formatRow = row => row
+        .map((value, column) => numeric[column] ? value.padStart(widths[column]) : value.padEnd(widths[column]))
+        .join('  ')
+        .trimEnd();
+    return [
+        formatRow(headers),
+        widths.map(width => '-'.repeat(width)).join('  '),
+        ...cells.map(formatRow)
+    ].join('\n');
+}
@@ -0,0 +1,9 @@
+/**
+ * Custom error class for command-line usage errors, such as unknown commands or missing arguments.
+ */
+export class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
@@ -0,0 +1,148 @@
+import {join} from "node:path";
+import {userInfo} from "node:os";
+import {JsonFileSupplierRepository} from "./scm/infrastructure/persistence/json-file-supplier-repository.js";
+import {JsonFilePurchaseOrderRepository} from "./procurement/infrastructure/persistence/json-file-purchase-order-repository.js";
+import {EventSourcedPurchaseOrderRepository} from "./procurement/infrastructure/persistence/event-sourced-purchase-order-repository.js";
+import {JsonFilePurchaseOrderSummaryStore} from "./procurement/infrastructure/persistence/json-file-purchase-order-summary-store.js";
+import {JsonFileEventStore} from "./shared/infrastructure/persistence/json-file-event-store.js";
+import {JsonFileProductRepository} from "./catalog/infrastructure/persistence/json-file-product-repository.js";
+import {JsonFileSupplierPriceListRepository} from "./catalog/infrastructure/persistence/json-file-supplier-price-list-repository.js";
+import {SupplierCommandService} from "./scm/application/supplier-command-service.js";
+import {SupplierOrderStatisticsService} from "./scm/application/supplier-order-statistics-service.js";
+import {PurchaseOrderCommandService} from "./procurement/application/purchase-order-command-service.js";
+import {PurchaseOrderQueryService} from "./procurement/application/purchase-order-query-service.js";
+import {PurchaseOrderSummaryProjection} from "./procurement/application/purchase-order-summary-projection.js";
+import {ProductCommandService} from "./catalog/application/product-command-service.js";
+import {SupplierPriceListCommandService} from "./catalog/application/supplier-price-list-command-service.js";
+import {RepositoryProductCatalogProvider} from "./procurement/infrastructure/catalog/repository-product-catalog-provider.js";
+import {loadApprovalPolicy} from "./procurement/infrastructure/approval/json-file-approval-policy-loader.js";
+import {InMemoryExchangeRateProvider} from "./shared/infrastructure/exchange-rates/in-memory-exchange-rate-provider.js";
+import {InProcessEventBus} from "./shared/infrastructure/events/in-process-event-bus.js";
+import {JsonLinesFileAuditLog} from "./audit/infrastructure/persistence/json-lines-file-audit-log.js";
+import {AuditTrailService} from "./audit/application/audit-trail-service.js";
+import {SpendAnalyticsService} from "./reporting/application/spend-analytics-service.js";
+import {BulkImportService} from "./imports/application/bulk-import-service.js";
+import {JsonFileInvoiceRepository} from "./invoicing/infrastructure/persistence/json-file-invoice-repository.js";
+import {InvoiceCommandService} from "./invoicing/application/invoice-command-service.js";
+import {loadMatchTolerance} from "./invoicing/infrastructure/matching/json-file-match-tolerance-loader.js";
+import {JsonFileInventoryLevelRepository} from "./inventory/infrastructure/persistence/json-file-inventory-level-repository.js";
+import {InventoryCommandService} from "./inventory/application/inventory-command-service.js";
+import {ReplenishmentService} from "./inventory/application/replenishment-service.js";
+import {SupplierScorecardService} from "./reporting/application/supplier-scorecard-service.js";
+import {DeliveryTrackingService} from "./reporting/application/delivery-tracking-service.js";
+import {loadScorecardPolicy} from "./reporting/infrastructure/scorecards/json-file-scorecard-policy-loader.js";
+import {LocaleSettings} from "./shared/domain/model/locale-settings.js";
+
+/**
+ * Composition root shared by the console application and the HTTP server: wires the repositories and services
+ * configured by the environment. Data is kept as JSON files in SCM_DATA_DIR (./data by default).
+ * With SCM_PURCHASE_ORDER_STORE=events, purchase orders are stored as event streams instead, which keeps their full history.
+ * Searches read purchase-order-summaries.json (purchase-order-event-summaries.json with events), which is derived
+ * from the purchase orders and rebuilt when missing.
+ * Every change is appended to audit.jsonl on behalf of SCM_ACTOR, or the operating system user if it is not set,
+ * unless made within {@link AuditTrailService#runAs}.
+ * Dates and amounts people enter or read are in the locale of SCM_LOCALE (en-US by default) and the time zone of
+ * SCM_TIME_ZONE (UTC by default).
+ * The optional approval-policy.json and exchange-rates.json files in the same directory configure who approves orders,
+ * the optional match-tolerance.json file how far supplier invoices may differ from their orders,
+ * and the optional scorecard-policy.json file how suppliers are scored.
+ * @param {Object<string, string|undefined>} [env=process.env] - The environment variables.
+ * @param {Object} [options]
+ * @param {function(Error, DomainEvent): void|null} [options.onEventHandlerError=null] - Receives the failures of
+ * event handlers, which otherwise fail the command that raised the event even though its change was saved.
+ * @returns {Promise<Object>} The repositories and services, keyed by the names the applications take them under.
+ */
+export async function composeApplication(env = process.env, {onEventHandlerError = null} = {}) {
+    const dataDirectory = env.SCM_DATA_DIR ?? join(process.cwd(), 'data');
+    LocaleSettings.useDefault(new LocaleSettings({
+        locale: env.SCM_LOCALE || undefined,
+        timeZone: env.SCM_TIME_ZONE || undefined
+    }));
+    const approvalPolicy = await loadApprovalPolicy(join(dataDirectory, 'approval-policy.json'));
+    const exchangeRateProvider = await InMemoryExchangeRateProvider.fromFile(join(dataDirectory, 'exchange-rates.json'))
+        .catch(error => {
+            if (error.code === 'ENOENT') return new InMemoryExchangeRateProvider();
+            throw error;
+        });
+    const supplierRepository = new JsonFileSupplierRepository(join(dataDirectory, 'suppliers.json'));
+    const eventSourced = env.SCM_PURCHASE_ORDER_STORE === 'events';
+    const purchaseOrderRepository = eventSourced
+        ? new EventSourcedPurchaseOrderRepository({eventStore: new JsonFileEventStore(join(dataDirectory, 'purchase-order-events.json'))})
+        : new JsonFilePurchaseOrderRepository(join(dataDirectory, 'purchase-orders.json'));
+    const summaryStore = new JsonFilePurchaseOrderSummaryStore(
+        join(dataDirectory, eventSourced ? 'purchase-order-event-summaries.json' : 'purchase-order-summaries.json'));
+    const productRepository = new JsonFileProductRepository(join(dataDirectory, 'products.json'));
+    const priceListRepository = new JsonFileSupplierPriceListRepository(join(dataDirectory, 'price-lists.json'));
+    const invoiceRepository = new JsonFileInvoiceRepository(join(dataDirectory, 'invoices.json'));
+    const inventoryLevelRepository = new JsonFileInventoryLevelRepository(join(dataDirectory, 'inventory-levels.json'));
+    const auditTrail = new AuditTrailService({
+        auditLog: new JsonLinesFileAuditLog(join(dataDirectory, 'audit.jsonl')),
+        currentActor: () => env.SCM_ACTOR || userInfo().username
+    });
+    const eventBus = new InProcessEventBus({onHandlerError: onEventHandlerError});
+    new SupplierOrderStatisticsService({supplierRepository}).subscribeTo(eventBus);
+    const purchaseOrderSummaryProjection = new PurchaseOrderSummaryProjection({purchaseOrderRepository, summaryStore});
+    purchaseOrderSummaryProjection.subscribeTo(eventBus);
+    await purchaseOrderSummaryProjection.ensureBuilt();
+    const supplierCommandService = new SupplierCommandService({supplierRepository, auditTrail});
+    const purchaseOrderCommandService = new PurchaseOrderCommandService({
+        purchaseOrderRepository,
+        supplierRepository,
+        productCatalogProvider: new RepositoryProductCatalogProvider({productRepository, priceListRepository}),
+        approvalPolicy,
+        exchangeRateProvider,
+        auditTrail,
+        eventBus
+    });
+    const invoiceCommandService = new InvoiceCommandService({
+        invoiceRepository,
+        purchaseOrderRepository,
+        matchTolerance: await loadMatchTolerance(join(dataDirectory, 'match-tolerance.json')),
+        auditTrail
+    });
+    invoiceCommandService.subscribeTo(eventBus);
+    const inventoryCommandService = new InventoryCommandService({inventoryLevelRepository, productRepository, supplierRepository});
+    inventoryCommandService.subscribeTo(eventBus);
+
+    return {
+        supplierRepository,
+        purchaseOrderRepository,
+        purchaseOrderHistory: purchaseOrderRepository instanceof EventSourcedPurchaseOrderRepository ? purchaseOrderRepository : null,
+        productRepository,
+        priceListRepository,
+        invoiceRepository,
+        inventoryLevelRepository,
+        supplierCommandService,
+        purchaseOrderCommandService,
+        purchaseOrderQueryService: new PurchaseOrderQueryService({summaryStore, exchangeRateProvider}),
+        purchaseOrderSummaryProjection,
+        productCommandService: new ProductCommandService({productRepository}),
+        priceListCommandService: new SupplierPriceListCommandService({priceListRepository, productRepository}),
+        auditTrailService: auditTrail,
+        spendAnalyticsService: new SpendAnalyticsService({
+            purchaseOrderRepository, supplierRepository, productRepository, exchangeRateProvider
+        }),
+        bulkImportService: new BulkImportService({supplierCommandService, purchaseOrderCommandService, productRepository}),
+        invoiceCommandService,
+        inventoryCommandService,
+        replenishmentService: new ReplenishmentService({
+            inventoryLevelRepository, purchaseOrderRepository, purchaseOrderCommandService, supplierRepository,
+            productRepository, priceListRepository
+        }),
+        supplierScorecardService: new SupplierScorecardService({
+            purchaseOrderRepository, supplierRepository,
+            scorecardPolicy: await loadScorecardPolicy(join(dataDirectory, 'scorecard-policy.json'))
+        }),
+        deliveryTrackingService: new DeliveryTrackingService({purchaseOrderRepository, supplierRepository})
+    };
+}
+
+/**
+ * Logs the failure of an event handler on the console, for applications to pass as the onEventHandlerError option
+ * of {@link composeApplication}: the change that raised the event stands and the failure is reported alongside it.
+ * @param {Error} error - The failure.
+ * @param {DomainEvent} event - The event the handler failed on.
+ */
+export function logEventHandlerError(error, event) {
+    console.error(`Handler failed for ${event.eventType} of ${event.purchaseOrderId ?? '-'}:`, error);
+}
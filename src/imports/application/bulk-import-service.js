@@ -0,0 +1,315 @@
+import {NotFoundError, ValidationError} from "../../shared/domain/model/errors.js";
+import {restoreField} from "../../shared/domain/model/snapshot.js";
+import {SupplierId} from "../../shared/domain/model/supplier-id.js";
+import {ProductId} from "../../shared/domain/model/product-id.js";
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {isValidUUID} from "../../shared/domain/model/uuid.js";
+import {Address} from "../../scm/domain/model/address.js";
+import {PaymentTerms} from "../../scm/domain/model/payment-terms.js";
+import {ImportReport} from "../domain/model/import-report.js";
+
+/**
+ * Columns of an order that must be the same on every row of the order.
+ * @type {string[]}
+ */
+const ORDER_COLUMNS = ['supplierId', 'currency', 'orderDate', 'state', 'approvedBy'];
+
+/**
+ * Reads a text value, trimmed.
+ * @param {Object<string, *>} values - The record fields.
+ * @param {string} column - The column name.
+ * @returns {string|null} The value, or null if it is missing or blank.
+ */
+function optionalText(values, column) {
+    const value = values[column];
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim();
+    return text === '' ? null : text;
+}
+
+/**
+ * Reads a mandatory text value, trimmed.
+ * @param {Object<string, *>} values - The record fields.
+ * @param {string} column - The column name.
+ * @throws {ValidationError} If the value is missing or blank.
+ * @returns {string} The value.
+ */
+function requiredText(values, column) {
+    const text = optionalText(values, column);
+    if (text === null)
+        throw new ValidationError(`${column} is required`, column);
+    return text;
+}
+
+/**
+ * Reads a numeric value, written as a number or as a decimal string.
+ * @param {Object<string, *>} values - The record fields.
+ * @param {string} column - The column name.
+ * @throws {ValidationError} If the value is not a number.
+ * @returns {number|undefined} The value, or undefined if it is missing or blank.
+ */
+function optionalNumber(values, column) {
+    const text = optionalText(values, column);
+    if (text === null) return undefined;
+    const number = Number(text);
+    if (!Number.isFinite(number))
+        throw new ValidationError(`${column} must be a number, got "${text}"`, column);
+    return number;
+}
+
+/**
+ * Application service importing suppliers and purchase orders from records read from CSV or JSON files.
+ * Every record is validated through the domain model and the command services, as if it were entered by hand,
+ * and the outcome of each row is reported instead of stopping at the first invalid one.
+ * A purchase order is imported entirely or not at all: when one of its rows fails, the others are skipped.
+ */
+export class BulkImportService {
+    #supplierCommandService
+    #purchaseOrderCommandService
+    #productRepository
+
+    /**
+     * Creates a new BulkImportService instance.
+     * @param {Object} params
+     * @param {SupplierCommandService} params.supplierCommandService - Service suppliers are imported through.
+     * @param {PurchaseOrderCommandService} params.purchaseOrderCommandService - Service purchase orders are imported through.
+     * @param {ProductRepository} params.productRepository - Repository used to look products up by SKU or ID.
+     */
+    constructor({supplierCommandService, purchaseOrderCommandService, productRepository}) {
+        this.#supplierCommandService = supplierCommandService;
+        this.#purchaseOrderCommandService = purchaseOrderCommandService;
+        this.#productRepository = productRepository;
+    }
+
+    /**
+     * Imports suppliers, one per record. The columns are name (required), id (to keep an existing SupplierId),
+     * email, phone, taxId, paymentTerms (e.g. "Net 30"), currency, and the address columns street, city,
+     * region, postalCode and country.
+     * @param {ImportRecord[]} records - The records, e.g. from {@link readRecordFile}.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Whether to validate the records only.
+     * @returns {Promise<ImportReport>} The outcome of every row.
+     */
+    async importSuppliers(records, {dryRun = false} = {}) {
+        const seenIds = new Map();
+        const results = [];
+        for (const {row, values} of records) {
+            results.push(await BulkImportService.#attempt(row, null, async () => {
+                const id = optionalText(values, 'id');
+                if (id !== null && seenIds.has(id))
+                    throw new ValidationError(`Supplier ${id} already appears on row ${seenIds.get(id)}`, 'id');
+                if (id !== null) seenIds.set(id, row);
+                const supplier = await this.#supplierCommandService.importSupplier(
+                    BulkImportService.#supplierParams(values), {dryRun});
+                return [{row, status: 'imported', id: supplier.id.value}];
+            }));
+        }
+        return new ImportReport({subject: 'supplier', dryRun, results: results.flat()});
+    }
+
+    /**
+     * Imports purchase orders. A flat record is one item of an order: rows sharing an orderRef make up one order,
+     * and a row without orderRef is an order of its own. The order columns are supplierId, currency and
+     * orderDate (required), state (Draft if blank) and approvedBy; they may be left blank after the first row
+     * of an order but must not differ. The item columns are product (SKU or ID), quantity and unitPrice,
+     * which defaults to the supplier's price list. A JSON record may instead list its items in an "items" array.
+     * @param {ImportRecord[]} records - The records, e.g. from {@link readRecordFile}.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Whether to validate the records only.
+     * @returns {Promise<ImportReport>} The outcome of every row.
+     */
+    async importPurchaseOrders(records, {dryRun = false} = {}) {
+        const products = await this.#productRepository.findAll();
+        const results = [];
+        for (const order of BulkImportService.#groupOrders(records)) {
+            const attempt = await BulkImportService.#attempt(order.rows[0], order.reference, async () => {
+                const purchaseOrder = await this.#purchaseOrderCommandService.importOrder(
+                    BulkImportService.#orderParams(order, products), {dryRun});
+                return order.rows.map(row => ({row, reference: order.reference, status: 'imported', id: purchaseOrder.id}));
+            }, error => BulkImportService.#locateOrderError(order, error));
+            results.push(...BulkImportService.#withSkippedRows(order, attempt));
+        }
+        return new ImportReport({subject: 'purchase order', dryRun, results});
+    }
+
+    /**
+     * Runs the import of one row or order, turning a validation failure into a failed result.
+     * @param {number} row - The row reported if the failure cannot be located more precisely.
+     * @param {string|null} reference - The order reference, if any.
+     * @param {function(): Promise<ImportRowResult[]>} importRows - Imports the rows and returns their results.
+     * @param {function(Error): {row: number, field: string|null}} [locate] - Finds the row and field a failure concerns.
+     * @returns {Promise<ImportRowResult[]>} The results.
+     */
+    static async #attempt(row, reference, importRows, locate = error => ({row, field: error.field ?? null})) {
+        try {
+            return await importRows();
+        } catch (error) {
+            if (!(error instanceof ValidationError || error instanceof NotFoundError)) throw error;
+            const location = locate(error);
+            return [{...location, reference, status: 'failed', message: error.reason ?? error.message}];
+        }
+    }
+
+    /**
+     * Converts a supplier record into the parameters of {@link SupplierCommandService#importSupplier}.
+     * @param {Object<string, *>} values - The record fields.
+     * @throws {ValidationError} If a value cannot be converted; the error names the column.
+     * @returns {Object} The supplier parameters.
+     */
+    static #supplierParams(values) {
+        const id = optionalText(values, 'id');
+        const paymentTerms = optionalText(values, 'paymentTerms');
+        const currency = optionalText(values, 'currency');
+        const address = Object.fromEntries(['street', 'city', 'region', 'postalCode', 'country']
+            .map(column => [column, optionalText(values, column)]));
+        return {
+            id: id === null ? null : restoreField('id', () => new SupplierId(id)),
+            name: requiredText(values, 'name'),
+            contactEmail: optionalText(values, 'email'),
+            phone: optionalText(values, 'phone'),
+            taxId: optionalText(values, 'taxId'),
+            paymentTerms: paymentTerms === null ? null : restoreField('paymentTerms', () => PaymentTerms.parse(paymentTerms)),
+            preferredCurrency: currency === null ? null : restoreField('currency', () => new Currency(currency.toUpperCase())),
+            address: Object.values(address).every(value => value === null) ? null
+                : restoreField('address', () => new Address(address))
+        };
+    }
+
+    /**
+     * Groups purchase order records into orders.
+     * @param {ImportRecord[]} records - The records.
+     * @returns {{reference: string|null, rows: number[], header: ImportRecord, items: ImportRecord[], nested: boolean}[]}
+     * The orders, in the order they first appear; nested orders list their items in an "items" array.
+     */
+    static #groupOrders(records) {
+        const orders = [];
+        const byReference = new Map();
+        for (const record of records) {
+            const reference = optionalText(record.values, 'orderRef');
+            const nested = Array.isArray(record.values.items);
+            const existing = reference === null ? undefined : byReference.get(reference);
+            if (existing && !existing.nested && !nested) {
+                existing.rows.push(record.row);
+                existing.items.push(record);
+                continue;
+            }
+            const order = {reference, rows: [record.row], header: record, items: nested ? [] : [record], nested,
+                duplicateOf: existing?.rows[0] ?? null};
+            if (reference !== null && !existing) byReference.set(reference, order);
+            orders.push(order);
+        }
+        return orders;
+    }
+
+    /**
+     * Converts the records of an order into the parameters of {@link PurchaseOrderCommandService#importOrder}.
+     * @param {Object} order - The order, as grouped by {@link BulkImportService.#groupOrders}.
+     * @param {Product[]} products - The catalog products.
+     * @throws {ValidationError} If a value cannot be converted or differs between rows; the error names the column,
+     * prefixed with "items[n]" for the columns of the n-th item.
+     * @returns {Object} The order parameters.
+     */
+    static #orderParams(order, products) {
+        if (order.duplicateOf !== null)
+            throw new ValidationError(`Order ${order.reference} already appears on row ${order.duplicateOf}`, 'orderRef');
+        const header = BulkImportService.#orderHeader(order);
+        const itemValues = order.nested ? order.header.values.items : order.items.map(item => item.values);
+        const items = itemValues.map((values, index) => restoreField(`items[${index}]`, () => {
+            if (values === null || typeof values !== 'object')
+                throw new ValidationError('Item must be an object');
+            return BulkImportService.#orderItem(values, products);
+        }));
+        return {
+            supplierId: restoreField('supplierId', () => new SupplierId(requiredText(header, 'supplierId'))),
+            currency: restoreField('currency', () => new Currency(requiredText(header, 'currency').toUpperCase())),
+            orderDate: restoreField('orderDate', () => DateTime.parse(requiredText(header, 'orderDate'))),
+            state: BulkImportService.#state(optionalText(header, 'state')),
+            approverId: optionalText(header, 'approvedBy'),
+            items
+        };
+    }
+
+    /**
+     * Collects the order columns of an order, checking that its rows agree on them.
+     * @param {Object} order - The order, as grouped by {@link BulkImportService.#groupOrders}.
+     * @throws {ValidationError} If two rows give different values; the error names the column and the later row.
+     * @returns {Object<string, string|null>} The order column values.
+     */
+    static #orderHeader(order) {
+        if (order.nested) return order.header.values;
+        const header = {};
+        for (const column of ORDER_COLUMNS) {
+            for (const {row, values} of order.items) {
+                const value = optionalText(values, column);
+                if (value === null) continue;
+                if (header[column] === undefined)
+                    header[column] = value;
+                else if (header[column] !== value)
+                    throw Object.assign(new ValidationError(`${column} differs from the first row of order ${order.reference}`,
+                        column), {row});
+            }
+        }
+        return header;
+    }
+
+    /**
+     * Converts the item columns of a record into an item of {@link PurchaseOrder#addItem}.
+     * @param {Object<string, *>} values - The record fields.
+     * @param {Product[]} products - The catalog products.
+     * @throws {ValidationError} If the product is unknown or a number is invalid; the error names the column.
+     * @returns {{productId: ProductId, quantity: number, unitPrice: number|undefined}} The item.
+     */
+    static #orderItem(values, products) {
+        const reference = requiredText(values, 'product');
+        const product = products.find(candidate => candidate.sku === reference.toUpperCase()
+            || (isValidUUID(reference) && candidate.id.equals(new ProductId(reference))));
+        if (!product)
+            throw new ValidationError(`No product found with SKU or ID ${reference}`, 'product');
+        const quantity = optionalNumber(values, 'quantity');
+        if (quantity === undefined)
+            throw new ValidationError('quantity is required', 'quantity');
+        return {productId: product.id, quantity, unitPrice: optionalNumber(values, 'unitPrice')};
+    }
+
+    /**
+     * Normalizes the letter case of a state, e.g. "completed" to "Completed".
+     * @param {string|null} state - The state column value.
+     * @returns {string} The state; Draft if blank.
+     */
+    static #state(state) {
+        if (state === null) return 'Draft';
+        return ['Draft', 'Submitted', 'Approved', 'Shipped', 'PartiallyReceived', 'Completed', 'Cancelled']
+            .find(known => known.toLowerCase() === state.toLowerCase()) ?? state;
+    }
+
+    /**
+     * Finds the row and column a failed order import concerns.
+     * Item failures point at the row of the item; other failures at the row that disagreed, or the first row.
+     * @param {Object} order - The order, as grouped by {@link BulkImportService.#groupOrders}.
+     * @param {ValidationError|NotFoundError} error - The failure.
+     * @returns {{row: number, field: string|null}} The row and column.
+     */
+    static #locateOrderError(order, error) {
+        const field = error.field ?? (error instanceof NotFoundError ? 'supplierId' : null);
+        const item = /^items\[(\d+)](?:\.(.+))?$/.exec(field ?? '');
+        if (item && !order.nested)
+            return {row: order.items[Number(item[1])]?.row ?? order.rows[0], field: item[2] ?? null};
+        return {row: error.row ?? order.rows[0], field};
+    }
+
+    /**
+     * Completes the results of an order with the rows skipped because another of its rows failed.
+     * @param {Object} order - The order, as grouped by {@link BulkImportService.#groupOrders}.
+     * @param {ImportRowResult[]} results - The results of the import attempt.
+     * @returns {ImportRowResult[]} One result per row of the order.
+     */
+    static #withSkippedRows(order, results) {
+        const failure = results.find(result => result.status === 'failed');
+        if (!failure) return results;
+        return order.rows.map(row => row === failure.row ? failure : {
+            row, reference: order.reference, status: 'skipped',
+            message: `Row ${failure.row} of the same order failed`
+        });
+    }
+}
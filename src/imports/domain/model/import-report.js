@@ -0,0 +1,120 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+
+/**
+ * The outcome of importing one row of a file.
+ * @typedef {Object} ImportRowResult
+ * @property {number} row - The row, as numbered by {@link readRecordFile}.
+ * @property {string|null} reference - The order reference the row belongs to, if any.
+ * @property {string} status - "imported", "failed", or "skipped" when another row of the same order failed.
+ * @property {string|null} id - The ID of the supplier or purchase order the row was imported into.
+ * @property {string|null} field - The offending field of a failed row, if known.
+ * @property {string|null} message - Why the row failed or was skipped.
+ */
+
+/**
+ * Value Object reporting the outcome of a bulk import row by row, so that one invalid row
+ * does not hide the state of the others. In a dry run, "imported" rows are the ones that would be imported.
+ * @class
+ * @property {string} subject - What was imported, e.g. "supplier" or "purchase order".
+ * @property {boolean} dryRun - Whether the rows were only validated.
+ * @property {ImportRowResult[]} results - One result per row, in file order.
+ */
+export class ImportReport {
+    static #STATUSES = ['imported', 'failed', 'skipped'];
+    #subject
+    #dryRun
+    #results
+
+    /**
+     * Creates a new ImportReport instance.
+     * @param {Object} params
+     * @param {string} params.subject - What was imported.
+     * @param {boolean} params.dryRun - Whether the rows were only validated.
+     * @param {ImportRowResult[]} params.results - One result per row; missing optional values become null.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({subject, dryRun, results}) {
+        if (typeof subject !== 'string' || !subject.trim())
+            throw new ValidationError('Import subject must be a non-empty string', 'subject');
+        if (typeof dryRun !== 'boolean')
+            throw new ValidationError('Dry run flag must be a boolean', 'dryRun');
+        if (!Array.isArray(results))
+            throw new ValidationError('Results must be an array', 'results');
+        this.#subject = subject.trim();
+        this.#dryRun = dryRun;
+        this.#results = Object.freeze(results.map((result, index) => {
+            if (!Number.isInteger(result?.row) || !ImportReport.#STATUSES.includes(result.status))
+                throw new ValidationError(`Result ${index} must have an integer row and a status among `
+                    + ImportReport.#STATUSES.join(', '), 'results');
+            return Object.freeze({
+                row: result.row,
+                reference: result.reference ?? null,
+                status: result.status,
+                id: result.id ?? null,
+                field: result.field ?? null,
+                message: result.message ?? null
+            });
+        }).sort((a, b) => a.row - b.row));
+    }
+
+    /**
+     * Gets what was imported.
+     * @returns {string} The subject, e.g. "supplier".
+     */
+    get subject() {
+        return this.#subject;
+    }
+
+    /**
+     * Checks whether the rows were only validated.
+     * @returns {boolean} True for a dry run.
+     */
+    get dryRun() {
+        return this.#dryRun;
+    }
+
+    /**
+     * Gets the outcome of every row.
+     * @returns {ReadonlyArray<ImportRowResult>} The results, in file order.
+     */
+    get results() {
+        return this.#results;
+    }
+
+    /**
+     * Gets the rows that failed or were skipped.
+     * @returns {ImportRowResult[]} The rows that were not imported.
+     */
+    get rejectedRows() {
+        return this.#results.filter(result => result.status !== 'imported');
+    }
+
+    /**
+     * Gets the number of suppliers or purchase orders imported, or that would be in a dry run.
+     * @returns {number} The number of distinct IDs of the imported rows.
+     */
+    get importedCount() {
+        return new Set(this.#results.filter(result => result.status === 'imported').map(result => result.id)).size;
+    }
+
+    /**
+     * Checks whether every row was imported.
+     * @returns {boolean} True if no row failed or was skipped.
+     */
+    get isComplete() {
+        return this.rejectedRows.length === 0;
+    }
+
+    /**
+     * Returns the JSON representation of the report.
+     * @returns {Object} The report snapshot.
+     */
+    toJSON() {
+        return {
+            subject: this.#subject,
+            dryRun: this.#dryRun,
+            importedCount: this.importedCount,
+            results: this.#results.map(result => ({...result}))
+        };
+    }
+}
@@ -0,0 +1,111 @@
+import {readFile} from "node:fs/promises";
+import {extname} from "node:path";
+import {NotFoundError, ValidationError} from "../../shared/domain/model/errors.js";
+
+/**
+ * A record read from an import file, with where it came from.
+ * @typedef {Object} ImportRecord
+ * @property {number} row - The line a CSV record starts on (the header is line 1), or the 1-based position of a JSON record.
+ * @property {Object<string, *>} values - The record fields, keyed by column name.
+ */
+
+/**
+ * Parses CSV text (RFC 4180) into records keyed by the column names of its header row.
+ * Quoted values may contain commas, line breaks and doubled quotes; blank lines are skipped
+ * and a leading byte order mark is ignored.
+ * @param {string} text - The CSV text.
+ * @throws {ValidationError} If a quote is not closed, the header is missing or has duplicate or blank names,
+ * or a record has more values than there are columns.
+ * @returns {ImportRecord[]} The records, in file order.
+ */
+export function parseCsv(text) {
+    const lines = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let startLine = 1;
+    const source = text.replace(/^\uFEFF/, '');
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') lines.push({row: startLine, fields});
+        fields = [];
+        field = '';
+    };
+    for (let index = 0; index < source.length; index++) {
+        const character = source[index];
+        if (quoted) {
+            if (character === '"' && source[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                if (character === '\n') line++;
+                field += character;
+            }
+        } else if (character === '"' && field === '') {
+            quoted = true;
+        } else if (character === ',') {
+            fields.push(field);
+            field = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && source[index + 1] === '\n') index++;
+            endRecord();
+            startLine = ++line;
+        } else {
+            field += character;
+        }
+    }
+    if (quoted)
+        throw new ValidationError(`Unterminated quoted value starting on line ${startLine}`);
+    endRecord();
+
+    const [header, ...records] = lines;
+    if (!header)
+        throw new ValidationError('The CSV file has no header row');
+    const columns = header.fields.map(name => name.trim());
+    if (columns.some(name => !name) || new Set(columns).size !== columns.length)
+        throw new ValidationError('CSV column names must be unique and not blank');
+    return records.map(({row, fields: values}) => {
+        if (values.length > columns.length)
+            throw new ValidationError(`Line ${row} has ${values.length} values but there are only ${columns.length} columns`);
+        return {row, values: Object.fromEntries(columns.map((name, index) => [name, values[index] ?? '']))};
+    });
+}
+
+/**
+ * Parses a JSON document holding an array of records.
+ * @param {string} text - The JSON text.
+ * @throws {ValidationError} If the text is not valid JSON or not an array of objects.
+ * @returns {ImportRecord[]} The records, in document order.
+ */
+export function parseJsonRecords(text) {
+    let records;
+    try {
+        records = JSON.parse(text);
+    } catch (error) {
+        throw new ValidationError(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(records) || records.some(record => record === null || typeof record !== 'object' || Array.isArray(record)))
+        throw new ValidationError('A JSON import file must hold an array of objects');
+    return records.map((values, index) => ({row: index + 1, values}));
+}
+
+/**
+ * Reads the records of a CSV or JSON import file, chosen by its extension.
+ * @param {string} filePath - Path of a .csv or .json file.
+ * @throws {NotFoundError} If the file does not exist.
+ * @throws {ValidationError} If the file type is not supported or its content cannot be parsed.
+ * @returns {Promise<ImportRecord[]>} The records.
+ */
+export async function readRecordFile(filePath) {
+    const extension = extname(filePath).toLowerCase();
+    if (extension !== '.csv' && extension !== '.json')
+        throw new ValidationError(`Cannot import ${filePath}: only .csv and .json files are supported`);
+    const text = await readFile(filePath, 'utf8').catch(error => {
+        if (error.code === 'ENOENT') throw new NotFoundError(`Import file ${filePath} not found`);
+        throw error;
+    });
+    return extension === '.csv' ? parseCsv(text) : parseJsonRecords(text);
+}
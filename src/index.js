@@ -1 +1,16 @@
-console.log('Happy developing ✨')
+import {composeApplication, logEventHandlerError} from "./composition-root.js";
+import {CliApplication} from "./cli/cli-application.js";
+import {createCommandGroups} from "./cli/commands/command-groups.js";
+import {startRepl} from "./cli/repl.js";
+
+// Console application: runs the command given as arguments, or an interactive console without arguments.
+// See composition-root.js for the environment variables configuring where data is kept.
+// A command succeeds once its change is saved even if an event handler then fails, e.g. updating stock levels; the failure is logged.
+const services = await composeApplication(process.env, {onEventHandlerError: logEventHandlerError});
+const application = new CliApplication({commandGroups: createCommandGroups(services)});
+
+const args = process.argv.slice(2);
+if (args.length > 0)
+    process.exitCode = await application.execute(args);
+else
+    await startRepl(application);
@@ -0,0 +1,149 @@
+import {InventoryLevel} from "../domain/model/inventory-level.js";
+import {NotFoundError, ValidationError} from "../../shared/domain/model/errors.js";
+import {PurchaseOrderGoodsReceived} from "../../procurement/domain/events/purchase-order-goods-received.js";
+
+/**
+ * Application service handling inventory commands.
+ * It also listens to procurement events, so that goods accepted on a purchase order are added to the stock on hand.
+ */
+export class InventoryCommandService {
+    #inventoryLevelRepository
+    #productRepository
+    #supplierRepository
+
+    /**
+     * Creates a new InventoryCommandService instance.
+     * @param {Object} params
+     * @param {InventoryLevelRepository} params.inventoryLevelRepository - Repository where inventory levels are stored.
+     * @param {ProductRepository} params.productRepository - Repository used to check that products exist.
+     * @param {SupplierRepository} params.supplierRepository - Repository used to check that preferred suppliers exist.
+     */
+    constructor({inventoryLevelRepository, productRepository, supplierRepository}) {
+        this.#inventoryLevelRepository = inventoryLevelRepository;
+        this.#productRepository = productRepository;
+        this.#supplierRepository = supplierRepository;
+    }
+
+    /**
+     * Subscribes this service to the purchase order events it handles.
+     * @param {InProcessEventBus} eventBus - The bus purchase order events are published on.
+     * @returns {function(): void} A function that removes the subscriptions.
+     */
+    subscribeTo(eventBus) {
+        const subscriptions = [
+            eventBus.subscribe(PurchaseOrderGoodsReceived, event => this.recordGoodsReceived(event)),
+        ];
+        return () => subscriptions.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Starts tracking the stock of a product.
+     * @param {Object} params - The inventory level, as accepted by {@link InventoryLevel}.
+     * @throws {NotFoundError} If the product or the preferred supplier does not exist.
+     * @throws {ValidationError} If any value is invalid or the product's stock is tracked already.
+     * @returns {Promise<InventoryLevel>} The new inventory level.
+     */
+    async track({productId, onHand = 0, reserved = 0, reorderPoint = 0, reorderQuantity, preferredSupplierId = null}) {
+        const inventoryLevel = new InventoryLevel({productId, onHand, reserved, reorderPoint, reorderQuantity, preferredSupplierId});
+        if (!await this.#productRepository.findById(productId))
+            throw new NotFoundError(`Product ${productId.value} not found`);
+        if (await this.#inventoryLevelRepository.findByProductId(productId))
+            throw new ValidationError(`The stock of product ${productId.value} is already tracked`, 'productId');
+        await this.#assertSupplierExists(preferredSupplierId);
+        await this.#inventoryLevelRepository.save(inventoryLevel);
+        return inventoryLevel;
+    }
+
+    /**
+     * Changes when and from whom a product is replenished, see {@link InventoryLevel#changeReorderPolicy}.
+     * @param {ProductId} productId - The product ID.
+     * @param {Object} changes - The reorder point, reorder quantity or preferred supplier to change.
+     * @throws {NotFoundError} If the product's stock is not tracked or the preferred supplier does not exist.
+     * @throws {ValidationError} If any value is invalid.
+     * @returns {Promise<InventoryLevel>} The updated inventory level.
+     */
+    async changeReorderPolicy(productId, changes) {
+        if (changes.preferredSupplierId !== undefined)
+            await this.#assertSupplierExists(changes.preferredSupplierId);
+        return this.#execute(productId, inventoryLevel => inventoryLevel.changeReorderPolicy(changes));
+    }
+
+    /**
+     * Records the stock found by a count.
+     * @param {ProductId} productId - The product ID.
+     * @param {number} onHand - The units counted.
+     * @throws {NotFoundError} If the product's stock is not tracked.
+     * @throws {ValidationError} If the count is invalid.
+     * @returns {Promise<InventoryLevel>} The updated inventory level.
+     */
+    async recordCount(productId, onHand) {
+        return this.#execute(productId, inventoryLevel => inventoryLevel.recordCount(onHand));
+    }
+
+    /**
+     * Reserves units of a product for a known demand.
+     * @param {ProductId} productId - The product ID.
+     * @param {number} quantity - The units to reserve.
+     * @throws {NotFoundError} If the product's stock is not tracked.
+     * @throws {ValidationError} If the quantity is invalid.
+     * @returns {Promise<InventoryLevel>} The updated inventory level.
+     */
+    async reserve(productId, quantity) {
+        return this.#execute(productId, inventoryLevel => inventoryLevel.reserve(quantity));
+    }
+
+    /**
+     * Releases reserved units of a product.
+     * @param {ProductId} productId - The product ID.
+     * @param {number} quantity - The units to release.
+     * @throws {NotFoundError} If the product's stock is not tracked.
+     * @throws {ValidationError} If the quantity is invalid or exceeds the reserved units.
+     * @returns {Promise<InventoryLevel>} The updated inventory level.
+     */
+    async releaseReservation(productId, quantity) {
+        return this.#execute(productId, inventoryLevel => inventoryLevel.releaseReservation(quantity));
+    }
+
+    /**
+     * Adds the goods accepted on a delivery to the stock of the products that are tracked.
+     * Deliveries recorded while importing an order are skipped: their goods are in stock already.
+     * @param {PurchaseOrderGoodsReceived} event - The event raised when the delivery was recorded.
+     * @returns {Promise<void>}
+     */
+    async recordGoodsReceived(event) {
+        if (event.imported) return;
+        for (const line of event.lines.filter(current => current.receivedQuantity > 0)) {
+            const inventoryLevel = await this.#inventoryLevelRepository.findByProductId(line.productId);
+            if (!inventoryLevel) continue;
+            inventoryLevel.receive(line.receivedQuantity);
+            await this.#inventoryLevelRepository.save(inventoryLevel);
+        }
+    }
+
+    /**
+     * Ensures a preferred supplier exists.
+     * @param {SupplierId|null} supplierId - The supplier ID, or null for none.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @returns {Promise<void>}
+     */
+    async #assertSupplierExists(supplierId) {
+        if (supplierId && !await this.#supplierRepository.findById(supplierId))
+            throw new NotFoundError(`Supplier ${supplierId.value} not found`);
+    }
+
+    /**
+     * Loads an inventory level, applies a change to it and saves it.
+     * @param {ProductId} productId - The product ID.
+     * @param {function(InventoryLevel): void} change - The change to apply.
+     * @throws {NotFoundError} If the product's stock is not tracked.
+     * @returns {Promise<InventoryLevel>} The updated inventory level.
+     */
+    async #execute(productId, change) {
+        const inventoryLevel = await this.#inventoryLevelRepository.findByProductId(productId);
+        if (!inventoryLevel)
+            throw new NotFoundError(`The stock of product ${productId.value} is not tracked`);
+        change(inventoryLevel);
+        await this.#inventoryLevelRepository.save(inventoryLevel);
+        return inventoryLevel;
+    }
+}
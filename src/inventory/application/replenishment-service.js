@@ -0,0 +1,172 @@
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {PurchaseOrder} from "../../procurement/domain/model/purchase-order.js";
+import {PurchaseOrderItem} from "../../procurement/domain/model/purchase-order-item.js";
+
+/**
+ * A draft purchase order the replenishment would open.
+ * @typedef {Object} ReplenishmentProposal
+ * @property {SupplierId} supplierId - The supplier the order goes to.
+ * @property {Currency} currency - The currency of the order.
+ * @property {{productId: ProductId, quantity: number}[]} lines - What the order buys.
+ */
+
+/**
+ * A product that needs replenishing but cannot be ordered automatically.
+ * @typedef {Object} SkippedReplenishment
+ * @property {ProductId} productId - The product.
+ * @property {number} quantity - The units that should be bought.
+ * @property {string} reason - Why they cannot be.
+ */
+
+/**
+ * Application service buying more of the products whose stock fell to their reorder point.
+ * It scans every tracked inventory level, counting the units still expected from purchase orders that are neither
+ * completed nor cancelled (drafts included, so scanning twice does not order twice), and opens Draft purchase orders
+ * for the preferred suppliers, one per supplier and currency. Each product is ordered in the currency the supplier
+ * quotes it in now, the supplier's preferred currency first. As purchase orders are limited in items and in units
+ * per line, a proposal that exceeds either limit is split into several orders.
+ */
+export class ReplenishmentService {
+    static #CLOSED_STATES = ['Completed', 'Cancelled'];
+    #inventoryLevelRepository
+    #purchaseOrderRepository
+    #purchaseOrderCommandService
+    #supplierRepository
+    #productRepository
+    #priceListRepository
+
+    /**
+     * Creates a new ReplenishmentService instance.
+     * @param {Object} params
+     * @param {InventoryLevelRepository} params.inventoryLevelRepository - Repository of the inventory levels scanned.
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository of the orders that may already be expected.
+     * @param {PurchaseOrderCommandService} params.purchaseOrderCommandService - Service opening the replenishment orders.
+     * @param {SupplierRepository} params.supplierRepository - Repository used to check the preferred suppliers.
+     * @param {ProductRepository} params.productRepository - Repository used to check the products can be ordered.
+     * @param {SupplierPriceListRepository} params.priceListRepository - Repository used to find the currency products are quoted in.
+     */
+    constructor({inventoryLevelRepository, purchaseOrderRepository, purchaseOrderCommandService, supplierRepository,
+                    productRepository, priceListRepository}) {
+        this.#inventoryLevelRepository = inventoryLevelRepository;
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#purchaseOrderCommandService = purchaseOrderCommandService;
+        this.#supplierRepository = supplierRepository;
+        this.#productRepository = productRepository;
+        this.#priceListRepository = priceListRepository;
+    }
+
+    /**
+     * Works out which purchase orders the replenishment would open, without opening them.
+     * @param {Object} [params]
+     * @param {DateTime} [params.asOf] - The moment supplier prices are looked up at; defaults to now.
+     * @returns {Promise<{proposals: ReplenishmentProposal[], skipped: SkippedReplenishment[]}>} The orders to open,
+     * each within the purchase order limits, and the products that need replenishing but cannot be ordered.
+     */
+    async plan({asOf = new DateTime()} = {}) {
+        const onOrder = await this.#unitsOnOrder();
+        const suppliers = new Map();
+        const priceLists = new Map();
+        const groups = new Map();
+        const skipped = [];
+        for (const inventoryLevel of await this.#inventoryLevelRepository.findAll()) {
+            const {productId, preferredSupplierId: supplierId} = inventoryLevel;
+            const quantity = inventoryLevel.replenishmentQuantity(onOrder.get(productId.value) ?? 0);
+            if (quantity === 0) continue;
+            const skip = reason => skipped.push({productId, quantity, reason});
+            if (!supplierId) {
+                skip('No preferred supplier');
+                continue;
+            }
+            const product = await this.#productRepository.findById(productId);
+            if (!product?.isActive) {
+                skip(product ? `Product ${product.sku} is inactive` : 'Product not found');
+                continue;
+            }
+            if (!suppliers.has(supplierId.value))
+                suppliers.set(supplierId.value, await this.#supplierRepository.findById(supplierId));
+            const supplier = suppliers.get(supplierId.value);
+            if (!supplier?.isActive) {
+                skip(supplier ? `Supplier ${supplier.name} is ${supplier.status}` : `Supplier ${supplierId.value} not found`);
+                continue;
+            }
+            if (!priceLists.has(supplierId.value))
+                priceLists.set(supplierId.value, await this.#priceListRepository.findBySupplierId(supplierId));
+            const currency = ReplenishmentService.#quotedCurrency(priceLists.get(supplierId.value), supplier, productId, asOf);
+            if (!currency) {
+                skip(`Supplier ${supplier.name} has no current price for product ${product.sku}`);
+                continue;
+            }
+            const key = `${supplierId.value} ${currency.code}`;
+            if (!groups.has(key))
+                groups.set(key, {supplierId, currency, lines: []});
+            groups.get(key).lines.push({productId, quantity});
+        }
+        return {proposals: [...groups.values()].flatMap(group => ReplenishmentService.#split(group)), skipped};
+    }
+
+    /**
+     * Opens the Draft purchase orders worked out by {@link ReplenishmentService#plan}, priced from the supplier catalogs.
+     * @param {Object} [params]
+     * @param {DateTime} [params.asOf] - The order date, on which supplier prices are looked up; defaults to now.
+     * @throws {ValidationError} If an order cannot be opened, e.g. because a price expired meanwhile.
+     * @returns {Promise<{orders: PurchaseOrder[], skipped: SkippedReplenishment[]}>} The orders opened and
+     * the products that need replenishing but could not be ordered.
+     */
+    async replenish({asOf = new DateTime()} = {}) {
+        const {proposals, skipped} = await this.plan({asOf});
+        const orders = [];
+        for (const {supplierId, currency, lines} of proposals)
+            orders.push(await this.#purchaseOrderCommandService.open({supplierId, currency, orderDate: asOf, items: lines}));
+        return {orders, skipped};
+    }
+
+    /**
+     * Adds up the units still expected per product from the purchase orders that are not closed.
+     * @returns {Promise<Map<string, number>>} The units on order keyed by product ID value.
+     */
+    async #unitsOnOrder() {
+        const onOrder = new Map();
+        const purchaseOrders = (await this.#purchaseOrderRepository.findAll())
+            .filter(purchaseOrder => !ReplenishmentService.#CLOSED_STATES.includes(purchaseOrder.state));
+        for (const item of purchaseOrders.flatMap(purchaseOrder => purchaseOrder.items))
+            onOrder.set(item.productId.value, (onOrder.get(item.productId.value) ?? 0) + item.outstandingQuantity);
+        return onOrder;
+    }
+
+    /**
+     * Picks the currency a supplier quotes a product in at a given moment.
+     * @param {SupplierPriceList|null} priceList - The supplier's price list, if any.
+     * @param {Supplier} supplier - The supplier.
+     * @param {ProductId} productId - The product.
+     * @param {DateTime} asOf - The moment.
+     * @returns {Currency|null} The supplier's preferred currency if the product is quoted in it, otherwise the first
+     * quoted currency by code, or null if the product has no current price.
+     */
+    static #quotedCurrency(priceList, supplier, productId, asOf) {
+        const currencies = (priceList?.entries ?? [])
+            .filter(entry => entry.productId.equals(productId) && entry.isValidAt(asOf))
+            .map(entry => entry.unitPrice.currency)
+            .sort((a, b) => a.code.localeCompare(b.code));
+        return currencies.find(currency => supplier.preferredCurrency?.equals(currency)) ?? currencies[0] ?? null;
+    }
+
+    /**
+     * Splits the lines for one supplier and currency into orders within the purchase order limits.
+     * A quantity above the line limit is spread over several orders, as an order has one line per product.
+     * @param {ReplenishmentProposal} group - All lines for the supplier and currency.
+     * @returns {ReplenishmentProposal[]} The orders, each with at most the maximum number of items and units per line.
+     */
+    static #split({supplierId, currency, lines}) {
+        const orders = [];
+        for (const {productId, quantity} of lines) {
+            let start = 0;
+            for (let remaining = quantity; remaining > 0; remaining -= PurchaseOrderItem.MAX_QUANTITY) {
+                const index = orders.findIndex((order, current) => current >= start && order.length < PurchaseOrder.MAX_ITEMS);
+                const target = index === -1 ? orders.push([]) - 1 : index;
+                orders[target].push({productId, quantity: Math.min(remaining, PurchaseOrderItem.MAX_QUANTITY)});
+                start = target + 1;
+            }
+        }
+        return orders.map(orderLines => ({supplierId, currency, lines: orderLines}));
+    }
+}
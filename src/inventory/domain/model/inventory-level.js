@@ -0,0 +1,254 @@
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Aggregate tracking the stock of one product and when to buy more of it.
+ * Units on hand are either reserved for a known demand or available. Reservations may exceed the stock on hand;
+ * the shortfall then counts as negative availability. When the available units, plus those still expected from
+ * open purchase orders, fall to the reorder point, the reorder quantity is bought from the preferred supplier,
+ * as many times as needed to rise above the reorder point again.
+ * @class
+ * @property {ProductId} productId - The product whose stock is tracked; identifies the inventory level.
+ * @property {number} onHand - Units in stock.
+ * @property {number} reserved - Units in stock, or to come, promised to a known demand.
+ * @property {number} available - Units on hand that are not reserved; negative if reservations exceed the stock.
+ * @property {number} reorderPoint - Projected availability at or below which more units are bought.
+ * @property {number} reorderQuantity - Units bought at a time.
+ * @property {SupplierId|null} preferredSupplierId - The supplier replenishment orders go to, or null if none.
+ */
+export class InventoryLevel {
+    static #MAX_UNITS = 1_000_000_000;
+    #productId
+    #onHand
+    #reserved
+    #reorderPoint
+    #reorderQuantity
+    #preferredSupplierId
+
+    /**
+     * Creates a new InventoryLevel instance.
+     * @param {Object} params
+     * @param {ProductId} params.productId - The product whose stock is tracked.
+     * @param {number} [params.onHand=0] - Units in stock (non-negative integer).
+     * @param {number} [params.reserved=0] - Units reserved (non-negative integer).
+     * @param {number} [params.reorderPoint=0] - Projected availability at or below which more units are bought (non-negative integer).
+     * @param {number} params.reorderQuantity - Units bought at a time (positive integer).
+     * @param {SupplierId|null} [params.preferredSupplierId] - The supplier replenishment orders go to.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({productId, onHand = 0, reserved = 0, reorderPoint = 0, reorderQuantity, preferredSupplierId = null}) {
+        if (!(productId instanceof ProductId))
+            throw new ValidationError('Product ID must be an instance of ProductId', 'productId');
+        this.#productId = productId;
+        this.#onHand = InventoryLevel.#validateUnits(onHand, 'onHand');
+        this.#reserved = InventoryLevel.#validateUnits(reserved, 'reserved');
+        this.#reorderPoint = InventoryLevel.#validateUnits(reorderPoint, 'reorderPoint');
+        this.#reorderQuantity = InventoryLevel.#validateReorderQuantity(reorderQuantity);
+        this.#preferredSupplierId = InventoryLevel.#validatePreferredSupplierId(preferredSupplierId);
+    }
+
+    /**
+     * Validates a number of units.
+     * @param {number} units - The value to validate.
+     * @param {string} field - The field validated, used in the error.
+     * @throws {ValidationError} If the value is not a non-negative integer within bounds.
+     * @returns {number} The units.
+     */
+    static #validateUnits(units, field) {
+        if (!Number.isInteger(units) || units < 0 || units > InventoryLevel.#MAX_UNITS)
+            throw new ValidationError(`Units must be a non-negative integer not exceeding ${InventoryLevel.#MAX_UNITS}`, field);
+        return units;
+    }
+
+    /**
+     * Validates the reorder quantity.
+     * @param {number} reorderQuantity - The value to validate.
+     * @throws {ValidationError} If the value is not a positive integer within bounds.
+     * @returns {number} The reorder quantity.
+     */
+    static #validateReorderQuantity(reorderQuantity) {
+        if (!Number.isInteger(reorderQuantity) || reorderQuantity <= 0 || reorderQuantity > InventoryLevel.#MAX_UNITS)
+            throw new ValidationError(`Reorder quantity must be a positive integer not exceeding ${InventoryLevel.#MAX_UNITS}`, 'reorderQuantity');
+        return reorderQuantity;
+    }
+
+    /**
+     * Validates the preferred supplier.
+     * @param {SupplierId|null} preferredSupplierId - The value to validate.
+     * @throws {ValidationError} If the value is neither a SupplierId nor null.
+     * @returns {SupplierId|null} The preferred supplier ID.
+     */
+    static #validatePreferredSupplierId(preferredSupplierId) {
+        if (preferredSupplierId !== null && !(preferredSupplierId instanceof SupplierId))
+            throw new ValidationError('Preferred supplier ID must be an instance of SupplierId or null', 'preferredSupplierId');
+        return preferredSupplierId;
+    }
+
+    /**
+     * Records the stock found by a count, replacing the units on hand.
+     * @param {number} onHand - The units counted.
+     * @throws {ValidationError} If the count is invalid.
+     */
+    recordCount(onHand) {
+        this.#onHand = InventoryLevel.#validateUnits(onHand, 'onHand');
+    }
+
+    /**
+     * Adds delivered units to the stock on hand.
+     * @param {number} quantity - The units received (positive integer).
+     * @throws {ValidationError} If the quantity is invalid.
+     */
+    receive(quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0)
+            throw new ValidationError('Received quantity must be a positive integer', 'quantity');
+        this.#onHand = InventoryLevel.#validateUnits(this.#onHand + quantity, 'onHand');
+    }
+
+    /**
+     * Reserves units for a known demand.
+     * @param {number} quantity - The units to reserve (positive integer).
+     * @throws {ValidationError} If the quantity is invalid.
+     */
+    reserve(quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0)
+            throw new ValidationError('Reserved quantity must be a positive integer', 'quantity');
+        this.#reserved = InventoryLevel.#validateUnits(this.#reserved + quantity, 'reserved');
+    }
+
+    /**
+     * Releases reserved units, e.g. once they were issued or the demand was withdrawn.
+     * @param {number} quantity - The units to release (positive integer).
+     * @throws {ValidationError} If the quantity is invalid or exceeds the reserved units.
+     */
+    releaseReservation(quantity) {
+        if (!Number.isInteger(quantity) || quantity <= 0)
+            throw new ValidationError('Released quantity must be a positive integer', 'quantity');
+        if (quantity > this.#reserved)
+            throw new ValidationError(`Cannot release ${quantity} units: only ${this.#reserved} are reserved`, 'quantity');
+        this.#reserved -= quantity;
+    }
+
+    /**
+     * Changes when and from whom the product is replenished. Values left undefined are kept.
+     * @param {Object} changes
+     * @param {number} [changes.reorderPoint] - The new reorder point.
+     * @param {number} [changes.reorderQuantity] - The new reorder quantity.
+     * @param {SupplierId|null} [changes.preferredSupplierId] - The new preferred supplier, or null for none.
+     * @throws {ValidationError} If any value is invalid; nothing is changed then.
+     */
+    changeReorderPolicy({reorderPoint, reorderQuantity, preferredSupplierId}) {
+        const validated = {
+            reorderPoint: reorderPoint === undefined ? this.#reorderPoint : InventoryLevel.#validateUnits(reorderPoint, 'reorderPoint'),
+            reorderQuantity: reorderQuantity === undefined ? this.#reorderQuantity : InventoryLevel.#validateReorderQuantity(reorderQuantity),
+            preferredSupplierId: preferredSupplierId === undefined ? this.#preferredSupplierId
+                : InventoryLevel.#validatePreferredSupplierId(preferredSupplierId)
+        };
+        this.#reorderPoint = validated.reorderPoint;
+        this.#reorderQuantity = validated.reorderQuantity;
+        this.#preferredSupplierId = validated.preferredSupplierId;
+    }
+
+    /**
+     * Calculates how many units to buy, given the units still expected from open purchase orders.
+     * @param {number} [onOrder=0] - Units ordered but not received yet.
+     * @returns {number} A multiple of the reorder quantity bringing the projected availability above the reorder
+     * point, or 0 if it is above already.
+     */
+    replenishmentQuantity(onOrder = 0) {
+        const projected = this.available + onOrder;
+        if (projected > this.#reorderPoint) return 0;
+        return Math.ceil((this.#reorderPoint - projected + 1) / this.#reorderQuantity) * this.#reorderQuantity;
+    }
+
+    /**
+     * Gets the product whose stock is tracked.
+     * @returns {ProductId} The product ID.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets the units in stock.
+     * @returns {number} The units on hand.
+     */
+    get onHand() {
+        return this.#onHand;
+    }
+
+    /**
+     * Gets the units reserved.
+     * @returns {number} The reserved units.
+     */
+    get reserved() {
+        return this.#reserved;
+    }
+
+    /**
+     * Gets the units on hand that are not reserved.
+     * @returns {number} The available units; negative if reservations exceed the stock.
+     */
+    get available() {
+        return this.#onHand - this.#reserved;
+    }
+
+    /**
+     * Gets the projected availability at or below which more units are bought.
+     * @returns {number} The reorder point.
+     */
+    get reorderPoint() {
+        return this.#reorderPoint;
+    }
+
+    /**
+     * Gets the units bought at a time.
+     * @returns {number} The reorder quantity.
+     */
+    get reorderQuantity() {
+        return this.#reorderQuantity;
+    }
+
+    /**
+     * Gets the supplier replenishment orders go to.
+     * @returns {SupplierId|null} The preferred supplier ID, or null if none.
+     */
+    get preferredSupplierId() {
+        return this.#preferredSupplierId;
+    }
+
+    /**
+     * Returns the JSON representation of the inventory level.
+     * @returns {Object} The inventory level snapshot.
+     */
+    toJSON() {
+        return {
+            productId: this.#productId.toJSON(),
+            onHand: this.#onHand,
+            reserved: this.#reserved,
+            reorderPoint: this.#reorderPoint,
+            reorderQuantity: this.#reorderQuantity,
+            preferredSupplierId: this.#preferredSupplierId?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores an InventoryLevel from its JSON representation.
+     * @param {Object} json - The inventory level snapshot, as produced by {@link InventoryLevel#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {InventoryLevel} The restored inventory level.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'InventoryLevel');
+        return new InventoryLevel({
+            productId: restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            onHand: json.onHand,
+            reserved: json.reserved,
+            reorderPoint: json.reorderPoint,
+            reorderQuantity: json.reorderQuantity,
+            preferredSupplierId: json.preferredSupplierId == null ? null
+                : restoreField('preferredSupplierId', () => SupplierId.fromJSON(json.preferredSupplierId))
+        });
+    }
+}
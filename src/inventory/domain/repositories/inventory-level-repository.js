@@ -0,0 +1,33 @@
+/**
+ * Repository contract for {@link InventoryLevel} aggregates in the Inventory bounded context.
+ * Concrete implementations live in the infrastructure layer and decide where aggregates are persisted.
+ * All methods are asynchronous so that in-memory and I/O-backed implementations are interchangeable.
+ * @interface
+ */
+export class InventoryLevelRepository {
+    /**
+     * Persists an inventory level, inserting it or replacing a previously saved version for the same product.
+     * @param {InventoryLevel} inventoryLevel - The inventory level to save.
+     * @returns {Promise<void>}
+     */
+    async save(inventoryLevel) {
+        throw new Error('InventoryLevelRepository.save() must be implemented');
+    }
+
+    /**
+     * Finds the inventory level of a product.
+     * @param {ProductId} productId - The product ID.
+     * @returns {Promise<InventoryLevel|null>} The inventory level, or null if the product's stock is not tracked.
+     */
+    async findByProductId(productId) {
+        throw new Error('InventoryLevelRepository.findByProductId() must be implemented');
+    }
+
+    /**
+     * Finds all stored inventory levels.
+     * @returns {Promise<InventoryLevel[]>} All inventory levels.
+     */
+    async findAll() {
+        throw new Error('InventoryLevelRepository.findAll() must be implemented');
+    }
+}
@@ -0,0 +1,26 @@
+import {InventoryLevelRepository} from "../../domain/repositories/inventory-level-repository.js";
+import {InventoryLevel} from "../../domain/model/inventory-level.js";
+
+/**
+ * In-memory implementation of {@link InventoryLevelRepository}.
+ * Inventory levels are kept as plain records and rebuilt on every read. Data is lost when the process exits.
+ */
+export class InMemoryInventoryLevelRepository extends InventoryLevelRepository {
+    #records = new Map()
+
+    /** @inheritDoc */
+    async save(inventoryLevel) {
+        this.#records.set(inventoryLevel.productId.value, inventoryLevel.toJSON());
+    }
+
+    /** @inheritDoc */
+    async findByProductId(productId) {
+        const record = this.#records.get(productId.value);
+        return record ? InventoryLevel.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return [...this.#records.values()].map(record => InventoryLevel.fromJSON(record));
+    }
+}
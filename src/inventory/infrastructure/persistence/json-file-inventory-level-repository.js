@@ -0,0 +1,39 @@
+import {InventoryLevelRepository} from "../../domain/repositories/inventory-level-repository.js";
+import {JsonFileStore} from "../../../shared/infrastructure/persistence/json-file-store.js";
+import {InventoryLevel} from "../../domain/model/inventory-level.js";
+
+/**
+ * JSON-file-backed implementation of {@link InventoryLevelRepository}.
+ * Inventory levels survive process restarts.
+ */
+export class JsonFileInventoryLevelRepository extends InventoryLevelRepository {
+    #store
+
+    /**
+     * Creates a new JsonFileInventoryLevelRepository instance.
+     * @param {string} filePath - Path of the JSON file holding the inventory levels.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /** @inheritDoc */
+    async save(inventoryLevel) {
+        await this.#store.update(records => {
+            records[inventoryLevel.productId.value] = inventoryLevel.toJSON();
+        });
+    }
+
+    /** @inheritDoc */
+    async findByProductId(productId) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, productId.value) ? InventoryLevel.fromJSON(records[productId.value]) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        const records = await this.#store.readAll();
+        return Object.values(records).map(record => InventoryLevel.fromJSON(record));
+    }
+}
@@ -0,0 +1,190 @@
+import {NotFoundError, ValidationError} from "../../shared/domain/model/errors.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {Invoice} from "../domain/model/invoice.js";
+import {InvoiceLine} from "../domain/model/invoice-line.js";
+import {MatchTolerance} from "../domain/model/match-tolerance.js";
+import {ThreeWayMatcher} from "../domain/services/three-way-matcher.js";
+import {PurchaseOrderGoodsReceived} from "../../procurement/domain/events/purchase-order-goods-received.js";
+import {PurchaseOrderLineClosedShort} from "../../procurement/domain/events/purchase-order-line-closed-short.js";
+import {PurchaseOrderCompleted} from "../../procurement/domain/events/purchase-order-completed.js";
+import {PurchaseOrderCancelled} from "../../procurement/domain/events/purchase-order-cancelled.js";
+
+/**
+ * Application service handling supplier invoice commands.
+ * Invoices are matched against their purchase order with a {@link ThreeWayMatcher}; invoices on hold for goods
+ * not received yet are matched again whenever a delivery is recorded or the order is closed.
+ */
+export class InvoiceCommandService {
+    #invoiceRepository
+    #purchaseOrderRepository
+    #matcher
+    #auditTrail
+
+    /**
+     * Creates a new InvoiceCommandService instance.
+     * @param {Object} params
+     * @param {InvoiceRepository} params.invoiceRepository - Repository where invoices are stored.
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository of the purchase orders invoiced.
+     * @param {MatchTolerance} [params.matchTolerance] - How far invoices may differ from their orders;
+     * defaults to an exact match.
+     * @param {AuditTrailService|null} [params.auditTrail] - Records every change with before and after snapshots.
+     */
+    constructor({invoiceRepository, purchaseOrderRepository, matchTolerance = MatchTolerance.exact(), auditTrail = null}) {
+        this.#invoiceRepository = invoiceRepository;
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#matcher = new ThreeWayMatcher(matchTolerance);
+        this.#auditTrail = auditTrail;
+    }
+
+    /**
+     * Subscribes this service to the purchase order events that may release invoices on hold.
+     * Deliveries recorded while importing an order are skipped.
+     * @param {InProcessEventBus} eventBus - The bus purchase order events are published on.
+     * @returns {function(): void} A function that removes the subscriptions.
+     */
+    subscribeTo(eventBus) {
+        const subscriptions = [PurchaseOrderGoodsReceived, PurchaseOrderLineClosedShort, PurchaseOrderCompleted,
+            PurchaseOrderCancelled].map(EventClass =>
+            eventBus.subscribe(EventClass, async event => {
+                if (!event.imported) await this.rematchOnHold(event.purchaseOrderId);
+            }));
+        return () => subscriptions.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Registers a pending invoice a supplier sent for a purchase order. The invoice is attributed to the supplier
+     * of the order.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The purchase order invoiced.
+     * @param {string} params.invoiceNumber - The number the supplier gave the invoice.
+     * @param {DateTime} [params.invoiceDate] - The date of the invoice; defaults to now.
+     * @param {Currency|null} [params.currency] - The currency of the invoice; defaults to the order currency.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If any value is invalid or the supplier already sent an invoice with the same number.
+     * @returns {Promise<Invoice>} The new invoice.
+     */
+    async register({purchaseOrderId, invoiceNumber, invoiceDate = new DateTime(), currency = null}) {
+        const purchaseOrder = await this.#purchaseOrderRepository.findById(purchaseOrderId);
+        if (!purchaseOrder)
+            throw new NotFoundError(`Purchase order ${purchaseOrderId} not found`);
+        const invoice = new Invoice({
+            invoiceNumber, supplierId: purchaseOrder.supplierId, purchaseOrderId, currency: currency ?? purchaseOrder.currency,
+            invoiceDate
+        });
+        const existing = await this.#invoiceRepository.findAll();
+        if (existing.some(other => other.supplierId.equals(invoice.supplierId) && other.invoiceNumber === invoice.invoiceNumber))
+            throw new ValidationError(`Supplier ${invoice.supplierId.value} already sent invoice ${invoice.invoiceNumber}`, 'invoiceNumber');
+        await this.#save(invoice, 'register', null);
+        return invoice;
+    }
+
+    /**
+     * Adds a line to a pending invoice.
+     * @param {string} invoiceId - The invoice ID.
+     * @param {Object} line - The line, as accepted by {@link InvoiceLine}.
+     * @throws {NotFoundError} If the invoice does not exist.
+     * @throws {InvalidStateError} If the invoice was already matched.
+     * @throws {ValidationError} If the line is invalid or its product already has a line.
+     * @returns {Promise<Invoice>} The updated invoice.
+     */
+    async addLine(invoiceId, {productId, quantity, unitPrice}) {
+        return this.#execute(invoiceId, 'addLine', invoice => invoice.addLine(new InvoiceLine({productId, quantity, unitPrice})));
+    }
+
+    /**
+     * Removes the line of a product from a pending invoice.
+     * @param {string} invoiceId - The invoice ID.
+     * @param {ProductId} productId - The product.
+     * @throws {NotFoundError} If the invoice does not exist.
+     * @throws {InvalidStateError} If the invoice was already matched.
+     * @throws {ValidationError} If the invoice has no line for the product.
+     * @returns {Promise<Invoice>} The updated invoice.
+     */
+    async removeLine(invoiceId, productId) {
+        return this.#execute(invoiceId, 'removeLine', invoice => invoice.removeLine(productId));
+    }
+
+    /**
+     * Matches an invoice against its purchase order and the goods received, see {@link ThreeWayMatcher#match}.
+     * Invoices that are not Matched yet can be matched again, e.g. after a dispute with the supplier was settled.
+     * @param {string} invoiceId - The invoice ID.
+     * @throws {NotFoundError} If the invoice or its purchase order does not exist.
+     * @throws {InvalidStateError} If the invoice has no lines or is already Matched.
+     * @returns {Promise<Invoice>} The matched invoice, with its status and discrepancies.
+     */
+    async match(invoiceId) {
+        return this.#execute(invoiceId, 'match', async invoice => invoice.recordMatch(await this.#discrepanciesOf(invoice)));
+    }
+
+    /**
+     * Matches again every invoice of a purchase order that is on hold for goods not received, e.g. after a delivery.
+     * Invoices whose outcome does not change are left untouched.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @returns {Promise<Invoice[]>} The invoices whose status or discrepancies changed.
+     */
+    async rematchOnHold(purchaseOrderId) {
+        const invoices = await this.#invoiceRepository.findByPurchaseOrderId(purchaseOrderId);
+        const changed = [];
+        for (const invoice of invoices.filter(current => current.isOnHold)) {
+            const before = invoice.toJSON();
+            invoice.recordMatch(await this.#discrepanciesOf(invoice));
+            if (invoice.status === before.status
+                && JSON.stringify(invoice.discrepancies) === JSON.stringify(before.discrepancies)) continue;
+            await this.#save(invoice, 'rematch', before);
+            changed.push(invoice);
+        }
+        return changed;
+    }
+
+    /**
+     * Finds the discrepancies of an invoice, counting the quantities accepted on the other invoices of its order.
+     * @param {Invoice} invoice - The invoice.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @returns {Promise<InvoiceDiscrepancy[]>} The discrepancies.
+     */
+    async #discrepanciesOf(invoice) {
+        const purchaseOrder = await this.#purchaseOrderRepository.findById(invoice.purchaseOrderId);
+        if (!purchaseOrder)
+            throw new NotFoundError(`Purchase order ${invoice.purchaseOrderId} not found`);
+        const invoicedElsewhere = new Map();
+        const others = await this.#invoiceRepository.findByPurchaseOrderId(invoice.purchaseOrderId);
+        for (const other of others.filter(current => current.id !== invoice.id && (current.isMatched || current.isOnHold)))
+            for (const line of other.lines)
+                invoicedElsewhere.set(line.productId.value, (invoicedElsewhere.get(line.productId.value) ?? 0) + line.quantity);
+        return this.#matcher.match({invoice, purchaseOrder, invoicedElsewhere});
+    }
+
+    /**
+     * Loads an invoice, applies a change to it and saves it.
+     * @param {string} invoiceId - The invoice ID.
+     * @param {string} action - Name of the command, recorded in the audit trail.
+     * @param {function(Invoice): (void|Promise<void>)} change - The change to apply.
+     * @throws {NotFoundError} If the invoice does not exist.
+     * @returns {Promise<Invoice>} The updated invoice.
+     */
+    async #execute(invoiceId, action, change) {
+        const invoice = await this.#invoiceRepository.findById(invoiceId);
+        if (!invoice)
+            throw new NotFoundError(`Invoice ${invoiceId} not found`);
+        const before = invoice.toJSON();
+        await change(invoice);
+        await this.#save(invoice, action, before);
+        return invoice;
+    }
+
+    /**
+     * Saves an invoice, then records the change in the audit trail.
+     * @param {Invoice} invoice - The invoice to save.
+     * @param {string} action - Name of the command, recorded in the audit trail.
+     * @param {Object|null} before - Snapshot taken before the change, or null for a new invoice.
+     * @returns {Promise<void>}
+     */
+    async #save(invoice, action, before) {
+        await this.#invoiceRepository.save(invoice);
+        await this.#auditTrail?.record({
+            action, aggregateType: 'Invoice', aggregateId: invoice.id, supplierId: invoice.supplierId, before,
+            after: invoice.toJSON()
+        });
+    }
+}
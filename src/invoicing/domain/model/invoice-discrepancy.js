@@ -0,0 +1,188 @@
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object describing one way an invoice disagrees with its purchase order or with the goods received.
+ * A discrepancy either disputes the invoice, which must then be settled with the supplier, or only holds it
+ * until the goods it charges for are received: QuantityNotReceived is the only holding type.
+ * @class
+ * @property {string} type - The kind of discrepancy, see {@link InvoiceDiscrepancy.types}.
+ * @property {ProductId|null} productId - The product concerned, or null for the invoice as a whole.
+ * @property {string} message - What differs, with the invoiced and expected values.
+ */
+export class InvoiceDiscrepancy {
+    static #TYPES = {
+        SUPPLIER_MISMATCH: 'SupplierMismatch',
+        CURRENCY_MISMATCH: 'CurrencyMismatch',
+        ORDER_NOT_APPROVED: 'OrderNotApproved',
+        PRODUCT_NOT_ORDERED: 'ProductNotOrdered',
+        QUANTITY_OVER_ORDERED: 'QuantityOverOrdered',
+        QUANTITY_OVER_RECEIVED: 'QuantityOverReceived',
+        QUANTITY_NOT_RECEIVED: 'QuantityNotReceived',
+        UNIT_PRICE_MISMATCH: 'UnitPriceMismatch',
+    }
+    #type
+    #productId
+    #message
+
+    /**
+     * Creates a new InvoiceDiscrepancy instance.
+     * @param {Object} params
+     * @param {string} params.type - The kind of discrepancy.
+     * @param {ProductId|null} [params.productId] - The product concerned, if any.
+     * @param {string} params.message - What differs.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({type, productId = null, message}) {
+        if (!Object.values(InvoiceDiscrepancy.#TYPES).includes(type))
+            throw new ValidationError(`Invalid discrepancy type: ${type}. Valid types are: ${InvoiceDiscrepancy.types.join(', ')}`, 'type');
+        if (productId !== null && !(productId instanceof ProductId))
+            throw new ValidationError('Product ID must be an instance of ProductId or null', 'productId');
+        if (typeof message !== 'string' || !message.trim())
+            throw new ValidationError('Message must be a non-empty string', 'message');
+        this.#type = type;
+        this.#productId = productId;
+        this.#message = message.trim();
+    }
+
+    /**
+     * Gets all discrepancy types.
+     * @returns {string[]} The types.
+     */
+    static get types() {
+        return Object.values(InvoiceDiscrepancy.#TYPES);
+    }
+
+    /**
+     * Creates a discrepancy for an invoice addressed by another supplier than the one of the order.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static supplierMismatch(message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.SUPPLIER_MISMATCH, message});
+    }
+
+    /**
+     * Creates a discrepancy for an invoice in another currency than the order.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static currencyMismatch(message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.CURRENCY_MISMATCH, message});
+    }
+
+    /**
+     * Creates a discrepancy for an invoice of an order that was never approved or was cancelled.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static orderNotApproved(message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.ORDER_NOT_APPROVED, message});
+    }
+
+    /**
+     * Creates a discrepancy for a product the order has no line for.
+     * @param {ProductId} productId - The product.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static productNotOrdered(productId, message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.PRODUCT_NOT_ORDERED, productId, message});
+    }
+
+    /**
+     * Creates a discrepancy for more units invoiced than ordered, beyond the tolerance.
+     * @param {ProductId} productId - The product.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static quantityOverOrdered(productId, message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.QUANTITY_OVER_ORDERED, productId, message});
+    }
+
+    /**
+     * Creates a discrepancy for more units invoiced than received on a line that expects no more deliveries.
+     * @param {ProductId} productId - The product.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static quantityOverReceived(productId, message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.QUANTITY_OVER_RECEIVED, productId, message});
+    }
+
+    /**
+     * Creates a discrepancy for units invoiced that are still expected; it holds the invoice instead of disputing it.
+     * @param {ProductId} productId - The product.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static quantityNotReceived(productId, message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.QUANTITY_NOT_RECEIVED, productId, message});
+    }
+
+    /**
+     * Creates a discrepancy for a unit price that differs from the ordered one beyond the tolerance.
+     * @param {ProductId} productId - The product.
+     * @param {string} message - What differs.
+     * @returns {InvoiceDiscrepancy} The discrepancy.
+     */
+    static unitPriceMismatch(productId, message) {
+        return new InvoiceDiscrepancy({type: InvoiceDiscrepancy.#TYPES.UNIT_PRICE_MISMATCH, productId, message});
+    }
+
+    /**
+     * Gets the kind of discrepancy.
+     * @returns {string} The type.
+     */
+    get type() {
+        return this.#type;
+    }
+
+    /**
+     * Gets the product concerned.
+     * @returns {ProductId|null} The product ID, or null for the invoice as a whole.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets what differs.
+     * @returns {string} The message.
+     */
+    get message() {
+        return this.#message;
+    }
+
+    /**
+     * Checks whether the discrepancy only holds the invoice until goods are received, rather than disputing it.
+     * @returns {boolean} True for a holding discrepancy.
+     */
+    get isHold() {
+        return this.#type === InvoiceDiscrepancy.#TYPES.QUANTITY_NOT_RECEIVED;
+    }
+
+    /**
+     * Returns the JSON representation of the discrepancy.
+     * @returns {Object} The discrepancy snapshot.
+     */
+    toJSON() {
+        return {type: this.#type, productId: this.#productId?.toJSON() ?? null, message: this.#message};
+    }
+
+    /**
+     * Restores an InvoiceDiscrepancy from its JSON representation.
+     * @param {Object} json - The discrepancy snapshot, as produced by {@link InvoiceDiscrepancy#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {InvoiceDiscrepancy} The restored discrepancy.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'InvoiceDiscrepancy');
+        return new InvoiceDiscrepancy({
+            type: json.type,
+            productId: json.productId == null ? null : restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            message: json.message
+        });
+    }
+}
@@ -0,0 +1,93 @@
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object representing what a supplier invoices for one product: a quantity at a unit price.
+ */
+export class InvoiceLine {
+    static #MAX_QUANTITY = 1_000_000;
+    #productId
+    #quantity
+    #unitPrice
+
+    /**
+     * Creates a new InvoiceLine instance.
+     * @param {Object} params
+     * @param {ProductId} params.productId - The product invoiced.
+     * @param {number} params.quantity - The number of units invoiced (positive integer).
+     * @param {Money} params.unitPrice - The price invoiced for one unit.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({productId, quantity, unitPrice}) {
+        if (!(productId instanceof ProductId))
+            throw new ValidationError('Product ID must be an instance of ProductId', 'productId');
+        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > InvoiceLine.#MAX_QUANTITY)
+            throw new ValidationError(`Quantity must be a positive integer not exceeding ${InvoiceLine.#MAX_QUANTITY}`, 'quantity');
+        if (!(unitPrice instanceof Money))
+            throw new ValidationError('Unit price must be an instance of Money', 'unitPrice');
+        this.#productId = productId;
+        this.#quantity = quantity;
+        this.#unitPrice = unitPrice;
+    }
+
+    /**
+     * Gets the product ID.
+     * @returns {ProductId} The product ID.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets the number of units invoiced.
+     * @returns {number} The quantity.
+     */
+    get quantity() {
+        return this.#quantity;
+    }
+
+    /**
+     * Gets the price invoiced for one unit.
+     * @returns {Money} The unit price.
+     */
+    get unitPrice() {
+        return this.#unitPrice;
+    }
+
+    /**
+     * Gets the amount invoiced for the line.
+     * @returns {Money} The unit price times the quantity.
+     */
+    get lineTotal() {
+        return this.#unitPrice.multiply(this.#quantity);
+    }
+
+    /**
+     * Returns the JSON representation of the line.
+     * @returns {Object} The line snapshot.
+     */
+    toJSON() {
+        return {
+            productId: this.#productId.toJSON(),
+            quantity: this.#quantity,
+            unitPrice: this.#unitPrice.toJSON()
+        };
+    }
+
+    /**
+     * Restores an InvoiceLine from its JSON representation.
+     * @param {Object} json - The line snapshot, as produced by {@link InvoiceLine#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {InvoiceLine} The restored line.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'InvoiceLine');
+        return new InvoiceLine({
+            productId: restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            quantity: json.quantity,
+            unitPrice: restoreField('unitPrice', () => Money.fromJSON(json.unitPrice))
+        });
+    }
+}
@@ -0,0 +1,117 @@
+import {InvalidStateError, ValidationError} from "../../../shared/domain/model/errors.js";
+
+/**
+ * Value Object representing the status of an Invoice.
+ * Valid statuses are: Pending (registered, not matched yet), Matched (agrees with the order and the receipts, so it
+ * can be paid), OnHold (invoices goods that are still expected) and Disputed (disagrees with the order).
+ * Allowed transitions: Pending, OnHold or Disputed → Matched | OnHold | Disputed, as the outcome of a match.
+ * Matched is final.
+ */
+export class InvoiceStatus {
+    static #VALID_STATUSES = {
+        PENDING: 'Pending',
+        MATCHED: 'Matched',
+        ON_HOLD: 'OnHold',
+        DISPUTED: 'Disputed',
+    }
+    static #TRANSITIONS = {
+        Pending: ['Matched', 'OnHold', 'Disputed'],
+        OnHold: ['Matched', 'OnHold', 'Disputed'],
+        Disputed: ['Matched', 'OnHold', 'Disputed'],
+        Matched: [],
+    }
+    #value;
+
+    /**
+     * Creates a new InvoiceStatus.
+     * Defaults to 'Pending' if no value is provided.
+     * @param {string} value - The status value.
+     * @throws {ValidationError} If the provided status is invalid.
+     */
+    constructor(value = InvoiceStatus.#VALID_STATUSES.PENDING) {
+        if (!Object.values(InvoiceStatus.#VALID_STATUSES).includes(value))
+            throw new ValidationError(`Invalid invoice status: ${value}. Valid statuses are: ${Object.values(InvoiceStatus.#VALID_STATUSES).join(', ')}`);
+        this.#value = value;
+    }
+
+    /**
+     * Gets all valid status values.
+     * @returns {string[]} The valid status values.
+     */
+    static get values() {
+        return Object.values(InvoiceStatus.#VALID_STATUSES);
+    }
+
+    /**
+     * Gets the current status value.
+     * @returns {string} The current status.
+     */
+    get value() {
+        return this.#value;
+    }
+
+    /**
+     * Transitions this status to the target status, as permitted by the transition table.
+     * @param {string} target - The target status value.
+     * @throws {InvalidStateError} If the transition is not allowed.
+     * @returns {InvoiceStatus} The new status.
+     */
+    transitionTo(target) {
+        if (!InvoiceStatus.#TRANSITIONS[this.#value].includes(target))
+            throw new InvalidStateError(this.#value === InvoiceStatus.#VALID_STATUSES.MATCHED
+                ? 'Cannot change the status of a matched invoice'
+                : `Cannot change invoice status from ${this.#value} to ${target}`);
+        return new InvoiceStatus(target);
+    }
+
+    /**
+     * Checks if the current status is 'Pending'.
+     * @returns {boolean} True if the invoice was not matched yet.
+     */
+    isPending() {
+        return this.#value === InvoiceStatus.#VALID_STATUSES.PENDING;
+    }
+
+    /**
+     * Checks if the current status is 'Matched'.
+     * @returns {boolean} True if the invoice can be paid.
+     */
+    isMatched() {
+        return this.#value === InvoiceStatus.#VALID_STATUSES.MATCHED;
+    }
+
+    /**
+     * Checks if the current status is 'OnHold'.
+     * @returns {boolean} True if the invoice waits for goods to be received.
+     */
+    isOnHold() {
+        return this.#value === InvoiceStatus.#VALID_STATUSES.ON_HOLD;
+    }
+
+    /**
+     * Returns the JSON representation of the status.
+     * @returns {string} The status value.
+     */
+    toJSON() {
+        return this.#value;
+    }
+
+    /**
+     * Restores an InvoiceStatus from its JSON representation.
+     * @param {string} json - The status value.
+     * @throws {ValidationError} If the value is not a valid status.
+     * @returns {InvoiceStatus} The restored status.
+     */
+    static fromJSON(json) {
+        return new InvoiceStatus(json);
+    }
+
+    /**
+     * Verifies equality with another InvoiceStatus.
+     * @param {InvoiceStatus} other - The other status to compare with.
+     * @returns {boolean} True if both statuses are equal, false otherwise.
+     */
+    equals(other) {
+        return other instanceof InvoiceStatus && this.#value === other.#value;
+    }
+}
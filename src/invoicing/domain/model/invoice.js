@@ -0,0 +1,325 @@
+import {InvalidStateError, ValidationError} from "../../../shared/domain/model/errors.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {Currency} from "../../../shared/domain/model/currency.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {generateUUID} from "../../../shared/domain/model/uuid.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {InvoiceLine} from "./invoice-line.js";
+import {InvoiceStatus} from "./invoice-status.js";
+import {InvoiceDiscrepancy} from "./invoice-discrepancy.js";
+
+/**
+ * Aggregate representing an invoice a supplier sent for a purchase order.
+ * Its lines are entered while it is Pending; matching it against the order and the goods received then records
+ * the discrepancies found and decides its status: Matched without discrepancies, OnHold when the only discrepancies
+ * are goods not received yet, Disputed otherwise. An invoice that is not matched can be matched again,
+ * e.g. once the goods arrive.
+ * @class
+ * @property {string} id - Unique identifier for the invoice.
+ * @property {string} invoiceNumber - The number the supplier gave the invoice.
+ * @property {SupplierId} supplierId - The supplier that sent the invoice.
+ * @property {string} purchaseOrderId - The purchase order invoiced.
+ * @property {Currency} currency - The currency of the invoice.
+ * @property {DateTime} invoiceDate - The date of the invoice.
+ * @property {InvoiceLine[]} lines - What is invoiced, one line per product.
+ * @property {InvoiceStatus} status - The outcome of the last match, or Pending.
+ * @property {InvoiceDiscrepancy[]} discrepancies - The discrepancies found by the last match.
+ * @property {DateTime|null} matchedOn - When the invoice was last matched, or null if never.
+ */
+export class Invoice {
+    static #MAX_LINES = 100;
+    #id
+    #invoiceNumber
+    #supplierId
+    #purchaseOrderId
+    #currency
+    #invoiceDate
+    #lines
+    #status
+    #discrepancies
+    #matchedOn
+
+    /**
+     * Creates a new Invoice instance.
+     * @param {Object} params
+     * @param {string} [params.id] - Identifier of the invoice; generated if not provided.
+     * @param {string} params.invoiceNumber - The number the supplier gave the invoice (1-50 characters).
+     * @param {SupplierId} params.supplierId - The supplier that sent the invoice.
+     * @param {string} params.purchaseOrderId - The purchase order invoiced.
+     * @param {Currency} params.currency - The currency of the invoice.
+     * @param {DateTime} [params.invoiceDate] - The date of the invoice; defaults to now.
+     * @param {InvoiceLine[]} [params.lines] - What is invoiced; defaults to nothing yet.
+     * @param {InvoiceStatus} [params.status] - The status; defaults to Pending.
+     * @param {InvoiceDiscrepancy[]} [params.discrepancies] - The discrepancies found by the last match.
+     * @param {DateTime|null} [params.matchedOn] - When the invoice was last matched.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({id = generateUUID(), invoiceNumber, supplierId, purchaseOrderId, currency, invoiceDate = new DateTime(),
+                    lines = [], status = new InvoiceStatus(), discrepancies = [], matchedOn = null}) {
+        if (typeof id !== 'string' || !id)
+            throw new ValidationError('ID must be a non-empty string', 'id');
+        if (typeof invoiceNumber !== 'string' || !invoiceNumber.trim() || invoiceNumber.trim().length > 50)
+            throw new ValidationError('Invoice number must be between 1 and 50 characters', 'invoiceNumber');
+        if (!(supplierId instanceof SupplierId))
+            throw new ValidationError('Supplier ID must be an instance of SupplierId', 'supplierId');
+        if (typeof purchaseOrderId !== 'string' || !purchaseOrderId)
+            throw new ValidationError('Purchase order ID must be a non-empty string', 'purchaseOrderId');
+        if (!(currency instanceof Currency))
+            throw new ValidationError('Currency must be an instance of Currency', 'currency');
+        if (!(invoiceDate instanceof DateTime))
+            throw new ValidationError('Invoice date must be an instance of DateTime', 'invoiceDate');
+        if (!Array.isArray(lines) || lines.some(line => !(line instanceof InvoiceLine)))
+            throw new ValidationError('Lines must be an array of InvoiceLine instances', 'lines');
+        if (!(status instanceof InvoiceStatus))
+            throw new ValidationError('Status must be an instance of InvoiceStatus', 'status');
+        if (!Array.isArray(discrepancies) || discrepancies.some(discrepancy => !(discrepancy instanceof InvoiceDiscrepancy)))
+            throw new ValidationError('Discrepancies must be an array of InvoiceDiscrepancy instances', 'discrepancies');
+        if (matchedOn !== null && !(matchedOn instanceof DateTime))
+            throw new ValidationError('Matched on must be an instance of DateTime or null', 'matchedOn');
+        this.#id = id;
+        this.#invoiceNumber = invoiceNumber.trim();
+        this.#supplierId = supplierId;
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#currency = currency;
+        this.#invoiceDate = invoiceDate;
+        this.#lines = [];
+        lines.forEach(line => this.#add(line));
+        this.#status = status;
+        this.#discrepancies = [...discrepancies];
+        this.#matchedOn = matchedOn;
+    }
+
+    /**
+     * Adds a line to a pending invoice.
+     * @param {InvoiceLine} line - The line.
+     * @throws {InvalidStateError} If the invoice was already matched.
+     * @throws {ValidationError} If the line is not in the invoice currency, its product already has a line,
+     * or the invoice has the maximum number of lines.
+     */
+    addLine(line) {
+        this.#assertPending('add lines to');
+        if (!(line instanceof InvoiceLine))
+            throw new ValidationError('Line must be an instance of InvoiceLine');
+        this.#add(line);
+    }
+
+    /**
+     * Removes the line of a product from a pending invoice.
+     * @param {ProductId} productId - The product.
+     * @throws {InvalidStateError} If the invoice was already matched.
+     * @throws {ValidationError} If the invoice has no line for the product.
+     */
+    removeLine(productId) {
+        this.#assertPending('remove lines from');
+        const line = this.lineFor(productId);
+        if (!line)
+            throw new ValidationError(`Invoice ${this.#invoiceNumber} has no line for product ${productId?.value ?? productId}`, 'productId');
+        this.#lines = this.#lines.filter(current => current !== line);
+    }
+
+    /**
+     * Records the outcome of matching the invoice against its purchase order and receipts.
+     * @param {InvoiceDiscrepancy[]} discrepancies - The discrepancies found; none if the invoice agrees.
+     * @param {DateTime} [matchedOn] - When the invoice was matched; defaults to now.
+     * @throws {InvalidStateError} If the invoice has no lines or is already matched.
+     * @throws {ValidationError} If the discrepancies or the date are invalid.
+     */
+    recordMatch(discrepancies, matchedOn = new DateTime()) {
+        if (!Array.isArray(discrepancies) || discrepancies.some(discrepancy => !(discrepancy instanceof InvoiceDiscrepancy)))
+            throw new ValidationError('Discrepancies must be an array of InvoiceDiscrepancy instances', 'discrepancies');
+        if (!(matchedOn instanceof DateTime))
+            throw new ValidationError('Matched on must be an instance of DateTime', 'matchedOn');
+        if (this.#lines.length === 0)
+            throw new InvalidStateError(`Cannot match invoice ${this.#invoiceNumber}: it has no lines`);
+        const outcome = discrepancies.some(discrepancy => !discrepancy.isHold) ? 'Disputed'
+            : discrepancies.length > 0 ? 'OnHold' : 'Matched';
+        this.#status = this.#status.transitionTo(outcome);
+        this.#discrepancies = [...discrepancies];
+        this.#matchedOn = matchedOn;
+    }
+
+    /**
+     * Finds the line of a product.
+     * @param {ProductId} productId - The product.
+     * @returns {InvoiceLine|null} The line, or null if the product is not invoiced.
+     */
+    lineFor(productId) {
+        return this.#lines.find(line => line.productId.equals(productId)) ?? null;
+    }
+
+    /**
+     * Calculates the amount invoiced.
+     * @returns {Money} The sum of the line totals, in the invoice currency.
+     */
+    calculateTotal() {
+        return this.#lines.reduce((total, line) => total.add(line.lineTotal), Money.zero(this.#currency));
+    }
+
+    /**
+     * Adds a line, checking its currency and that its product has no line yet.
+     * @param {InvoiceLine} line - The line.
+     * @throws {ValidationError} If the line cannot be added.
+     */
+    #add(line) {
+        if (!line.unitPrice.currency.equals(this.#currency))
+            throw new ValidationError(`Unit price must be in the invoice currency ${this.#currency.code}`, 'unitPrice');
+        if (this.lineFor(line.productId))
+            throw new ValidationError(`Invoice already has a line for product ${line.productId.value}; remove it first`, 'productId');
+        if (this.#lines.length >= Invoice.#MAX_LINES)
+            throw new ValidationError(`An invoice cannot have more than ${Invoice.#MAX_LINES} lines`);
+        this.#lines.push(line);
+    }
+
+    /**
+     * Ensures the lines of the invoice can still be changed.
+     * @param {string} action - The attempted action, used in the error message.
+     * @throws {InvalidStateError} If the invoice is not Pending.
+     */
+    #assertPending(action) {
+        if (!this.#status.isPending())
+            throw new InvalidStateError(`Cannot ${action} invoice ${this.#invoiceNumber}: it was already matched (${this.#status.value})`);
+    }
+
+    /**
+     * Gets the unique identifier of the invoice.
+     * @returns {string} The invoice ID.
+     */
+    get id() {
+        return this.#id;
+    }
+
+    /**
+     * Gets the number the supplier gave the invoice.
+     * @returns {string} The invoice number.
+     */
+    get invoiceNumber() {
+        return this.#invoiceNumber;
+    }
+
+    /**
+     * Gets the supplier that sent the invoice.
+     * @returns {SupplierId} The supplier ID.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the purchase order invoiced.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the currency of the invoice.
+     * @returns {Currency} The currency.
+     */
+    get currency() {
+        return this.#currency;
+    }
+
+    /**
+     * Gets the date of the invoice.
+     * @returns {DateTime} The invoice date.
+     */
+    get invoiceDate() {
+        return this.#invoiceDate;
+    }
+
+    /**
+     * Gets what is invoiced.
+     * @returns {InvoiceLine[]} A copy of the lines.
+     */
+    get lines() {
+        return [...this.#lines];
+    }
+
+    /**
+     * Gets the status value.
+     * @returns {string} The status, e.g. "Disputed".
+     */
+    get status() {
+        return this.#status.value;
+    }
+
+    /**
+     * Checks whether the invoice agrees with its order and receipts, so it can be paid.
+     * @returns {boolean} True if the invoice is Matched.
+     */
+    get isMatched() {
+        return this.#status.isMatched();
+    }
+
+    /**
+     * Checks whether the invoice waits for goods to be received.
+     * @returns {boolean} True if the invoice is OnHold.
+     */
+    get isOnHold() {
+        return this.#status.isOnHold();
+    }
+
+    /**
+     * Gets the discrepancies found by the last match.
+     * @returns {InvoiceDiscrepancy[]} A copy of the discrepancies.
+     */
+    get discrepancies() {
+        return [...this.#discrepancies];
+    }
+
+    /**
+     * Gets when the invoice was last matched.
+     * @returns {DateTime|null} The match date, or null if never matched.
+     */
+    get matchedOn() {
+        return this.#matchedOn;
+    }
+
+    /**
+     * Returns the JSON representation of the invoice.
+     * @returns {Object} The invoice snapshot.
+     */
+    toJSON() {
+        return {
+            id: this.#id,
+            invoiceNumber: this.#invoiceNumber,
+            supplierId: this.#supplierId.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            currency: this.#currency.toJSON(),
+            invoiceDate: this.#invoiceDate.toJSON(),
+            lines: this.#lines.map(line => line.toJSON()),
+            status: this.#status.toJSON(),
+            discrepancies: this.#discrepancies.map(discrepancy => discrepancy.toJSON()),
+            matchedOn: this.#matchedOn?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores an Invoice from its JSON representation.
+     * @param {Object} json - The invoice snapshot, as produced by {@link Invoice#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {Invoice} The restored invoice.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'Invoice');
+        const restoreArray = (field, restore) => restoreField(field, () => {
+            if (!Array.isArray(json[field]))
+                throw new ValidationError(`${field} must be an array`);
+            return json[field].map((element, index) => restoreField(`[${index}]`, () => restore(element)));
+        });
+        return new Invoice({
+            id: json.id,
+            invoiceNumber: json.invoiceNumber,
+            supplierId: restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            purchaseOrderId: json.purchaseOrderId,
+            currency: restoreField('currency', () => Currency.fromJSON(json.currency)),
+            invoiceDate: restoreField('invoiceDate', () => DateTime.fromJSON(json.invoiceDate)),
+            lines: restoreArray('lines', InvoiceLine.fromJSON),
+            status: restoreField('status', () => InvoiceStatus.fromJSON(json.status)),
+            discrepancies: restoreArray('discrepancies', InvoiceDiscrepancy.fromJSON),
+            matchedOn: json.matchedOn == null ? null : restoreField('matchedOn', () => DateTime.fromJSON(json.matchedOn))
+        });
+    }
+}
@@ -0,0 +1,94 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object holding how far an invoice may differ from its purchase order and receipts before the difference
+ * counts as a discrepancy: invoiced quantities may exceed the ordered and received ones by quantityPercent,
+ * and invoiced unit prices may differ from the ordered ones by unitPricePercent, either way.
+ * Both default to 0, which requires an exact match.
+ */
+export class MatchTolerance {
+    #quantityPercent
+    #unitPricePercent
+
+    /**
+     * Creates a new MatchTolerance instance.
+     * @param {Object} [params]
+     * @param {number} [params.quantityPercent=0] - Tolerated excess quantity, as a percentage from 0 to 100.
+     * @param {number} [params.unitPricePercent=0] - Tolerated unit price difference, as a percentage from 0 to 100.
+     * @throws {ValidationError} If a percentage is out of range.
+     */
+    constructor({quantityPercent = 0, unitPricePercent = 0} = {}) {
+        for (const [field, value] of Object.entries({quantityPercent, unitPricePercent}))
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > 100)
+                throw new ValidationError('Tolerance must be a percentage from 0 to 100', field);
+        this.#quantityPercent = quantityPercent;
+        this.#unitPricePercent = unitPricePercent;
+    }
+
+    /**
+     * Gets an exact tolerance, under which any difference is a discrepancy.
+     * @returns {MatchTolerance} The tolerance.
+     */
+    static exact() {
+        return new MatchTolerance();
+    }
+
+    /**
+     * Gets the tolerated excess quantity.
+     * @returns {number} The percentage.
+     */
+    get quantityPercent() {
+        return this.#quantityPercent;
+    }
+
+    /**
+     * Gets the tolerated unit price difference.
+     * @returns {number} The percentage.
+     */
+    get unitPricePercent() {
+        return this.#unitPricePercent;
+    }
+
+    /**
+     * Checks whether an invoiced quantity is within tolerance of an expected one.
+     * Invoicing fewer units than expected is always accepted.
+     * @param {number} invoiced - The quantity invoiced.
+     * @param {number} expected - The quantity ordered or received.
+     * @returns {boolean} True if the quantity is acceptable.
+     */
+    allowsQuantity(invoiced, expected) {
+        return invoiced * 100 <= expected * (100 + this.#quantityPercent);
+    }
+
+    /**
+     * Checks whether an invoiced unit price is within tolerance of the ordered one.
+     * @param {Money} invoiced - The unit price invoiced.
+     * @param {Money} expected - The unit price ordered, in the same currency.
+     * @throws {ValidationError} If the currencies differ.
+     * @returns {boolean} True if the price is acceptable.
+     */
+    allowsUnitPrice(invoiced, expected) {
+        const difference = invoiced.greaterThan(expected) ? invoiced.subtract(expected) : expected.subtract(invoiced);
+        return !difference.greaterThan(expected.percentage(this.#unitPricePercent));
+    }
+
+    /**
+     * Returns the JSON representation of the tolerance.
+     * @returns {{quantityPercent: number, unitPricePercent: number}} The tolerance snapshot.
+     */
+    toJSON() {
+        return {quantityPercent: this.#quantityPercent, unitPricePercent: this.#unitPricePercent};
+    }
+
+    /**
+     * Restores a MatchTolerance from its JSON representation; missing percentages default to 0.
+     * @param {Object} json - The tolerance snapshot, as produced by {@link MatchTolerance#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {MatchTolerance} The restored tolerance.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'MatchTolerance');
+        return new MatchTolerance({quantityPercent: json.quantityPercent ?? 0, unitPricePercent: json.unitPricePercent ?? 0});
+    }
+}
@@ -0,0 +1,42 @@
+/**
+ * Repository contract for {@link Invoice} aggregates in the Invoicing bounded context.
+ * Concrete implementations live in the infrastructure layer and decide where aggregates are persisted.
+ * All methods are asynchronous so that in-memory and I/O-backed implementations are interchangeable.
+ * @interface
+ */
+export class InvoiceRepository {
+    /**
+     * Persists an invoice, inserting it or replacing a previously saved version with the same ID.
+     * @param {Invoice} invoice - The invoice to save.
+     * @returns {Promise<void>}
+     */
+    async save(invoice) {
+        throw new Error('InvoiceRepository.save() must be implemented');
+    }
+
+    /**
+     * Finds an invoice by its identifier.
+     * @param {string} id - The invoice ID.
+     * @returns {Promise<Invoice|null>} The invoice, or null if none was found.
+     */
+    async findById(id) {
+        throw new Error('InvoiceRepository.findById() must be implemented');
+    }
+
+    /**
+     * Finds all invoices referencing a purchase order.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @returns {Promise<Invoice[]>} The matching invoices.
+     */
+    async findByPurchaseOrderId(purchaseOrderId) {
+        throw new Error('InvoiceRepository.findByPurchaseOrderId() must be implemented');
+    }
+
+    /**
+     * Finds all stored invoices.
+     * @returns {Promise<Invoice[]>} All invoices.
+     */
+    async findAll() {
+        throw new Error('InvoiceRepository.findAll() must be implemented');
+    }
+}
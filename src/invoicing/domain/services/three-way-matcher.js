@@ -0,0 +1,104 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {InvoiceDiscrepancy} from "../model/invoice-discrepancy.js";
+import {MatchTolerance} from "../model/match-tolerance.js";
+
+/**
+ * Domain service matching an invoice three ways: against the purchase order it references (supplier, currency,
+ * ordered quantities and unit prices net of line discounts) and against the goods received for that order.
+ * Quantities already invoiced on other accepted invoices of the order count towards each line, so the same
+ * goods cannot be invoiced twice. Invoicing more than was received while the goods are still expected puts
+ * the invoice on hold instead of disputing it.
+ */
+export class ThreeWayMatcher {
+    static #UNAPPROVED_STATES = ['Draft', 'Submitted', 'Cancelled'];
+    static #ENDED_STATES = ['Completed', 'Cancelled'];
+    #tolerance
+
+    /**
+     * Creates a new ThreeWayMatcher instance.
+     * @param {MatchTolerance} [tolerance] - How far the invoice may differ; defaults to an exact match.
+     * @throws {ValidationError} If the tolerance is not a MatchTolerance.
+     */
+    constructor(tolerance = MatchTolerance.exact()) {
+        if (!(tolerance instanceof MatchTolerance))
+            throw new ValidationError('Tolerance must be an instance of MatchTolerance', 'tolerance');
+        this.#tolerance = tolerance;
+    }
+
+    /**
+     * Gets the tolerance the matcher applies.
+     * @returns {MatchTolerance} The tolerance.
+     */
+    get tolerance() {
+        return this.#tolerance;
+    }
+
+    /**
+     * Finds the discrepancies between an invoice, its purchase order and the goods received for it.
+     * @param {Object} params
+     * @param {Invoice} params.invoice - The invoice.
+     * @param {PurchaseOrder} params.purchaseOrder - The purchase order the invoice references.
+     * @param {Map<string, number>} [params.invoicedElsewhere] - Quantities per product ID already invoiced
+     * on other Matched or OnHold invoices of the order.
+     * @throws {ValidationError} If the invoice does not reference the purchase order.
+     * @returns {InvoiceDiscrepancy[]} The discrepancies, none if the invoice agrees.
+     */
+    match({invoice, purchaseOrder, invoicedElsewhere = new Map()}) {
+        if (invoice.purchaseOrderId !== purchaseOrder.id)
+            throw new ValidationError(`Invoice ${invoice.invoiceNumber} does not reference purchase order ${purchaseOrder.id}`, 'purchaseOrderId');
+        const discrepancies = [];
+        if (!invoice.supplierId.equals(purchaseOrder.supplierId))
+            discrepancies.push(InvoiceDiscrepancy.supplierMismatch(
+                `Invoiced by supplier ${invoice.supplierId.value} but ordered from ${purchaseOrder.supplierId.value}`));
+        if (!invoice.currency.equals(purchaseOrder.currency)) {
+            discrepancies.push(InvoiceDiscrepancy.currencyMismatch(
+                `Invoiced in ${invoice.currency.code} but ordered in ${purchaseOrder.currency.code}`));
+            return discrepancies;
+        }
+        if (ThreeWayMatcher.#UNAPPROVED_STATES.includes(purchaseOrder.state))
+            discrepancies.push(InvoiceDiscrepancy.orderNotApproved(
+                `Purchase order is ${purchaseOrder.state}; only approved orders can be invoiced`));
+        const orderEnded = ThreeWayMatcher.#ENDED_STATES.includes(purchaseOrder.state);
+        for (const line of invoice.lines) {
+            const item = purchaseOrder.items.find(current => current.productId.equals(line.productId));
+            if (!item) {
+                discrepancies.push(InvoiceDiscrepancy.productNotOrdered(line.productId,
+                    `Product ${line.productId.value} is not on the purchase order`));
+                continue;
+            }
+            discrepancies.push(...this.#matchLine(line, item, invoicedElsewhere.get(line.productId.value) ?? 0, orderEnded));
+        }
+        return discrepancies;
+    }
+
+    /**
+     * Matches an invoice line against the purchase order item of its product.
+     * @param {InvoiceLine} line - The invoice line.
+     * @param {PurchaseOrderItem} item - The purchase order item.
+     * @param {number} alreadyInvoiced - The quantity of the product invoiced on other invoices.
+     * @param {boolean} orderEnded - Whether no more goods are expected for the order.
+     * @returns {InvoiceDiscrepancy[]} The discrepancies of the line.
+     */
+    #matchLine(line, item, alreadyInvoiced, orderEnded) {
+        const discrepancies = [];
+        const invoiced = line.quantity + alreadyInvoiced;
+        const invoicedText = alreadyInvoiced > 0 ? `${invoiced} (${alreadyInvoiced} on other invoices)` : `${invoiced}`;
+        if (!this.#tolerance.allowsQuantity(invoiced, item.quantity))
+            discrepancies.push(InvoiceDiscrepancy.quantityOverOrdered(line.productId,
+                `Invoiced ${invoicedText} of product ${line.productId.value} but ordered ${item.quantity}`));
+        else if (!this.#tolerance.allowsQuantity(invoiced, item.receivedQuantity)) {
+            const awaitingGoods = !orderEnded && !item.isSettled && item.outstandingQuantity > 0;
+            const message = `Invoiced ${invoicedText} of product ${line.productId.value} but received ${item.receivedQuantity}`;
+            discrepancies.push(awaitingGoods
+                ? InvoiceDiscrepancy.quantityNotReceived(line.productId, `${message}; ${item.outstandingQuantity} still expected`)
+                : InvoiceDiscrepancy.quantityOverReceived(line.productId, message));
+        }
+        const netUnitPrice = item.calculateNetUnitPrice();
+        if (!this.#tolerance.allowsUnitPrice(line.unitPrice, netUnitPrice)) {
+            const ordered = item.discount ? `${netUnitPrice} (${item.unitPrice} before the line discount, ${item.discount})` : `${netUnitPrice}`;
+            discrepancies.push(InvoiceDiscrepancy.unitPriceMismatch(line.productId,
+                `Invoiced ${line.unitPrice.toString()} per unit of product ${line.productId.value} but ordered at ${ordered}`));
+        }
+        return discrepancies;
+    }
+}
@@ -0,0 +1,20 @@
+import {readFile} from "node:fs/promises";
+import {MatchTolerance} from "../../domain/model/match-tolerance.js";
+
+/**
+ * Loads the invoice match tolerance from a JSON file containing a {@link MatchTolerance} snapshot, e.g.
+ * {"quantityPercent": 5, "unitPricePercent": 2}.
+ * @param {string} filePath - Path of the tolerance file.
+ * @throws {ValidationError} If the file content is not a valid tolerance; the error names the field.
+ * @returns {Promise<MatchTolerance>} The loaded tolerance, or an exact match if the file does not exist.
+ */
+export async function loadMatchTolerance(filePath) {
+    let content;
+    try {
+        content = await readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return MatchTolerance.exact();
+        throw error;
+    }
+    return MatchTolerance.fromJSON(JSON.parse(content));
+}
@@ -0,0 +1,33 @@
+import {InvoiceRepository} from "../../domain/repositories/invoice-repository.js";
+import {Invoice} from "../../domain/model/invoice.js";
+
+/**
+ * In-memory implementation of {@link InvoiceRepository}.
+ * Invoices are kept as plain records and rebuilt on every read. Data is lost when the process exits.
+ */
+export class InMemoryInvoiceRepository extends InvoiceRepository {
+    #records = new Map()
+
+    /** @inheritDoc */
+    async save(invoice) {
+        this.#records.set(invoice.id, invoice.toJSON());
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const record = this.#records.get(id);
+        return record ? Invoice.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findByPurchaseOrderId(purchaseOrderId) {
+        return [...this.#records.values()]
+            .filter(record => record.purchaseOrderId === purchaseOrderId)
+            .map(record => Invoice.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return [...this.#records.values()].map(record => Invoice.fromJSON(record));
+    }
+}
@@ -0,0 +1,47 @@
+import {InvoiceRepository} from "../../domain/repositories/invoice-repository.js";
+import {JsonFileStore} from "../../../shared/infrastructure/persistence/json-file-store.js";
+import {Invoice} from "../../domain/model/invoice.js";
+
+/**
+ * JSON-file-backed implementation of {@link InvoiceRepository}.
+ * Invoices survive process restarts.
+ */
+export class JsonFileInvoiceRepository extends InvoiceRepository {
+    #store
+
+    /**
+     * Creates a new JsonFileInvoiceRepository instance.
+     * @param {string} filePath - Path of the JSON file holding the invoices.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /** @inheritDoc */
+    async save(invoice) {
+        await this.#store.update(records => {
+            records[invoice.id] = invoice.toJSON();
+        });
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, id) ? Invoice.fromJSON(records[id]) : null;
+    }
+
+    /** @inheritDoc */
+    async findByPurchaseOrderId(purchaseOrderId) {
+        const records = await this.#store.readAll();
+        return Object.values(records)
+            .filter(record => record.purchaseOrderId === purchaseOrderId)
+            .map(record => Invoice.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        const records = await this.#store.readAll();
+        return Object.values(records).map(record => Invoice.fromJSON(record));
+    }
+}
@@ -0,0 +1,404 @@
+import {InvalidStateError, NotFoundError, ValidationError} from "../../shared/domain/model/errors.js";
+import {restoreField} from "../../shared/domain/model/snapshot.js";
+import {PurchaseOrder} from "../domain/model/purchase-order.js";
+import {ApprovalPolicy} from "../domain/model/approval-policy.js";
+
+/**
+ * Application service handling purchase order commands.
+ * Each command loads the aggregate, applies the change, saves it and then publishes the domain events it recorded.
+ */
+export class PurchaseOrderCommandService {
+    static #IMPORTABLE_STATES = ['Draft', 'Submitted', 'Approved', 'Shipped', 'Completed', 'Cancelled'];
+    #purchaseOrderRepository
+    #supplierRepository
+    #productCatalogProvider
+    #approvalPolicy
+    #exchangeRateProvider
+    #auditTrail
+    #eventBus
+
+    /**
+     * Creates a new PurchaseOrderCommandService instance.
+     * @param {Object} params
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository where purchase orders are stored.
+     * @param {SupplierRepository} params.supplierRepository - Repository used to check that suppliers may receive orders.
+     * @param {ProductCatalogProvider|null} [params.productCatalogProvider] - Provides the catalog items are checked
+     * and priced against; without it, items are added as given.
+     * @param {ApprovalPolicy} [params.approvalPolicy] - Decides who must approve submitted orders;
+     * defaults to a single approver of any role.
+     * @param {ExchangeRateProvider|null} [params.exchangeRateProvider] - Rates used to compare order totals
+     * with approval limits in other currencies.
+     * @param {AuditTrailService|null} [params.auditTrail] - Records every change with before and after snapshots.
+     * @param {InProcessEventBus} params.eventBus - Bus used to publish domain events after each save.
+     */
+    constructor({purchaseOrderRepository, supplierRepository, productCatalogProvider = null,
+                    approvalPolicy = ApprovalPolicy.singleApprover(), exchangeRateProvider = null, auditTrail = null,
+                    eventBus}) {
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#supplierRepository = supplierRepository;
+        this.#productCatalogProvider = productCatalogProvider;
+        this.#approvalPolicy = approvalPolicy;
+        this.#exchangeRateProvider = exchangeRateProvider;
+        this.#auditTrail = auditTrail;
+        this.#eventBus = eventBus;
+    }
+
+    /**
+     * Opens a new draft purchase order for an active supplier, optionally with its first items, which are
+     * checked and priced against the supplier's catalog like {@link PurchaseOrderCommandService#addItem}.
+     * @param {Object} params
+     * @param {SupplierId} params.supplierId - Identifier of the supplier.
+     * @param {Currency} params.currency - Currency for the purchase order.
+     * @param {DateTime} [params.orderDate] - Date of the order; defaults to now.
+     * @param {Object[]} [params.items] - The items, as accepted by {@link PurchaseOrder#addItem}; none by default.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @throws {ValidationError} If the supplier is not active, the parameters are invalid or an item cannot be added
+     * (the error names the item, e.g. "items[2].quantity").
+     * @returns {Promise<PurchaseOrder>} The new purchase order.
+     */
+    async open({supplierId, currency, orderDate, items = []}) {
+        if (!Array.isArray(items))
+            throw new ValidationError('Items must be an array', 'items');
+        await this.#assertSupplierActive(supplierId);
+        const purchaseOrder = new PurchaseOrder({supplierId, currency, orderDate});
+        if (items.length > 0) {
+            const catalog = await this.#productCatalogProvider?.forSupplier(supplierId);
+            items.forEach((item, index) => restoreField(`items[${index}]`, () => purchaseOrder.addItem(item, {catalog})));
+        }
+        await this.#saveAndPublish(purchaseOrder, 'open', null);
+        return purchaseOrder;
+    }
+
+    /**
+     * Imports a purchase order kept elsewhere, e.g. in a spreadsheet. The order is opened on its original date,
+     * its items are added and it is taken through the lifecycle to the state it had, with the approval and
+     * the delivery of every unit recorded on the order date. It is then saved, audited and published as a single
+     * change, unless this is a dry run, which validates the order without saving it.
+     * Partially received orders cannot be imported, as the deliveries are not known.
+     * @param {Object} params
+     * @param {SupplierId} params.supplierId - Identifier of an active supplier.
+     * @param {Currency} params.currency - Currency of the order.
+     * @param {DateTime} [params.orderDate] - Date of the order; defaults to now.
+     * @param {Object[]} params.items - The items, as accepted by {@link PurchaseOrder#addItem}.
+     * @param {string} [params.state='Draft'] - Draft, Submitted, Approved, Shipped, Completed or Cancelled.
+     * @param {string|null} [params.approverId] - Who approved the order; required from Approved on, unless
+     * the approval policy needs no approvers for it.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Whether to validate the order only.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @throws {ValidationError} If the supplier is not active, the order or an item is invalid (the error names
+     * the item, e.g. "items[2].quantity"), or the state cannot be reached with one approval.
+     * @returns {Promise<PurchaseOrder>} The imported purchase order.
+     */
+    async importOrder({supplierId, currency, orderDate, items, state = 'Draft', approverId = null}, {dryRun = false} = {}) {
+        if (!PurchaseOrderCommandService.#IMPORTABLE_STATES.includes(state))
+            throw new ValidationError(`Cannot import a purchase order in state ${state}. `
+                + `Importable states are: ${PurchaseOrderCommandService.#IMPORTABLE_STATES.join(', ')}`, 'state');
+        if (!Array.isArray(items))
+            throw new ValidationError('Items must be an array', 'items');
+        await this.#assertSupplierActive(supplierId);
+        const purchaseOrder = new PurchaseOrder({supplierId, currency, orderDate});
+        const catalog = await this.#productCatalogProvider?.forSupplier(supplierId);
+        items.forEach((item, index) => restoreField(`items[${index}]`, () => purchaseOrder.addItem(item, {catalog})));
+        if (state === 'Cancelled')
+            purchaseOrder.cancel();
+        else if (state !== 'Draft')
+            this.#advanceImportedOrder(purchaseOrder, state, approverId);
+        if (!dryRun)
+            await this.#saveAndPublish(purchaseOrder, 'import', null);
+        return purchaseOrder;
+    }
+
+    /**
+     * Takes an imported draft order through submission, approval, shipping and delivery until it reaches a state.
+     * The delivery of a Completed order is marked as imported, so it neither adds to stock nor rematches invoices.
+     * @param {PurchaseOrder} purchaseOrder - The imported order, in Draft state.
+     * @param {string} state - The state to reach: Submitted, Approved, Shipped or Completed.
+     * @param {string|null} approverId - Who approved the order.
+     * @throws {ValidationError} If a transition fails or the approval policy needs more than one approval.
+     */
+    #advanceImportedOrder(purchaseOrder, state, approverId) {
+        purchaseOrder.submit(this.#approvalOptions());
+        if (state === 'Submitted') return;
+        if (purchaseOrder.state !== 'Approved') {
+            if (!approverId)
+                throw new ValidationError(`An approver is required to import a purchase order in state ${state}`, 'approverId');
+            purchaseOrder.approve({approverId, approvedOn: purchaseOrder.orderDate}, this.#approvalOptions());
+            if (purchaseOrder.state !== 'Approved')
+                throw new ValidationError('The approval policy requires more than one approval for this order; '
+                    + 'import it as Submitted and record the approvals instead', 'approverId');
+        }
+        if (state === 'Approved') return;
+        purchaseOrder.ship({shippedOn: purchaseOrder.orderDate});
+        if (state === 'Shipped') return;
+        purchaseOrder.receiveGoods({
+            receivedOn: purchaseOrder.orderDate,
+            lines: purchaseOrder.items.map(item => ({productId: item.productId, receivedQuantity: item.quantity})),
+            imported: true
+        });
+    }
+
+    /**
+     * Adds an item to a draft purchase order, checked and priced against the supplier's catalog if one is configured.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {Object} item - The item, as accepted by {@link PurchaseOrder#addItem}.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the item cannot be added.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async addItem(purchaseOrderId, item) {
+        return this.#execute(purchaseOrderId, 'addItem', async purchaseOrder => purchaseOrder.addItem(item, {
+            catalog: await this.#productCatalogProvider?.forSupplier(purchaseOrder.supplierId)
+        }));
+    }
+
+    /**
+     * Changes the quantity of an item of a draft purchase order.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {ProductId} productId - The product whose item changes.
+     * @param {number} quantity - The new quantity.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the item cannot be changed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async updateItemQuantity(purchaseOrderId, productId, quantity) {
+        return this.#execute(purchaseOrderId, 'updateItemQuantity',
+            purchaseOrder => purchaseOrder.updateItemQuantity(productId, quantity));
+    }
+
+    /**
+     * Changes the unit price of an item of a draft purchase order.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {ProductId} productId - The product whose item changes.
+     * @param {number} unitPrice - The new unit price, in the order currency.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the item cannot be changed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async updateItemPrice(purchaseOrderId, productId, unitPrice) {
+        return this.#execute(purchaseOrderId, 'updateItemPrice',
+            purchaseOrder => purchaseOrder.updateItemPrice(productId, unitPrice));
+    }
+
+    /**
+     * Changes the quantity and the unit price of an item of a draft purchase order in a single change.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {ProductId} productId - The product whose item changes.
+     * @param {Object} changes
+     * @param {number} [changes.quantity] - The new quantity; unchanged if omitted.
+     * @param {number} [changes.unitPrice] - The new unit price, in the order currency; unchanged if omitted.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the item cannot be changed; then neither value changes.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async updateItem(purchaseOrderId, productId, changes) {
+        return this.#execute(purchaseOrderId, 'updateItem',
+            purchaseOrder => purchaseOrder.updateItem(productId, changes));
+    }
+
+    /**
+     * Removes the item for a product from a draft purchase order.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {ProductId} productId - The product whose item is removed.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the item cannot be removed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async removeItem(purchaseOrderId, productId) {
+        return this.#execute(purchaseOrderId, 'removeItem', purchaseOrder => purchaseOrder.removeItem(productId));
+    }
+
+    /**
+     * Submits a draft purchase order for approval; it is approved straight away if the approval policy needs no approvers.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the purchase order is empty, the transition is not allowed or no approval rule applies.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async submit(purchaseOrderId) {
+        return this.#execute(purchaseOrderId, 'submit', purchaseOrder => purchaseOrder.submit(this.#approvalOptions()));
+    }
+
+    /**
+     * Rejects a submitted purchase order, returning it to draft.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {string} reason - Why the purchase order is rejected.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the reason is empty or the transition is not allowed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async reject(purchaseOrderId, reason) {
+        return this.#execute(purchaseOrderId, 'reject', purchaseOrder => purchaseOrder.reject(reason));
+    }
+
+    /**
+     * Records an approval of a submitted purchase order, which is approved once the approval policy is satisfied.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {Object} approval - The approval, as accepted by {@link PurchaseOrder#approve}.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the order is not submitted or the approval does not satisfy the policy.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async approve(purchaseOrderId, approval) {
+        return this.#execute(purchaseOrderId, 'approve',
+            purchaseOrder => purchaseOrder.approve(approval, this.#approvalOptions()));
+    }
+
+    /**
+     * Finds the approval rule that applies to a purchase order, e.g. to show who still has to approve it.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order.
+     * @throws {ValidationError} If no rule applies or the total cannot be converted.
+     * @returns {ApprovalRule} The rule that applies.
+     */
+    approvalRuleFor(purchaseOrder) {
+        return purchaseOrder.approvalRule(this.#approvalOptions());
+    }
+
+    /**
+     * Builds the approval options passed to the aggregate.
+     * @returns {{policy: ApprovalPolicy, rates: ExchangeRateProvider|undefined}} The approval policy and rates.
+     */
+    #approvalOptions() {
+        return {policy: this.#approvalPolicy, rates: this.#exchangeRateProvider ?? undefined};
+    }
+
+    /**
+     * Marks a purchase order as shipped.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {Object} [shipment] - The shipment, as accepted by {@link PurchaseOrder#ship}.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the transition is not allowed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async ship(purchaseOrderId, shipment = {}) {
+        return this.#execute(purchaseOrderId, 'ship', purchaseOrder => purchaseOrder.ship(shipment));
+    }
+
+    /**
+     * Sets or clears the requested and promised delivery dates of a purchase order or of one of its lines,
+     * see {@link PurchaseOrder#scheduleDelivery}.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {Object} schedule - The product, if any, and the dates, as accepted by {@link PurchaseOrder#scheduleDelivery}.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {InvalidStateError} If the purchase order is Completed or Cancelled.
+     * @throws {ValidationError} If the order has no line for the product or a date is invalid.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async scheduleDelivery(purchaseOrderId, schedule) {
+        return this.#execute(purchaseOrderId, 'scheduleDelivery', purchaseOrder => purchaseOrder.scheduleDelivery(schedule));
+    }
+
+    /**
+     * Records a delivery against a shipped purchase order, see {@link PurchaseOrder#receiveGoods}.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {Object} receipt - The delivery, as accepted by {@link PurchaseOrder#receiveGoods}.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the delivery cannot be recorded.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async receiveGoods(purchaseOrderId, receipt) {
+        return this.#execute(purchaseOrderId, 'receiveGoods', purchaseOrder => purchaseOrder.receiveGoods(receipt));
+    }
+
+    /**
+     * Closes a line of a shipped purchase order short.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {ProductId} productId - The product whose line is closed.
+     * @param {string} reason - Why the line is closed short.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the line cannot be closed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async closeLineShort(purchaseOrderId, productId, reason) {
+        return this.#execute(purchaseOrderId, 'closeLineShort',
+            purchaseOrder => purchaseOrder.closeLineShort(productId, reason));
+    }
+
+    /**
+     * Completes a purchase order, closing lines with units still outstanding short.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the transition is not allowed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async complete(purchaseOrderId) {
+        return this.#execute(purchaseOrderId, 'complete', purchaseOrder => purchaseOrder.complete());
+    }
+
+    /**
+     * Cancels a purchase order.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @throws {ValidationError} If the transition is not allowed.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async cancel(purchaseOrderId) {
+        return this.#execute(purchaseOrderId, 'cancel', purchaseOrder => purchaseOrder.cancel());
+    }
+
+    /**
+     * Checks that a supplier exists and may receive new purchase orders.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @throws {ValidationError} If the supplier is not active.
+     * @returns {Promise<void>}
+     */
+    async #assertSupplierActive(supplierId) {
+        const supplier = await this.#supplierRepository.findById(supplierId);
+        if (!supplier)
+            throw new NotFoundError(`Supplier ${supplierId.value} not found`);
+        if (!supplier.isActive)
+            throw new InvalidStateError(`Cannot open a purchase order for ${supplier.name}: supplier is ${supplier.status} (${supplier.statusReason})`);
+    }
+
+    /**
+     * Loads a purchase order, applies a change to it, then saves it and publishes its events.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @param {string} action - Name of the command, recorded in the audit trail.
+     * @param {function(PurchaseOrder): (void|Promise<void>)} change - The change to apply.
+     * @throws {NotFoundError} If the purchase order does not exist.
+     * @returns {Promise<PurchaseOrder>} The updated purchase order.
+     */
+    async #execute(purchaseOrderId, action, change) {
+        const purchaseOrder = await this.#purchaseOrderRepository.findById(purchaseOrderId);
+        if (!purchaseOrder)
+            throw new NotFoundError(`Purchase order ${purchaseOrderId} not found`);
+        const before = PurchaseOrderCommandService.#auditSnapshot(purchaseOrder);
+        await change(purchaseOrder);
+        await this.#saveAndPublish(purchaseOrder, action, before);
+        return purchaseOrder;
+    }
+
+    /**
+     * Saves a purchase order, records the change in the audit trail, then publishes the domain events it recorded.
+     * Events are only dispatched once the save has succeeded.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order to save.
+     * @param {string} action - Name of the command, recorded in the audit trail.
+     * @param {Object|null} before - Audit snapshot taken before the change, or null for a new purchase order.
+     * @returns {Promise<void>}
+     */
+    async #saveAndPublish(purchaseOrder, action, before) {
+        await this.#purchaseOrderRepository.save(purchaseOrder);
+        await this.#auditTrail?.record({
+            action,
+            aggregateType: 'PurchaseOrder',
+            aggregateId: purchaseOrder.id,
+            supplierId: purchaseOrder.supplierId,
+            before,
+            after: PurchaseOrderCommandService.#auditSnapshot(purchaseOrder)
+        });
+        await this.#eventBus.publishAll(purchaseOrder.pullDomainEvents());
+    }
+
+    /**
+     * Takes the snapshot of a purchase order kept in the audit trail: its JSON representation plus its grand total.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order.
+     * @returns {Object} The audit snapshot.
+     */
+    static #auditSnapshot(purchaseOrder) {
+        return {
+            ...purchaseOrder.toJSON(),
+            totalPrice: purchaseOrder.items.length > 0 ? purchaseOrder.calculateTotalPrice().grandTotal.toJSON() : null
+        };
+    }
+}
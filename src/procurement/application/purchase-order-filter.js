@@ -0,0 +1,188 @@
+import {SupplierId} from "../../shared/domain/model/supplier-id.js";
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {Money} from "../../shared/domain/model/money.js";
+import {ProductId} from "../../shared/domain/model/product-id.js";
+import {ValidationError} from "../../shared/domain/model/errors.js";
+import {PurchaseOrderState} from "../domain/model/purchase-order-state.js";
+
+/**
+ * Composable condition on {@link PurchaseOrderSummary} read models.
+ * Filters are built with the static factories and combined with {@link PurchaseOrderFilter#and},
+ * {@link PurchaseOrderFilter#or} and {@link PurchaseOrderFilter#not}, e.g.
+ * `PurchaseOrderFilter.bySupplier(id).and(PurchaseOrderFilter.inState('Approved'))`.
+ */
+export class PurchaseOrderFilter {
+    #predicate
+
+    /**
+     * Creates a new PurchaseOrderFilter instance. Prefer the static factories.
+     * @param {function(PurchaseOrderSummary, {rates: ExchangeRateProvider|null}): boolean} predicate - The condition.
+     * @throws {ValidationError} If the predicate is not a function.
+     */
+    constructor(predicate) {
+        if (typeof predicate !== 'function')
+            throw new ValidationError('Filter predicate must be a function');
+        this.#predicate = predicate;
+    }
+
+    /**
+     * Creates a filter matching every purchase order.
+     * @returns {PurchaseOrderFilter} The filter.
+     */
+    static all() {
+        return new PurchaseOrderFilter(() => true);
+    }
+
+    /**
+     * Creates a filter matching the orders placed with a supplier.
+     * @param {SupplierId} supplierId - The supplier.
+     * @throws {ValidationError} If the supplier ID is invalid.
+     * @returns {PurchaseOrderFilter} The filter.
+     */
+    static bySupplier(supplierId) {
+        if (!(supplierId instanceof SupplierId))
+            throw new ValidationError('Supplier ID must be an instance of SupplierId', 'supplierId');
+        return new PurchaseOrderFilter(summary => summary.supplierId.equals(supplierId));
+    }
+
+    /**
+     * Creates a filter matching the orders in a lifecycle state.
+     * @param {PurchaseOrderState|string} state - The state, as a value object or its value in any letter case.
+     * @throws {ValidationError} If the state is not a known one.
+     * @returns {PurchaseOrderFilter} The filter.
+     */
+    static inState(state) {
+        const value = state instanceof PurchaseOrderState ? state.value
+            : PurchaseOrderState.values.find(known => known.toLowerCase() === String(state).toLowerCase());
+        if (value === undefined)
+            throw new ValidationError(`Invalid purchase order state: ${state}. `
+                + `Valid states are: ${PurchaseOrderState.values.join(', ')}`, 'state');
+        return new PurchaseOrderFilter(summary => summary.state === value);
+    }
+
+    /**
+     * Creates a filter matching the orders placed in a currency.
+     * @param {Currency} currency - The currency.
+     * @throws {ValidationError} If the currency is invalid.
+     * @returns {PurchaseOrderFilter} The filter.
+     */
+    static inCurrency(currency) {
+        if (!(currency instanceof Currency))
+            throw new ValidationError('Currency must be an instance of Currency', 'currency');
+        return new PurchaseOrderFilter(summary => summary.currency.equals(currency));
+    }
+
+    /**
+     * Creates a filter matching the orders placed from one moment (inclusive) until another (exclusive).
+     * @param {Object} range
+     * @param {DateTime|null} [range.from] - The earliest order date, or null for no lower bound.
+     * @param {DateTime|null} [range.to] - The order date the range ends before, or null for no upper bound.
+     * @throws {ValidationError} If a bound is invalid or the range is empty.
+     * @returns {PurchaseOrderFilter} The filter.
+     */
+    static orderedBetween({from = null, to = null}) {
+        if (from !== null && !(from instanceof DateTime))
+            throw new ValidationError('From must be an instance of DateTime or null', 'from');
+        if (to !== null && !(to instanceof DateTime))
+            throw new ValidationError('To must be an instance of DateTime or null', 'to');
+        if (from !== null && to !== null && to.date <= from.date)
+            throw new ValidationError('To must be later than from', 'to');
+        return new PurchaseOrderFilter(summary =>
+            (from === null || summary.orderDate.date >= from.date) && (to === null || summary.orderDate.date < to.date));
+    }
+
+    /**
+     * Creates a filter matching the orders whose grand total lies between two amounts, both inclusive.
+     * Totals in another currency are converted at the rate of their order date, which requires exchange rates
+     * when the filter is evaluated. Orders without items have no total and never match.
+     * @param {Object} range
+     * @param {Money|null} [range.min] - The smallest total, or null for no lower bound.
+     * @param {Money|null} [range.max] - The largest total, or null for no upper bound.
+     * @throws {ValidationError} If a bound is invalid, both are missing, or they are in different currencies.
+     * @returns {PurchaseOrderFilter} The filter.
+     */
+    static totalBetween({min = null, max = null}) {
+        if (min !== null && !(min instanceof Money))
+            throw new ValidationError('Minimum total must be an instance of Money or null', 'min');
+        if (max !== null && !(max instanceof Money))
+            throw new ValidationError('Maximum total must be an instance of Money or null', 'max');
+        if (min === null && max === null)
+            throw new ValidationError('A total range needs a minimum, a maximum or both');
+        if (min !== null && max !== null && max.lessThan(min))
+            throw new ValidationError('Maximum total must not be less than the minimum', 'max');
+        const currency = (min ?? max).currency;
+        return new PurchaseOrderFilter((summary, {rates}) => {
+            if (summary.totalPrice === null) return false;
+            if (!rates && !summary.currency.equals(currency))
+                throw new ValidationError(`An exchange rate provider is required to compare a ${summary.currency.code} total `
+                    + `with a ${currency.code} range`);
+            const total = summary.totalPrice.convertTo(currency, rates, summary.orderDate);
+            return (min === null || !total.lessThan(min)) && (max === null || !total.greaterThan(max));
+        });
+    }
+
+    /**
+     * Creates a filter matching the orders with a line for a product.
+     * @param {ProductId} productId - The product.
+     * @throws {ValidationError} If the product ID is invalid.
+     * @returns {PurchaseOrderFilter} The filter.
+     */
+    static containingProduct(productId) {
+        if (!(productId instanceof ProductId))
+            throw new ValidationError('Product ID must be an instance of ProductId', 'productId');
+        return new PurchaseOrderFilter(summary => summary.contains(productId));
+    }
+
+    /**
+     * Combines this filter with another one; both must match.
+     * @param {PurchaseOrderFilter} other - The other filter.
+     * @throws {ValidationError} If the other filter is invalid.
+     * @returns {PurchaseOrderFilter} The combined filter.
+     */
+    and(other) {
+        PurchaseOrderFilter.#assertFilter(other);
+        return new PurchaseOrderFilter((summary, context) => this.matches(summary, context) && other.matches(summary, context));
+    }
+
+    /**
+     * Combines this filter with another one; either may match.
+     * @param {PurchaseOrderFilter} other - The other filter.
+     * @throws {ValidationError} If the other filter is invalid.
+     * @returns {PurchaseOrderFilter} The combined filter.
+     */
+    or(other) {
+        PurchaseOrderFilter.#assertFilter(other);
+        return new PurchaseOrderFilter((summary, context) => this.matches(summary, context) || other.matches(summary, context));
+    }
+
+    /**
+     * Negates this filter.
+     * @returns {PurchaseOrderFilter} A filter matching exactly the orders this one does not.
+     */
+    not() {
+        return new PurchaseOrderFilter((summary, context) => !this.matches(summary, context));
+    }
+
+    /**
+     * Checks whether a purchase order summary satisfies this filter.
+     * @param {PurchaseOrderSummary} summary - The summary.
+     * @param {Object} [context]
+     * @param {ExchangeRateProvider|null} [context.rates] - Exchange rates for filters comparing amounts across currencies.
+     * @throws {ValidationError} If the filter needs exchange rates that are missing.
+     * @returns {boolean} True if the summary matches.
+     */
+    matches(summary, {rates = null} = {}) {
+        return this.#predicate(summary, {rates});
+    }
+
+    /**
+     * Validates that a value is a filter.
+     * @param {*} filter - The value to check.
+     * @throws {ValidationError} If the value is not a PurchaseOrderFilter.
+     */
+    static #assertFilter(filter) {
+        if (!(filter instanceof PurchaseOrderFilter))
+            throw new ValidationError('Filter must be an instance of PurchaseOrderFilter');
+    }
+}
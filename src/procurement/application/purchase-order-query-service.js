@@ -0,0 +1,155 @@
+import {ValidationError} from "../../shared/domain/model/errors.js";
+import {PurchaseOrderFilter} from "./purchase-order-filter.js";
+
+/**
+ * One page of purchase order search results.
+ * @typedef {Object} PurchaseOrderPage
+ * @property {PurchaseOrderSummary[]} summaries - The summaries on this page, in sort order.
+ * @property {number} total - The number of purchase orders matching the filter, on all pages.
+ * @property {number} offset - The position of the first summary on this page among all matches.
+ * @property {string|null} nextCursor - Cursor of the next page, or null if this is the last one.
+ */
+
+/**
+ * Application service answering purchase order searches from the {@link PurchaseOrderSummary} read model,
+ * so finding orders never rebuilds aggregates.
+ * Results are sorted by order date or grand total and split into pages, addressed either by offset or by the
+ * opaque cursor returned with the previous page. Cursors remember the position rather than the index, so paging
+ * with them does not skip or repeat orders when others are added in the meantime.
+ */
+export class PurchaseOrderQueryService {
+    /**
+     * How results can be sorted: the sort key stored in cursors, how to recognize one, and how two keys compare.
+     * Totals sort by currency first, as amounts in different currencies are not comparable;
+     * orders without items come first within their currency.
+     */
+    static #SORT_ORDERS = {
+        orderDate: {
+            keyOf: summary => summary.orderDate.toISOString(),
+            isKey: key => typeof key === 'string',
+            compare: (a, b) => a < b ? -1 : a > b ? 1 : 0
+        },
+        totalPrice: {
+            keyOf: summary => [summary.currency.code, summary.totalPrice?.minorAmount.toString() ?? null],
+            isKey: key => Array.isArray(key) && key.length === 2 && typeof key[0] === 'string'
+                && (key[1] === null || /^-?\d+$/.test(key[1])),
+            compare: ([currencyA, amountA], [currencyB, amountB]) => {
+                if (currencyA !== currencyB) return currencyA < currencyB ? -1 : 1;
+                if (amountA === amountB) return 0;
+                if (amountA === null || amountB === null) return amountA === null ? -1 : 1;
+                return BigInt(amountA) < BigInt(amountB) ? -1 : 1;
+            }
+        }
+    }
+    static #MAX_LIMIT = 500;
+    #summaryStore
+    #exchangeRateProvider
+
+    /**
+     * Creates a new PurchaseOrderQueryService instance.
+     * @param {Object} params
+     * @param {PurchaseOrderSummaryStore} params.summaryStore - Store the summaries are read from.
+     * @param {ExchangeRateProvider|null} [params.exchangeRateProvider] - Rates used to compare totals across currencies.
+     */
+    constructor({summaryStore, exchangeRateProvider = null}) {
+        this.#summaryStore = summaryStore;
+        this.#exchangeRateProvider = exchangeRateProvider;
+    }
+
+    /**
+     * Gets the fields results can be sorted by.
+     * @returns {string[]} The sort fields.
+     */
+    static get sortFields() {
+        return Object.keys(PurchaseOrderQueryService.#SORT_ORDERS);
+    }
+
+    /**
+     * Finds the purchase orders matching a filter, one page at a time.
+     * A page is addressed either by offset or by the cursor of the previous page, not both; without either,
+     * the first page is returned. A cursor is only valid with the sort order it was returned with.
+     * @param {Object} [query]
+     * @param {PurchaseOrderFilter} [query.filter] - Which orders to find; defaults to all of them.
+     * @param {string} [query.sortBy='orderDate'] - "orderDate" or "totalPrice".
+     * @param {boolean} [query.descending=false] - Whether to sort from the latest date or highest total down.
+     * @param {number} [query.limit=20] - The maximum number of summaries per page, from 1 to 500.
+     * @param {number} [query.offset] - How many matching orders to skip.
+     * @param {string} [query.after] - The cursor of the previous page.
+     * @throws {ValidationError} If the query is invalid, or the filter needs exchange rates that are missing.
+     * @returns {Promise<PurchaseOrderPage>} The requested page.
+     */
+    async search({filter = PurchaseOrderFilter.all(), sortBy = 'orderDate', descending = false, limit = 20,
+                     offset, after} = {}) {
+        if (!(filter instanceof PurchaseOrderFilter))
+            throw new ValidationError('Filter must be an instance of PurchaseOrderFilter', 'filter');
+        if (!Object.hasOwn(PurchaseOrderQueryService.#SORT_ORDERS, sortBy))
+            throw new ValidationError(`Invalid sort field: ${sortBy}. `
+                + `Valid fields are: ${PurchaseOrderQueryService.sortFields.join(', ')}`, 'sortBy');
+        if (typeof descending !== 'boolean')
+            throw new ValidationError('Descending must be a boolean', 'descending');
+        if (!Number.isInteger(limit) || limit < 1 || limit > PurchaseOrderQueryService.#MAX_LIMIT)
+            throw new ValidationError(`Limit must be an integer from 1 to ${PurchaseOrderQueryService.#MAX_LIMIT}`, 'limit');
+        if (offset !== undefined && after !== undefined)
+            throw new ValidationError('A page is addressed by offset or by cursor, not both');
+        if (offset !== undefined && (!Number.isInteger(offset) || offset < 0))
+            throw new ValidationError('Offset must be a non-negative integer', 'offset');
+
+        const {keyOf, compare} = PurchaseOrderQueryService.#SORT_ORDERS[sortBy];
+        const direction = descending ? -1 : 1;
+        const compareEntries = (a, b) => direction * compare(a.key, b.key) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+        const entries = (await this.#summaryStore.findAll())
+            .filter(summary => filter.matches(summary, {rates: this.#exchangeRateProvider}))
+            .map(summary => ({summary, id: summary.id, key: keyOf(summary)}))
+            .sort(compareEntries);
+
+        let start = offset ?? 0;
+        if (after !== undefined) {
+            const position = PurchaseOrderQueryService.#decodeCursor(after, sortBy, descending);
+            start = entries.findIndex(entry => compareEntries(entry, position) > 0);
+            if (start === -1) start = entries.length;
+        }
+        const page = entries.slice(start, start + limit);
+        const last = page.at(-1);
+        return {
+            summaries: page.map(entry => entry.summary),
+            total: entries.length,
+            offset: start,
+            nextCursor: start + limit < entries.length
+                ? PurchaseOrderQueryService.#encodeCursor({sortBy, descending, key: last.key, id: last.id})
+                : null
+        };
+    }
+
+    /**
+     * Encodes the position after a summary as an opaque cursor.
+     * @param {Object} position - The sort order, and the sort key and ID of the last summary on the page.
+     * @returns {string} The cursor.
+     */
+    static #encodeCursor(position) {
+        return Buffer.from(JSON.stringify(position)).toString('base64url');
+    }
+
+    /**
+     * Decodes a cursor returned by {@link PurchaseOrderQueryService#search}.
+     * @param {string} cursor - The cursor.
+     * @param {string} sortBy - The sort field of the current query.
+     * @param {boolean} descending - The sort direction of the current query.
+     * @throws {ValidationError} If the cursor is malformed or was returned for another sort order.
+     * @returns {{key: *, id: string}} The position the next page starts after.
+     */
+    static #decodeCursor(cursor, sortBy, descending) {
+        let position;
+        try {
+            position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch {
+            throw new ValidationError('Invalid cursor', 'after');
+        }
+        if (position === null || typeof position !== 'object' || typeof position.id !== 'string')
+            throw new ValidationError('Invalid cursor', 'after');
+        if (position.sortBy !== sortBy || position.descending !== descending)
+            throw new ValidationError('The cursor belongs to a search with another sort order', 'after');
+        if (!PurchaseOrderQueryService.#SORT_ORDERS[sortBy].isKey(position.key))
+            throw new ValidationError('Invalid cursor', 'after');
+        return {key: position.key, id: position.id};
+    }
+}
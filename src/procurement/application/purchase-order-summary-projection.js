@@ -0,0 +1,74 @@
+import {PurchaseOrderCreated} from "../domain/events/purchase-order-created.js";
+import {PurchaseOrderItemAdded} from "../domain/events/purchase-order-item-added.js";
+import {PurchaseOrderItemUpdated} from "../domain/events/purchase-order-item-updated.js";
+import {PurchaseOrderItemRemoved} from "../domain/events/purchase-order-item-removed.js";
+import {PurchaseOrderTermsChanged} from "../domain/events/purchase-order-terms-changed.js";
+import {PurchaseOrderStateChanged} from "../domain/events/purchase-order-state-changed.js";
+import {PurchaseOrderSummary} from "./purchase-order-summary.js";
+
+/**
+ * Application service keeping the {@link PurchaseOrderSummary} read model in step with the purchase orders.
+ * It listens to the events that change what a summary shows (items, terms and state) and re-summarizes
+ * the order concerned; approvals and goods receipts only matter to it once they change the state.
+ */
+export class PurchaseOrderSummaryProjection {
+    #purchaseOrderRepository
+    #summaryStore
+
+    /**
+     * Creates a new PurchaseOrderSummaryProjection instance.
+     * @param {Object} params
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository the purchase orders are read from.
+     * @param {PurchaseOrderSummaryStore} params.summaryStore - Store the summaries are written to.
+     */
+    constructor({purchaseOrderRepository, summaryStore}) {
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#summaryStore = summaryStore;
+    }
+
+    /**
+     * Subscribes this projection to the purchase order events it handles.
+     * @param {InProcessEventBus} eventBus - The bus purchase order events are published on.
+     * @returns {function(): void} A function that removes the subscriptions.
+     */
+    subscribeTo(eventBus) {
+        const subscriptions = [PurchaseOrderCreated, PurchaseOrderItemAdded, PurchaseOrderItemUpdated,
+            PurchaseOrderItemRemoved, PurchaseOrderTermsChanged, PurchaseOrderStateChanged]
+            .map(eventType => eventBus.subscribe(eventType, event => this.refresh(event.purchaseOrderId)));
+        return () => subscriptions.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Re-summarizes a purchase order as it is stored now, or drops its summary if it no longer exists.
+     * @param {string} purchaseOrderId - The purchase order ID.
+     * @returns {Promise<void>}
+     */
+    async refresh(purchaseOrderId) {
+        const purchaseOrder = await this.#purchaseOrderRepository.findById(purchaseOrderId);
+        if (purchaseOrder)
+            await this.#summaryStore.save(PurchaseOrderSummary.fromPurchaseOrder(purchaseOrder));
+        else
+            await this.#summaryStore.delete(purchaseOrderId);
+    }
+
+    /**
+     * Discards every summary and summarizes all stored purchase orders again.
+     * @returns {Promise<number>} The number of purchase orders summarized.
+     */
+    async rebuild() {
+        const summaries = (await this.#purchaseOrderRepository.findAll())
+            .map(purchaseOrder => PurchaseOrderSummary.fromPurchaseOrder(purchaseOrder));
+        await this.#summaryStore.replaceAll(summaries);
+        return summaries.length;
+    }
+
+    /**
+     * Rebuilds the summaries if they were never built, e.g. for purchase orders saved before the read model existed.
+     * @returns {Promise<boolean>} True if the summaries had to be rebuilt.
+     */
+    async ensureBuilt() {
+        if (await this.#summaryStore.isBuilt()) return false;
+        await this.rebuild();
+        return true;
+    }
+}
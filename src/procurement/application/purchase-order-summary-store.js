@@ -0,0 +1,50 @@
+/**
+ * Storage contract for the {@link PurchaseOrderSummary} read model of the Procurement bounded context.
+ * The store is written by {@link PurchaseOrderSummaryProjection} only and read by {@link PurchaseOrderQueryService}.
+ * @interface
+ */
+export class PurchaseOrderSummaryStore {
+    /**
+     * Stores a summary, replacing any previous one for the same purchase order.
+     * @param {PurchaseOrderSummary} summary - The summary to store.
+     * @returns {Promise<void>}
+     */
+    async save(summary) {
+        throw new Error('PurchaseOrderSummaryStore.save() must be implemented');
+    }
+
+    /**
+     * Removes the summary of a purchase order.
+     * @param {string} id - The purchase order ID.
+     * @returns {Promise<boolean>} True if a summary was removed, false if none existed.
+     */
+    async delete(id) {
+        throw new Error('PurchaseOrderSummaryStore.delete() must be implemented');
+    }
+
+    /**
+     * Finds all stored summaries.
+     * @returns {Promise<PurchaseOrderSummary[]>} All summaries, in no particular order.
+     */
+    async findAll() {
+        throw new Error('PurchaseOrderSummaryStore.findAll() must be implemented');
+    }
+
+    /**
+     * Replaces every stored summary at once.
+     * @param {PurchaseOrderSummary[]} summaries - The new content of the store.
+     * @returns {Promise<void>}
+     */
+    async replaceAll(summaries) {
+        throw new Error('PurchaseOrderSummaryStore.replaceAll() must be implemented');
+    }
+
+    /**
+     * Checks whether the store has been populated, even if with no summaries at all.
+     * A store that was never written to must be rebuilt from the purchase orders before it can be queried.
+     * @returns {Promise<boolean>} True if the store has been written to.
+     */
+    async isBuilt() {
+        throw new Error('PurchaseOrderSummaryStore.isBuilt() must be implemented');
+    }
+}
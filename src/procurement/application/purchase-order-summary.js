@@ -0,0 +1,212 @@
+import {SupplierId} from "../../shared/domain/model/supplier-id.js";
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {Money} from "../../shared/domain/model/money.js";
+import {ProductId} from "../../shared/domain/model/product-id.js";
+import {ValidationError} from "../../shared/domain/model/errors.js";
+import {assertSnapshotObject, restoreField} from "../../shared/domain/model/snapshot.js";
+import {PurchaseOrderState} from "../domain/model/purchase-order-state.js";
+
+/**
+ * Read model describing a purchase order in enough detail to find, sort and list it.
+ * Summaries are derived from the aggregate whenever it changes, so queries never have to rebuild aggregates.
+ * @class
+ * @property {string} id - The purchase order ID.
+ * @property {SupplierId} supplierId - The supplier the order is placed with.
+ * @property {Currency} currency - The currency of the order.
+ * @property {DateTime} orderDate - When the order was placed.
+ * @property {string} state - The lifecycle state, e.g. "Approved".
+ * @property {ProductId[]} productIds - The products ordered, one per line.
+ * @property {number} totalQuantity - The units ordered across all lines.
+ * @property {Money|null} totalPrice - The grand total, or null if the order has no items.
+ */
+export class PurchaseOrderSummary {
+    #id
+    #supplierId
+    #currency
+    #orderDate
+    #state
+    #productIds
+    #totalQuantity
+    #totalPrice
+
+    /**
+     * Creates a new PurchaseOrderSummary instance.
+     * @param {Object} params
+     * @param {string} params.id - The purchase order ID.
+     * @param {SupplierId} params.supplierId - The supplier the order is placed with.
+     * @param {Currency} params.currency - The currency of the order.
+     * @param {DateTime} params.orderDate - When the order was placed.
+     * @param {string} params.state - The lifecycle state.
+     * @param {ProductId[]} params.productIds - The products ordered.
+     * @param {number} params.totalQuantity - The units ordered across all lines.
+     * @param {Money|null} params.totalPrice - The grand total, or null if the order has no items.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({id, supplierId, currency, orderDate, state, productIds, totalQuantity, totalPrice}) {
+        if (typeof id !== 'string' || !id)
+            throw new ValidationError('Purchase order ID must be a non-empty string', 'id');
+        if (!(supplierId instanceof SupplierId))
+            throw new ValidationError('Supplier ID must be an instance of SupplierId', 'supplierId');
+        if (!(currency instanceof Currency))
+            throw new ValidationError('Currency must be an instance of Currency', 'currency');
+        if (!(orderDate instanceof DateTime))
+            throw new ValidationError('Order date must be an instance of DateTime', 'orderDate');
+        if (!Array.isArray(productIds) || productIds.some(productId => !(productId instanceof ProductId)))
+            throw new ValidationError('Product IDs must be an array of ProductId instances', 'productIds');
+        if (!Number.isInteger(totalQuantity) || totalQuantity < 0)
+            throw new ValidationError('Total quantity must be a non-negative integer', 'totalQuantity');
+        if (totalPrice !== null && !(totalPrice instanceof Money && totalPrice.currency.equals(currency)))
+            throw new ValidationError('Total price must be Money in the order currency, or null', 'totalPrice');
+        this.#id = id;
+        this.#supplierId = supplierId;
+        this.#currency = currency;
+        this.#orderDate = orderDate;
+        this.#state = new PurchaseOrderState(state).value;
+        this.#productIds = [...productIds];
+        this.#totalQuantity = totalQuantity;
+        this.#totalPrice = totalPrice;
+    }
+
+    /**
+     * Summarizes a purchase order as it is now.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order.
+     * @returns {PurchaseOrderSummary} The summary.
+     */
+    static fromPurchaseOrder(purchaseOrder) {
+        const items = purchaseOrder.items;
+        return new PurchaseOrderSummary({
+            id: purchaseOrder.id,
+            supplierId: purchaseOrder.supplierId,
+            currency: purchaseOrder.currency,
+            orderDate: purchaseOrder.orderDate,
+            state: purchaseOrder.state,
+            productIds: items.map(item => item.productId),
+            totalQuantity: items.reduce((total, item) => total + item.quantity, 0),
+            totalPrice: items.length > 0 ? purchaseOrder.calculateTotalPrice().grandTotal : null
+        });
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get id() {
+        return this.#id;
+    }
+
+    /**
+     * Gets the supplier ID.
+     * @returns {SupplierId} The supplier ID.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the currency of the order.
+     * @returns {Currency} The currency.
+     */
+    get currency() {
+        return this.#currency;
+    }
+
+    /**
+     * Gets when the order was placed.
+     * @returns {DateTime} The order date.
+     */
+    get orderDate() {
+        return this.#orderDate;
+    }
+
+    /**
+     * Gets the lifecycle state.
+     * @returns {string} The state, e.g. "Approved".
+     */
+    get state() {
+        return this.#state;
+    }
+
+    /**
+     * Gets the products ordered.
+     * @returns {ProductId[]} A copy of the product IDs, one per line.
+     */
+    get productIds() {
+        return [...this.#productIds];
+    }
+
+    /**
+     * Gets the number of lines.
+     * @returns {number} The item count.
+     */
+    get itemCount() {
+        return this.#productIds.length;
+    }
+
+    /**
+     * Gets the units ordered across all lines.
+     * @returns {number} The total quantity.
+     */
+    get totalQuantity() {
+        return this.#totalQuantity;
+    }
+
+    /**
+     * Gets the grand total.
+     * @returns {Money|null} The total price, or null if the order has no items.
+     */
+    get totalPrice() {
+        return this.#totalPrice;
+    }
+
+    /**
+     * Checks whether the order has a line for a product.
+     * @param {ProductId} productId - The product.
+     * @returns {boolean} True if the product is ordered.
+     */
+    contains(productId) {
+        return this.#productIds.some(ordered => ordered.equals(productId));
+    }
+
+    /**
+     * Returns the JSON representation of the summary.
+     * @returns {Object} The summary snapshot.
+     */
+    toJSON() {
+        return {
+            id: this.#id,
+            supplierId: this.#supplierId.toJSON(),
+            currency: this.#currency.toJSON(),
+            orderDate: this.#orderDate.toJSON(),
+            state: this.#state,
+            productIds: this.#productIds.map(productId => productId.toJSON()),
+            totalQuantity: this.#totalQuantity,
+            totalPrice: this.#totalPrice?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderSummary from its JSON representation.
+     * @param {Object} json - The summary snapshot, as produced by {@link PurchaseOrderSummary#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderSummary} The restored summary.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderSummary');
+        const productIds = restoreField('productIds', () => {
+            if (!Array.isArray(json.productIds))
+                throw new ValidationError('Product IDs must be an array');
+            return json.productIds.map((productId, index) => restoreField(`[${index}]`, () => ProductId.fromJSON(productId)));
+        });
+        return new PurchaseOrderSummary({
+            id: json.id,
+            supplierId: restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            currency: restoreField('currency', () => Currency.fromJSON(json.currency)),
+            orderDate: restoreField('orderDate', () => DateTime.fromJSON(json.orderDate)),
+            state: json.state,
+            productIds,
+            totalQuantity: json.totalQuantity,
+            totalPrice: json.totalPrice == null ? null : restoreField('totalPrice', () => Money.fromJSON(json.totalPrice))
+        });
+    }
+}
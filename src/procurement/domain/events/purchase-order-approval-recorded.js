@@ -0,0 +1,127 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+
+/**
+ * Domain event raised when someone approves a submitted purchase order.
+ * The order is only approved once approvalsGiven reaches approvalsRequired; see {@link PurchaseOrderApproved}.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {string} approverId - Who approved.
+ * @property {string|null} role - The role the approver acted in.
+ * @property {DateTime} approvedOn - When the order was approved.
+ * @property {number} approvalsGiven - Approvals given so far, including this one.
+ * @property {number} approvalsRequired - Approvals the policy requires for the order.
+ */
+export class PurchaseOrderApprovalRecorded extends DomainEvent {
+    #purchaseOrderId
+    #approverId
+    #role
+    #approvedOn
+    #approvalsGiven
+    #approvalsRequired
+
+    /**
+     * Creates a new PurchaseOrderApprovalRecorded event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {string} params.approverId - Who approved.
+     * @param {string|null} params.role - The role the approver acted in.
+     * @param {DateTime} params.approvedOn - When the order was approved.
+     * @param {number} params.approvalsGiven - Approvals given so far, including this one.
+     * @param {number} params.approvalsRequired - Approvals the policy requires for the order.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, approverId, role, approvedOn, approvalsGiven, approvalsRequired, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#approverId = approverId;
+        this.#role = role;
+        this.#approvedOn = approvedOn;
+        this.#approvalsGiven = approvalsGiven;
+        this.#approvalsRequired = approvalsRequired;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets who approved.
+     * @returns {string} The approver ID.
+     */
+    get approverId() {
+        return this.#approverId;
+    }
+
+    /**
+     * Gets the role the approver acted in.
+     * @returns {string|null} The role, or null if none was given.
+     */
+    get role() {
+        return this.#role;
+    }
+
+    /**
+     * Gets when the order was approved.
+     * @returns {DateTime} The approval date.
+     */
+    get approvedOn() {
+        return this.#approvedOn;
+    }
+
+    /**
+     * Gets the approvals given so far, including this one.
+     * @returns {number} The number of approvals given.
+     */
+    get approvalsGiven() {
+        return this.#approvalsGiven;
+    }
+
+    /**
+     * Gets the approvals the policy requires for the order.
+     * @returns {number} The number of approvals required.
+     */
+    get approvalsRequired() {
+        return this.#approvalsRequired;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            approverId: this.#approverId,
+            role: this.#role,
+            approvedOn: this.#approvedOn.toJSON(),
+            approvalsGiven: this.#approvalsGiven,
+            approvalsRequired: this.#approvalsRequired
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderApprovalRecorded event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderApprovalRecorded#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderApprovalRecorded} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderApprovalRecorded');
+        return new PurchaseOrderApprovalRecorded({
+            purchaseOrderId: json.purchaseOrderId,
+            approverId: json.approverId,
+            role: json.role ?? null,
+            approvedOn: restoreField('approvedOn', () => DateTime.fromJSON(json.approvedOn)),
+            approvalsGiven: json.approvalsGiven,
+            approvalsRequired: json.approvalsRequired,
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
@@ -0,0 +1,7 @@
+import {PurchaseOrderStateChanged} from "./purchase-order-state-changed.js";
+
+/**
+ * Domain event raised when a purchase order is approved.
+ */
+export class PurchaseOrderApproved extends PurchaseOrderStateChanged {
+}
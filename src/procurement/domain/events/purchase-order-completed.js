@@ -0,0 +1,69 @@
+import {PurchaseOrderStateChanged} from "./purchase-order-state-changed.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Domain event raised when a purchase order is completed.
+ * @class
+ * @property {DateTime} completedOn - When the order was completed, which may precede the moment it was recorded.
+ * @property {Money|null} receivedTotalPrice - The total of the goods received, which is less than the total price when
+ * lines were closed short.
+ */
+export class PurchaseOrderCompleted extends PurchaseOrderStateChanged {
+    #completedOn
+    #receivedTotalPrice
+
+    /**
+     * Creates a new PurchaseOrderCompleted event.
+     * @param {Object} params - The state change parameters, see {@link PurchaseOrderStateChanged}.
+     * @param {DateTime} [params.completedOn] - When the order was completed; defaults to when the event happened.
+     * @param {Money|null} [params.receivedTotalPrice] - The total of the goods received; defaults to the total price.
+     */
+    constructor({completedOn, receivedTotalPrice, ...params}) {
+        super(params);
+        this.#completedOn = completedOn ?? this.occurredOn;
+        this.#receivedTotalPrice = receivedTotalPrice ?? this.totalPrice;
+    }
+
+    /**
+     * Gets when the order was completed.
+     * @returns {DateTime} The date.
+     */
+    get completedOn() {
+        return this.#completedOn;
+    }
+
+    /**
+     * Gets the total of the goods received, see {@link PurchaseOrder#calculateReceivedPrice}.
+     * @returns {Money|null} The total, or null if the order had no items.
+     */
+    get receivedTotalPrice() {
+        return this.#receivedTotalPrice;
+    }
+
+    /** @inheritDoc */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            completedOn: this.#completedOn.toJSON(),
+            receivedTotalPrice: this.#receivedTotalPrice?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores the constructor parameters; events recorded before completedOn was stored default to their occurrence,
+     * and those recorded before receivedTotalPrice was stored to their total price.
+     * @param {Object} json - The event snapshot.
+     * @throws {ValidationError} If any field is invalid; the error names the field.
+     * @returns {Object} The constructor parameters.
+     */
+    static paramsFromJSON(json) {
+        return {
+            ...super.paramsFromJSON(json),
+            completedOn: json.completedOn == null ? undefined : restoreField('completedOn', () => DateTime.fromJSON(json.completedOn)),
+            receivedTotalPrice: json.receivedTotalPrice == null ? undefined
+                : restoreField('receivedTotalPrice', () => Money.fromJSON(json.receivedTotalPrice))
+        };
+    }
+}
@@ -0,0 +1,100 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {Currency} from "../../../shared/domain/model/currency.js";
+
+/**
+ * Domain event raised when a new purchase order is opened.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {SupplierId} supplierId - The ID of the supplier.
+ * @property {Currency} currency - The currency of the purchase order.
+ * @property {DateTime} orderDate - The order date.
+ */
+export class PurchaseOrderCreated extends DomainEvent {
+    #purchaseOrderId
+    #supplierId
+    #currency
+    #orderDate
+
+    /**
+     * Creates a new PurchaseOrderCreated event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {SupplierId} params.supplierId - The ID of the supplier.
+     * @param {Currency} params.currency - The currency of the purchase order.
+     * @param {DateTime} params.orderDate - The order date.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, supplierId, currency, orderDate, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#supplierId = supplierId;
+        this.#currency = currency;
+        this.#orderDate = orderDate;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the supplier ID.
+     * @returns {SupplierId} The supplier ID.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the currency of the purchase order.
+     * @returns {Currency} The currency.
+     */
+    get currency() {
+        return this.#currency;
+    }
+
+    /**
+     * Gets the order date.
+     * @returns {DateTime} The order date.
+     */
+    get orderDate() {
+        return this.#orderDate;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            supplierId: this.#supplierId.toJSON(),
+            currency: this.#currency.toJSON(),
+            orderDate: this.#orderDate.toJSON()
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderCreated event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderCreated#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderCreated} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderCreated');
+        return new PurchaseOrderCreated({
+            purchaseOrderId: json.purchaseOrderId,
+            supplierId: restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            currency: restoreField('currency', () => Currency.fromJSON(json.currency)),
+            orderDate: restoreField('orderDate', () => DateTime.fromJSON(json.orderDate)),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
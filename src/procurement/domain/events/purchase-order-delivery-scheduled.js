@@ -0,0 +1,101 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+
+/**
+ * Domain event raised when the requested or promised delivery date of a purchase order, or of one of its lines, changes.
+ * It carries both dates as they are after the change.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {ProductId|null} productId - The product whose line was rescheduled, or null for the whole order.
+ * @property {DateTime|null} requestedDeliveryDate - When the buyer wants the goods, if set.
+ * @property {DateTime|null} promisedDeliveryDate - When the supplier promised the goods, if set.
+ */
+export class PurchaseOrderDeliveryScheduled extends DomainEvent {
+    #purchaseOrderId
+    #productId
+    #requestedDeliveryDate
+    #promisedDeliveryDate
+
+    /**
+     * Creates a new PurchaseOrderDeliveryScheduled event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {ProductId|null} params.productId - The product whose line was rescheduled, or null for the whole order.
+     * @param {DateTime|null} params.requestedDeliveryDate - When the buyer wants the goods, if set.
+     * @param {DateTime|null} params.promisedDeliveryDate - When the supplier promised the goods, if set.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, productId, requestedDeliveryDate, promisedDeliveryDate, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#productId = productId;
+        this.#requestedDeliveryDate = requestedDeliveryDate;
+        this.#promisedDeliveryDate = promisedDeliveryDate;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the product whose line was rescheduled.
+     * @returns {ProductId|null} The product ID, or null if the order dates changed.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets when the buyer wants the goods.
+     * @returns {DateTime|null} The requested delivery date, or null if none is set.
+     */
+    get requestedDeliveryDate() {
+        return this.#requestedDeliveryDate;
+    }
+
+    /**
+     * Gets when the supplier promised the goods.
+     * @returns {DateTime|null} The promised delivery date, or null if none is set.
+     */
+    get promisedDeliveryDate() {
+        return this.#promisedDeliveryDate;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            productId: this.#productId?.toJSON() ?? null,
+            requestedDeliveryDate: this.#requestedDeliveryDate?.toJSON() ?? null,
+            promisedDeliveryDate: this.#promisedDeliveryDate?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderDeliveryScheduled event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderDeliveryScheduled#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderDeliveryScheduled} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderDeliveryScheduled');
+        const date = field => json[field] == null ? null : restoreField(field, () => DateTime.fromJSON(json[field]));
+        return new PurchaseOrderDeliveryScheduled({
+            purchaseOrderId: json.purchaseOrderId,
+            productId: json.productId == null ? null : restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            requestedDeliveryDate: date('requestedDeliveryDate'),
+            promisedDeliveryDate: date('promisedDeliveryDate'),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
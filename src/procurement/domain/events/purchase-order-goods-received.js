@@ -0,0 +1,117 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+
+/**
+ * Domain event raised when a delivery is recorded against a purchase order.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {DateTime} receivedOn - When the goods arrived.
+ * @property {{productId: ProductId, receivedQuantity: number, rejectedQuantity: number, rejectionReason: string|null}[]} lines
+ * - What was delivered for each product.
+ * @property {boolean} imported - Whether the delivery was recorded while importing an order that had already
+ * been received, so stock and invoices account for the goods already.
+ */
+export class PurchaseOrderGoodsReceived extends DomainEvent {
+    #purchaseOrderId
+    #receivedOn
+    #lines
+    #imported
+
+    /**
+     * Creates a new PurchaseOrderGoodsReceived event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {DateTime} params.receivedOn - When the goods arrived.
+     * @param {{productId: ProductId, receivedQuantity: number, rejectedQuantity: number, rejectionReason: string|null}[]} params.lines
+     * - What was delivered for each product.
+     * @param {boolean} [params.imported=false] - Whether the delivery was recorded while importing the order.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, receivedOn, lines, imported = false, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#receivedOn = receivedOn;
+        this.#lines = lines.map(line => ({...line}));
+        this.#imported = imported;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets when the goods arrived.
+     * @returns {DateTime} The receipt date.
+     */
+    get receivedOn() {
+        return this.#receivedOn;
+    }
+
+    /**
+     * Gets what was delivered for each product.
+     * @returns {{productId: ProductId, receivedQuantity: number, rejectedQuantity: number, rejectionReason: string|null}[]} The delivered lines.
+     */
+    get lines() {
+        return this.#lines.map(line => ({...line}));
+    }
+
+    /**
+     * Gets whether the delivery was recorded while importing an order that had already been received.
+     * Handlers that react to goods arriving, such as stock updates, skip these deliveries.
+     * @returns {boolean} True for an imported delivery.
+     */
+    get imported() {
+        return this.#imported;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            receivedOn: this.#receivedOn.toJSON(),
+            lines: this.#lines.map(line => ({...line, productId: line.productId.toJSON()})),
+            imported: this.#imported
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderGoodsReceived event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderGoodsReceived#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderGoodsReceived} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderGoodsReceived');
+        const lines = restoreField('lines', () => {
+            if (!Array.isArray(json.lines))
+                throw new ValidationError('lines must be an array');
+            return json.lines.map((line, index) => restoreField(`[${index}]`, () => {
+                assertSnapshotObject(line, 'Goods receipt line');
+                return {...line, productId: restoreField('productId', () => ProductId.fromJSON(line.productId))};
+            }));
+        });
+        return new PurchaseOrderGoodsReceived({
+            purchaseOrderId: json.purchaseOrderId,
+            receivedOn: restoreField('receivedOn', () => DateTime.fromJSON(json.receivedOn)),
+            lines,
+            imported: restoreField('imported', () => {
+                const imported = json.imported ?? false;
+                if (typeof imported !== 'boolean')
+                    throw new ValidationError('imported must be a boolean');
+                return imported;
+            }),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
@@ -0,0 +1,144 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {Discount} from "../model/discount.js";
+import {TaxRate} from "../model/tax-rate.js";
+
+/**
+ * Domain event raised when an item is added to a draft purchase order.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {ProductId} productId - The ID of the product added.
+ * @property {number} quantity - The quantity added.
+ * @property {Money} unitPrice - The unit price of the product.
+ * @property {Discount|null} discount - The line discount, if any.
+ * @property {TaxRate|null} taxRate - The line tax rate, if any.
+ * @property {Money} totalPrice - The order total after the item was added.
+ */
+export class PurchaseOrderItemAdded extends DomainEvent {
+    #purchaseOrderId
+    #productId
+    #quantity
+    #unitPrice
+    #discount
+    #taxRate
+    #totalPrice
+
+    /**
+     * Creates a new PurchaseOrderItemAdded event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {ProductId} params.productId - The ID of the product added.
+     * @param {number} params.quantity - The quantity added.
+     * @param {Money} params.unitPrice - The unit price of the product.
+     * @param {Discount|null} [params.discount] - The line discount, if any.
+     * @param {TaxRate|null} [params.taxRate] - The line tax rate, if any.
+     * @param {Money} params.totalPrice - The order total after the item was added.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, productId, quantity, unitPrice, discount = null, taxRate = null, totalPrice, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#productId = productId;
+        this.#quantity = quantity;
+        this.#unitPrice = unitPrice;
+        this.#discount = discount;
+        this.#taxRate = taxRate;
+        this.#totalPrice = totalPrice;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the product ID.
+     * @returns {ProductId} The product ID.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets the quantity added.
+     * @returns {number} The quantity.
+     */
+    get quantity() {
+        return this.#quantity;
+    }
+
+    /**
+     * Gets the unit price.
+     * @returns {Money} The unit price.
+     */
+    get unitPrice() {
+        return this.#unitPrice;
+    }
+
+    /**
+     * Gets the line discount.
+     * @returns {Discount|null} The discount, or null if none applies.
+     */
+    get discount() {
+        return this.#discount;
+    }
+
+    /**
+     * Gets the line tax rate.
+     * @returns {TaxRate|null} The tax rate, or null if the order tax rate applies.
+     */
+    get taxRate() {
+        return this.#taxRate;
+    }
+
+    /**
+     * Gets the order total after the item was added.
+     * @returns {Money} The order total.
+     */
+    get totalPrice() {
+        return this.#totalPrice;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            productId: this.#productId.toJSON(),
+            quantity: this.#quantity,
+            unitPrice: this.#unitPrice.toJSON(),
+            discount: this.#discount?.toJSON() ?? null,
+            taxRate: this.#taxRate?.toJSON() ?? null,
+            totalPrice: this.#totalPrice.toJSON()
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderItemAdded event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderItemAdded#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderItemAdded} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderItemAdded');
+        return new PurchaseOrderItemAdded({
+            purchaseOrderId: json.purchaseOrderId,
+            productId: restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            quantity: json.quantity,
+            unitPrice: restoreField('unitPrice', () => Money.fromJSON(json.unitPrice)),
+            discount: json.discount == null ? null : restoreField('discount', () => Discount.fromJSON(json.discount)),
+            taxRate: json.taxRate == null ? null : restoreField('taxRate', () => TaxRate.fromJSON(json.taxRate)),
+            totalPrice: restoreField('totalPrice', () => Money.fromJSON(json.totalPrice)),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
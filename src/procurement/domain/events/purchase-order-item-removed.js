@@ -0,0 +1,100 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {Money} from "../../../shared/domain/model/money.js";
+
+/**
+ * Domain event raised when an item is removed from a draft purchase order.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {ProductId} productId - The ID of the product removed.
+ * @property {number} quantity - The quantity the removed line had.
+ * @property {Money|null} totalPrice - The order total after the removal, or null if no items are left.
+ */
+export class PurchaseOrderItemRemoved extends DomainEvent {
+    #purchaseOrderId
+    #productId
+    #quantity
+    #totalPrice
+
+    /**
+     * Creates a new PurchaseOrderItemRemoved event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {ProductId} params.productId - The ID of the product removed.
+     * @param {number} params.quantity - The quantity the removed line had.
+     * @param {Money|null} params.totalPrice - The order total after the removal, or null if no items are left.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, productId, quantity, totalPrice, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#productId = productId;
+        this.#quantity = quantity;
+        this.#totalPrice = totalPrice;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the product ID.
+     * @returns {ProductId} The product ID.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets the quantity the removed line had.
+     * @returns {number} The quantity.
+     */
+    get quantity() {
+        return this.#quantity;
+    }
+
+    /**
+     * Gets the order total after the removal.
+     * @returns {Money|null} The order total, or null if no items are left.
+     */
+    get totalPrice() {
+        return this.#totalPrice;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            productId: this.#productId.toJSON(),
+            quantity: this.#quantity,
+            totalPrice: this.#totalPrice?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderItemRemoved event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderItemRemoved#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderItemRemoved} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderItemRemoved');
+        return new PurchaseOrderItemRemoved({
+            purchaseOrderId: json.purchaseOrderId,
+            productId: restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            quantity: json.quantity,
+            totalPrice: json.totalPrice == null ? null : restoreField('totalPrice', () => Money.fromJSON(json.totalPrice)),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
@@ -0,0 +1,143 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+import {Money} from "../../../shared/domain/model/money.js";
+
+/**
+ * Domain event raised when the quantity or unit price of an item of a draft purchase order changes,
+ * including when a product added again is merged into its existing line.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {ProductId} productId - The ID of the product whose line changed.
+ * @property {number} previousQuantity - The quantity before the change.
+ * @property {number} quantity - The quantity after the change.
+ * @property {Money} previousUnitPrice - The unit price before the change.
+ * @property {Money} unitPrice - The unit price after the change.
+ * @property {Money} totalPrice - The order total after the change.
+ */
+export class PurchaseOrderItemUpdated extends DomainEvent {
+    #purchaseOrderId
+    #productId
+    #previousQuantity
+    #quantity
+    #previousUnitPrice
+    #unitPrice
+    #totalPrice
+
+    /**
+     * Creates a new PurchaseOrderItemUpdated event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {ProductId} params.productId - The ID of the product whose line changed.
+     * @param {number} params.previousQuantity - The quantity before the change.
+     * @param {number} params.quantity - The quantity after the change.
+     * @param {Money} params.previousUnitPrice - The unit price before the change.
+     * @param {Money} params.unitPrice - The unit price after the change.
+     * @param {Money} params.totalPrice - The order total after the change.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, productId, previousQuantity, quantity, previousUnitPrice, unitPrice, totalPrice, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#productId = productId;
+        this.#previousQuantity = previousQuantity;
+        this.#quantity = quantity;
+        this.#previousUnitPrice = previousUnitPrice;
+        this.#unitPrice = unitPrice;
+        this.#totalPrice = totalPrice;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the product ID.
+     * @returns {ProductId} The product ID.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets the quantity before the change.
+     * @returns {number} The previous quantity.
+     */
+    get previousQuantity() {
+        return this.#previousQuantity;
+    }
+
+    /**
+     * Gets the quantity after the change.
+     * @returns {number} The quantity.
+     */
+    get quantity() {
+        return this.#quantity;
+    }
+
+    /**
+     * Gets the unit price before the change.
+     * @returns {Money} The previous unit price.
+     */
+    get previousUnitPrice() {
+        return this.#previousUnitPrice;
+    }
+
+    /**
+     * Gets the unit price after the change.
+     * @returns {Money} The unit price.
+     */
+    get unitPrice() {
+        return this.#unitPrice;
+    }
+
+    /**
+     * Gets the order total after the change.
+     * @returns {Money} The order total.
+     */
+    get totalPrice() {
+        return this.#totalPrice;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            productId: this.#productId.toJSON(),
+            previousQuantity: this.#previousQuantity,
+            quantity: this.#quantity,
+            previousUnitPrice: this.#previousUnitPrice.toJSON(),
+            unitPrice: this.#unitPrice.toJSON(),
+            totalPrice: this.#totalPrice.toJSON()
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderItemUpdated event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderItemUpdated#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderItemUpdated} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderItemUpdated');
+        return new PurchaseOrderItemUpdated({
+            purchaseOrderId: json.purchaseOrderId,
+            productId: restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            previousQuantity: json.previousQuantity,
+            quantity: json.quantity,
+            previousUnitPrice: restoreField('previousUnitPrice', () => Money.fromJSON(json.previousUnitPrice)),
+            unitPrice: restoreField('unitPrice', () => Money.fromJSON(json.unitPrice)),
+            totalPrice: restoreField('totalPrice', () => Money.fromJSON(json.totalPrice)),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
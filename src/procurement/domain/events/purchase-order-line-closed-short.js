@@ -0,0 +1,99 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {ProductId} from "../../../shared/domain/model/product-id.js";
+
+/**
+ * Domain event raised when a purchase order line is closed before all its units arrived.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {ProductId} productId - The ID of the product whose line was closed.
+ * @property {number} shortQuantity - The units that will no longer be delivered.
+ * @property {string} reason - Why the line was closed short.
+ */
+export class PurchaseOrderLineClosedShort extends DomainEvent {
+    #purchaseOrderId
+    #productId
+    #shortQuantity
+    #reason
+
+    /**
+     * Creates a new PurchaseOrderLineClosedShort event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {ProductId} params.productId - The ID of the product whose line was closed.
+     * @param {number} params.shortQuantity - The units that will no longer be delivered.
+     * @param {string} params.reason - Why the line was closed short.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, productId, shortQuantity, reason, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#productId = productId;
+        this.#shortQuantity = shortQuantity;
+        this.#reason = reason;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the product ID.
+     * @returns {ProductId} The product ID.
+     */
+    get productId() {
+        return this.#productId;
+    }
+
+    /**
+     * Gets the units that will no longer be delivered.
+     * @returns {number} The short quantity.
+     */
+    get shortQuantity() {
+        return this.#shortQuantity;
+    }
+
+    /**
+     * Gets why the line was closed short.
+     * @returns {string} The reason.
+     */
+    get reason() {
+        return this.#reason;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            productId: this.#productId.toJSON(),
+            shortQuantity: this.#shortQuantity,
+            reason: this.#reason
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderLineClosedShort event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderLineClosedShort#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderLineClosedShort} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderLineClosedShort');
+        return new PurchaseOrderLineClosedShort({
+            purchaseOrderId: json.purchaseOrderId,
+            productId: restoreField('productId', () => ProductId.fromJSON(json.productId)),
+            shortQuantity: json.shortQuantity,
+            reason: json.reason,
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
@@ -0,0 +1,7 @@
+import {PurchaseOrderStateChanged} from "./purchase-order-state-changed.js";
+
+/**
+ * Domain event raised when the first delivery of a shipped purchase order leaves units outstanding.
+ */
+export class PurchaseOrderPartiallyReceived extends PurchaseOrderStateChanged {
+}
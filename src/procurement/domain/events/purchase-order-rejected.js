@@ -0,0 +1,38 @@
+import {PurchaseOrderStateChanged} from "./purchase-order-state-changed.js";
+
+/**
+ * Domain event raised when a submitted purchase order is rejected and returned to draft.
+ * @class
+ * @property {string} reason - Why the purchase order was rejected.
+ */
+export class PurchaseOrderRejected extends PurchaseOrderStateChanged {
+    #reason
+
+    /**
+     * Creates a new PurchaseOrderRejected event.
+     * @param {Object} params - The state change parameters, see {@link PurchaseOrderStateChanged}.
+     * @param {string} params.reason - Why the purchase order was rejected.
+     */
+    constructor({reason, ...params}) {
+        super(params);
+        this.#reason = reason;
+    }
+
+    /**
+     * Gets the rejection reason.
+     * @returns {string} The reason.
+     */
+    get reason() {
+        return this.#reason;
+    }
+
+    /** @inheritDoc */
+    toJSON() {
+        return {...super.toJSON(), reason: this.#reason};
+    }
+
+    /** @inheritDoc */
+    static paramsFromJSON(json) {
+        return {...super.paramsFromJSON(json), reason: json.reason};
+    }
+}
@@ -0,0 +1,48 @@
+import {PurchaseOrderStateChanged} from "./purchase-order-state-changed.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Domain event raised when a purchase order is shipped by the supplier.
+ * @class
+ * @property {DateTime} shippedOn - When the supplier shipped the order, which may precede the moment it was recorded.
+ */
+export class PurchaseOrderShipped extends PurchaseOrderStateChanged {
+    #shippedOn
+
+    /**
+     * Creates a new PurchaseOrderShipped event.
+     * @param {Object} params - The state change parameters, see {@link PurchaseOrderStateChanged}.
+     * @param {DateTime} [params.shippedOn] - When the supplier shipped the order; defaults to when the event happened.
+     */
+    constructor({shippedOn, ...params}) {
+        super(params);
+        this.#shippedOn = shippedOn ?? this.occurredOn;
+    }
+
+    /**
+     * Gets when the supplier shipped the order.
+     * @returns {DateTime} The date.
+     */
+    get shippedOn() {
+        return this.#shippedOn;
+    }
+
+    /** @inheritDoc */
+    toJSON() {
+        return {...super.toJSON(), shippedOn: this.#shippedOn.toJSON()};
+    }
+
+    /**
+     * Restores the constructor parameters; events recorded before shippedOn was stored default to their occurrence.
+     * @param {Object} json - The event snapshot.
+     * @throws {ValidationError} If any field is invalid; the error names the field.
+     * @returns {Object} The constructor parameters.
+     */
+    static paramsFromJSON(json) {
+        return {
+            ...super.paramsFromJSON(json),
+            shippedOn: json.shippedOn == null ? undefined : restoreField('shippedOn', () => DateTime.fromJSON(json.shippedOn))
+        };
+    }
+}
@@ -0,0 +1,126 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Base class for domain events raised when a purchase order moves to another lifecycle state.
+ * Subscribe to this class to observe every transition, or to a subclass to observe a specific one.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {SupplierId} supplierId - The ID of the supplier.
+ * @property {string} previousState - The state the purchase order left.
+ * @property {string} newState - The state the purchase order entered.
+ * @property {Money|null} totalPrice - The order total at the time of the transition, or null if it has no items.
+ */
+export class PurchaseOrderStateChanged extends DomainEvent {
+    #purchaseOrderId
+    #supplierId
+    #previousState
+    #newState
+    #totalPrice
+
+    /**
+     * Creates a new PurchaseOrderStateChanged event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {SupplierId} params.supplierId - The ID of the supplier.
+     * @param {string} params.previousState - The state the purchase order left.
+     * @param {string} params.newState - The state the purchase order entered.
+     * @param {Money|null} params.totalPrice - The order total, or null if the order has no items.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, supplierId, previousState, newState, totalPrice, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#supplierId = supplierId;
+        this.#previousState = previousState;
+        this.#newState = newState;
+        this.#totalPrice = totalPrice;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the supplier ID.
+     * @returns {SupplierId} The supplier ID.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the state the purchase order left.
+     * @returns {string} The previous state.
+     */
+    get previousState() {
+        return this.#previousState;
+    }
+
+    /**
+     * Gets the state the purchase order entered.
+     * @returns {string} The new state.
+     */
+    get newState() {
+        return this.#newState;
+    }
+
+    /**
+     * Gets the order total at the time of the transition.
+     * @returns {Money|null} The order total, or null if the order has no items.
+     */
+    get totalPrice() {
+        return this.#totalPrice;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            supplierId: this.#supplierId.toJSON(),
+            previousState: this.#previousState,
+            newState: this.#newState,
+            totalPrice: this.#totalPrice?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores a state change event from its JSON representation.
+     * Called on a subclass, e.g. PurchaseOrderApproved.fromJSON(json), it restores an event of that subclass.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderStateChanged#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderStateChanged} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, this.name);
+        return new this(this.paramsFromJSON(json));
+    }
+
+    /**
+     * Restores the constructor parameters of a state change event; subclasses with extra fields extend them.
+     * @param {Object} json - The event snapshot.
+     * @throws {ValidationError} If any field is invalid; the error names the field.
+     * @returns {Object} The constructor parameters.
+     */
+    static paramsFromJSON(json) {
+        return {
+            purchaseOrderId: json.purchaseOrderId,
+            supplierId: restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            previousState: json.previousState,
+            newState: json.newState,
+            totalPrice: json.totalPrice == null ? null : restoreField('totalPrice', () => Money.fromJSON(json.totalPrice)),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        };
+    }
+}
@@ -0,0 +1,130 @@
+import {DomainEvent} from "../../../shared/domain/model/domain-event.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {Discount} from "../model/discount.js";
+import {TaxRate} from "../model/tax-rate.js";
+
+/**
+ * Domain event raised when the order-level discount, tax rate, shipping charge or handling charge
+ * of a draft purchase order changes. It carries all four terms as they are after the change.
+ * @class
+ * @property {string} purchaseOrderId - The ID of the purchase order.
+ * @property {Discount|null} discount - The order-level discount, if any.
+ * @property {TaxRate|null} taxRate - The order-level tax rate, if any.
+ * @property {Money} shippingCharge - The shipping charge.
+ * @property {Money} handlingCharge - The handling charge.
+ * @property {Money|null} totalPrice - The order total after the change, or null if the order has no items.
+ */
+export class PurchaseOrderTermsChanged extends DomainEvent {
+    #purchaseOrderId
+    #discount
+    #taxRate
+    #shippingCharge
+    #handlingCharge
+    #totalPrice
+
+    /**
+     * Creates a new PurchaseOrderTermsChanged event.
+     * @param {Object} params
+     * @param {string} params.purchaseOrderId - The ID of the purchase order.
+     * @param {Discount|null} params.discount - The order-level discount, if any.
+     * @param {TaxRate|null} params.taxRate - The order-level tax rate, if any.
+     * @param {Money} params.shippingCharge - The shipping charge.
+     * @param {Money} params.handlingCharge - The handling charge.
+     * @param {Money|null} params.totalPrice - The order total after the change, or null if the order has no items.
+     * @param {DateTime} [params.occurredOn] - When the event happened; defaults to now.
+     */
+    constructor({purchaseOrderId, discount, taxRate, shippingCharge, handlingCharge, totalPrice, occurredOn}) {
+        super(occurredOn);
+        this.#purchaseOrderId = purchaseOrderId;
+        this.#discount = discount;
+        this.#taxRate = taxRate;
+        this.#shippingCharge = shippingCharge;
+        this.#handlingCharge = handlingCharge;
+        this.#totalPrice = totalPrice;
+    }
+
+    /**
+     * Gets the purchase order ID.
+     * @returns {string} The purchase order ID.
+     */
+    get purchaseOrderId() {
+        return this.#purchaseOrderId;
+    }
+
+    /**
+     * Gets the order-level discount.
+     * @returns {Discount|null} The discount, or null if none applies.
+     */
+    get discount() {
+        return this.#discount;
+    }
+
+    /**
+     * Gets the order-level tax rate.
+     * @returns {TaxRate|null} The tax rate, or null if none applies.
+     */
+    get taxRate() {
+        return this.#taxRate;
+    }
+
+    /**
+     * Gets the shipping charge.
+     * @returns {Money} The shipping charge.
+     */
+    get shippingCharge() {
+        return this.#shippingCharge;
+    }
+
+    /**
+     * Gets the handling charge.
+     * @returns {Money} The handling charge.
+     */
+    get handlingCharge() {
+        return this.#handlingCharge;
+    }
+
+    /**
+     * Gets the order total after the change.
+     * @returns {Money|null} The order total, or null if the order has no items.
+     */
+    get totalPrice() {
+        return this.#totalPrice;
+    }
+
+    /**
+     * Returns the JSON representation of the event.
+     * @returns {Object} The event snapshot.
+     */
+    toJSON() {
+        return {
+            ...super.toJSON(),
+            purchaseOrderId: this.#purchaseOrderId,
+            discount: this.#discount?.toJSON() ?? null,
+            taxRate: this.#taxRate?.toJSON() ?? null,
+            shippingCharge: this.#shippingCharge.toJSON(),
+            handlingCharge: this.#handlingCharge.toJSON(),
+            totalPrice: this.#totalPrice?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores a PurchaseOrderTermsChanged event from its JSON representation.
+     * @param {Object} json - The event snapshot, as produced by {@link PurchaseOrderTermsChanged#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderTermsChanged} The restored event.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderTermsChanged');
+        return new PurchaseOrderTermsChanged({
+            purchaseOrderId: json.purchaseOrderId,
+            discount: json.discount == null ? null : restoreField('discount', () => Discount.fromJSON(json.discount)),
+            taxRate: json.taxRate == null ? null : restoreField('taxRate', () => TaxRate.fromJSON(json.taxRate)),
+            shippingCharge: restoreField('shippingCharge', () => Money.fromJSON(json.shippingCharge)),
+            handlingCharge: restoreField('handlingCharge', () => Money.fromJSON(json.handlingCharge)),
+            totalPrice: json.totalPrice == null ? null : restoreField('totalPrice', () => Money.fromJSON(json.totalPrice)),
+            occurredOn: restoreField('occurredOn', () => DateTime.fromJSON(json.occurredOn))
+        });
+    }
+}
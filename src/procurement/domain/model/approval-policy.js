@@ -0,0 +1,73 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {restoreField} from "../../../shared/domain/model/snapshot.js";
+import {ApprovalRule} from "./approval-rule.js";
+
+/**
+ * Value Object holding the ordered list of {@link ApprovalRule}s that decide who must approve a purchase order.
+ * The first rule that applies to an order wins, so specific rules go before general ones, e.g.
+ * "below 1,000 USD: automatic", "below 10,000 USD: one Manager", "any total: a Manager, then a Director".
+ */
+export class ApprovalPolicy {
+    #rules
+
+    /**
+     * Creates a new ApprovalPolicy instance.
+     * @param {ApprovalRule[]} rules - The rules, in order of precedence.
+     * @throws {ValidationError} If there are no rules or any is not an ApprovalRule.
+     */
+    constructor(rules) {
+        if (!Array.isArray(rules) || rules.length === 0 || rules.some(rule => !(rule instanceof ApprovalRule)))
+            throw new ValidationError('An approval policy needs at least one ApprovalRule');
+        this.#rules = [...rules];
+    }
+
+    /**
+     * Creates the policy used when none is configured: any single approver approves any order.
+     * @returns {ApprovalPolicy} The default policy.
+     */
+    static singleApprover() {
+        return new ApprovalPolicy([new ApprovalRule({name: 'Single approver', levels: [null]})]);
+    }
+
+    /**
+     * Finds the rule that applies to a purchase order.
+     * @param {Object} order - The order attributes, as accepted by {@link ApprovalRule#appliesTo}.
+     * @param {ExchangeRateProvider} [rates] - Rates provider; required when a limit is in another currency than the order.
+     * @throws {ValidationError} If no rule applies or a total cannot be converted.
+     * @returns {ApprovalRule} The first rule that applies.
+     */
+    ruleFor(order, rates) {
+        const rule = this.#rules.find(candidate => candidate.appliesTo(order, rates));
+        if (!rule)
+            throw new ValidationError(`No approval rule applies to a ${order.total} order; add a rule without a limit`);
+        return rule;
+    }
+
+    /**
+     * Gets the rules.
+     * @returns {ApprovalRule[]} A copy of the rules, in order of precedence.
+     */
+    get rules() {
+        return [...this.#rules];
+    }
+
+    /**
+     * Returns the JSON representation of the policy.
+     * @returns {Object[]} The rule snapshots, in order of precedence.
+     */
+    toJSON() {
+        return this.#rules.map(rule => rule.toJSON());
+    }
+
+    /**
+     * Restores an ApprovalPolicy from its JSON representation.
+     * @param {Object[]} json - The rule snapshots, as produced by {@link ApprovalPolicy#toJSON}.
+     * @throws {ValidationError} If the snapshot or any rule is invalid; the error names the rule.
+     * @returns {ApprovalPolicy} The restored policy.
+     */
+    static fromJSON(json) {
+        if (!Array.isArray(json))
+            throw new ValidationError('ApprovalPolicy snapshot must be an array of rules');
+        return new ApprovalPolicy(json.map((rule, index) => restoreField(`[${index}]`, () => ApprovalRule.fromJSON(rule))));
+    }
+}
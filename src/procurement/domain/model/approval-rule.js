@@ -0,0 +1,140 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {Currency} from "../../../shared/domain/model/currency.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object describing who must approve the purchase orders it applies to.
+ * A rule can be limited to a supplier, to an order currency and to orders whose total is below a limit;
+ * the limit may be in another currency than the order, in which case the total is converted first.
+ * Its approver levels must be filled in order, one approver per level; a level names the role the approver
+ * must act in, or is null when anyone may approve. A rule without levels approves orders automatically.
+ */
+export class ApprovalRule {
+    #name
+    #supplierId
+    #currency
+    #upTo
+    #levels
+
+    /**
+     * Creates a new ApprovalRule instance.
+     * @param {Object} params
+     * @param {string} params.name - Name of the rule, shown when explaining approvals (1-100 characters).
+     * @param {SupplierId|null} [params.supplierId] - Supplier the rule is limited to, or null for all.
+     * @param {Currency|null} [params.currency] - Order currency the rule is limited to, or null for all.
+     * @param {Money|null} [params.upTo] - The rule only applies to totals below this amount, or null for any total.
+     * @param {(string|null)[]} [params.levels] - Roles of the approvers, in order; empty for automatic approval.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({name, supplierId = null, currency = null, upTo = null, levels = []}) {
+        if (typeof name !== 'string' || !name.trim() || name.length > 100)
+            throw new ValidationError('Rule name must be between 1 and 100 characters', 'name');
+        if (supplierId !== null && !(supplierId instanceof SupplierId))
+            throw new ValidationError('Supplier ID must be an instance of SupplierId or null', 'supplierId');
+        if (currency !== null && !(currency instanceof Currency))
+            throw new ValidationError('Currency must be an instance of Currency or null', 'currency');
+        if (upTo !== null && !(upTo instanceof Money && !upTo.isZero()))
+            throw new ValidationError('Limit must be a positive Money amount or null', 'upTo');
+        if (!Array.isArray(levels) || levels.some(role => role !== null && (typeof role !== 'string' || !role.trim())))
+            throw new ValidationError('Levels must be an array of role names or nulls', 'levels');
+        this.#name = name.trim();
+        this.#supplierId = supplierId;
+        this.#currency = currency;
+        this.#upTo = upTo;
+        this.#levels = levels.map(role => role?.trim() ?? null);
+    }
+
+    /**
+     * Checks whether the rule applies to a purchase order.
+     * @param {Object} order
+     * @param {SupplierId} order.supplierId - The supplier of the order.
+     * @param {Currency} order.currency - The currency of the order.
+     * @param {Money} order.total - The order total.
+     * @param {DateTime} order.asOf - The moment whose exchange rate converts the total.
+     * @param {ExchangeRateProvider} [rates] - Rates provider; required when the limit is in another currency.
+     * @throws {ValidationError} If the total must be converted and no rate is available.
+     * @returns {boolean} True if the rule applies.
+     */
+    appliesTo({supplierId, currency, total, asOf}, rates) {
+        if (this.#supplierId && !this.#supplierId.equals(supplierId)) return false;
+        if (this.#currency && !this.#currency.equals(currency)) return false;
+        if (!this.#upTo) return true;
+        if (!rates && !total.currency.equals(this.#upTo.currency))
+            throw new ValidationError(`An exchange rate provider is required to compare a ${total.currency.code} total `
+                + `with the ${this.#upTo.currency.code} limit of rule "${this.#name}"`);
+        return total.convertTo(this.#upTo.currency, rates, asOf).lessThan(this.#upTo);
+    }
+
+    /**
+     * Gets the name of the rule.
+     * @returns {string} The rule name.
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Gets the supplier the rule is limited to.
+     * @returns {SupplierId|null} The supplier ID, or null for all suppliers.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the order currency the rule is limited to.
+     * @returns {Currency|null} The currency, or null for all currencies.
+     */
+    get currency() {
+        return this.#currency;
+    }
+
+    /**
+     * Gets the exclusive upper limit of the order totals the rule applies to.
+     * @returns {Money|null} The limit, or null for any total.
+     */
+    get upTo() {
+        return this.#upTo;
+    }
+
+    /**
+     * Gets the roles of the approvers, in the order they must approve.
+     * @returns {(string|null)[]} The levels; null means anyone may approve at that level.
+     */
+    get levels() {
+        return [...this.#levels];
+    }
+
+    /**
+     * Returns the JSON representation of the rule.
+     * @returns {Object} The rule snapshot.
+     */
+    toJSON() {
+        return {
+            name: this.#name,
+            supplierId: this.#supplierId?.toJSON() ?? null,
+            currency: this.#currency?.toJSON() ?? null,
+            upTo: this.#upTo?.toJSON() ?? null,
+            levels: [...this.#levels]
+        };
+    }
+
+    /**
+     * Restores an ApprovalRule from its JSON representation.
+     * @param {Object} json - The rule snapshot, as produced by {@link ApprovalRule#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {ApprovalRule} The restored rule.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'ApprovalRule');
+        return new ApprovalRule({
+            name: json.name,
+            supplierId: json.supplierId == null ? null : restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            currency: json.currency == null ? null : restoreField('currency', () => Currency.fromJSON(json.currency)),
+            upTo: json.upTo == null ? null : restoreField('upTo', () => Money.fromJSON(json.upTo)),
+            levels: json.levels ?? []
+        });
+    }
+}
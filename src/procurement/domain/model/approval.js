@@ -0,0 +1,79 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object recording that someone approved a submitted purchase order: who, in which role and when.
+ */
+export class Approval {
+    #approverId
+    #role
+    #approvedOn
+
+    /**
+     * Creates a new Approval instance.
+     * @param {Object} params
+     * @param {string} params.approverId - Who approved, e.g. a user name or employee number (1-100 characters).
+     * @param {string|null} [params.role] - The role the approver acted in, e.g. "Manager", or null if none was given.
+     * @param {DateTime} [params.approvedOn] - When the order was approved; defaults to now.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({approverId, role = null, approvedOn = new DateTime()}) {
+        if (typeof approverId !== 'string' || !approverId.trim() || approverId.length > 100)
+            throw new ValidationError('Approver ID must be between 1 and 100 characters', 'approverId');
+        if (role !== null && (typeof role !== 'string' || !role.trim() || role.length > 50))
+            throw new ValidationError('Role must be between 1 and 50 characters or null', 'role');
+        if (!(approvedOn instanceof DateTime))
+            throw new ValidationError('Approval date must be an instance of DateTime', 'approvedOn');
+        this.#approverId = approverId.trim();
+        this.#role = role?.trim() ?? null;
+        this.#approvedOn = approvedOn;
+    }
+
+    /**
+     * Gets who approved.
+     * @returns {string} The approver ID.
+     */
+    get approverId() {
+        return this.#approverId;
+    }
+
+    /**
+     * Gets the role the approver acted in.
+     * @returns {string|null} The role, or null if none was given.
+     */
+    get role() {
+        return this.#role;
+    }
+
+    /**
+     * Gets when the order was approved.
+     * @returns {DateTime} The approval date.
+     */
+    get approvedOn() {
+        return this.#approvedOn;
+    }
+
+    /**
+     * Returns the JSON representation of the approval.
+     * @returns {Object} The approval snapshot.
+     */
+    toJSON() {
+        return {approverId: this.#approverId, role: this.#role, approvedOn: this.#approvedOn.toJSON()};
+    }
+
+    /**
+     * Restores an Approval from its JSON representation.
+     * @param {Object} json - The approval snapshot, as produced by {@link Approval#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {Approval} The restored approval.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'Approval');
+        return new Approval({
+            approverId: json.approverId,
+            role: json.role ?? null,
+            approvedOn: restoreField('approvedOn', () => DateTime.fromJSON(json.approvedOn))
+        });
+    }
+}
@@ -0,0 +1,149 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object representing a discount granted by a supplier, either as a percentage of an amount
+ * or as a fixed amount of money. Applies to a single purchase order line or to the whole order.
+ */
+export class Discount {
+    static #TYPES = {
+        PERCENTAGE: 'Percentage',
+        FIXED: 'Fixed',
+    }
+    #type
+    #percentage
+    #amount
+
+    /**
+     * Creates a new Discount instance. Prefer the {@link Discount.percentage} and {@link Discount.fixed} factories.
+     * @param {Object} params
+     * @param {string} params.type - Either 'Percentage' or 'Fixed'.
+     * @param {number} [params.percentage] - The percentage off (greater than 0, up to 100), for percentage discounts.
+     * @param {Money} [params.amount] - The amount off, for fixed discounts.
+     * @throws {ValidationError} If the type or its value is invalid.
+     */
+    constructor({type, percentage, amount}) {
+        if (type === Discount.#TYPES.PERCENTAGE) {
+            if (!Number.isFinite(percentage) || percentage <= 0 || percentage > 100)
+                throw new ValidationError('Discount percentage must be a number greater than 0 and up to 100');
+            this.#percentage = percentage;
+            this.#amount = null;
+        } else if (type === Discount.#TYPES.FIXED) {
+            if (!(amount instanceof Money) || amount.isZero())
+                throw new ValidationError('Fixed discount amount must be a positive Money instance');
+            this.#percentage = null;
+            this.#amount = amount;
+        } else {
+            throw new ValidationError(`Invalid discount type: ${type}. Valid types are: ${Object.values(Discount.#TYPES).join(', ')}`);
+        }
+        this.#type = type;
+    }
+
+    /**
+     * Creates a percentage discount.
+     * @param {number} percentage - The percentage off, e.g. 10 for 10%.
+     * @returns {Discount} The discount.
+     */
+    static percentage(percentage) {
+        return new Discount({type: Discount.#TYPES.PERCENTAGE, percentage});
+    }
+
+    /**
+     * Creates a fixed-amount discount.
+     * @param {Money} amount - The amount off.
+     * @returns {Discount} The discount.
+     */
+    static fixed(amount) {
+        return new Discount({type: Discount.#TYPES.FIXED, amount});
+    }
+
+    /**
+     * Gets the discount type.
+     * @returns {string} 'Percentage' or 'Fixed'.
+     */
+    get type() {
+        return this.#type;
+    }
+
+    /**
+     * Gets the percentage off.
+     * @returns {number|null} The percentage, or null for fixed discounts.
+     */
+    get percentage() {
+        return this.#percentage;
+    }
+
+    /**
+     * Gets the fixed amount off.
+     * @returns {Money|null} The amount, or null for percentage discounts.
+     */
+    get amount() {
+        return this.#amount;
+    }
+
+    /**
+     * Checks whether the discount can be applied to amounts in a currency.
+     * Percentage discounts apply to any currency; fixed discounts only to their own.
+     * @param {Currency} currency - The currency.
+     * @returns {boolean} True if the discount is applicable.
+     */
+    isApplicableTo(currency) {
+        return this.#amount === null || this.#amount.currency.equals(currency);
+    }
+
+    /**
+     * Calculates the amount taken off a base amount. A fixed discount never takes off more than the base amount.
+     * @param {Money} base - The amount the discount applies to.
+     * @throws {ValidationError} If a fixed discount is in another currency than the base amount.
+     * @returns {Money} The discount amount, in the currency of the base amount.
+     */
+    calculateOn(base) {
+        if (this.#percentage !== null)
+            return base.percentage(this.#percentage);
+        return this.#amount.greaterThan(base) ? base : this.#amount;
+    }
+
+    /**
+     * Returns the JSON representation of the discount.
+     * @returns {{type: string, percentage: number}|{type: string, amount: {amount: string, currency: string}}} The discount snapshot.
+     */
+    toJSON() {
+        return this.#percentage !== null
+            ? {type: this.#type, percentage: this.#percentage}
+            : {type: this.#type, amount: this.#amount.toJSON()};
+    }
+
+    /**
+     * Restores a Discount from its JSON representation.
+     * @param {Object} json - The discount snapshot, as produced by {@link Discount#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid.
+     * @returns {Discount} The restored discount.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'Discount');
+        return new Discount({
+            type: json.type,
+            percentage: json.percentage,
+            amount: json.type === Discount.#TYPES.FIXED ? restoreField('amount', () => Money.fromJSON(json.amount)) : undefined
+        });
+    }
+
+    /**
+     * Verifies equality with another Discount.
+     * @param {Discount} other - The other discount.
+     * @returns {boolean} True if both discounts are equal.
+     */
+    equals(other) {
+        return other instanceof Discount && this.#type === other.#type && this.#percentage === other.#percentage
+            && (this.#amount === null ? other.#amount === null : this.#amount.equals(other.#amount));
+    }
+
+    /**
+     * Returns a string representation of the discount.
+     * @returns {string} E.g. "10% off" or "5.00 USD off".
+     */
+    toString() {
+        return this.#percentage !== null ? `${this.#percentage}% off` : `${this.#amount} off`;
+    }
+}
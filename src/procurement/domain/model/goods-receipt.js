@@ -0,0 +1,112 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object recording one delivery of a purchase order line: how many units were accepted,
+ * how many were rejected and why, and when the goods arrived.
+ * Rejected units do not count as received; they stay outstanding until the supplier replaces them.
+ */
+export class GoodsReceipt {
+    #receivedOn
+    #receivedQuantity
+    #rejectedQuantity
+    #rejectionReason
+
+    /**
+     * Creates a new GoodsReceipt instance.
+     * @param {Object} params
+     * @param {DateTime} params.receivedOn - When the goods arrived.
+     * @param {number} params.receivedQuantity - Units accepted, a non-negative integer.
+     * @param {number} [params.rejectedQuantity] - Units rejected, a non-negative integer; defaults to 0.
+     * @param {string|null} [params.rejectionReason] - Why units were rejected; required if any were.
+     * @throws {ValidationError} If any value is invalid or the receipt is empty.
+     */
+    constructor({receivedOn, receivedQuantity, rejectedQuantity = 0, rejectionReason = null}) {
+        if (!(receivedOn instanceof DateTime))
+            throw new ValidationError('Receipt date must be an instance of DateTime', 'receivedOn');
+        if (!Number.isInteger(receivedQuantity) || receivedQuantity < 0)
+            throw new ValidationError('Received quantity must be a non-negative integer', 'receivedQuantity');
+        if (!Number.isInteger(rejectedQuantity) || rejectedQuantity < 0)
+            throw new ValidationError('Rejected quantity must be a non-negative integer', 'rejectedQuantity');
+        if (receivedQuantity + rejectedQuantity === 0)
+            throw new ValidationError('A goods receipt must receive or reject at least one unit');
+        const reason = typeof rejectionReason === 'string' ? rejectionReason.trim() : rejectionReason;
+        if (rejectedQuantity > 0 ? typeof reason !== 'string' || !reason : reason !== null)
+            throw new ValidationError('A rejection reason is required when units are rejected and not allowed otherwise',
+                'rejectionReason');
+        this.#receivedOn = receivedOn;
+        this.#receivedQuantity = receivedQuantity;
+        this.#rejectedQuantity = rejectedQuantity;
+        this.#rejectionReason = reason;
+    }
+
+    /**
+     * Gets when the goods arrived.
+     * @returns {DateTime} The receipt date.
+     */
+    get receivedOn() {
+        return this.#receivedOn;
+    }
+
+    /**
+     * Gets the number of units accepted.
+     * @returns {number} The received quantity.
+     */
+    get receivedQuantity() {
+        return this.#receivedQuantity;
+    }
+
+    /**
+     * Gets the number of units rejected.
+     * @returns {number} The rejected quantity.
+     */
+    get rejectedQuantity() {
+        return this.#rejectedQuantity;
+    }
+
+    /**
+     * Gets why units were rejected.
+     * @returns {string|null} The rejection reason, or null if nothing was rejected.
+     */
+    get rejectionReason() {
+        return this.#rejectionReason;
+    }
+
+    /**
+     * Gets the number of units delivered, accepted or not.
+     * @returns {number} The delivered quantity.
+     */
+    get deliveredQuantity() {
+        return this.#receivedQuantity + this.#rejectedQuantity;
+    }
+
+    /**
+     * Returns the JSON representation of the receipt.
+     * @returns {Object} The receipt snapshot.
+     */
+    toJSON() {
+        return {
+            receivedOn: this.#receivedOn.toJSON(),
+            receivedQuantity: this.#receivedQuantity,
+            rejectedQuantity: this.#rejectedQuantity,
+            rejectionReason: this.#rejectionReason
+        };
+    }
+
+    /**
+     * Restores a GoodsReceipt from its JSON representation.
+     * @param {Object} json - The receipt snapshot, as produced by {@link GoodsReceipt#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {GoodsReceipt} The restored receipt.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'GoodsReceipt');
+        return new GoodsReceipt({
+            receivedOn: restoreField('receivedOn', () => DateTime.fromJSON(json.receivedOn)),
+            receivedQuantity: json.receivedQuantity,
+            rejectedQuantity: json.rejectedQuantity ?? 0,
+            rejectionReason: json.rejectionReason ?? null
+        });
+    }
+}
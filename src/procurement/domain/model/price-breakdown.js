@@ -0,0 +1,125 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {Money} from "../../../shared/domain/model/money.js";
+
+/**
+ * Value Object describing how the total price of a purchase order is made up.
+ * All amounts are in the same currency and satisfy: grandTotal = subtotal - discounts + tax + shipping.
+ * @class
+ * @property {Money} subtotal - Sum of line subtotals (unit price × quantity) before discounts.
+ * @property {Money} discounts - Sum of line and order discounts.
+ * @property {Money} tax - Tax due on the discounted lines.
+ * @property {Money} shipping - Shipping and handling charges.
+ * @property {Money} grandTotal - The amount payable.
+ */
+export class PriceBreakdown {
+    #subtotal
+    #discounts
+    #tax
+    #shipping
+    #grandTotal
+
+    /**
+     * Creates a new PriceBreakdown instance; the grand total is derived from the other amounts.
+     * @param {Object} params
+     * @param {Money} params.subtotal - Sum of line subtotals before discounts.
+     * @param {Money} params.discounts - Sum of line and order discounts.
+     * @param {Money} params.tax - Tax due.
+     * @param {Money} params.shipping - Shipping and handling charges.
+     * @throws {ValidationError} If any amount is not Money, the currencies differ, or discounts exceed the subtotal.
+     */
+    constructor({subtotal, discounts, tax, shipping}) {
+        const amounts = {subtotal, discounts, tax, shipping};
+        for (const [name, amount] of Object.entries(amounts))
+            if (!(amount instanceof Money))
+                throw new ValidationError(`${name} must be an instance of Money`);
+        if (Object.values(amounts).some(amount => !amount.currency.equals(subtotal.currency)))
+            throw new ValidationError('All amounts of a price breakdown must be in the same currency');
+        if (discounts.greaterThan(subtotal))
+            throw new ValidationError('Discounts cannot exceed the subtotal');
+        this.#subtotal = subtotal;
+        this.#discounts = discounts;
+        this.#tax = tax;
+        this.#shipping = shipping;
+        this.#grandTotal = subtotal.subtract(discounts).add(tax).add(shipping);
+    }
+
+    /**
+     * Gets the sum of line subtotals before discounts.
+     * @returns {Money} The subtotal.
+     */
+    get subtotal() {
+        return this.#subtotal;
+    }
+
+    /**
+     * Gets the sum of line and order discounts.
+     * @returns {Money} The discounts.
+     */
+    get discounts() {
+        return this.#discounts;
+    }
+
+    /**
+     * Gets the tax due.
+     * @returns {Money} The tax.
+     */
+    get tax() {
+        return this.#tax;
+    }
+
+    /**
+     * Gets the shipping and handling charges.
+     * @returns {Money} The shipping charges.
+     */
+    get shipping() {
+        return this.#shipping;
+    }
+
+    /**
+     * Gets the amount payable.
+     * @returns {Money} The grand total.
+     */
+    get grandTotal() {
+        return this.#grandTotal;
+    }
+
+    /**
+     * Gets the currency of the breakdown.
+     * @returns {Currency} The currency.
+     */
+    get currency() {
+        return this.#subtotal.currency;
+    }
+
+    /**
+     * Converts every amount of the breakdown into another currency at the same rate.
+     * The grand total is derived from the converted amounts so the breakdown stays consistent.
+     * @param {Currency} currency - The target currency.
+     * @param {ExchangeRateProvider} rates - Provider of the exchange rate to apply.
+     * @param {DateTime} asOf - The moment whose rate applies.
+     * @throws {ValidationError} If no rate is available.
+     * @returns {PriceBreakdown} The converted breakdown.
+     */
+    convertTo(currency, rates, asOf) {
+        return new PriceBreakdown({
+            subtotal: this.#subtotal.convertTo(currency, rates, asOf),
+            discounts: this.#discounts.convertTo(currency, rates, asOf),
+            tax: this.#tax.convertTo(currency, rates, asOf),
+            shipping: this.#shipping.convertTo(currency, rates, asOf)
+        });
+    }
+
+    /**
+     * Returns the JSON representation of the breakdown.
+     * @returns {Object} The amounts, each as a Money snapshot.
+     */
+    toJSON() {
+        return {
+            subtotal: this.#subtotal.toJSON(),
+            discounts: this.#discounts.toJSON(),
+            tax: this.#tax.toJSON(),
+            shipping: this.#shipping.toJSON(),
+            grandTotal: this.#grandTotal.toJSON()
+        };
+    }
+}
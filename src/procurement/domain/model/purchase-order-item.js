@@ -1,6 +1,11 @@
-import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {InvalidStateError, ValidationError} from "../../../shared/domain/model/errors.js";
 import {ProductId} from "../../../shared/domain/model/product-id.js";
 import {Money} from "../../../shared/domain/model/money.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {Discount} from "./discount.js";
+import {TaxRate} from "./tax-rate.js";
+import {GoodsReceipt} from "./goods-receipt.js";
 
 /**
  * Represents an item in a purchase order aggregate for the Procurement bounded context.
@@ -10,13 +15,27 @@ import {Money} from "../../../shared/domain/model/money.js";
  * @property {ProductId} productId - The ID of the product.
  * @property {number} quantity - The quantity of the product.
  * @property {Money} unitPrice - The unit price of the product.
+ * @property {Discount|null} discount - The line discount, if any.
+ * @property {TaxRate|null} taxRate - The line tax rate, if any; otherwise the order tax rate applies.
+ * @property {GoodsReceipt[]} receipts - The deliveries recorded against this line, oldest first.
+ * @property {string|null} closedShortReason - Why the line was closed before all units arrived, or null if it is open.
+ * @property {DateTime|null} requestedDeliveryDate - When the buyer wants this line delivered, if it differs from the order.
+ * @property {DateTime|null} promisedDeliveryDate - When the supplier promised to deliver this line, if it differs from the order.
  * @method {Money} calculateSubtotal - Calculates the subtotal for this item (unit price * quantity).
+ * @method {Money} calculateNetUnitPrice - Calculates the unit price after the line discount.
  */
 export class PurchaseOrderItem {
+    static #MAX_QUANTITY = 1000
     #orderId
     #productId
     #quantity
     #unitPrice
+    #discount
+    #taxRate
+    #receipts
+    #closedShortReason
+    #requestedDeliveryDate
+    #promisedDeliveryDate
 
     /**
      * Creates a new PurchaseOrderItem instance.
@@ -25,21 +44,56 @@ export class PurchaseOrderItem {
      * @param {ProductId} params.productId - The ID of the product.
      * @param {number} params.quantity - The quantity of the product.
      * @param {Money} params.unitPrice - The unit price of the product.
+     * @param {Discount|null} [params.discount] - The line discount, if any.
+     * @param {TaxRate|null} [params.taxRate] - The line tax rate, if any.
+     * @param {GoodsReceipt[]} [params.receipts] - The deliveries recorded so far; defaults to none.
+     * @param {string|null} [params.closedShortReason] - Why the line was closed short, if it was.
+     * @param {DateTime|null} [params.requestedDeliveryDate] - When the buyer wants the line delivered, if set for the line.
+     * @param {DateTime|null} [params.promisedDeliveryDate] - When the supplier promised the line, if set for the line.
      * @throws {ValidationError} If any of the parameters are invalid.
      */
-    constructor({ orderId, productId, quantity, unitPrice }) {
+    constructor({ orderId, productId, quantity, unitPrice, discount = null, taxRate = null, receipts = [], closedShortReason = null,
+                    requestedDeliveryDate = null, promisedDeliveryDate = null }) {
         if (typeof orderId !== 'string' || !orderId)
             throw new ValidationError('orderId must be a string');
         if (!(productId instanceof ProductId))
             throw new ValidationError('productId must be an instance of ProductId');
-        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > 1000)
-            throw new ValidationError('quantity must be a positive integer not exceeding 1000');
+        if (!Number.isInteger(quantity) || quantity <= 0 || quantity > PurchaseOrderItem.#MAX_QUANTITY)
+            throw new ValidationError(`quantity must be a positive integer not exceeding ${PurchaseOrderItem.#MAX_QUANTITY}`);
         if (!(unitPrice instanceof Money))
             throw new ValidationError('unitPrice must be a valid Money instance');
+        if (discount !== null && !(discount instanceof Discount && discount.isApplicableTo(unitPrice.currency)))
+            throw new ValidationError('discount must be a Discount instance in the currency of the unit price or null');
+        if (taxRate !== null && !(taxRate instanceof TaxRate))
+            throw new ValidationError('taxRate must be a TaxRate instance or null');
+        if (!Array.isArray(receipts) || receipts.some(receipt => !(receipt instanceof GoodsReceipt)))
+            throw new ValidationError('receipts must be an array of GoodsReceipt instances');
+        if (receipts.reduce((total, receipt) => total + receipt.receivedQuantity, 0) > quantity)
+            throw new ValidationError('receipts cannot receive more units than were ordered');
+        if (closedShortReason !== null && (typeof closedShortReason !== 'string' || !closedShortReason.trim()))
+            throw new ValidationError('closedShortReason must be a non-empty string or null');
+        if (requestedDeliveryDate !== null && !(requestedDeliveryDate instanceof DateTime))
+            throw new ValidationError('requestedDeliveryDate must be a DateTime instance or null');
+        if (promisedDeliveryDate !== null && !(promisedDeliveryDate instanceof DateTime))
+            throw new ValidationError('promisedDeliveryDate must be a DateTime instance or null');
         this.#orderId = orderId
         this.#productId = productId
         this.#quantity = quantity
         this.#unitPrice = unitPrice
+        this.#discount = discount
+        this.#taxRate = taxRate
+        this.#receipts = [...receipts]
+        this.#closedShortReason = closedShortReason
+        this.#requestedDeliveryDate = requestedDeliveryDate
+        this.#promisedDeliveryDate = promisedDeliveryDate
+    }
+
+    /**
+     * Gets the largest quantity a single line may have.
+     * @returns {number} The maximum quantity per line.
+     */
+    static get MAX_QUANTITY() {
+        return PurchaseOrderItem.#MAX_QUANTITY
     }
 
     /**
@@ -74,6 +128,129 @@ export class PurchaseOrderItem {
         return this.#unitPrice
     }
 
+    /**
+     * Gets the line discount.
+     * @returns {Discount|null} The discount, or null if none applies.
+     */
+    get discount() {
+        return this.#discount
+    }
+
+    /**
+     * Gets the line tax rate.
+     * @returns {TaxRate|null} The tax rate, or null if the order tax rate applies.
+     */
+    get taxRate() {
+        return this.#taxRate
+    }
+
+    /**
+     * Gets the deliveries recorded against this line.
+     * @returns {GoodsReceipt[]} A copy of the receipts, oldest first.
+     */
+    get receipts() {
+        return [...this.#receipts]
+    }
+
+    /**
+     * Gets the number of units accepted across all deliveries.
+     * @returns {number} The received quantity.
+     */
+    get receivedQuantity() {
+        return this.#receipts.reduce((total, receipt) => total + receipt.receivedQuantity, 0)
+    }
+
+    /**
+     * Gets the number of units rejected across all deliveries.
+     * @returns {number} The rejected quantity.
+     */
+    get rejectedQuantity() {
+        return this.#receipts.reduce((total, receipt) => total + receipt.rejectedQuantity, 0)
+    }
+
+    /**
+     * Gets the number of units still expected; zero once the line is closed short.
+     * @returns {number} The outstanding quantity.
+     */
+    get outstandingQuantity() {
+        return this.#closedShortReason === null ? this.#quantity - this.receivedQuantity : 0
+    }
+
+    /**
+     * Gets why the line was closed before all units arrived.
+     * @returns {string|null} The reason, or null if the line was not closed short.
+     */
+    get closedShortReason() {
+        return this.#closedShortReason
+    }
+
+    /**
+     * Gets when the buyer wants this line delivered.
+     * @returns {DateTime|null} The requested delivery date, or null if the order date applies.
+     */
+    get requestedDeliveryDate() {
+        return this.#requestedDeliveryDate
+    }
+
+    /**
+     * Gets when the supplier promised to deliver this line.
+     * @returns {DateTime|null} The promised delivery date, or null if the order date applies.
+     */
+    get promisedDeliveryDate() {
+        return this.#promisedDeliveryDate
+    }
+
+    /**
+     * Checks whether nothing more is expected for this line: every unit was received or the line was closed short.
+     * @returns {boolean} True if the line is settled.
+     */
+    get isSettled() {
+        return this.outstandingQuantity === 0
+    }
+
+    /**
+     * Returns a copy of this item with a delivery recorded against it.
+     * @param {GoodsReceipt} receipt - The delivery.
+     * @throws {ValidationError} If the line is settled or more units are delivered than are outstanding.
+     * @returns {PurchaseOrderItem} The updated item.
+     */
+    withReceipt(receipt) {
+        if (!(receipt instanceof GoodsReceipt))
+            throw new ValidationError('receipt must be a GoodsReceipt instance')
+        if (this.isSettled)
+            throw new InvalidStateError(`Product ${this.#productId.value} is already settled; no more deliveries are expected`)
+        if (receipt.deliveredQuantity > this.outstandingQuantity)
+            throw new ValidationError(`Product ${this.#productId.value} has ${this.outstandingQuantity} units outstanding, `
+                + `but ${receipt.deliveredQuantity} were delivered`)
+        return new PurchaseOrderItem({...this.#properties(), receipts: [...this.#receipts, receipt]})
+    }
+
+    /**
+     * Returns a copy of this item closed short: the units still outstanding are no longer expected.
+     * @param {string} reason - Why the line is closed short.
+     * @throws {ValidationError} If the reason is empty or the line is already settled.
+     * @returns {PurchaseOrderItem} The updated item.
+     */
+    closedShort(reason) {
+        if (typeof reason !== 'string' || !reason.trim())
+            throw new ValidationError('A reason is required to close a line short')
+        if (this.isSettled)
+            throw new InvalidStateError(`Product ${this.#productId.value} is already settled`)
+        return new PurchaseOrderItem({...this.#properties(), closedShortReason: reason.trim()})
+    }
+
+    /**
+     * Returns a copy of this item with other delivery dates.
+     * @param {Object} dates
+     * @param {DateTime|null} dates.requestedDeliveryDate - The requested delivery date, or null for the order date.
+     * @param {DateTime|null} dates.promisedDeliveryDate - The promised delivery date, or null for the order date.
+     * @throws {ValidationError} If a date is invalid.
+     * @returns {PurchaseOrderItem} The updated item.
+     */
+    withDeliveryDates({requestedDeliveryDate, promisedDeliveryDate}) {
+        return new PurchaseOrderItem({...this.#properties(), requestedDeliveryDate, promisedDeliveryDate})
+    }
+
     /**
      * Calculates the subtotal for this item (unit price * quantity).
      * @returns {Money} The subtotal amount.
@@ -81,4 +258,123 @@ export class PurchaseOrderItem {
     calculateSubtotal() {
         return this.#unitPrice.multiply(this.#quantity)
     }
+
+    /**
+     * Calculates the line discount on the subtotal.
+     * @returns {Money} The discount amount; zero if the line has no discount.
+     */
+    calculateDiscount() {
+        const subtotal = this.calculateSubtotal()
+        return this.#discount ? this.#discount.calculateOn(subtotal) : Money.zero(subtotal.currency)
+    }
+
+    /**
+     * Calculates the subtotal after the line discount.
+     * @returns {Money} The net amount.
+     */
+    calculateNetAmount() {
+        return this.calculateSubtotal().subtract(this.calculateDiscount())
+    }
+
+    /**
+     * Calculates the unit price after the line discount, which is what the supplier may invoice per unit.
+     * @returns {Money} The net amount divided by the quantity, rounded to the currency's precision.
+     */
+    calculateNetUnitPrice() {
+        return this.calculateNetAmount().divide(this.#quantity)
+    }
+
+    /**
+     * Returns a copy of this item with another quantity.
+     * @param {number} quantity - The new quantity.
+     * @throws {ValidationError} If the quantity is invalid.
+     * @returns {PurchaseOrderItem} The updated item.
+     */
+    withQuantity(quantity) {
+        return new PurchaseOrderItem({...this.#properties(), quantity})
+    }
+
+    /**
+     * Returns a copy of this item with another unit price.
+     * @param {Money} unitPrice - The new unit price.
+     * @throws {ValidationError} If the unit price is invalid or does not suit the line discount.
+     * @returns {PurchaseOrderItem} The updated item.
+     */
+    withUnitPrice(unitPrice) {
+        return new PurchaseOrderItem({...this.#properties(), unitPrice})
+    }
+
+    /**
+     * Checks whether another item buys on the same terms: same unit price, discount and tax rate.
+     * Lines on the same terms for the same product can be merged.
+     * @param {PurchaseOrderItem} other - The other item.
+     * @returns {boolean} True if the terms match.
+     */
+    hasSameTermsAs(other) {
+        const same = (a, b) => a === null ? b === null : b !== null && a.equals(b)
+        return this.#unitPrice.equals(other.#unitPrice)
+            && same(this.#discount, other.#discount)
+            && same(this.#taxRate, other.#taxRate)
+    }
+
+    /**
+     * Collects the constructor parameters of this item.
+     * @returns {Object} The item properties.
+     */
+    #properties() {
+        return {
+            orderId: this.#orderId,
+            productId: this.#productId,
+            quantity: this.#quantity,
+            unitPrice: this.#unitPrice,
+            discount: this.#discount,
+            taxRate: this.#taxRate,
+            receipts: this.#receipts,
+            closedShortReason: this.#closedShortReason,
+            requestedDeliveryDate: this.#requestedDeliveryDate,
+            promisedDeliveryDate: this.#promisedDeliveryDate
+        }
+    }
+
+    /**
+     * Returns the JSON representation of the item.
+     * @returns {Object} The item snapshot.
+     */
+    toJSON() {
+        return {
+            orderId: this.#orderId,
+            productId: this.#productId.toJSON(),
+            quantity: this.#quantity,
+            unitPrice: this.#unitPrice.toJSON(),
+            discount: this.#discount?.toJSON() ?? null,
+            taxRate: this.#taxRate?.toJSON() ?? null,
+            receipts: this.#receipts.map(receipt => receipt.toJSON()),
+            closedShortReason: this.#closedShortReason,
+            requestedDeliveryDate: this.#requestedDeliveryDate?.toJSON() ?? null,
+            promisedDeliveryDate: this.#promisedDeliveryDate?.toJSON() ?? null
+        }
+    }
+
+    /**
+     * Restores a PurchaseOrderItem from its JSON representation.
+     * @param {Object} json - The item snapshot, as produced by {@link PurchaseOrderItem#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrderItem} The restored item.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrderItem')
+        const productId = restoreField('productId', () => ProductId.fromJSON(json.productId))
+        const unitPrice = restoreField('unitPrice', () => Money.fromJSON(json.unitPrice))
+        const discount = json.discount == null ? null : restoreField('discount', () => Discount.fromJSON(json.discount))
+        const taxRate = json.taxRate == null ? null : restoreField('taxRate', () => TaxRate.fromJSON(json.taxRate))
+        const receipts = json.receipts == null ? [] : restoreField('receipts', () => {
+            if (!Array.isArray(json.receipts))
+                throw new ValidationError('receipts must be an array')
+            return json.receipts.map((receipt, index) => restoreField(`[${index}]`, () => GoodsReceipt.fromJSON(receipt)))
+        })
+        const date = field => json[field] == null ? null : restoreField(field, () => DateTime.fromJSON(json[field]))
+        return new PurchaseOrderItem({orderId: json.orderId, productId, quantity: json.quantity, unitPrice, discount, taxRate,
+            receipts, closedShortReason: json.closedShortReason ?? null,
+            requestedDeliveryDate: date('requestedDeliveryDate'), promisedDeliveryDate: date('promisedDeliveryDate')})
+    }
 }
\ No newline at end of file
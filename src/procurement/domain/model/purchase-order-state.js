@@ -1,9 +1,12 @@
-import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {InvalidStateError, ValidationError} from "../../../shared/domain/model/errors.js";
 
 /**
  * Value Object representing the state of a Purchase Order.
- * Valid states are: Draft, Submitted, Approved, Shipped, Completed, Cancelled.
- * State transitions are enforced through specific methods.
+ * Valid states are: Draft, Submitted, Approved, Shipped, PartiallyReceived, Completed, Cancelled.
+ * Allowed transitions are declared in a single transition table:
+ * Draft → Submitted | Cancelled, Submitted → Approved | Draft (rejected) | Cancelled,
+ * Approved → Shipped | Cancelled, Shipped → PartiallyReceived | Completed | Cancelled,
+ * PartiallyReceived → Completed. Completed and Cancelled are final.
  */
 export class PurchaseOrderState {
     static #VALID_STATES = {
@@ -11,9 +14,19 @@ export class PurchaseOrderState {
         SUBMITTED: 'Submitted',
         APPROVED: 'Approved',
         SHIPPED: 'Shipped',
+        PARTIALLY_RECEIVED: 'PartiallyReceived',
         COMPLETED: 'Completed',
         CANCELLED: 'Cancelled',
     }
+    static #TRANSITIONS = {
+        Draft: ['Submitted', 'Cancelled'],
+        Submitted: ['Approved', 'Draft', 'Cancelled'],
+        Approved: ['Shipped', 'Cancelled'],
+        Shipped: ['PartiallyReceived', 'Completed', 'Cancelled'],
+        PartiallyReceived: ['Completed'],
+        Completed: [],
+        Cancelled: [],
+    }
     #value;
 
     /**
@@ -37,6 +50,14 @@ export class PurchaseOrderState {
             throw new ValidationError(`Invalid purchase order state: ${state}. Valid states are: ${Object.values(PurchaseOrderState.#VALID_STATES).join(', ')}`);
     }
 
+    /**
+     * Gets all valid state values.
+     * @returns {string[]} The valid state values.
+     */
+    static get values() {
+        return Object.values(PurchaseOrderState.#VALID_STATES);
+    }
+
     /**
      * Gets the current state value.
      * @returns {string} The current state.
@@ -45,6 +66,52 @@ export class PurchaseOrderState {
         return this.#value;
     }
 
+    /**
+     * Lists the states that can be reached directly from this state.
+     * @returns {string[]} The allowed next state values; empty for final states.
+     */
+    allowedNextStates() {
+        return [...PurchaseOrderState.#TRANSITIONS[this.#value]];
+    }
+
+    /**
+     * Checks whether a transition from this state to the target state is allowed.
+     * @param {string} target - The target state value.
+     * @returns {boolean} True if the transition is allowed, false otherwise.
+     */
+    canTransitionTo(target) {
+        return PurchaseOrderState.#TRANSITIONS[this.#value].includes(target);
+    }
+
+    /**
+     * Explains why a transition from this state to the target state is rejected.
+     * @param {string} target - The target state value.
+     * @returns {string|null} The reason the transition is rejected, or null if it is allowed.
+     */
+    explainTransition(target) {
+        if (!Object.values(PurchaseOrderState.#VALID_STATES).includes(target))
+            return `Cannot transition from ${this.#value} to ${target}: ${target} is not a valid purchase order state`;
+        if (this.canTransitionTo(target))
+            return null;
+        const allowed = this.allowedNextStates();
+        if (allowed.length === 0)
+            return `Cannot transition from ${this.#value} to ${target}: ${this.#value} is a final state`;
+        return `Cannot transition from ${this.#value} to ${target}: allowed next states are ${allowed.join(', ')}`;
+    }
+
+    /**
+     * Transitions this state to the target state, as permitted by the transition table.
+     * @param {string} target - The target state value.
+     * @throws {ValidationError} If the transition is not allowed, explaining why.
+     * @returns {PurchaseOrderState} The new state.
+     */
+    transitionTo(target) {
+        const reason = this.explainTransition(target);
+        if (reason)
+            throw new InvalidStateError(reason);
+        return new PurchaseOrderState(target);
+    }
+
     /**
      * Transitions the state to 'Submitted' from 'Draft'.
      * @param {PurchaseOrderState} currentState - The current state.
@@ -52,9 +119,17 @@ export class PurchaseOrderState {
      * @returns {PurchaseOrderState} The new state with value 'Submitted'.
      */
     toSubmittedFrom(currentState) {
-        if (currentState.value !== PurchaseOrderState.#VALID_STATES.DRAFT )
-            throw new ValidationError(`Cannot transition from ${currentState.value} to Submitted`);
-        return new PurchaseOrderState(PurchaseOrderState.#VALID_STATES.SUBMITTED);
+        return currentState.transitionTo(PurchaseOrderState.#VALID_STATES.SUBMITTED);
+    }
+
+    /**
+     * Transitions the state back to 'Draft' from 'Submitted', e.g. when an order is rejected.
+     * @param {PurchaseOrderState} currentState - The current state.
+     * @throws {ValidationError} If the transition is not valid.
+     * @returns {PurchaseOrderState} The new state with value 'Draft'.
+     */
+    toDraftFrom(currentState) {
+        return currentState.transitionTo(PurchaseOrderState.#VALID_STATES.DRAFT);
     }
 
     /**
@@ -64,9 +139,7 @@ export class PurchaseOrderState {
      * @returns {PurchaseOrderState} The new state with value 'Approved'.
      */
     toApprovedFrom(currentState) {
-        if (currentState.value !== PurchaseOrderState.#VALID_STATES.SUBMITTED )
-            throw new ValidationError(`Cannot transition from ${currentState.value} to Approved`);
-        return new PurchaseOrderState(PurchaseOrderState.#VALID_STATES.APPROVED);
+        return currentState.transitionTo(PurchaseOrderState.#VALID_STATES.APPROVED);
     }
 
     /**
@@ -76,33 +149,37 @@ export class PurchaseOrderState {
      * @returns {PurchaseOrderState} The new state with value 'Shipped'.
      */
     toShippedFrom(currentState) {
-        if (currentState.value !== PurchaseOrderState.#VALID_STATES.APPROVED )
-            throw new ValidationError(`Cannot transition from ${currentState.value} to Shipped`);
-        return new PurchaseOrderState(PurchaseOrderState.#VALID_STATES.SHIPPED);
+        return currentState.transitionTo(PurchaseOrderState.#VALID_STATES.SHIPPED);
     }
 
     /**
-     * Transitions the state to 'Completed' from 'Shipped'.
+     * Transitions the state to 'PartiallyReceived' from 'Shipped', when the first delivery leaves units outstanding.
+     * @param {PurchaseOrderState} currentState - The current state.
+     * @throws {ValidationError} If the transition is not valid.
+     * @returns {PurchaseOrderState} The new state with value 'PartiallyReceived'.
+     */
+    toPartiallyReceivedFrom(currentState) {
+        return currentState.transitionTo(PurchaseOrderState.#VALID_STATES.PARTIALLY_RECEIVED);
+    }
+
+    /**
+     * Transitions the state to 'Completed' from 'Shipped' or 'PartiallyReceived'.
      * @param {PurchaseOrderState} currentState - The current state.
      * @throws {ValidationError} If the transition is not valid.
      * @returns {PurchaseOrderState} The new state with value 'Completed'.
      */
     toCompletedFrom(currentState) {
-        if (currentState.value !== PurchaseOrderState.#VALID_STATES.SHIPPED )
-            throw new ValidationError(`Cannot transition from ${currentState.value} to Completed`);
-        return new PurchaseOrderState(PurchaseOrderState.#VALID_STATES.COMPLETED);
+        return currentState.transitionTo(PurchaseOrderState.#VALID_STATES.COMPLETED);
     }
 
     /**
-     * Transitions the state to 'Cancelled' from any state except 'Completed'.
+     * Transitions the state to 'Cancelled' from any state that is not final.
      * @param {PurchaseOrderState} currentState - The current state.
      * @throws {ValidationError} If the transition is not valid.
      * @returns {PurchaseOrderState} The new state with value 'Cancelled'.
      */
     toCancelledFrom(currentState) {
-        if(currentState.value === PurchaseOrderState.#VALID_STATES.COMPLETED)
-            throw new ValidationError(`Cannot transition from ${currentState.value} to Cancelled`);
-        return new PurchaseOrderState(PurchaseOrderState.#VALID_STATES.CANCELLED);
+        return currentState.transitionTo(PurchaseOrderState.#VALID_STATES.CANCELLED);
     }
 
     /**
@@ -113,6 +190,43 @@ export class PurchaseOrderState {
         return this.#value === PurchaseOrderState.#VALID_STATES.DRAFT;
     }
 
+    /**
+     * Checks if goods can be received, i.e. the state is 'Shipped' or 'PartiallyReceived'.
+     * @returns {boolean} True if deliveries can be recorded, false otherwise.
+     */
+    isReceiving() {
+        return this.#value === PurchaseOrderState.#VALID_STATES.SHIPPED
+            || this.#value === PurchaseOrderState.#VALID_STATES.PARTIALLY_RECEIVED;
+    }
+
+    /**
+     * Checks if the current state is final, i.e. no further transitions are allowed.
+     * @returns {boolean} True if the state is 'Completed' or 'Cancelled', false otherwise.
+     */
+    isFinal() {
+        return PurchaseOrderState.#TRANSITIONS[this.#value].length === 0;
+    }
+
+    /**
+     * Returns the JSON representation of the state.
+     * @returns {string} The state value.
+     */
+    toJSON() {
+        return this.#value;
+    }
+
+    /**
+     * Restores a PurchaseOrderState from its JSON representation.
+     * @param {string} json - The state value.
+     * @throws {ValidationError} If the value is not a valid state.
+     * @returns {PurchaseOrderState} The restored state.
+     */
+    static fromJSON(json) {
+        if (json === undefined)
+            throw new ValidationError('Purchase order state is required');
+        return new PurchaseOrderState(json);
+    }
+
     /**
      * Verifies equality with another PurchaseOrderState.
      * @param {PurchaseOrderState} other - The other state to compare with.
@@ -121,4 +235,4 @@ export class PurchaseOrderState {
     equals(other) {
         return other instanceof PurchaseOrderState && this.#value === other.#value;
     }
-}
\ No newline at end of file
+}
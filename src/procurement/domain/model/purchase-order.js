@@ -1,30 +1,80 @@
-import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {InvalidStateError, ValidationError} from "../../../shared/domain/model/errors.js";
 import {Currency} from "../../../shared/domain/model/currency.js";
 import {generateUUID} from "../../../shared/domain/model/uuid.js";
 import {DateTime} from "../../../shared/domain/model/date-time.js";
 import {PurchaseOrderState} from "./purchase-order-state.js";
 import {PurchaseOrderItem} from "./purchase-order-item.js";
+import {Discount} from "./discount.js";
+import {TaxRate} from "./tax-rate.js";
+import {PriceBreakdown} from "./price-breakdown.js";
 import {Money} from "../../../shared/domain/model/money.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {PurchaseOrderCreated} from "../events/purchase-order-created.js";
+import {PurchaseOrderItemAdded} from "../events/purchase-order-item-added.js";
+import {PurchaseOrderItemRemoved} from "../events/purchase-order-item-removed.js";
+import {PurchaseOrderItemUpdated} from "../events/purchase-order-item-updated.js";
+import {PurchaseOrderSubmitted} from "../events/purchase-order-submitted.js";
+import {PurchaseOrderRejected} from "../events/purchase-order-rejected.js";
+import {PurchaseOrderApproved} from "../events/purchase-order-approved.js";
+import {PurchaseOrderShipped} from "../events/purchase-order-shipped.js";
+import {PurchaseOrderCompleted} from "../events/purchase-order-completed.js";
+import {PurchaseOrderCancelled} from "../events/purchase-order-cancelled.js";
+import {PurchaseOrderPartiallyReceived} from "../events/purchase-order-partially-received.js";
+import {PurchaseOrderGoodsReceived} from "../events/purchase-order-goods-received.js";
+import {PurchaseOrderLineClosedShort} from "../events/purchase-order-line-closed-short.js";
+import {PurchaseOrderApprovalRecorded} from "../events/purchase-order-approval-recorded.js";
+import {PurchaseOrderTermsChanged} from "../events/purchase-order-terms-changed.js";
+import {PurchaseOrderDeliveryScheduled} from "../events/purchase-order-delivery-scheduled.js";
+import {PurchaseOrderStateChanged} from "../events/purchase-order-state-changed.js";
+import {GoodsReceipt} from "./goods-receipt.js";
+import {Approval} from "./approval.js";
+import {ApprovalPolicy} from "./approval-policy.js";
 
 /**
  * Represents a purchase order aggregate root.
  * Manages the lifecycle and business rules of a purchase order in the Procurement bounded context.
+ * Every change is recorded as a domain event that can be pulled with {@link PurchaseOrder#pullDomainEvents}.
+ * The events describe every change completely, so a purchase order can also be rebuilt by replaying
+ * its history with {@link PurchaseOrder.replay}.
  * @class
  * @property {string} id - Unique identifier for the purchase order.
  * @property {SupplierId} supplierId - Identifier of the supplier associated with the purchase order.
  * @property {Currency} currency - Currency used for the purchase order.
  * @property {DateTime} orderDate - Date when the purchase order was created.
  * @property {PurchaseOrderItem[]} items - List of items included in the purchase order.
- * @property {PurchaseOrderState} state - Current state of the purchase order (e.g., Draft, Approved, Shipped, Completed, Cancelled).
+ * @property {PurchaseOrderState} state - Current state of the purchase order (e.g., Draft, Submitted, Approved, Shipped, Completed, Cancelled).
+ * @property {string|null} rejectionReason - Why the order was last returned to draft, or null.
+ * @property {Approval[]} approvals - Approvals given since the order was last submitted.
+ * @property {Discount|null} discount - Order-level discount, applied after line discounts.
+ * @property {TaxRate|null} taxRate - Order-level tax rate, applied to lines without their own tax rate.
+ * @property {Money} shippingCharge - Shipping charge, in the order currency.
+ * @property {Money} handlingCharge - Handling charge, in the order currency.
+ * @property {DateTime|null} shippedOn - When the order was shipped, or null if it was not (or before this was recorded).
+ * @property {DateTime|null} completedOn - When the order was completed, or null if it was not (or before this was recorded).
+ * @property {DateTime|null} requestedDeliveryDate - When the buyer wants the goods, unless a line says otherwise.
+ * @property {DateTime|null} promisedDeliveryDate - When the supplier promised the goods, unless a line says otherwise.
  */
 export class PurchaseOrder {
-    #MAX_ITEMS = 50
+    static #MAX_ITEMS = 50
     #id
     #supplierId
     #currency
     #orderDate
     #items
     #state
+    #rejectionReason = null
+    #approvals = []
+    #discount = null
+    #taxRate = null
+    #shippingCharge
+    #handlingCharge
+    #shippedOn = null
+    #completedOn = null
+    #requestedDeliveryDate = null
+    #promisedDeliveryDate = null
+    #domainEvents = []
+    #version = 0
 
     /**
      * Creates a new PurchaseOrder instance.
@@ -37,7 +87,7 @@ export class PurchaseOrder {
     constructor({supplierId, currency, orderDate}) {
         if (!supplierId)
             throw new ValidationError('supplierId is required');
-        if (!currency instanceof Currency)
+        if (!(currency instanceof Currency))
             throw new ValidationError('currency must be an instance of Currency');
         this.#id = generateUUID();
         this.#supplierId = supplierId;
@@ -45,69 +95,798 @@ export class PurchaseOrder {
         this.#orderDate = orderDate instanceof DateTime ? orderDate : new DateTime();
         this.#items = [];
         this.#state = new PurchaseOrderState();
+        this.#shippingCharge = Money.zero(currency);
+        this.#handlingCharge = Money.zero(currency);
+        this.#domainEvents.push(new PurchaseOrderCreated({
+            purchaseOrderId: this.#id,
+            supplierId: this.#supplierId,
+            currency: this.#currency,
+            orderDate: this.#orderDate
+        }));
+    }
+
+    /**
+     * Rebuilds a previously persisted purchase order, preserving its identity, state and items.
+     * Intended for repositories; application code should use the constructor to open new orders.
+     * @param {Object} params
+     * @param {string} params.id - Identifier of the purchase order.
+     * @param {SupplierId} params.supplierId - Identifier of the supplier.
+     * @param {Currency} params.currency - Currency for the purchase order.
+     * @param {DateTime} params.orderDate - Date of the order.
+     * @param {PurchaseOrderState} params.state - Current state of the purchase order.
+     * @param {PurchaseOrderItem[]} [params.items] - Items of the purchase order.
+     * @param {string|null} [params.rejectionReason] - Why the order was last returned to draft, if it was.
+     * @param {Approval[]} [params.approvals] - Approvals given since the order was last submitted.
+     * @param {Discount|null} [params.discount] - Order-level discount.
+     * @param {TaxRate|null} [params.taxRate] - Order-level tax rate.
+     * @param {Money|null} [params.shippingCharge] - Shipping charge; defaults to zero.
+     * @param {Money|null} [params.handlingCharge] - Handling charge; defaults to zero.
+     * @param {DateTime|null} [params.shippedOn] - When the order was shipped, if known.
+     * @param {DateTime|null} [params.completedOn] - When the order was completed, if known.
+     * @param {DateTime|null} [params.requestedDeliveryDate] - When the buyer wants the goods, if set.
+     * @param {DateTime|null} [params.promisedDeliveryDate] - When the supplier promised the goods, if set.
+     * @throws {ValidationError} If any parameter is missing or invalid.
+     * @returns {PurchaseOrder} The rebuilt purchase order.
+     */
+    static reconstitute({id, supplierId, currency, orderDate, state, items = [], rejectionReason = null,
+                            approvals = [], discount = null, taxRate = null, shippingCharge = null, handlingCharge = null,
+                            shippedOn = null, completedOn = null, requestedDeliveryDate = null, promisedDeliveryDate = null}) {
+        if (typeof id !== 'string' || !id)
+            throw new ValidationError('id must be a non-empty string');
+        if (!(orderDate instanceof DateTime))
+            throw new ValidationError('orderDate must be an instance of DateTime');
+        if (!(state instanceof PurchaseOrderState))
+            throw new ValidationError('state must be an instance of PurchaseOrderState');
+        if (!Array.isArray(items) || items.some(item => !(item instanceof PurchaseOrderItem)))
+            throw new ValidationError('items must be an array of PurchaseOrderItem');
+        if (rejectionReason !== null && typeof rejectionReason !== 'string')
+            throw new ValidationError('rejectionReason must be a string or null');
+        if (!Array.isArray(approvals) || approvals.some(approval => !(approval instanceof Approval)))
+            throw new ValidationError('approvals must be an array of Approval');
+        if (shippedOn !== null && !(shippedOn instanceof DateTime))
+            throw new ValidationError('shippedOn must be an instance of DateTime or null');
+        if (completedOn !== null && !(completedOn instanceof DateTime))
+            throw new ValidationError('completedOn must be an instance of DateTime or null');
+        const purchaseOrder = new PurchaseOrder({supplierId, currency, orderDate});
+        if (items.length > PurchaseOrder.#MAX_ITEMS)
+            throw new ValidationError(`A purchase order cannot have more than ${PurchaseOrder.#MAX_ITEMS} items`);
+        if (items.some(item => item.orderId !== id))
+            throw new ValidationError(`All items must belong to purchase order ${id}`);
+        purchaseOrder.#id = id;
+        purchaseOrder.#state = state;
+        purchaseOrder.#items = [...items];
+        purchaseOrder.#rejectionReason = rejectionReason;
+        purchaseOrder.#approvals = [...approvals];
+        purchaseOrder.#discount = purchaseOrder.#validateDiscount(discount);
+        purchaseOrder.#taxRate = purchaseOrder.#validateTaxRate(taxRate);
+        purchaseOrder.#shippingCharge = purchaseOrder.#validateCharge(shippingCharge ?? Money.zero(currency), 'shippingCharge');
+        purchaseOrder.#handlingCharge = purchaseOrder.#validateCharge(handlingCharge ?? Money.zero(currency), 'handlingCharge');
+        purchaseOrder.#shippedOn = shippedOn;
+        purchaseOrder.#completedOn = completedOn;
+        purchaseOrder.#requestedDeliveryDate = purchaseOrder.#validateDeliveryDate(requestedDeliveryDate, 'requestedDeliveryDate');
+        purchaseOrder.#promisedDeliveryDate = purchaseOrder.#validateDeliveryDate(promisedDeliveryDate, 'promisedDeliveryDate');
+        purchaseOrder.#domainEvents = [];
+        return purchaseOrder;
+    }
+
+    /**
+     * Restores a purchase order from its JSON representation.
+     * @param {Object} json - The purchase order snapshot, as produced by {@link PurchaseOrder#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {PurchaseOrder} The restored purchase order.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'PurchaseOrder');
+        const items = restoreField('items', () => {
+            if (!Array.isArray(json.items))
+                throw new ValidationError('items must be an array');
+            return json.items.map((item, index) =>
+                restoreField(`[${index}]`, () => PurchaseOrderItem.fromJSON(item)));
+        });
+        return PurchaseOrder.reconstitute({
+            id: restoreField('id', () => {
+                if (typeof json.id !== 'string' || !json.id)
+                    throw new ValidationError('id must be a non-empty string');
+                return json.id;
+            }),
+            supplierId: restoreField('supplierId', () => SupplierId.fromJSON(json.supplierId)),
+            currency: restoreField('currency', () => Currency.fromJSON(json.currency)),
+            orderDate: restoreField('orderDate', () => DateTime.fromJSON(json.orderDate)),
+            state: restoreField('state', () => PurchaseOrderState.fromJSON(json.state)),
+            items,
+            rejectionReason: restoreField('rejectionReason', () => {
+                const reason = json.rejectionReason ?? null;
+                if (reason !== null && typeof reason !== 'string')
+                    throw new ValidationError('rejectionReason must be a string or null');
+                return reason;
+            }),
+            approvals: json.approvals == null ? [] : restoreField('approvals', () => {
+                if (!Array.isArray(json.approvals))
+                    throw new ValidationError('approvals must be an array');
+                return json.approvals.map((approval, index) =>
+                    restoreField(`[${index}]`, () => Approval.fromJSON(approval)));
+            }),
+            discount: json.discount == null ? null : restoreField('discount', () => Discount.fromJSON(json.discount)),
+            taxRate: json.taxRate == null ? null : restoreField('taxRate', () => TaxRate.fromJSON(json.taxRate)),
+            shippingCharge: json.shippingCharge == null ? null
+                : restoreField('shippingCharge', () => Money.fromJSON(json.shippingCharge)),
+            handlingCharge: json.handlingCharge == null ? null
+                : restoreField('handlingCharge', () => Money.fromJSON(json.handlingCharge)),
+            shippedOn: json.shippedOn == null ? null : restoreField('shippedOn', () => DateTime.fromJSON(json.shippedOn)),
+            completedOn: json.completedOn == null ? null : restoreField('completedOn', () => DateTime.fromJSON(json.completedOn)),
+            requestedDeliveryDate: json.requestedDeliveryDate == null ? null
+                : restoreField('requestedDeliveryDate', () => DateTime.fromJSON(json.requestedDeliveryDate)),
+            promisedDeliveryDate: json.promisedDeliveryDate == null ? null
+                : restoreField('promisedDeliveryDate', () => DateTime.fromJSON(json.promisedDeliveryDate))
+        });
     }
 
     /**
      * Adds an item to the purchase order.
+     * Adding a product that already has a line on the same terms (unit price, discount and tax rate)
+     * increases the quantity of that line instead of creating another one.
+     * When a catalog is given, the product must be known and active, and the unit price defaults to the
+     * supplier's catalog price in the order currency on the order date.
      * @param {Object} params
-     * @param {string} params.productId - Identifier of the product to add.
+     * @param {ProductId} params.productId - Identifier of the product to add.
      * @param {number} params.quantity - Quantity of the product to add.
-     * @param {number} params.unitPrice - Unit price of the product.
-     * @throws {ValidationError} If the purchase order is not in Draft state, exceeds max items, or if parameters are invalid.
+     * @param {number} [params.unitPrice] - Unit price of the product; required unless a catalog supplies it.
+     * @param {Discount|null} [params.discount] - Line discount, if any.
+     * @param {TaxRate|null} [params.taxRate] - Line tax rate, if any; otherwise the order tax rate applies.
+     * @param {Object} [options]
+     * @param {ProductCatalog} [options.catalog] - Catalog used to check the product and look its price up.
+     * @throws {ValidationError} If the purchase order is not in Draft state, exceeds max items, if the product is
+     * unknown, inactive or has no supplier price, if merging would exceed the line quantity limit or the product
+     * already has a line on other terms, or if parameters are invalid.
      */
-    addItem({productId, quantity, unitPrice}) {
-        if (!this.#state.isDraft())
-            throw new ValidationError('Cannot add items to a non-draft purchase order');
-        if (this.#items.length >= this.#MAX_ITEMS)
-            throw new ValidationError(`Cannot add more than ${this.#MAX_ITEMS} items to a purchase order`);
-        if (!Number.isFinite(unitPrice) || unitPrice < 0)
+    addItem({productId, quantity, unitPrice, discount = null, taxRate = null}, {catalog} = {}) {
+        this.#assertDraft('add items to');
+        if (unitPrice === undefined ? !catalog : !Number.isFinite(unitPrice) || unitPrice < 0)
             throw new ValidationError('unitPrice must be a non-negative number');
 
-        this.#items.push(
-            new PurchaseOrderItem({
-                orderId: this.#id,
-                productId,
-                quantity,
-                unitPrice: new Money({amount: unitPrice, currency: this.#currency})
-            })
-        );
+        const item = new PurchaseOrderItem({
+            orderId: this.#id,
+            productId,
+            quantity,
+            unitPrice: catalog
+                ? this.#catalogUnitPrice(productId, unitPrice, catalog)
+                : new Money({amount: unitPrice, currency: this.#currency}),
+            discount,
+            taxRate
+        });
+        const existing = this.#items.find(current => current.productId.equals(item.productId));
+        if (existing) {
+            this.#mergeItem(existing, item);
+            return;
+        }
+        if (this.#items.length >= PurchaseOrder.#MAX_ITEMS)
+            throw new ValidationError(`Cannot add more than ${PurchaseOrder.#MAX_ITEMS} items to a purchase order`);
+        this.#items.push(item);
+        this.#domainEvents.push(new PurchaseOrderItemAdded({
+            purchaseOrderId: this.#id,
+            productId: item.productId,
+            quantity: item.quantity,
+            unitPrice: item.unitPrice,
+            discount: item.discount,
+            taxRate: item.taxRate,
+            totalPrice: this.calculateTotalPrice().grandTotal
+        }));
     }
 
     /**
-     * Calculates the total price of the purchase order by summing the subtotals of all items.
-     * @throws {ValidationError} If there are no items in the purchase order.
-     * @returns {Money} Total price of the purchase order.
+     * Merges an item into the existing line for the same product.
+     * @param {PurchaseOrderItem} existing - The line already on the order.
+     * @param {PurchaseOrderItem} added - The item being added.
+     * @throws {ValidationError} If the terms differ or the merged quantity exceeds the line limit.
+     */
+    #mergeItem(existing, added) {
+        if (!existing.hasSameTermsAs(added))
+            throw new InvalidStateError(`Purchase order already has a line for product ${added.productId.value} on other terms; `
+                + 'update that line instead of adding the product again', 'productId');
+        const quantity = existing.quantity + added.quantity;
+        if (quantity > PurchaseOrderItem.MAX_QUANTITY)
+            throw new ValidationError(`Adding ${added.quantity} units would bring product ${added.productId.value} to ${quantity} units; `
+                + `a line cannot exceed ${PurchaseOrderItem.MAX_QUANTITY}`, 'quantity');
+        this.#replaceItem(existing, existing.withQuantity(quantity));
+    }
+
+    /**
+     * Changes the quantity of the item for a product.
+     * @param {ProductId} productId - Identifier of the product.
+     * @param {number} quantity - The new quantity, a positive integer not exceeding 1000.
+     * @throws {ValidationError} If the purchase order is not in Draft state, has no item for the product, or the quantity is invalid.
+     */
+    updateItemQuantity(productId, quantity) {
+        this.updateItem(productId, {quantity});
+    }
+
+    /**
+     * Changes the unit price of the item for a product.
+     * @param {ProductId} productId - Identifier of the product.
+     * @param {number} unitPrice - The new unit price, in the order currency.
+     * @throws {ValidationError} If the purchase order is not in Draft state, has no item for the product, or the price is invalid.
+     */
+    updateItemPrice(productId, unitPrice) {
+        this.updateItem(productId, {unitPrice});
+    }
+
+    /**
+     * Changes the quantity and the unit price of the item for a product at once; nothing changes if either is invalid.
+     * @param {ProductId} productId - Identifier of the product.
+     * @param {Object} changes
+     * @param {number} [changes.quantity] - The new quantity, a positive integer not exceeding 1000; unchanged if omitted.
+     * @param {number} [changes.unitPrice] - The new unit price, in the order currency; unchanged if omitted.
+     * @throws {ValidationError} If the purchase order is not in Draft state, has no item for the product, nothing is
+     * changed, or the quantity or the price is invalid.
+     */
+    updateItem(productId, {quantity, unitPrice}) {
+        this.#assertDraft('change items of');
+        if (quantity === undefined && unitPrice === undefined)
+            throw new ValidationError('Nothing to update: give a quantity or a unit price');
+        if (unitPrice !== undefined && (!Number.isFinite(unitPrice) || unitPrice < 0))
+            throw new ValidationError('unitPrice must be a non-negative number');
+        const item = this.#findItem(productId);
+        let updated = quantity === undefined ? item : item.withQuantity(quantity);
+        if (unitPrice !== undefined)
+            updated = updated.withUnitPrice(new Money({amount: unitPrice, currency: this.#currency}));
+        this.#replaceItem(item, updated);
+    }
+
+    /**
+     * Finds the item for a product.
+     * @param {ProductId} productId - Identifier of the product.
+     * @throws {ValidationError} If the purchase order has no item for the product.
+     * @returns {PurchaseOrderItem} The item.
      */
-    calculateTotalPrice() {
+    #findItem(productId) {
+        const item = this.#items.find(current => current.productId.equals(productId));
+        if (!item)
+            throw new ValidationError(`Purchase order has no item for product ${productId?.value ?? productId}`);
+        return item;
+    }
+
+    /**
+     * Replaces an item with an updated copy, keeping its position, and records the change.
+     * @param {PurchaseOrderItem} previous - The item to replace.
+     * @param {PurchaseOrderItem} updated - The updated item.
+     */
+    #replaceItem(previous, updated) {
+        this.#swapItem(previous, updated);
+        this.#domainEvents.push(new PurchaseOrderItemUpdated({
+            purchaseOrderId: this.#id,
+            productId: updated.productId,
+            previousQuantity: previous.quantity,
+            quantity: updated.quantity,
+            previousUnitPrice: previous.unitPrice,
+            unitPrice: updated.unitPrice,
+            totalPrice: this.calculateTotalPrice().grandTotal
+        }));
+    }
+
+    /**
+     * Replaces an item with an updated copy, keeping its position.
+     * @param {PurchaseOrderItem} previous - The item to replace.
+     * @param {PurchaseOrderItem} updated - The updated item.
+     */
+    #swapItem(previous, updated) {
+        this.#items = this.#items.map(current => current === previous ? updated : current);
+    }
+
+    /**
+     * Checks a product against the catalog and determines its unit price.
+     * @param {ProductId} productId - Identifier of the product.
+     * @param {number|undefined} unitPrice - The unit price given by the caller, which takes precedence over the catalog price.
+     * @param {ProductCatalog} catalog - The catalog.
+     * @throws {ValidationError} If the product is unknown or inactive, or no price is given and the supplier has none.
+     * @returns {Money} The unit price.
+     */
+    #catalogUnitPrice(productId, unitPrice, catalog) {
+        const product = catalog.findProduct(productId);
+        if (!product)
+            throw new ValidationError(`Product ${productId?.value ?? productId} is not in the catalog`, 'productId');
+        if (!product.isActive)
+            throw new ValidationError(`Product ${product.name} is inactive and cannot be ordered`, 'productId');
+        if (unitPrice !== undefined)
+            return new Money({amount: unitPrice, currency: this.#currency});
+        const price = catalog.findSupplierPrice(this.#supplierId, productId, this.#currency, this.#orderDate);
+        if (!price)
+            throw new ValidationError(`Supplier has no ${this.#currency.code} price for ${product.name} `
+                + `on ${this.#orderDate.toISOString().slice(0, 10)}`, 'unitPrice');
+        return price;
+    }
+
+    /**
+     * Removes the item for a product from the purchase order.
+     * @param {ProductId} productId - Identifier of the product to remove.
+     * @throws {ValidationError} If the purchase order is not in Draft state or has no item for the product.
+     */
+    removeItem(productId) {
+        this.#assertDraft('remove items from');
+        const item = this.#findItem(productId);
+        this.#items = this.#items.filter(current => current !== item);
+        this.#domainEvents.push(new PurchaseOrderItemRemoved({
+            purchaseOrderId: this.#id,
+            productId: item.productId,
+            quantity: item.quantity,
+            totalPrice: this.#items.length > 0 ? this.calculateTotalPrice().grandTotal : null
+        }));
+    }
+
+    /**
+     * Sets or clears the order-level discount, applied to the lines after their own discounts.
+     * @param {Discount|null} discount - The discount, or null to remove it.
+     * @throws {ValidationError} If the purchase order is not in Draft state or the discount is invalid.
+     */
+    applyDiscount(discount) {
+        this.#assertDraft('change the discount of');
+        this.#discount = this.#validateDiscount(discount);
+        this.#recordTermsChanged();
+    }
+
+    /**
+     * Sets or clears the order-level tax rate, applied to every line that has no tax rate of its own.
+     * @param {TaxRate|null} taxRate - The tax rate, or null to remove it.
+     * @throws {ValidationError} If the purchase order is not in Draft state or the tax rate is invalid.
+     */
+    setTaxRate(taxRate) {
+        this.#assertDraft('change the tax rate of');
+        this.#taxRate = this.#validateTaxRate(taxRate);
+        this.#recordTermsChanged();
+    }
+
+    /**
+     * Sets the shipping charge. Shipping charges are not taxed.
+     * @param {Money} charge - The charge, in the order currency; use zero to remove it.
+     * @throws {ValidationError} If the purchase order is not in Draft state or the charge is invalid.
+     */
+    setShippingCharge(charge) {
+        this.#assertDraft('change the shipping charge of');
+        this.#shippingCharge = this.#validateCharge(charge, 'shippingCharge');
+        this.#recordTermsChanged();
+    }
+
+    /**
+     * Sets the handling charge. Handling charges are not taxed.
+     * @param {Money} charge - The charge, in the order currency; use zero to remove it.
+     * @throws {ValidationError} If the purchase order is not in Draft state or the charge is invalid.
+     */
+    setHandlingCharge(charge) {
+        this.#assertDraft('change the handling charge of');
+        this.#handlingCharge = this.#validateCharge(charge, 'handlingCharge');
+        this.#recordTermsChanged();
+    }
+
+    /**
+     * Records the order-level terms as they are after a change.
+     */
+    #recordTermsChanged() {
+        this.#domainEvents.push(new PurchaseOrderTermsChanged({
+            purchaseOrderId: this.#id,
+            discount: this.#discount,
+            taxRate: this.#taxRate,
+            shippingCharge: this.#shippingCharge,
+            handlingCharge: this.#handlingCharge,
+            totalPrice: this.#items.length > 0 ? this.calculateTotalPrice().grandTotal : null
+        }));
+    }
+
+    /**
+     * Sets or clears the requested and promised delivery dates of the order, or of the line of a product.
+     * Dates set on a line take precedence over those of the order. Dates left undefined are kept; null clears them.
+     * @param {Object} schedule
+     * @param {ProductId|null} [schedule.productId] - The product whose line is rescheduled, or null for the whole order.
+     * @param {DateTime|null} [schedule.requestedDeliveryDate] - When the buyer wants the goods.
+     * @param {DateTime|null} [schedule.promisedDeliveryDate] - When the supplier promised the goods.
+     * @throws {InvalidStateError} If the purchase order is Completed or Cancelled.
+     * @throws {ValidationError} If the order has no line for the product, or a date is invalid or precedes the order date.
+     */
+    scheduleDelivery({productId = null, requestedDeliveryDate, promisedDeliveryDate}) {
+        if (this.#state.isFinal())
+            throw new InvalidStateError(`Cannot schedule the delivery of a purchase order in ${this.#state.value} state`);
+        const item = productId === null ? null : this.#findItem(productId);
+        const current = item ?? this;
+        const dates = {
+            requestedDeliveryDate: requestedDeliveryDate === undefined ? current.requestedDeliveryDate
+                : this.#validateDeliveryDate(requestedDeliveryDate, 'requestedDeliveryDate'),
+            promisedDeliveryDate: promisedDeliveryDate === undefined ? current.promisedDeliveryDate
+                : this.#validateDeliveryDate(promisedDeliveryDate, 'promisedDeliveryDate')
+        };
+        this.#applyDeliveryDates(item, dates);
+        this.#domainEvents.push(new PurchaseOrderDeliveryScheduled({purchaseOrderId: this.#id, productId: item?.productId ?? null, ...dates}));
+    }
+
+    /**
+     * Sets the delivery dates of the order or of a line.
+     * @param {PurchaseOrderItem|null} item - The line, or null for the whole order.
+     * @param {{requestedDeliveryDate: DateTime|null, promisedDeliveryDate: DateTime|null}} dates - The dates.
+     */
+    #applyDeliveryDates(item, dates) {
+        if (item) {
+            this.#swapItem(item, item.withDeliveryDates(dates));
+            return;
+        }
+        this.#requestedDeliveryDate = dates.requestedDeliveryDate;
+        this.#promisedDeliveryDate = dates.promisedDeliveryDate;
+    }
+
+    /**
+     * Validates a delivery date.
+     * @param {DateTime|null} date - The date, or null for none.
+     * @param {string} field - The field validated, used in the error.
+     * @throws {ValidationError} If the date is not a DateTime or null, or precedes the order date.
+     * @returns {DateTime|null} The validated date.
+     */
+    #validateDeliveryDate(date, field) {
+        if (date === null) return null;
+        if (!(date instanceof DateTime))
+            throw new ValidationError(`${field} must be an instance of DateTime or null`, field);
+        if (date.isBefore(this.#orderDate))
+            throw new ValidationError(`A delivery date cannot precede the order date ${this.#orderDate.toISOString().slice(0, 10)}`, field);
+        return date;
+    }
+
+    /**
+     * Gets when the supplier promised to deliver the line of a product: the date of the line, or else that of the order.
+     * @param {ProductId} productId - Identifier of the product.
+     * @throws {ValidationError} If the purchase order has no item for the product.
+     * @returns {DateTime|null} The promised delivery date, or null if none was promised.
+     */
+    promisedDeliveryDateFor(productId) {
+        return this.#findItem(productId).promisedDeliveryDate ?? this.#promisedDeliveryDate;
+    }
+
+    /**
+     * Finds since when the purchase order is late: the earliest date promised for a line that still expects units,
+     * if that day has passed. A line is due by the end of its day, in the default time zone, so it is only late from
+     * the next day on. Lines without a promised date are due at the fallback date, if one is given.
+     * @param {DateTime} [asOf] - The moment to check at; defaults to now.
+     * @param {Object} [options]
+     * @param {DateTime|null} [options.fallbackDueDate] - When lines without a promised date are due; by default they are never late.
+     * @returns {DateTime|null} The earliest missed delivery date, or null if nothing outstanding is overdue.
+     */
+    overdueSince(asOf = new DateTime(), {fallbackDueDate = null} = {}) {
+        return this.#items
+            .filter(item => !item.isSettled)
+            .map(item => item.promisedDeliveryDate ?? this.#promisedDeliveryDate ?? fallbackDueDate)
+            .filter(dueDate => dueDate !== null && dueDate.toISODate() < asOf.toISODate())
+            .reduce((earliest, dueDate) => earliest === null || dueDate.isBefore(earliest) ? dueDate : earliest, null);
+    }
+
+    /**
+     * Ensures the purchase order can still be modified.
+     * @param {string} action - The attempted action, used in the error message.
+     * @throws {ValidationError} If the purchase order is not in Draft state.
+     */
+    #assertDraft(action) {
+        if (!this.#state.isDraft())
+            throw new InvalidStateError(`Cannot ${action} a non-draft purchase order`);
+    }
+
+    /**
+     * Validates an order-level discount.
+     * @param {Discount|null} discount - The discount.
+     * @throws {ValidationError} If the discount is not a Discount in the order currency or null.
+     * @returns {Discount|null} The validated discount.
+     */
+    #validateDiscount(discount) {
+        if (discount !== null && !(discount instanceof Discount && discount.isApplicableTo(this.#currency)))
+            throw new ValidationError('discount must be a Discount instance in the order currency or null');
+        return discount;
+    }
+
+    /**
+     * Validates an order-level tax rate.
+     * @param {TaxRate|null} taxRate - The tax rate.
+     * @throws {ValidationError} If the tax rate is not a TaxRate or null.
+     * @returns {TaxRate|null} The validated tax rate.
+     */
+    #validateTaxRate(taxRate) {
+        if (taxRate !== null && !(taxRate instanceof TaxRate))
+            throw new ValidationError('taxRate must be a TaxRate instance or null');
+        return taxRate;
+    }
+
+    /**
+     * Validates a shipping or handling charge.
+     * @param {Money} charge - The charge.
+     * @param {string} name - The name of the charge, used in the error message.
+     * @throws {ValidationError} If the charge is not Money in the order currency.
+     * @returns {Money} The validated charge.
+     */
+    #validateCharge(charge, name) {
+        if (!(charge instanceof Money) || !charge.currency.equals(this.#currency))
+            throw new ValidationError(`${name} must be a Money instance in the order currency`);
+        return charge;
+    }
+
+    /**
+     * Calculates the total price of the purchase order and how it is made up.
+     * Line discounts apply first; the order discount then applies to the discounted lines and is spread over
+     * them in proportion to their amounts. Each line is taxed at its own rate, or the order rate if it has none.
+     * Shipping and handling charges are added untaxed.
+     * The breakdown can optionally be reported in another currency, converted at the rate in effect on the
+     * order date unless another moment is given.
+     * @param {Object} [options]
+     * @param {Currency} [options.reportingCurrency] - Currency to report the total in; defaults to the order currency.
+     * @param {ExchangeRateProvider} [options.rates] - Rates provider; required when reporting in another currency.
+     * @param {DateTime} [options.asOf] - Moment whose rate applies; defaults to the order date.
+     * @throws {ValidationError} If there are no items in the purchase order, or the total cannot be converted.
+     * @returns {PriceBreakdown} Subtotal, discounts, tax, shipping and grand total of the purchase order.
+     */
+    calculateTotalPrice({reportingCurrency, rates, asOf} = {}) {
         if (this.#items.length === 0)
             throw new ValidationError('Cannot calculate total price of a purchase order with no items');
-        return this.#items
-            .reduce((sum, item) => sum.add(item.calculateSubtotal()),
-                new Money({amount: 0, currency: this.#currency}));
+        const breakdown = this.#breakdownOf(this.#items.map(item =>
+            ({item, subtotal: item.calculateSubtotal(), discount: item.calculateDiscount()})));
+        if (!reportingCurrency || reportingCurrency.equals(this.#currency))
+            return breakdown;
+        if (!rates)
+            throw new ValidationError('An exchange rate provider is required to report totals in another currency');
+        return breakdown.convertTo(reportingCurrency, rates, asOf ?? this.#orderDate);
+    }
+
+    /**
+     * Calculates the price of the goods accepted so far, as {@link PurchaseOrder#calculateTotalPrice} would if each
+     * line had been ordered at its received quantity: line amounts and discounts count in proportion to the units
+     * received, while the order discount and the shipping and handling charges apply as they are.
+     * @throws {ValidationError} If there are no items in the purchase order.
+     * @returns {PriceBreakdown} Subtotal, discounts, tax, shipping and grand total of the goods received.
+     */
+    calculateReceivedPrice() {
+        if (this.#items.length === 0)
+            throw new ValidationError('Cannot calculate received price of a purchase order with no items');
+        return this.#breakdownOf(this.#items.map(item => {
+            const received = Math.min(item.receivedQuantity, item.quantity);
+            const share = amount => received === item.quantity ? amount : amount.allocate([received, item.quantity - received])[0];
+            return {item, subtotal: share(item.calculateSubtotal()), discount: share(item.calculateDiscount())};
+        }));
     }
 
     /**
-     * Transitions the purchase order to Approved state.
-     * @throws {ValidationError} If the purchase order is not in Draft state or has no items.
+     * Works out the price breakdown of some amounts of the lines, in the order currency.
+     * @param {{item: PurchaseOrderItem, subtotal: Money, discount: Money}[]} lines - Each line with the subtotal and
+     * line discount to count for it.
+     * @returns {PriceBreakdown} The breakdown.
      */
-    approve() {
-        this.#state = this.#state.toApprovedFrom(this.#state);
+    #breakdownOf(lines) {
+        const zero = Money.zero(this.#currency);
+        const sum = amounts => amounts.reduce((total, amount) => total.add(amount), zero);
+        const netAmounts = lines.map(({subtotal, discount}) => subtotal.subtract(discount));
+        const netTotal = sum(netAmounts);
+        const orderDiscount = this.#discount ? this.#discount.calculateOn(netTotal) : zero;
+        const orderDiscountShares = netTotal.isZero()
+            ? netAmounts.map(() => zero)
+            : orderDiscount.allocate(netAmounts.map(amount => Number(amount.minorAmount)));
+        const tax = sum(lines.map(({item}, index) => {
+            const taxRate = item.taxRate ?? this.#taxRate;
+            return taxRate ? taxRate.calculateOn(netAmounts[index].subtract(orderDiscountShares[index])) : zero;
+        }));
+        return new PriceBreakdown({
+            subtotal: sum(lines.map(({subtotal}) => subtotal)),
+            discounts: sum(lines.map(({discount}) => discount)).add(orderDiscount),
+            tax,
+            shipping: this.#shippingCharge.add(this.#handlingCharge)
+        });
+    }
+
+    /**
+     * Submits the purchase order for approval, transitioning it to Submitted state.
+     * Approvals given before an earlier rejection are discarded. If the approval policy
+     * needs no approvers for this order, it is approved straight away.
+     * @param {Object} [options]
+     * @param {ApprovalPolicy} [options.policy] - The approval policy; defaults to a single approver of any role.
+     * @param {ExchangeRateProvider} [options.rates] - Rates provider; required when a limit is in another currency.
+     * @throws {ValidationError} If the purchase order is not in Draft state, has no items or matches no approval rule.
+     */
+    submit({policy = ApprovalPolicy.singleApprover(), rates} = {}) {
+        if (this.#items.length === 0)
+            throw new InvalidStateError('Cannot submit a purchase order with no items');
+        const submitted = this.#state.toSubmittedFrom(this.#state);
+        const rule = this.approvalRule({policy, rates});
+        this.#transition(submitted, PurchaseOrderSubmitted);
+        this.#rejectionReason = null;
+        this.#approvals = [];
+        if (rule.levels.length === 0)
+            this.#transition(this.#state.toApprovedFrom(this.#state), PurchaseOrderApproved);
+    }
+
+    /**
+     * Finds the approval rule of a policy that applies to this purchase order.
+     * The grand total is compared with the rule limits at the exchange rates of the order date.
+     * @param {Object} [options]
+     * @param {ApprovalPolicy} [options.policy] - The approval policy; defaults to a single approver of any role.
+     * @param {ExchangeRateProvider} [options.rates] - Rates provider; required when a limit is in another currency.
+     * @throws {ValidationError} If no rule applies or the total cannot be converted.
+     * @returns {ApprovalRule} The rule that applies.
+     */
+    approvalRule({policy = ApprovalPolicy.singleApprover(), rates} = {}) {
+        if (!(policy instanceof ApprovalPolicy))
+            throw new ValidationError('policy must be an instance of ApprovalPolicy');
+        return policy.ruleFor({
+            supplierId: this.#supplierId,
+            currency: this.#currency,
+            total: this.calculateTotalPrice().grandTotal,
+            asOf: this.#orderDate
+        }, rates);
+    }
+
+    /**
+     * Rejects a submitted purchase order, returning it to Draft state so it can be corrected and resubmitted.
+     * @param {string} reason - Why the purchase order is rejected.
+     * @throws {ValidationError} If the reason is empty or the purchase order is not in Submitted state.
+     */
+    reject(reason) {
+        if (typeof reason !== 'string' || !reason.trim())
+            throw new ValidationError('A rejection reason is required');
+        this.#transition(this.#state.toDraftFrom(this.#state), PurchaseOrderRejected, {reason: reason.trim()});
+        this.#rejectionReason = reason.trim();
+    }
+
+    /**
+     * Records an approval of a submitted purchase order. The order stays Submitted until every level of
+     * the approval rule that applies to it has an approver, then it transitions to Approved.
+     * Approvers sign off in the order of the levels and nobody can approve the same order twice.
+     * @param {Object} approval
+     * @param {string} approval.approverId - Who approves.
+     * @param {string|null} [approval.role] - The role the approver acts in; must match the role the next level requires.
+     * @param {DateTime} [approval.approvedOn] - When the order was approved; defaults to now.
+     * @param {Object} [options]
+     * @param {ApprovalPolicy} [options.policy] - The approval policy; defaults to a single approver of any role.
+     * @param {ExchangeRateProvider} [options.rates] - Rates provider; required when a limit is in another currency.
+     * @throws {ValidationError} If the purchase order is not in Submitted state or the approval does not satisfy the policy.
+     */
+    approve({approverId, role = null, approvedOn = new DateTime()} = {}, {policy = ApprovalPolicy.singleApprover(), rates} = {}) {
+        const approved = this.#state.toApprovedFrom(this.#state);
+        const approval = new Approval({approverId, role, approvedOn});
+        if (this.#approvals.some(existing => existing.approverId === approval.approverId))
+            throw new InvalidStateError(`${approval.approverId} has already approved purchase order ${this.#id}`, 'approverId');
+        const levels = this.approvalRule({policy, rates}).levels;
+        const required = levels[this.#approvals.length] ?? null;
+        if (required !== null && required.toLowerCase() !== approval.role?.toLowerCase())
+            throw new ValidationError(`Approval ${this.#approvals.length + 1} of ${levels.length} for purchase order `
+                + `${this.#id} must be given by a ${required}`, 'role');
+        this.#approvals.push(approval);
+        this.#domainEvents.push(new PurchaseOrderApprovalRecorded({
+            purchaseOrderId: this.#id,
+            approverId: approval.approverId,
+            role: approval.role,
+            approvedOn: approval.approvedOn,
+            approvalsGiven: this.#approvals.length,
+            approvalsRequired: Math.max(levels.length, 1)
+        }));
+        if (this.#approvals.length >= levels.length)
+            this.#transition(approved, PurchaseOrderApproved);
     }
 
     /**
      * Transitions the purchase order to Shipped state.
-     * @throws {ValidationError} If the purchase order is not in Approved state.
+     * @param {Object} [params]
+     * @param {DateTime} [params.shippedOn] - When the order was shipped; defaults to now.
+     * @throws {ValidationError} If the purchase order is not in Approved state or the date is invalid.
+     */
+    ship({shippedOn = new DateTime()} = {}) {
+        if (!(shippedOn instanceof DateTime))
+            throw new ValidationError('shippedOn must be an instance of DateTime', 'shippedOn');
+        this.#transition(this.#state.toShippedFrom(this.#state), PurchaseOrderShipped, {shippedOn});
+        this.#shippedOn = shippedOn;
+    }
+
+    /**
+     * Records a delivery against a shipped or partially received purchase order.
+     * The order moves to PartiallyReceived after the first delivery and completes on its own
+     * once every line is fully received or closed short. The delivery is recorded for all lines or for none.
+     * @param {Object} params
+     * @param {DateTime} [params.receivedOn] - When the goods arrived; defaults to now.
+     * @param {{productId: ProductId, receivedQuantity: number, rejectedQuantity?: number, rejectionReason?: string|null}[]} params.lines
+     * - What was delivered for each product, at most one entry per product.
+     * @param {boolean} [params.imported=false] - Whether the delivery is recorded while importing an order that had
+     * already been received; the event raised says so, so that stock and invoices are not updated for it again.
+     * @throws {ValidationError} If the purchase order is not receiving goods, a product is not on the order or listed twice,
+     * more units are delivered than are outstanding, or any quantity or reason is invalid.
+     */
+    receiveGoods({receivedOn = new DateTime(), lines, imported = false}) {
+        this.#assertReceiving('receive goods for');
+        if (!Array.isArray(lines) || lines.length === 0)
+            throw new ValidationError('A goods receipt must have at least one line');
+        const updates = new Map();
+        lines.forEach(({productId, receivedQuantity, rejectedQuantity = 0, rejectionReason = null}, index) =>
+            restoreField(`lines[${index}]`, () => {
+                const item = this.#findItem(productId);
+                if (updates.has(item))
+                    throw new ValidationError(`Product ${item.productId.value} is listed more than once`, 'productId');
+                updates.set(item, item.withReceipt(new GoodsReceipt({receivedOn, receivedQuantity, rejectedQuantity, rejectionReason})));
+            }));
+        updates.forEach((updated, previous) => this.#swapItem(previous, updated));
+        this.#domainEvents.push(new PurchaseOrderGoodsReceived({
+            purchaseOrderId: this.#id,
+            receivedOn,
+            lines: [...updates.values()].map(item => {
+                const receipt = item.receipts.at(-1);
+                return {
+                    productId: item.productId,
+                    receivedQuantity: receipt.receivedQuantity,
+                    rejectedQuantity: receipt.rejectedQuantity,
+                    rejectionReason: receipt.rejectionReason
+                };
+            }),
+            imported
+        }));
+        this.#advanceReceipt(receivedOn);
+    }
+
+    /**
+     * Closes a line short: its outstanding units are no longer expected.
+     * The purchase order completes on its own if this settles its last open line.
+     * @param {ProductId} productId - Identifier of the product whose line is closed.
+     * @param {string} reason - Why the line is closed short.
+     * @throws {ValidationError} If the purchase order is not receiving goods, has no item for the product,
+     * the line is already settled or the reason is empty.
+     */
+    closeLineShort(productId, reason) {
+        this.#assertReceiving('close lines of');
+        this.#closeShort(this.#findItem(productId), reason);
+        this.#advanceReceipt(new DateTime());
+    }
+
+    /**
+     * Completes the purchase order. Lines with units still outstanding are closed short first.
+     * @param {string} [reason] - Why outstanding lines are closed short.
+     * @throws {ValidationError} If the purchase order is not in Shipped or PartiallyReceived state.
+     */
+    complete(reason = 'Closed when the purchase order was completed') {
+        const completed = this.#state.toCompletedFrom(this.#state);
+        this.#items.filter(item => !item.isSettled).forEach(item => this.#closeShort(item, reason));
+        this.#completeAt(completed, new DateTime());
+    }
+
+    /**
+     * Moves the purchase order to Completed state and records when.
+     * @param {PurchaseOrderState} completed - The Completed state, already validated by {@link PurchaseOrderState}.
+     * @param {DateTime} completedOn - When the order was completed.
+     */
+    #completeAt(completed, completedOn) {
+        this.#transition(completed, PurchaseOrderCompleted,
+            {completedOn, receivedTotalPrice: this.calculateReceivedPrice().grandTotal});
+        this.#completedOn = completedOn;
+    }
+
+    /**
+     * Closes a line short and records the corresponding domain event.
+     * @param {PurchaseOrderItem} item - The line to close.
+     * @param {string} reason - Why the line is closed short.
+     * @throws {ValidationError} If the line is already settled or the reason is empty.
      */
-    ship() {
-        this.#state = this.#state.toShippedFrom(this.#state);
+    #closeShort(item, reason) {
+        const closed = item.closedShort(reason);
+        this.#swapItem(item, closed);
+        this.#domainEvents.push(new PurchaseOrderLineClosedShort({
+            purchaseOrderId: this.#id,
+            productId: item.productId,
+            shortQuantity: item.outstandingQuantity,
+            reason: closed.closedShortReason
+        }));
     }
 
     /**
-     * Transitions the purchase order to Completed state.
-     * @throws {ValidationError} If the purchase order is not in Shipped state.
+     * Moves a receiving purchase order forward after a delivery or a short closure:
+     * to Completed when every line is settled, or from Shipped to PartiallyReceived once goods have arrived.
+     * @param {DateTime} on - When the delivery arrived or the line was closed.
      */
-    complete() {
-        this.#state = this.#state.toCompletedFrom(this.#state);
+    #advanceReceipt(on) {
+        if (this.#items.every(item => item.isSettled))
+            this.#completeAt(this.#state.toCompletedFrom(this.#state), on);
+        else if (this.#state.canTransitionTo('PartiallyReceived') && this.#items.some(item => item.receipts.length > 0))
+            this.#transition(this.#state.toPartiallyReceivedFrom(this.#state), PurchaseOrderPartiallyReceived);
+    }
+
+    /**
+     * Ensures goods can be received, i.e. the purchase order is Shipped or PartiallyReceived.
+     * @param {string} action - Description of the attempted action, used in the error message.
+     * @throws {ValidationError} If the purchase order is in any other state.
+     */
+    #assertReceiving(action) {
+        if (!this.#state.isReceiving())
+            throw new InvalidStateError(`Cannot ${action} a purchase order in ${this.#state.value} state; it must be shipped first`);
     }
 
     /**
@@ -115,7 +894,187 @@ export class PurchaseOrder {
      * @throws {ValidationError} If the purchase order is already Completed or Cancelled.
      */
     cancel() {
-        this.#state = this.#state.toCancelledFrom(this.#state);
+        this.#transition(this.#state.toCancelledFrom(this.#state), PurchaseOrderCancelled);
+    }
+
+    /**
+     * Moves the purchase order to a new state and records the corresponding domain event.
+     * @param {PurchaseOrderState} newState - The state to move to, already validated by {@link PurchaseOrderState}.
+     * @param {typeof PurchaseOrderStateChanged} EventType - The domain event class to record.
+     * @param {Object} [details] - Additional event-specific parameters.
+     */
+    #transition(newState, EventType, details = {}) {
+        const previousState = this.#state;
+        this.#state = newState;
+        this.#domainEvents.push(new EventType({
+            purchaseOrderId: this.#id,
+            supplierId: this.#supplierId,
+            previousState: previousState.value,
+            newState: newState.value,
+            totalPrice: this.#items.length > 0 ? this.calculateTotalPrice().grandTotal : null,
+            ...details
+        }));
+    }
+
+    /**
+     * Returns the domain events recorded since the last call and clears them from the aggregate.
+     * Call after the purchase order has been saved, then publish the events.
+     * The events count as stored from then on, so the {@link PurchaseOrder#version} moves past them.
+     * @returns {DomainEvent[]} The recorded domain events, in the order they happened.
+     */
+    pullDomainEvents() {
+        const events = this.#domainEvents;
+        this.#domainEvents = [];
+        this.#version += events.length;
+        return events;
+    }
+
+    /**
+     * Gets the domain events recorded since they were last pulled, without clearing them.
+     * Repositories that store events rather than state append these on save.
+     * @returns {DomainEvent[]} A copy of the pending domain events, in the order they happened.
+     */
+    get pendingDomainEvents() {
+        return [...this.#domainEvents];
+    }
+
+    /**
+     * Gets the number of events stored for the purchase order when it was loaded, plus those pulled since.
+     * Event-sourced repositories compare it with the stored history to detect concurrent changes.
+     * @returns {number} The version; 0 for a purchase order that has never been saved.
+     */
+    get version() {
+        return this.#version;
+    }
+
+    /**
+     * Rebuilds a purchase order by replaying its history, optionally starting from a snapshot taken part way through.
+     * Only the state is rebuilt: replaying does not check business rules again nor record new events.
+     * @param {DomainEvent[]} events - The events to replay, oldest first. Without a snapshot,
+     * the first one must be the {@link PurchaseOrderCreated} event of the order.
+     * @param {Object} [options]
+     * @param {{version: number, state: Object}|null} [options.snapshot] - A snapshot of the purchase order
+     * (as produced by {@link PurchaseOrder#toJSON}) after its first `version` events; the events follow it.
+     * @throws {ValidationError} If the history does not start with the creation of the order, the snapshot
+     * is invalid or an event cannot be applied.
+     * @returns {PurchaseOrder} The rebuilt purchase order, whose version counts the snapshot and replayed events.
+     */
+    static replay(events, {snapshot = null} = {}) {
+        let purchaseOrder;
+        let remaining = events;
+        if (snapshot) {
+            if (!Number.isInteger(snapshot.version) || snapshot.version < 1)
+                throw new ValidationError('Snapshot version must be a positive integer', 'version');
+            purchaseOrder = restoreField('state', () => PurchaseOrder.fromJSON(snapshot.state));
+            purchaseOrder.#version = snapshot.version;
+        } else {
+            const [created, ...rest] = events;
+            if (!(created instanceof PurchaseOrderCreated))
+                throw new ValidationError('A purchase order history must start with a PurchaseOrderCreated event');
+            purchaseOrder = PurchaseOrder.reconstitute({
+                id: created.purchaseOrderId,
+                supplierId: created.supplierId,
+                currency: created.currency,
+                orderDate: created.orderDate,
+                state: new PurchaseOrderState()
+            });
+            purchaseOrder.#version = 1;
+            remaining = rest;
+        }
+        remaining.forEach(event => {
+            restoreField(`events[${purchaseOrder.#version}]`, () => purchaseOrder.#apply(event));
+            purchaseOrder.#version++;
+        });
+        return purchaseOrder;
+    }
+
+    /**
+     * Applies the change described by a stored event, as the command that recorded it did.
+     * @param {DomainEvent} event - The event to apply.
+     * @throws {ValidationError} If the event belongs to another order, is of an unknown type or cannot be applied.
+     */
+    #apply(event) {
+        if (event.purchaseOrderId !== this.#id)
+            throw new ValidationError(`Event ${event.eventType} belongs to purchase order ${event.purchaseOrderId}, not ${this.#id}`);
+        if (event instanceof PurchaseOrderItemAdded) {
+            this.#items.push(new PurchaseOrderItem({
+                orderId: this.#id, productId: event.productId, quantity: event.quantity, unitPrice: event.unitPrice,
+                discount: event.discount, taxRate: event.taxRate
+            }));
+        } else if (event instanceof PurchaseOrderItemUpdated) {
+            const item = this.#findItem(event.productId);
+            this.#swapItem(item, item.withQuantity(event.quantity).withUnitPrice(event.unitPrice));
+        } else if (event instanceof PurchaseOrderItemRemoved) {
+            const item = this.#findItem(event.productId);
+            this.#items = this.#items.filter(current => current !== item);
+        } else if (event instanceof PurchaseOrderTermsChanged) {
+            this.#discount = event.discount;
+            this.#taxRate = event.taxRate;
+            this.#shippingCharge = event.shippingCharge;
+            this.#handlingCharge = event.handlingCharge;
+        } else if (event instanceof PurchaseOrderDeliveryScheduled) {
+            this.#applyDeliveryDates(event.productId === null ? null : this.#findItem(event.productId), {
+                requestedDeliveryDate: event.requestedDeliveryDate,
+                promisedDeliveryDate: event.promisedDeliveryDate
+            });
+        } else if (event instanceof PurchaseOrderStateChanged) {
+            this.#state = new PurchaseOrderState(event.newState);
+            if (event instanceof PurchaseOrderSubmitted) {
+                this.#rejectionReason = null;
+                this.#approvals = [];
+            }
+            if (event instanceof PurchaseOrderRejected)
+                this.#rejectionReason = event.reason;
+            if (event instanceof PurchaseOrderShipped)
+                this.#shippedOn = event.shippedOn;
+            if (event instanceof PurchaseOrderCompleted)
+                this.#completedOn = event.completedOn;
+        } else if (event instanceof PurchaseOrderApprovalRecorded) {
+            this.#approvals.push(new Approval({approverId: event.approverId, role: event.role, approvedOn: event.approvedOn}));
+        } else if (event instanceof PurchaseOrderGoodsReceived) {
+            event.lines.forEach(({productId, ...receipt}) => {
+                const item = this.#findItem(productId);
+                this.#swapItem(item, item.withReceipt(new GoodsReceipt({receivedOn: event.receivedOn, ...receipt})));
+            });
+        } else if (event instanceof PurchaseOrderLineClosedShort) {
+            const item = this.#findItem(event.productId);
+            this.#swapItem(item, item.closedShort(event.reason));
+        } else {
+            throw new ValidationError(`Cannot apply a ${event.eventType} event to a purchase order`);
+        }
+    }
+
+    /**
+     * Returns the JSON representation of the purchase order.
+     * @returns {Object} The purchase order snapshot, including its state and items.
+     */
+    toJSON() {
+        return {
+            id: this.#id,
+            supplierId: this.#supplierId.toJSON(),
+            currency: this.#currency.toJSON(),
+            orderDate: this.#orderDate.toJSON(),
+            state: this.#state.toJSON(),
+            items: this.#items.map(item => item.toJSON()),
+            rejectionReason: this.#rejectionReason,
+            approvals: this.#approvals.map(approval => approval.toJSON()),
+            discount: this.#discount?.toJSON() ?? null,
+            taxRate: this.#taxRate?.toJSON() ?? null,
+            shippingCharge: this.#shippingCharge.toJSON(),
+            handlingCharge: this.#handlingCharge.toJSON(),
+            shippedOn: this.#shippedOn?.toJSON() ?? null,
+            completedOn: this.#completedOn?.toJSON() ?? null,
+            requestedDeliveryDate: this.#requestedDeliveryDate?.toJSON() ?? null,
+            promisedDeliveryDate: this.#promisedDeliveryDate?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Gets the largest number of items a purchase order may have.
+     * @returns {number} The maximum number of items.
+     */
+    static get MAX_ITEMS() {
+        return PurchaseOrder.#MAX_ITEMS;
     }
 
     /**
@@ -160,12 +1119,101 @@ export class PurchaseOrder {
 
     /**
      * Gets the current state of the purchase order.
-     * @returns {string} The current state (e.g., Draft, Approved, Shipped, Completed, Cancelled).
+     * @returns {string} The current state (e.g., Draft, Submitted, Approved, Shipped, Completed, Cancelled).
      */
     get state() {
         return this.#state.value;
     }
 
+    /**
+     * Lists the states the purchase order can move to next.
+     * @returns {string[]} The allowed next states.
+     */
+    get allowedNextStates() {
+        return this.#state.allowedNextStates();
+    }
+
+    /**
+     * Gets the reason the purchase order was last rejected and returned to draft.
+     * Cleared when the purchase order is submitted again.
+     * @returns {string|null} The rejection reason, or null.
+     */
+    get rejectionReason() {
+        return this.#rejectionReason;
+    }
+
+    /**
+     * Gets the approvals given since the purchase order was last submitted, oldest first.
+     * @returns {Approval[]} A copy of the approvals.
+     */
+    get approvals() {
+        return [...this.#approvals];
+    }
+
+    /**
+     * Gets the order-level discount.
+     * @returns {Discount|null} The discount, or null if none applies.
+     */
+    get discount() {
+        return this.#discount;
+    }
+
+    /**
+     * Gets the order-level tax rate.
+     * @returns {TaxRate|null} The tax rate, or null if none applies.
+     */
+    get taxRate() {
+        return this.#taxRate;
+    }
+
+    /**
+     * Gets the shipping charge.
+     * @returns {Money} The shipping charge, in the order currency.
+     */
+    get shippingCharge() {
+        return this.#shippingCharge;
+    }
+
+    /**
+     * Gets the handling charge.
+     * @returns {Money} The handling charge, in the order currency.
+     */
+    get handlingCharge() {
+        return this.#handlingCharge;
+    }
+
+    /**
+     * Gets when the purchase order was shipped.
+     * @returns {DateTime|null} The shipping date, or null if it was not shipped or was shipped before this was recorded.
+     */
+    get shippedOn() {
+        return this.#shippedOn;
+    }
+
+    /**
+     * Gets when the purchase order was completed.
+     * @returns {DateTime|null} The completion date, or null if it was not completed or was completed before this was recorded.
+     */
+    get completedOn() {
+        return this.#completedOn;
+    }
+
+    /**
+     * Gets when the buyer wants the goods.
+     * @returns {DateTime|null} The requested delivery date of the order, or null if none is set.
+     */
+    get requestedDeliveryDate() {
+        return this.#requestedDeliveryDate;
+    }
+
+    /**
+     * Gets when the supplier promised the goods.
+     * @returns {DateTime|null} The promised delivery date of the order, or null if none is set.
+     */
+    get promisedDeliveryDate() {
+        return this.#promisedDeliveryDate;
+    }
+
     /**
      * Checks if the purchase order is in Draft state.
      * @returns {boolean} True if the purchase order is a draft, false otherwise.
@@ -0,0 +1,87 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object representing a tax rate (e.g. 18% VAT) applied to a purchase order line or to the whole order.
+ */
+export class TaxRate {
+    #name
+    #percentage
+
+    /**
+     * Creates a new TaxRate instance.
+     * @param {Object} params
+     * @param {number} params.percentage - The rate as a percentage, from 0 up to 100 (e.g. 18 for 18%).
+     * @param {string} [params.name='Tax'] - A short label such as "VAT" or "IGV".
+     * @throws {ValidationError} If the percentage or name is invalid.
+     */
+    constructor({percentage, name = 'Tax'}) {
+        if (!Number.isFinite(percentage) || percentage < 0 || percentage > 100)
+            throw new ValidationError('Tax percentage must be a number between 0 and 100');
+        if (typeof name !== 'string' || !name.trim() || name.length > 30)
+            throw new ValidationError('Tax name must be a non-empty string of up to 30 characters');
+        this.#percentage = percentage;
+        this.#name = name.trim();
+    }
+
+    /**
+     * Gets the rate as a percentage.
+     * @returns {number} The percentage.
+     */
+    get percentage() {
+        return this.#percentage;
+    }
+
+    /**
+     * Gets the label of the tax.
+     * @returns {string} The name.
+     */
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Calculates the tax due on a taxable amount.
+     * @param {Money} taxableAmount - The amount the tax applies to.
+     * @returns {Money} The tax, in the currency of the taxable amount.
+     */
+    calculateOn(taxableAmount) {
+        return taxableAmount.percentage(this.#percentage);
+    }
+
+    /**
+     * Returns the JSON representation of the tax rate.
+     * @returns {{name: string, percentage: number}} The tax rate snapshot.
+     */
+    toJSON() {
+        return {name: this.#name, percentage: this.#percentage};
+    }
+
+    /**
+     * Restores a TaxRate from its JSON representation.
+     * @param {Object} json - The tax rate snapshot, as produced by {@link TaxRate#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid.
+     * @returns {TaxRate} The restored tax rate.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'TaxRate');
+        return new TaxRate({percentage: json.percentage, name: json.name});
+    }
+
+    /**
+     * Verifies equality with another TaxRate.
+     * @param {TaxRate} other - The other tax rate.
+     * @returns {boolean} True if both tax rates are equal.
+     */
+    equals(other) {
+        return other instanceof TaxRate && this.#percentage === other.#percentage && this.#name === other.#name;
+    }
+
+    /**
+     * Returns a string representation of the tax rate.
+     * @returns {string} E.g. "VAT 18%".
+     */
+    toString() {
+        return `${this.#name} ${this.#percentage}%`;
+    }
+}
@@ -0,0 +1,25 @@
+/**
+ * Read contract for the recorded history of {@link PurchaseOrder} aggregates in the Procurement bounded context.
+ * Implemented by repositories that store the domain events of purchase orders rather than only their latest state.
+ * @interface
+ */
+export class PurchaseOrderHistory {
+    /**
+     * Finds the domain events that brought a purchase order to its current state.
+     * @param {string} id - The purchase order ID.
+     * @returns {Promise<DomainEvent[]>} The events, oldest first; empty if the purchase order does not exist.
+     */
+    async findHistory(id) {
+        throw new Error('PurchaseOrderHistory.findHistory() must be implemented');
+    }
+
+    /**
+     * Rebuilds a purchase order as it was at a given moment, from the events recorded up to then.
+     * @param {string} id - The purchase order ID.
+     * @param {DateTime} asOf - The moment.
+     * @returns {Promise<PurchaseOrder|null>} The purchase order, or null if it did not exist yet.
+     */
+    async findByIdAsOf(id, asOf) {
+        throw new Error('PurchaseOrderHistory.findByIdAsOf() must be implemented');
+    }
+}
@@ -0,0 +1,60 @@
+/**
+ * Repository contract for {@link PurchaseOrder} aggregates in the Procurement bounded context.
+ * Concrete implementations live in the infrastructure layer and decide where aggregates are persisted.
+ * All methods are asynchronous so that in-memory and I/O-backed implementations are interchangeable.
+ * @interface
+ */
+export class PurchaseOrderRepository {
+    /**
+     * Persists a purchase order, inserting it or replacing a previously saved version with the same ID.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order to save.
+     * @returns {Promise<void>}
+     */
+    async save(purchaseOrder) {
+        throw new Error('PurchaseOrderRepository.save() must be implemented');
+    }
+
+    /**
+     * Finds a purchase order by its identifier.
+     * @param {string} id - The purchase order ID.
+     * @returns {Promise<PurchaseOrder|null>} The purchase order, or null if none was found.
+     */
+    async findById(id) {
+        throw new Error('PurchaseOrderRepository.findById() must be implemented');
+    }
+
+    /**
+     * Finds all purchase orders placed with a supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @returns {Promise<PurchaseOrder[]>} The matching purchase orders.
+     */
+    async findBySupplierId(supplierId) {
+        throw new Error('PurchaseOrderRepository.findBySupplierId() must be implemented');
+    }
+
+    /**
+     * Finds all purchase orders in a given state.
+     * @param {PurchaseOrderState|string} state - The state, as a value object or its string value.
+     * @returns {Promise<PurchaseOrder[]>} The matching purchase orders.
+     */
+    async findByState(state) {
+        throw new Error('PurchaseOrderRepository.findByState() must be implemented');
+    }
+
+    /**
+     * Finds all stored purchase orders.
+     * @returns {Promise<PurchaseOrder[]>} All purchase orders.
+     */
+    async findAll() {
+        throw new Error('PurchaseOrderRepository.findAll() must be implemented');
+    }
+
+    /**
+     * Deletes a purchase order by its identifier.
+     * @param {string} id - The purchase order ID.
+     * @returns {Promise<boolean>} True if a purchase order was deleted, false if none existed.
+     */
+    async delete(id) {
+        throw new Error('PurchaseOrderRepository.delete() must be implemented');
+    }
+}
@@ -0,0 +1,15 @@
+/**
+ * Contract for services that prepare a {@link ProductCatalog} for the orders of one supplier.
+ * Loading is asynchronous; the catalog it returns answers lookups synchronously.
+ * @interface
+ */
+export class ProductCatalogProvider {
+    /**
+     * Loads the catalog as seen by the orders of a supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @returns {Promise<ProductCatalog>} The catalog.
+     */
+    async forSupplier(supplierId) {
+        throw new Error('ProductCatalogProvider.forSupplier() must be implemented');
+    }
+}
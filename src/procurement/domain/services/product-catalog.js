@@ -0,0 +1,27 @@
+/**
+ * Contract through which the Procurement bounded context looks products and supplier prices up.
+ * Lookups are synchronous so aggregates can use them; implementations load the data they need beforehand.
+ * @interface
+ */
+export class ProductCatalog {
+    /**
+     * Finds a product.
+     * @param {ProductId} productId - The product ID.
+     * @returns {{name: string, isActive: boolean}|null} The product, or null if the catalog does not know it.
+     */
+    findProduct(productId) {
+        throw new Error('ProductCatalog.findProduct() must be implemented');
+    }
+
+    /**
+     * Finds the price a supplier charges for one unit of a product at a given moment.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @param {ProductId} productId - The product ID.
+     * @param {Currency} currency - The currency the price must be in.
+     * @param {DateTime} asOf - The moment the price must apply at.
+     * @returns {Money|null} The unit price, or null if the supplier has no price for the product then.
+     */
+    findSupplierPrice(supplierId, productId, currency, asOf) {
+        throw new Error('ProductCatalog.findSupplierPrice() must be implemented');
+    }
+}
@@ -0,0 +1,22 @@
+import {readFile} from "node:fs/promises";
+import {ApprovalPolicy} from "../../domain/model/approval-policy.js";
+
+/**
+ * Loads an approval policy from a JSON file containing an array of {@link ApprovalRule} snapshots, in order of precedence, e.g.
+ * [{"name": "Small orders", "upTo": {"amount": 1000, "currency": "USD"}, "levels": []},
+ *  {"name": "Medium orders", "upTo": {"amount": 10000, "currency": "USD"}, "levels": ["Manager"]},
+ *  {"name": "Large orders", "levels": ["Manager", "Director"]}].
+ * @param {string} filePath - Path of the policy file.
+ * @throws {ValidationError} If the file content is not a valid policy; the error names the rule and field.
+ * @returns {Promise<ApprovalPolicy>} The loaded policy, or a single approver of any role if the file does not exist.
+ */
+export async function loadApprovalPolicy(filePath) {
+    let content;
+    try {
+        content = await readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return ApprovalPolicy.singleApprover();
+        throw error;
+    }
+    return ApprovalPolicy.fromJSON(JSON.parse(content));
+}
@@ -0,0 +1,30 @@
+import {ProductCatalogProvider} from "../../domain/services/product-catalog-provider.js";
+import {SnapshotProductCatalog} from "./snapshot-product-catalog.js";
+
+/**
+ * Implementation of {@link ProductCatalogProvider} reading the Catalog bounded context's repositories.
+ */
+export class RepositoryProductCatalogProvider extends ProductCatalogProvider {
+    #productRepository
+    #priceListRepository
+
+    /**
+     * Creates a new RepositoryProductCatalogProvider instance.
+     * @param {Object} params
+     * @param {ProductRepository} params.productRepository - Repository where products are stored.
+     * @param {SupplierPriceListRepository} params.priceListRepository - Repository where supplier price lists are stored.
+     */
+    constructor({productRepository, priceListRepository}) {
+        super();
+        this.#productRepository = productRepository;
+        this.#priceListRepository = priceListRepository;
+    }
+
+    /** @inheritDoc */
+    async forSupplier(supplierId) {
+        return new SnapshotProductCatalog({
+            products: await this.#productRepository.findAll(),
+            priceList: await this.#priceListRepository.findBySupplierId(supplierId)
+        });
+    }
+}
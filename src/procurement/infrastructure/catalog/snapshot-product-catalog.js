@@ -0,0 +1,32 @@
+import {ProductCatalog} from "../../domain/services/product-catalog.js";
+
+/**
+ * Implementation of {@link ProductCatalog} answering from products and a price list loaded beforehand.
+ */
+export class SnapshotProductCatalog extends ProductCatalog {
+    #products
+    #priceList
+
+    /**
+     * Creates a new SnapshotProductCatalog instance.
+     * @param {Object} params
+     * @param {Product[]} params.products - The catalog products.
+     * @param {SupplierPriceList|null} params.priceList - The price list of the supplier, or null if it has none.
+     */
+    constructor({products, priceList}) {
+        super();
+        this.#products = new Map(products.map(product => [product.id.value, product]));
+        this.#priceList = priceList;
+    }
+
+    /** @inheritDoc */
+    findProduct(productId) {
+        return this.#products.get(productId?.value) ?? null;
+    }
+
+    /** @inheritDoc */
+    findSupplierPrice(supplierId, productId, currency, asOf) {
+        if (!this.#priceList?.supplierId.equals(supplierId)) return null;
+        return this.#priceList.priceFor(productId, currency, asOf);
+    }
+}
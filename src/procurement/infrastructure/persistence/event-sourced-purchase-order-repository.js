@@ -0,0 +1,143 @@
+import {PurchaseOrderRepository} from "../../domain/repositories/purchase-order-repository.js";
+import {PurchaseOrder} from "../../domain/model/purchase-order.js";
+import {PurchaseOrderState} from "../../domain/model/purchase-order-state.js";
+import {ConcurrencyError, ValidationError} from "../../../shared/domain/model/errors.js";
+import {restoreField} from "../../../shared/domain/model/snapshot.js";
+import {PurchaseOrderCreated} from "../../domain/events/purchase-order-created.js";
+import {PurchaseOrderItemAdded} from "../../domain/events/purchase-order-item-added.js";
+import {PurchaseOrderItemUpdated} from "../../domain/events/purchase-order-item-updated.js";
+import {PurchaseOrderItemRemoved} from "../../domain/events/purchase-order-item-removed.js";
+import {PurchaseOrderTermsChanged} from "../../domain/events/purchase-order-terms-changed.js";
+import {PurchaseOrderSubmitted} from "../../domain/events/purchase-order-submitted.js";
+import {PurchaseOrderRejected} from "../../domain/events/purchase-order-rejected.js";
+import {PurchaseOrderApprovalRecorded} from "../../domain/events/purchase-order-approval-recorded.js";
+import {PurchaseOrderApproved} from "../../domain/events/purchase-order-approved.js";
+import {PurchaseOrderShipped} from "../../domain/events/purchase-order-shipped.js";
+import {PurchaseOrderGoodsReceived} from "../../domain/events/purchase-order-goods-received.js";
+import {PurchaseOrderPartiallyReceived} from "../../domain/events/purchase-order-partially-received.js";
+import {PurchaseOrderLineClosedShort} from "../../domain/events/purchase-order-line-closed-short.js";
+import {PurchaseOrderCompleted} from "../../domain/events/purchase-order-completed.js";
+import {PurchaseOrderCancelled} from "../../domain/events/purchase-order-cancelled.js";
+import {PurchaseOrderDeliveryScheduled} from "../../domain/events/purchase-order-delivery-scheduled.js";
+
+/**
+ * Event-sourced implementation of {@link PurchaseOrderRepository}, also implementing {@link PurchaseOrderHistory}.
+ * Instead of the latest state, it stores the domain events of each purchase order in an {@link EventStore}
+ * stream and rebuilds the order by replaying them, so every past state can be reconstructed.
+ * A snapshot is stored every `snapshotInterval` events so that loading only replays the events after it.
+ * Saving fails with a {@link ConcurrencyError} if the order was changed by someone else since it was loaded.
+ * @implements {PurchaseOrderHistory}
+ */
+export class EventSourcedPurchaseOrderRepository extends PurchaseOrderRepository {
+    static #EVENT_TYPES = new Map([
+        PurchaseOrderCreated, PurchaseOrderItemAdded, PurchaseOrderItemUpdated, PurchaseOrderItemRemoved,
+        PurchaseOrderTermsChanged, PurchaseOrderSubmitted, PurchaseOrderRejected, PurchaseOrderApprovalRecorded,
+        PurchaseOrderApproved, PurchaseOrderShipped, PurchaseOrderGoodsReceived, PurchaseOrderPartiallyReceived,
+        PurchaseOrderLineClosedShort, PurchaseOrderCompleted, PurchaseOrderCancelled, PurchaseOrderDeliveryScheduled
+    ].map(EventType => [EventType.name, EventType]))
+    #eventStore
+    #snapshotInterval
+
+    /**
+     * Creates a new EventSourcedPurchaseOrderRepository instance.
+     * @param {Object} params
+     * @param {EventStore} params.eventStore - Store holding one event stream per purchase order.
+     * @param {number} [params.snapshotInterval=20] - Number of events between two snapshots.
+     * @throws {TypeError} If the snapshot interval is not a positive integer.
+     */
+    constructor({eventStore, snapshotInterval = 20}) {
+        super();
+        if (!Number.isInteger(snapshotInterval) || snapshotInterval < 1)
+            throw new TypeError('snapshotInterval must be a positive integer');
+        this.#eventStore = eventStore;
+        this.#snapshotInterval = snapshotInterval;
+    }
+
+    /**
+     * Appends the pending domain events of a purchase order to its stream, taking a snapshot when an interval is crossed.
+     * The events are replayed on the stored history first, to make sure they reproduce the order exactly.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order to save.
+     * @throws {ConcurrencyError} If the stream changed since the purchase order was loaded.
+     * @throws {Error} If the pending events do not reproduce the state of the purchase order.
+     * @returns {Promise<void>}
+     */
+    async save(purchaseOrder) {
+        const events = purchaseOrder.pendingDomainEvents;
+        if (events.length === 0) return;
+        const stored = await this.findById(purchaseOrder.id);
+        if ((stored?.version ?? 0) !== purchaseOrder.version)
+            throw new ConcurrencyError(`Purchase order ${purchaseOrder.id} was changed by someone else `
+                + `(version ${stored?.version ?? 0}, expected ${purchaseOrder.version}); reload it and try again`);
+        const replayed = PurchaseOrder.replay(events,
+            {snapshot: stored ? {version: stored.version, state: stored.toJSON()} : null});
+        if (JSON.stringify(replayed.toJSON()) !== JSON.stringify(purchaseOrder.toJSON()))
+            throw new Error(`The events recorded by purchase order ${purchaseOrder.id} do not reproduce its state`);
+        const version = await this.#eventStore.append(purchaseOrder.id, purchaseOrder.version,
+            events.map(event => event.toJSON()));
+        if (Math.floor(version / this.#snapshotInterval) > Math.floor(purchaseOrder.version / this.#snapshotInterval))
+            await this.#eventStore.saveSnapshot(purchaseOrder.id, {version, state: purchaseOrder.toJSON()});
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const snapshot = (await this.#eventStore.readSnapshots(id)).at(-1) ?? null;
+        const events = await this.#eventStore.readEvents(id, {afterVersion: snapshot?.version ?? 0});
+        if (!snapshot && events.length === 0) return null;
+        return PurchaseOrder.replay(events.map((event, index) =>
+            EventSourcedPurchaseOrderRepository.#deserialize(event, (snapshot?.version ?? 0) + index)), {snapshot});
+    }
+
+    /** @inheritDoc */
+    async findHistory(id) {
+        const events = await this.#eventStore.readEvents(id);
+        return events.map((event, index) => EventSourcedPurchaseOrderRepository.#deserialize(event, index));
+    }
+
+    /** @inheritDoc */
+    async findByIdAsOf(id, asOf) {
+        const history = await this.findHistory(id);
+        const laterIndex = history.findIndex(event => event.occurredOn.date > asOf.date);
+        const version = laterIndex === -1 ? history.length : laterIndex;
+        if (version === 0) return null;
+        const snapshot = (await this.#eventStore.readSnapshots(id)).filter(candidate => candidate.version <= version).at(-1);
+        return PurchaseOrder.replay(history.slice(snapshot?.version ?? 0, version), {snapshot: snapshot ?? null});
+    }
+
+    /** @inheritDoc */
+    async findBySupplierId(supplierId) {
+        return (await this.findAll()).filter(purchaseOrder => purchaseOrder.supplierId.equals(supplierId));
+    }
+
+    /** @inheritDoc */
+    async findByState(state) {
+        const value = state instanceof PurchaseOrderState ? state.value : new PurchaseOrderState(state).value;
+        return (await this.findAll()).filter(purchaseOrder => purchaseOrder.state === value);
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        const ids = await this.#eventStore.streamIds();
+        return Promise.all(ids.map(id => this.findById(id)));
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#eventStore.deleteStream(id);
+    }
+
+    /**
+     * Restores a domain event from its stored record.
+     * @param {Object} record - The event record, as produced by the event's toJSON().
+     * @param {number} index - Position of the event in its stream, used in error messages.
+     * @throws {ValidationError} If the event type is unknown or the record is invalid.
+     * @returns {DomainEvent} The restored event.
+     */
+    static #deserialize(record, index) {
+        return restoreField(`events[${index}]`, () => {
+            const EventType = EventSourcedPurchaseOrderRepository.#EVENT_TYPES.get(record?.eventType);
+            if (!EventType)
+                throw new ValidationError(`Unknown purchase order event type: ${record?.eventType}`, 'eventType');
+            return EventType.fromJSON(record);
+        });
+    }
+}
@@ -0,0 +1,55 @@
+import {PurchaseOrderRepository} from "../../domain/repositories/purchase-order-repository.js";
+import {PurchaseOrderState} from "../../domain/model/purchase-order-state.js";
+import {PurchaseOrder} from "../../domain/model/purchase-order.js";
+
+/**
+ * In-memory implementation of {@link PurchaseOrderRepository}.
+ * Purchase orders are kept as plain records, so saved aggregates are isolated from later in-process changes
+ * until they are saved again, exactly as with file-backed persistence. Data is lost when the process exits.
+ */
+export class InMemoryPurchaseOrderRepository extends PurchaseOrderRepository {
+    #records = new Map()
+
+    /** @inheritDoc */
+    async save(purchaseOrder) {
+        this.#records.set(purchaseOrder.id, purchaseOrder.toJSON());
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const record = this.#records.get(id);
+        return record ? PurchaseOrder.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findBySupplierId(supplierId) {
+        return this.#findWhere(record => record.supplierId === supplierId.value);
+    }
+
+    /** @inheritDoc */
+    async findByState(state) {
+        const value = state instanceof PurchaseOrderState ? state.value : new PurchaseOrderState(state).value;
+        return this.#findWhere(record => record.state === value);
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return this.#findWhere(() => true);
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#records.delete(id);
+    }
+
+    /**
+     * Rebuilds every stored purchase order whose record satisfies the predicate.
+     * @param {function(Object): boolean} predicate - Filter applied to the stored records.
+     * @returns {PurchaseOrder[]} The matching purchase orders.
+     */
+    #findWhere(predicate) {
+        return [...this.#records.values()]
+            .filter(predicate)
+            .map(record => PurchaseOrder.fromJSON(record));
+    }
+}
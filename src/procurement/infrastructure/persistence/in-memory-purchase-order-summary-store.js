@@ -0,0 +1,39 @@
+import {PurchaseOrderSummaryStore} from "../../application/purchase-order-summary-store.js";
+import {PurchaseOrderSummary} from "../../application/purchase-order-summary.js";
+
+/**
+ * In-memory implementation of {@link PurchaseOrderSummaryStore}.
+ * Summaries are kept as plain records and rebuilt on every read. Data is lost when the process exits.
+ */
+export class InMemoryPurchaseOrderSummaryStore extends PurchaseOrderSummaryStore {
+    #records = new Map()
+    #built = false
+
+    /** @inheritDoc */
+    async save(summary) {
+        this.#records.set(summary.id, summary.toJSON());
+        this.#built = true;
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        this.#built = true;
+        return this.#records.delete(id);
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return [...this.#records.values()].map(record => PurchaseOrderSummary.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async replaceAll(summaries) {
+        this.#records = new Map(summaries.map(summary => [summary.id, summary.toJSON()]));
+        this.#built = true;
+    }
+
+    /** @inheritDoc */
+    async isBuilt() {
+        return this.#built;
+    }
+}
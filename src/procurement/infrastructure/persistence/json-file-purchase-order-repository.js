@@ -0,0 +1,105 @@
+import {PurchaseOrderRepository} from "../../domain/repositories/purchase-order-repository.js";
+import {PurchaseOrderState} from "../../domain/model/purchase-order-state.js";
+import {JsonFileStore} from "../../../shared/infrastructure/persistence/json-file-store.js";
+import {PurchaseOrder} from "../../domain/model/purchase-order.js";
+import {ConcurrencyError} from "../../../shared/domain/model/errors.js";
+
+/**
+ * JSON-file-backed implementation of {@link PurchaseOrderRepository}.
+ * Purchase orders survive process restarts; every value object is stored in a lossless plain form.
+ * Each record also holds the {@link PurchaseOrder#version} of the order, and saving fails with a
+ * {@link ConcurrencyError} if the order was saved by someone else since it was loaded.
+ */
+export class JsonFilePurchaseOrderRepository extends PurchaseOrderRepository {
+    #store
+
+    /**
+     * Creates a new JsonFilePurchaseOrderRepository instance.
+     * @param {string} filePath - Path of the JSON file holding the purchase orders.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /**
+     * Persists a purchase order, provided nobody else saved it since it was loaded.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order to save.
+     * @throws {ConcurrencyError} If the stored version differs from the version of the purchase order.
+     * @returns {Promise<void>}
+     */
+    async save(purchaseOrder) {
+        await this.#store.update(records => {
+            records[purchaseOrder.id] = JsonFilePurchaseOrderRepository.#versionedRecord(records[purchaseOrder.id], purchaseOrder);
+        });
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, id) ? JsonFilePurchaseOrderRepository.#restore(records[id]) : null;
+    }
+
+    /** @inheritDoc */
+    async findBySupplierId(supplierId) {
+        return this.#findWhere(record => record.supplierId === supplierId.value);
+    }
+
+    /** @inheritDoc */
+    async findByState(state) {
+        const value = state instanceof PurchaseOrderState ? state.value : new PurchaseOrderState(state).value;
+        return this.#findWhere(record => record.state === value);
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return this.#findWhere(() => true);
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#store.update(records => {
+            if (!Object.hasOwn(records, id)) return false;
+            delete records[id];
+            return true;
+        });
+    }
+
+    /**
+     * Rebuilds every stored purchase order whose record satisfies the predicate.
+     * @param {function(Object): boolean} predicate - Filter applied to the stored records.
+     * @returns {Promise<PurchaseOrder[]>} The matching purchase orders.
+     */
+    async #findWhere(predicate) {
+        const records = await this.#store.readAll();
+        return Object.values(records)
+            .filter(predicate)
+            .map(record => JsonFilePurchaseOrderRepository.#restore(record));
+    }
+
+    /**
+     * Builds the record of a purchase order about to be saved, checking it against the stored record.
+     * @param {Object|undefined} stored - The stored record of the purchase order, if any.
+     * @param {PurchaseOrder} purchaseOrder - The purchase order to save.
+     * @throws {ConcurrencyError} If the stored version differs from the version of the purchase order.
+     * @returns {Object} The record, whose version counts the pending domain events as stored.
+     */
+    static #versionedRecord(stored, purchaseOrder) {
+        const storedVersion = stored?.version ?? 0;
+        if (storedVersion !== purchaseOrder.version)
+            throw new ConcurrencyError(`Purchase order ${purchaseOrder.id} was changed by someone else `
+                + `(version ${storedVersion}, expected ${purchaseOrder.version}); reload it and try again`);
+        return {...purchaseOrder.toJSON(), version: purchaseOrder.version + purchaseOrder.pendingDomainEvents.length};
+    }
+
+    /**
+     * Rebuilds a purchase order from its record, at the version it was stored with.
+     * Records saved before versions were kept count as version 0.
+     * @param {Object} record - The stored record.
+     * @returns {PurchaseOrder} The purchase order.
+     */
+    static #restore(record) {
+        return record.version ? PurchaseOrder.replay([], {snapshot: {version: record.version, state: record}})
+            : PurchaseOrder.fromJSON(record);
+    }
+}
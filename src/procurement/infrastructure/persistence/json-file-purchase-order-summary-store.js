@@ -0,0 +1,52 @@
+import {PurchaseOrderSummaryStore} from "../../application/purchase-order-summary-store.js";
+import {PurchaseOrderSummary} from "../../application/purchase-order-summary.js";
+import {JsonFileStore} from "../../../shared/infrastructure/persistence/json-file-store.js";
+
+/**
+ * JSON-file-backed implementation of {@link PurchaseOrderSummaryStore}.
+ * The file only holds derived data: deleting it is safe, it is rebuilt from the purchase orders on the next start.
+ */
+export class JsonFilePurchaseOrderSummaryStore extends PurchaseOrderSummaryStore {
+    #store
+
+    /**
+     * Creates a new JsonFilePurchaseOrderSummaryStore instance.
+     * @param {string} filePath - Path of the JSON file holding the summaries.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /** @inheritDoc */
+    async save(summary) {
+        await this.#store.update(records => {
+            records[summary.id] = summary.toJSON();
+        });
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#store.update(records => {
+            if (!Object.hasOwn(records, id)) return false;
+            delete records[id];
+            return true;
+        });
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        const records = await this.#store.readAll();
+        return Object.values(records).map(record => PurchaseOrderSummary.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async replaceAll(summaries) {
+        await this.#store.writeAll(Object.fromEntries(summaries.map(summary => [summary.id, summary.toJSON()])));
+    }
+
+    /** @inheritDoc */
+    async isBuilt() {
+        return this.#store.exists();
+    }
+}
@@ -0,0 +1,91 @@
+import {ValidationError} from "../../shared/domain/model/errors.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {Report} from "../domain/model/report.js";
+
+/**
+ * Application service tracking whether suppliers deliver on time.
+ * An approved or shipped order is overdue once the day promised for a line that still expects units has passed,
+ * see {@link PurchaseOrder#overdueSince}; it is a day late on the next day. Lines without a promised date can be held to a service level
+ * agreement instead: delivery within a number of business days of the final approval.
+ */
+export class DeliveryTrackingService {
+    static #TRACKED_STATES = ['Approved', 'Shipped', 'PartiallyReceived'];
+    #purchaseOrderRepository
+    #supplierRepository
+
+    /**
+     * Creates a new DeliveryTrackingService instance.
+     * @param {Object} params
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository the purchase orders are read from.
+     * @param {SupplierRepository} params.supplierRepository - Repository used to name suppliers.
+     */
+    constructor({purchaseOrderRepository, supplierRepository}) {
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#supplierRepository = supplierRepository;
+    }
+
+    /**
+     * Reports the approved and shipped orders that are past their delivery date, longest overdue first, with how late
+     * they are in calendar and business days.
+     * @param {Object} [criteria]
+     * @param {DateTime} [criteria.asOf] - The moment to check at; defaults to now.
+     * @param {number|null} [criteria.slaBusinessDays] - Business days after the final approval within which lines
+     * without a promised date are due; by default such lines are never overdue.
+     * @throws {ValidationError} If the criteria are invalid.
+     * @returns {Promise<Report>} The report.
+     */
+    async overdueOrders({asOf = new DateTime(), slaBusinessDays = null} = {}) {
+        if (!(asOf instanceof DateTime))
+            throw new ValidationError('As of must be an instance of DateTime', 'asOf');
+        if (slaBusinessDays !== null && (!Number.isInteger(slaBusinessDays) || slaBusinessDays < 0))
+            throw new ValidationError('Service level must be a non-negative integer number of business days', 'slaBusinessDays');
+        const suppliers = new Map((await this.#supplierRepository.findAll()).map(supplier => [supplier.id.value, supplier.name]));
+        const overdue = [];
+        for (const order of await this.#purchaseOrderRepository.findAll()) {
+            if (!DeliveryTrackingService.#TRACKED_STATES.includes(order.state)) continue;
+            const approvedOn = order.approvals.at(-1)?.approvedOn ?? order.orderDate;
+            const dueDate = order.overdueSince(asOf,
+                {fallbackDueDate: slaBusinessDays === null ? null : approvedOn.addBusinessDays(slaBusinessDays)});
+            if (dueDate) overdue.push({order, dueDate});
+        }
+        return new Report({
+            title: `Overdue orders as of ${asOf.toISODate()}`,
+            columns: [
+                {key: 'purchaseOrderId', header: 'Order'},
+                {key: 'supplierName', header: 'Supplier'},
+                {key: 'supplierId', header: 'Supplier ID'},
+                {key: 'state', header: 'State'},
+                {key: 'orderDate', header: 'Date'},
+                {key: 'dueDate', header: 'Due'},
+                {key: 'daysLate', header: 'Days late'},
+                {key: 'businessDaysLate', header: 'Business days late'},
+                {key: 'outstandingQuantity', header: 'Outstanding units'}
+            ],
+            rows: overdue
+                .sort((a, b) => a.dueDate.compareTo(b.dueDate) || a.order.orderDate.compareTo(b.order.orderDate))
+                .map(({order, dueDate}) => {
+                    const dueDay = DeliveryTrackingService.#dayOf(dueDate);
+                    return {
+                        purchaseOrderId: order.id,
+                        supplierName: suppliers.get(order.supplierId.value) ?? null,
+                        supplierId: order.supplierId.value,
+                        state: order.state,
+                        orderDate: order.orderDate.toISODate(),
+                        dueDate: dueDate.toISODate(),
+                        daysLate: dueDay.daysUntil(DeliveryTrackingService.#dayOf(asOf)),
+                        businessDaysLate: dueDay.businessDaysUntil(DeliveryTrackingService.#dayOf(asOf)),
+                        outstandingQuantity: order.items.reduce((total, item) => total + item.outstandingQuantity, 0)
+                    };
+                })
+        });
+    }
+
+    /**
+     * Gets the calendar day of a moment in the default time zone, so that lateness is counted in whole days.
+     * @param {DateTime} moment - The moment.
+     * @returns {DateTime} Midnight UTC of the same calendar day.
+     */
+    static #dayOf(moment) {
+        return new DateTime(new Date(moment.toISODate()));
+    }
+}
@@ -0,0 +1,419 @@
+import {ValidationError} from "../../shared/domain/model/errors.js";
+import {Currency} from "../../shared/domain/model/currency.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {Money} from "../../shared/domain/model/money.js";
+import {Report} from "../domain/model/report.js";
+
+/**
+ * Application service reporting what is spent with whom, on what and when.
+ * Spend is the grand total of committed orders (Approved, Shipped, PartiallyReceived or Completed), including the order
+ * discount, tax and shipping; completed orders count at the grand total of the goods received, so lines closed short
+ * do not add to spend. Per product, the grand total of each order is split across its lines in proportion to
+ * their net amounts (of the goods received, for completed orders), so every breakdown adds up to the same spend. Open commitments are valued at the units still
+ * outstanding times the net unit price of their lines. Amounts stay in the order currency,
+ * one row per currency, unless a reporting currency is given; orders are then converted at the rate of their order date.
+ * Every report can be limited to the orders placed in a period.
+ */
+export class SpendAnalyticsService {
+    static #COMMITTED_STATES = ['Approved', 'Shipped', 'PartiallyReceived', 'Completed'];
+    static #OPEN_STATES = ['Approved', 'Shipped', 'PartiallyReceived'];
+    static #SPEND_DIMENSIONS = ['supplier', 'product', 'month', 'state'];
+    #purchaseOrderRepository
+    #supplierRepository
+    #productRepository
+    #exchangeRateProvider
+
+    /**
+     * Creates a new SpendAnalyticsService instance.
+     * @param {Object} params
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository the purchase orders are read from.
+     * @param {SupplierRepository} params.supplierRepository - Repository used to name suppliers.
+     * @param {ProductRepository} params.productRepository - Repository used to name products.
+     * @param {ExchangeRateProvider|null} [params.exchangeRateProvider] - Rates used to report in another currency.
+     */
+    constructor({purchaseOrderRepository, supplierRepository, productRepository, exchangeRateProvider = null}) {
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#supplierRepository = supplierRepository;
+        this.#productRepository = productRepository;
+        this.#exchangeRateProvider = exchangeRateProvider;
+    }
+
+    /**
+     * Reports spend broken down by supplier, product, month or state, largest amounts first except by month,
+     * which is chronological. The breakdown by state covers every order, committed or not, so drafts and
+     * cancelled orders show up there as well.
+     * @param {string} dimension - "supplier", "product", "month" or "state".
+     * @param {Object} [criteria]
+     * @param {DateTime} [criteria.from] - Only orders placed at or after this moment.
+     * @param {DateTime} [criteria.to] - Only orders placed before this moment.
+     * @param {Currency} [criteria.reportingCurrency] - Currency to convert every amount to.
+     * @throws {ValidationError} If the dimension or criteria are invalid, or an amount cannot be converted.
+     * @returns {Promise<Report>} The report.
+     */
+    async spendBy(dimension, criteria = {}) {
+        if (!SpendAnalyticsService.#SPEND_DIMENSIONS.includes(dimension))
+            throw new ValidationError(`Invalid spend dimension: ${dimension}. `
+                + `Valid dimensions are: ${SpendAnalyticsService.#SPEND_DIMENSIONS.join(', ')}`, 'dimension');
+        const orders = await this.#findOrders(criteria);
+        switch (dimension) {
+            case 'supplier':
+                return this.#spendBySupplier(orders, criteria);
+            case 'product':
+                return this.#spendByProduct(orders, criteria);
+            case 'month':
+                return this.#spendByMonth(orders, criteria);
+            default:
+                return this.#spendByState(orders, criteria);
+        }
+    }
+
+    /**
+     * Reports the open commitments: orders approved or shipped but not completed yet, oldest first,
+     * with the units still expected and their value net of line discounts.
+     * @param {Object} [criteria] - The criteria, as accepted by {@link SpendAnalyticsService#spendBy}.
+     * @throws {ValidationError} If the criteria are invalid or an amount cannot be converted.
+     * @returns {Promise<Report>} The report.
+     */
+    async openCommitments(criteria = {}) {
+        const suppliers = await this.#supplierNames();
+        const rows = (await this.#findOrders(criteria))
+            .filter(order => SpendAnalyticsService.#OPEN_STATES.includes(order.state))
+            .sort((a, b) => a.orderDate.date - b.orderDate.date)
+            .map(order => ({
+                purchaseOrderId: order.id,
+                supplierId: order.supplierId.value,
+                supplierName: suppliers.get(order.supplierId.value) ?? null,
+                state: order.state,
+                orderDate: order.orderDate.toISODate(),
+                outstandingQuantity: order.items.reduce((total, item) => total + item.outstandingQuantity, 0),
+                ...SpendAnalyticsService.#amountColumns(this.#convert(order.items.reduce(
+                    (total, item) => total.add(SpendAnalyticsService.#outstandingAmount(item)), Money.zero(order.currency)),
+                    order.orderDate, criteria))
+            }));
+        return new Report({
+            title: 'Open commitments',
+            columns: [
+                {key: 'purchaseOrderId', header: 'Order'},
+                {key: 'supplierName', header: 'Supplier'},
+                {key: 'supplierId', header: 'Supplier ID'},
+                {key: 'state', header: 'State'},
+                {key: 'orderDate', header: 'Date'},
+                {key: 'outstandingQuantity', header: 'Outstanding units'},
+                ...SpendAnalyticsService.#amountHeaders('Outstanding net amount')
+            ],
+            rows
+        });
+    }
+
+    /**
+     * Reports per supplier how many of the orders closed in the period were completed or cancelled,
+     * and the share that was cancelled, highest first; suppliers without closed orders are left out.
+     * @param {Object} [criteria]
+     * @param {DateTime} [criteria.from] - Only orders placed at or after this moment.
+     * @param {DateTime} [criteria.to] - Only orders placed before this moment.
+     * @throws {ValidationError} If the criteria are invalid.
+     * @returns {Promise<Report>} The report.
+     */
+    async cancellationStatistics(criteria = {}) {
+        const suppliers = await this.#supplierNames();
+        const counts = new Map();
+        for (const order of await this.#findOrders(criteria)) {
+            if (order.state !== 'Completed' && order.state !== 'Cancelled') continue;
+            const entry = counts.get(order.supplierId.value) ?? {completed: 0, cancelled: 0};
+            entry[order.state === 'Completed' ? 'completed' : 'cancelled']++;
+            counts.set(order.supplierId.value, entry);
+        }
+        const rows = [...counts].map(([supplierId, {completed, cancelled}]) => ({
+            supplierId,
+            supplierName: suppliers.get(supplierId) ?? null,
+            completedOrders: completed,
+            cancelledOrders: cancelled,
+            cancellationRate: (cancelled / (completed + cancelled) * 100).toFixed(1)
+        })).sort((a, b) => Number(b.cancellationRate) - Number(a.cancellationRate) || b.cancelledOrders - a.cancelledOrders);
+        return new Report({
+            title: 'Cancellation statistics',
+            columns: [
+                {key: 'supplierName', header: 'Supplier'},
+                {key: 'supplierId', header: 'Supplier ID'},
+                {key: 'completedOrders', header: 'Completed'},
+                {key: 'cancelledOrders', header: 'Cancelled'},
+                {key: 'cancellationRate', header: 'Cancelled %'}
+            ],
+            rows
+        });
+    }
+
+    /**
+     * Reports committed spend per supplier.
+     * @param {PurchaseOrder[]} orders - The orders placed in the period.
+     * @param {Object} criteria - The report criteria.
+     * @returns {Promise<Report>} The report.
+     */
+    async #spendBySupplier(orders, criteria) {
+        const suppliers = await this.#supplierNames();
+        const groups = this.#group(SpendAnalyticsService.#committed(orders),
+            order => [{key: order.supplierId.value, amount: this.#orderTotal(order, criteria)}]);
+        return new Report({
+            title: 'Spend by supplier',
+            columns: [
+                {key: 'supplierName', header: 'Supplier'},
+                {key: 'supplierId', header: 'Supplier ID'},
+                {key: 'orderCount', header: 'Orders'},
+                ...SpendAnalyticsService.#amountHeaders('Grand total')
+            ],
+            rows: SpendAnalyticsService.#largestFirst(groups).map(group => ({
+                supplierName: suppliers.get(group.key) ?? null,
+                supplierId: group.key,
+                orderCount: group.orders.size,
+                ...SpendAnalyticsService.#amountColumns(group.amount)
+            }))
+        });
+    }
+
+    /**
+     * Reports committed spend per product, from the shares of the order grand totals its lines account for.
+     * @param {PurchaseOrder[]} orders - The orders placed in the period.
+     * @param {Object} criteria - The report criteria.
+     * @returns {Promise<Report>} The report.
+     */
+    async #spendByProduct(orders, criteria) {
+        const products = new Map((await this.#productRepository.findAll()).map(product => [product.id.value, product]));
+        const groups = this.#group(SpendAnalyticsService.#committed(orders), order => {
+            const shares = SpendAnalyticsService.#lineShares(order);
+            return order.items.map((item, index) => ({
+                key: item.productId.value,
+                amount: this.#convert(shares[index], order.orderDate, criteria),
+                quantity: SpendAnalyticsService.#spentQuantity(order, item)
+            }));
+        });
+        return new Report({
+            title: 'Spend by product',
+            columns: [
+                {key: 'sku', header: 'SKU'},
+                {key: 'productName', header: 'Product'},
+                {key: 'productId', header: 'Product ID'},
+                {key: 'orderCount', header: 'Orders'},
+                {key: 'quantity', header: 'Units'},
+                ...SpendAnalyticsService.#amountHeaders('Share of grand totals')
+            ],
+            rows: SpendAnalyticsService.#largestFirst(groups).map(group => ({
+                sku: products.get(group.key)?.sku ?? null,
+                productName: products.get(group.key)?.name ?? null,
+                productId: group.key,
+                orderCount: group.orders.size,
+                quantity: group.quantity,
+                ...SpendAnalyticsService.#amountColumns(group.amount)
+            }))
+        });
+    }
+
+    /**
+     * Reports committed spend per calendar month (UTC) of the order date.
+     * @param {PurchaseOrder[]} orders - The orders placed in the period.
+     * @param {Object} criteria - The report criteria.
+     * @returns {Report} The report.
+     */
+    #spendByMonth(orders, criteria) {
+        const groups = this.#group(SpendAnalyticsService.#committed(orders), order => [{
+            key: order.orderDate.toISOString().slice(0, 7),
+            amount: this.#orderTotal(order, criteria)
+        }]);
+        return new Report({
+            title: 'Spend by month',
+            columns: [
+                {key: 'month', header: 'Month'},
+                {key: 'orderCount', header: 'Orders'},
+                ...SpendAnalyticsService.#amountHeaders('Grand total')
+            ],
+            rows: groups
+                .sort((a, b) => a.key.localeCompare(b.key) || a.amount.currency.code.localeCompare(b.amount.currency.code))
+                .map(group => ({
+                    month: group.key,
+                    orderCount: group.orders.size,
+                    ...SpendAnalyticsService.#amountColumns(group.amount)
+                }))
+        });
+    }
+
+    /**
+     * Reports the value of all orders per lifecycle state; orders without items count with a zero amount.
+     * @param {PurchaseOrder[]} orders - The orders placed in the period.
+     * @param {Object} criteria - The report criteria.
+     * @returns {Report} The report.
+     */
+    #spendByState(orders, criteria) {
+        const groups = this.#group(orders, order => [{key: order.state, amount: this.#orderTotal(order, criteria)}]);
+        return new Report({
+            title: 'Spend by state',
+            columns: [
+                {key: 'state', header: 'State'},
+                {key: 'orderCount', header: 'Orders'},
+                ...SpendAnalyticsService.#amountHeaders('Grand total')
+            ],
+            rows: SpendAnalyticsService.#largestFirst(groups).map(group => ({
+                state: group.key,
+                orderCount: group.orders.size,
+                ...SpendAnalyticsService.#amountColumns(group.amount)
+            }))
+        });
+    }
+
+    /**
+     * Finds the purchase orders placed in the period of the criteria.
+     * @param {Object} criteria - The report criteria.
+     * @throws {ValidationError} If the criteria are invalid.
+     * @returns {Promise<PurchaseOrder[]>} The orders.
+     */
+    async #findOrders({from, to, reportingCurrency} = {}) {
+        if (from !== undefined && !(from instanceof DateTime))
+            throw new ValidationError('From must be an instance of DateTime', 'from');
+        if (to !== undefined && !(to instanceof DateTime))
+            throw new ValidationError('To must be an instance of DateTime', 'to');
+        if (reportingCurrency !== undefined && !(reportingCurrency instanceof Currency))
+            throw new ValidationError('Reporting currency must be an instance of Currency', 'reportingCurrency');
+        return (await this.#purchaseOrderRepository.findAll()).filter(order =>
+            (from === undefined || order.orderDate.date >= from.date) && (to === undefined || order.orderDate.date < to.date));
+    }
+
+    /**
+     * Adds up amounts per key and currency.
+     * @param {PurchaseOrder[]} orders - The orders to add up.
+     * @param {function(PurchaseOrder): {key: string, amount: Money, quantity?: number}[]} contributionsOf - What an order
+     * adds to which key.
+     * @returns {{key: string, amount: Money, quantity: number, orders: Set<string>}[]} One group per key and currency.
+     */
+    #group(orders, contributionsOf) {
+        const groups = new Map();
+        for (const order of orders) {
+            for (const {key, amount, quantity = 0} of contributionsOf(order)) {
+                const groupKey = `${key}\u0000${amount.currency.code}`;
+                const group = groups.get(groupKey) ?? {key, amount: Money.zero(amount.currency), quantity: 0, orders: new Set()};
+                group.amount = group.amount.add(amount);
+                group.quantity += quantity;
+                group.orders.add(order.id);
+                groups.set(groupKey, group);
+            }
+        }
+        return [...groups.values()];
+    }
+
+    /**
+     * Calculates the grand total of an order in the reporting currency; for a completed order, of the goods received.
+     * @param {PurchaseOrder} order - The order.
+     * @param {Object} criteria - The report criteria.
+     * @throws {ValidationError} If the total cannot be converted.
+     * @returns {Money} The total; zero if the order has no items.
+     */
+    #orderTotal(order, criteria) {
+        const total = order.items.length > 0 ? SpendAnalyticsService.#grandTotal(order) : Money.zero(order.currency);
+        return this.#convert(total, order.orderDate, criteria);
+    }
+
+    /**
+     * Gets the grand total an order counts for: that of the goods received once it is completed, as lines may have
+     * been closed short, and that of the goods ordered before.
+     * @param {PurchaseOrder} order - The order; it has at least one item.
+     * @returns {Money} The grand total, in the order currency.
+     */
+    static #grandTotal(order) {
+        return order.state === 'Completed' ? order.calculateReceivedPrice().grandTotal : order.calculateTotalPrice().grandTotal;
+    }
+
+    /**
+     * Gets the units of a line an order counts for: those received once it is completed, and those ordered before.
+     * @param {PurchaseOrder} order - The order.
+     * @param {PurchaseOrderItem} item - The line.
+     * @returns {number} The units.
+     */
+    static #spentQuantity(order, item) {
+        return order.state === 'Completed' ? Math.min(item.receivedQuantity, item.quantity) : item.quantity;
+    }
+
+    /**
+     * Converts an amount to the reporting currency, if there is one.
+     * @param {Money} amount - The amount.
+     * @param {DateTime} asOf - The moment whose rate applies.
+     * @param {Object} criteria - The report criteria.
+     * @throws {ValidationError} If no exchange rate provider or rate is available.
+     * @returns {Money} The converted amount.
+     */
+    #convert(amount, asOf, {reportingCurrency}) {
+        if (!reportingCurrency || amount.currency.equals(reportingCurrency)) return amount;
+        if (!this.#exchangeRateProvider)
+            throw new ValidationError('An exchange rate provider is required to report amounts in another currency');
+        return amount.convertTo(reportingCurrency, this.#exchangeRateProvider, asOf);
+    }
+
+    /**
+     * Gets the names of all suppliers.
+     * @returns {Promise<Map<string, string>>} Supplier names keyed by supplier ID.
+     */
+    async #supplierNames() {
+        return new Map((await this.#supplierRepository.findAll()).map(supplier => [supplier.id.value, supplier.name]));
+    }
+
+    /**
+     * Keeps the orders that commit spend.
+     * @param {PurchaseOrder[]} orders - The orders.
+     * @returns {PurchaseOrder[]} The committed orders.
+     */
+    static #committed(orders) {
+        return orders.filter(order => SpendAnalyticsService.#COMMITTED_STATES.includes(order.state));
+    }
+
+    /**
+     * Sorts groups by currency, then from the largest amount down.
+     * @param {{key: string, amount: Money}[]} groups - The groups.
+     * @returns {{key: string, amount: Money}[]} The sorted groups.
+     */
+    static #largestFirst(groups) {
+        return groups.sort((a, b) => a.amount.currency.code.localeCompare(b.amount.currency.code)
+            || b.amount.compareTo(a.amount) || a.key.localeCompare(b.key));
+    }
+
+    /**
+     * Splits the grand total of an order across its lines in proportion to their net amounts, or to their quantities
+     * if every line is fully discounted; for a completed order, to the net amounts of the goods received.
+     * @param {PurchaseOrder} order - The order; it has at least one item.
+     * @returns {Money[]} The share of each line, in the order of the items.
+     */
+    static #lineShares(order) {
+        const netAmounts = order.items.map(item => {
+            const quantity = SpendAnalyticsService.#spentQuantity(order, item);
+            const netAmount = item.calculateNetAmount();
+            return Number(quantity === item.quantity ? netAmount.minorAmount
+                : netAmount.allocate([quantity, item.quantity - quantity])[0].minorAmount);
+        });
+        const quantities = order.items.map(item => SpendAnalyticsService.#spentQuantity(order, item));
+        return SpendAnalyticsService.#grandTotal(order).allocate(netAmounts.some(amount => amount > 0) ? netAmounts
+            : quantities.some(quantity => quantity > 0) ? quantities : order.items.map(item => item.quantity));
+    }
+
+    /**
+     * Values the units of a line still outstanding at its net unit price, exactly.
+     * @param {PurchaseOrderItem} item - The line.
+     * @returns {Money} The outstanding amount; zero if nothing is outstanding.
+     */
+    static #outstandingAmount(item) {
+        const outstanding = item.outstandingQuantity;
+        return item.calculateNetAmount().allocate([outstanding, item.quantity - outstanding])[0];
+    }
+
+    /**
+     * Declares the report amount columns.
+     * @param {string} header - The header of the amount, stating what it is made of.
+     * @returns {{key: string, header: string}[]} The amount and currency columns.
+     */
+    static #amountHeaders(header) {
+        return [{key: 'amount', header}, {key: 'currency', header: 'Currency'}];
+    }
+
+    /**
+     * Splits an amount into the report amount columns.
+     * @param {Money} amount - The amount.
+     * @returns {{amount: string, currency: string}} The exact decimal amount and the currency code.
+     */
+    static #amountColumns(amount) {
+        return {amount: amount.toDecimalString(), currency: amount.currency.code};
+    }
+}
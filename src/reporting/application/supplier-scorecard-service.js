@@ -0,0 +1,275 @@
+import {ValidationError} from "../../shared/domain/model/errors.js";
+import {DateTime} from "../../shared/domain/model/date-time.js";
+import {Report} from "../domain/model/report.js";
+import {ScorecardPolicy} from "../domain/model/scorecard-policy.js";
+import {SupplierScorecard} from "../domain/model/supplier-scorecard.js";
+
+/**
+ * Application service scoring suppliers on the orders placed with them in a period: how fast they ship after
+ * approval, how fast shipped orders are completed, how many closed orders were cancelled, how many completed
+ * orders had lines closed short, and how much unit prices changed between consecutive committed orders of a
+ * product. Scores follow a {@link ScorecardPolicy}; suppliers scoring below its threshold are flagged.
+ * Orders shipped or completed before these dates were recorded count towards the rates only.
+ */
+export class SupplierScorecardService {
+    static #COMMITTED_STATES = ['Approved', 'Shipped', 'PartiallyReceived', 'Completed'];
+    static #RANKINGS = ['score', ...SupplierScorecard.CRITERIA];
+    static #CRITERION_HEADERS = {
+        shipDays: 'Days to ship',
+        completionDays: 'Days to complete',
+        cancellationRate: 'Cancelled %',
+        shortDeliveryRate: 'Short %',
+        priceChangePercent: 'Price change %'
+    };
+    #purchaseOrderRepository
+    #supplierRepository
+    #policy
+
+    /**
+     * Creates a new SupplierScorecardService instance.
+     * @param {Object} params
+     * @param {PurchaseOrderRepository} params.purchaseOrderRepository - Repository the purchase orders are read from.
+     * @param {SupplierRepository} params.supplierRepository - Repository used to name suppliers.
+     * @param {ScorecardPolicy} [params.scorecardPolicy] - How suppliers are scored; defaults to the default policy.
+     */
+    constructor({purchaseOrderRepository, supplierRepository, scorecardPolicy = new ScorecardPolicy()}) {
+        this.#purchaseOrderRepository = purchaseOrderRepository;
+        this.#supplierRepository = supplierRepository;
+        this.#policy = scorecardPolicy;
+    }
+
+    /**
+     * Gets the policy suppliers are scored under.
+     * @returns {ScorecardPolicy} The policy.
+     */
+    get policy() {
+        return this.#policy;
+    }
+
+    /**
+     * Scores every supplier that was sent orders in the period, best overall score first;
+     * suppliers without a score come last.
+     * @param {Object} [criteria]
+     * @param {DateTime} [criteria.from] - Only orders placed at or after this moment.
+     * @param {DateTime} [criteria.to] - Only orders placed before this moment.
+     * @throws {ValidationError} If the criteria are invalid.
+     * @returns {Promise<SupplierScorecard[]>} The scorecards.
+     */
+    async scorecards(criteria = {}) {
+        const bySupplier = new Map();
+        for (const order of await this.#findOrders(criteria)) {
+            if (!bySupplier.has(order.supplierId.value))
+                bySupplier.set(order.supplierId.value, []);
+            bySupplier.get(order.supplierId.value).push(order);
+        }
+        const scorecards = [...bySupplier.values()].map(orders => new SupplierScorecard({
+            supplierId: orders[0].supplierId,
+            orderCount: orders.length,
+            performance: SupplierScorecardService.#measure(orders),
+            policy: this.#policy
+        }));
+        return SupplierScorecardService.#rank(scorecards, 'score');
+    }
+
+    /**
+     * Reports the supplier scorecards as a ranked comparison, best first.
+     * @param {Object} [criteria]
+     * @param {DateTime} [criteria.from] - Only orders placed at or after this moment.
+     * @param {DateTime} [criteria.to] - Only orders placed before this moment.
+     * @param {string} [criteria.rankBy="score"] - "score" to rank on the overall score, or a criterion of
+     * {@link SupplierScorecard.CRITERIA} to rank on its score; ties are broken by the overall score.
+     * @throws {ValidationError} If the criteria are invalid.
+     * @returns {Promise<Report>} The report.
+     */
+    async ranking({rankBy = 'score', ...criteria} = {}) {
+        if (!SupplierScorecardService.#RANKINGS.includes(rankBy))
+            throw new ValidationError(`Invalid ranking: ${rankBy}. `
+                + `Valid rankings are: ${SupplierScorecardService.#RANKINGS.join(', ')}`, 'rankBy');
+        const suppliers = await this.#supplierNames();
+        const scorecards = SupplierScorecardService.#rank(await this.scorecards(criteria), rankBy);
+        return new Report({
+            title: rankBy === 'score' ? 'Supplier scorecards'
+                : `Supplier scorecards by ${SupplierScorecardService.#CRITERION_HEADERS[rankBy].toLowerCase()}`,
+            columns: [
+                {key: 'rank', header: 'Rank'},
+                {key: 'supplierName', header: 'Supplier'},
+                {key: 'supplierId', header: 'Supplier ID'},
+                {key: 'orderCount', header: 'Orders'},
+                ...SupplierScorecard.CRITERIA.map(criterion =>
+                    ({key: criterion, header: SupplierScorecardService.#CRITERION_HEADERS[criterion]})),
+                {key: 'score', header: 'Score'}
+            ],
+            rows: scorecards.map((scorecard, index) => ({
+                rank: index + 1,
+                supplierName: suppliers.get(scorecard.supplierId.value) ?? null,
+                supplierId: scorecard.supplierId.value,
+                orderCount: scorecard.orderCount,
+                ...SupplierScorecardService.#performanceColumns(scorecard.performance),
+                score: SupplierScorecardService.#round(scorecard.score)
+            }))
+        });
+    }
+
+    /**
+     * Reports the suppliers whose overall score in the period is below the alert threshold, lowest first,
+     * with the criterion they score lowest on.
+     * @param {Object} [criteria]
+     * @param {DateTime} [criteria.from] - Only orders placed at or after this moment.
+     * @param {DateTime} [criteria.to] - Only orders placed before this moment.
+     * @throws {ValidationError} If the criteria are invalid.
+     * @returns {Promise<Report>} The report.
+     */
+    async alerts(criteria = {}) {
+        const suppliers = await this.#supplierNames();
+        const flagged = (await this.scorecards(criteria)).filter(scorecard => scorecard.isBelowThreshold).reverse();
+        return new Report({
+            title: `Suppliers scoring below ${this.#policy.alertThreshold}`,
+            columns: [
+                {key: 'supplierName', header: 'Supplier'},
+                {key: 'supplierId', header: 'Supplier ID'},
+                {key: 'orderCount', header: 'Orders'},
+                {key: 'score', header: 'Score'},
+                {key: 'weakestCriterion', header: 'Weakest criterion'},
+                {key: 'weakestScore', header: 'Weakest score'}
+            ],
+            rows: flagged.map(scorecard => {
+                const weakest = scorecard.weakestCriterion();
+                return {
+                    supplierName: suppliers.get(scorecard.supplierId.value) ?? null,
+                    supplierId: scorecard.supplierId.value,
+                    orderCount: scorecard.orderCount,
+                    score: SupplierScorecardService.#round(scorecard.score),
+                    weakestCriterion: SupplierScorecardService.#CRITERION_HEADERS[weakest],
+                    weakestScore: SupplierScorecardService.#round(scorecard.scores[weakest])
+                };
+            })
+        });
+    }
+
+    /**
+     * Measures the performance of a supplier on its orders.
+     * @param {PurchaseOrder[]} orders - The orders placed with the supplier in the period.
+     * @returns {SupplierPerformance} The performance.
+     */
+    static #measure(orders) {
+        const shipped = orders.filter(order => order.shippedOn && order.approvals.length > 0);
+        const completed = orders.filter(order => order.state === 'Completed');
+        const closed = orders.filter(order => order.state === 'Completed' || order.state === 'Cancelled');
+        return {
+            shipDays: SupplierScorecardService.#average(shipped.map(order =>
+                SupplierScorecardService.#daysBetween(order.approvals.at(-1).approvedOn, order.shippedOn))),
+            completionDays: SupplierScorecardService.#average(completed.filter(order => order.shippedOn && order.completedOn)
+                .map(order => SupplierScorecardService.#daysBetween(order.shippedOn, order.completedOn))),
+            cancellationRate: closed.length === 0 ? null
+                : closed.filter(order => order.state === 'Cancelled').length / closed.length,
+            shortDeliveryRate: completed.length === 0 ? null
+                : completed.filter(order => order.items.some(item => item.receivedQuantity < item.quantity)).length
+                / completed.length,
+            priceChangePercent: SupplierScorecardService.#average(SupplierScorecardService.#priceChanges(orders))
+        };
+    }
+
+    /**
+     * Lists the unit price changes between consecutive committed orders of the same product and currency.
+     * @param {PurchaseOrder[]} orders - The orders placed with the supplier.
+     * @returns {number[]} The changes, in percent of the earlier price, either way.
+     */
+    static #priceChanges(orders) {
+        const lastPrices = new Map();
+        const changes = [];
+        const committed = orders
+            .filter(order => SupplierScorecardService.#COMMITTED_STATES.includes(order.state))
+            .sort((a, b) => a.orderDate.compareTo(b.orderDate));
+        for (const order of committed) {
+            for (const item of order.items) {
+                const key = `${item.productId.value} ${order.currency.code}`;
+                const previous = lastPrices.get(key);
+                if (previous !== undefined && previous.amount > 0)
+                    changes.push(Math.abs(item.unitPrice.amount - previous.amount) / previous.amount * 100);
+                lastPrices.set(key, item.unitPrice);
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Sorts scorecards from the best score on a ranking down; scorecards without that score come last.
+     * @param {SupplierScorecard[]} scorecards - The scorecards.
+     * @param {string} rankBy - "score" or a criterion.
+     * @returns {SupplierScorecard[]} The sorted scorecards.
+     */
+    static #rank(scorecards, rankBy) {
+        const valueOf = scorecard => (rankBy === 'score' ? scorecard.score : scorecard.scores[rankBy]) ?? -1;
+        return [...scorecards].sort((a, b) => valueOf(b) - valueOf(a) || (b.score ?? -1) - (a.score ?? -1)
+            || a.supplierId.value.localeCompare(b.supplierId.value));
+    }
+
+    /**
+     * Formats the measured performance for a report: days with one decimal, rates as percentages.
+     * @param {SupplierPerformance} performance - The performance.
+     * @returns {Object<string, string|null>} The report values, keyed by criterion.
+     */
+    static #performanceColumns({shipDays, completionDays, cancellationRate, shortDeliveryRate, priceChangePercent}) {
+        const fixed = value => value === null ? null : value.toFixed(1);
+        return {
+            shipDays: fixed(shipDays),
+            completionDays: fixed(completionDays),
+            cancellationRate: fixed(cancellationRate === null ? null : cancellationRate * 100),
+            shortDeliveryRate: fixed(shortDeliveryRate === null ? null : shortDeliveryRate * 100),
+            priceChangePercent: fixed(priceChangePercent)
+        };
+    }
+
+    /**
+     * Keeps the orders placed in a period.
+     * @param {Object} criteria
+     * @param {DateTime} [criteria.from] - Only orders placed at or after this moment.
+     * @param {DateTime} [criteria.to] - Only orders placed before this moment.
+     * @throws {ValidationError} If the criteria are invalid.
+     * @returns {Promise<PurchaseOrder[]>} The orders.
+     */
+    async #findOrders({from, to} = {}) {
+        if (from !== undefined && !(from instanceof DateTime))
+            throw new ValidationError('From must be an instance of DateTime', 'from');
+        if (to !== undefined && !(to instanceof DateTime))
+            throw new ValidationError('To must be an instance of DateTime', 'to');
+        return (await this.#purchaseOrderRepository.findAll()).filter(order =>
+            (from === undefined || order.orderDate.date >= from.date) && (to === undefined || order.orderDate.date < to.date));
+    }
+
+    /**
+     * Maps supplier IDs to supplier names.
+     * @returns {Promise<Map<string, string>>} The names keyed by supplier ID value.
+     */
+    async #supplierNames() {
+        return new Map((await this.#supplierRepository.findAll()).map(supplier => [supplier.id.value, supplier.name]));
+    }
+
+    /**
+     * Counts the days between two moments; a later start counts as no time.
+     * @param {DateTime} start - The first moment.
+     * @param {DateTime} end - The second moment.
+     * @returns {number} The days, with fractions.
+     */
+    static #daysBetween(start, end) {
+        return Math.max(0, start.daysUntil(end));
+    }
+
+    /**
+     * Averages numbers.
+     * @param {number[]} values - The numbers.
+     * @returns {number|null} The average, or null if there are none.
+     */
+    static #average(values) {
+        return values.length === 0 ? null : values.reduce((total, value) => total + value, 0) / values.length;
+    }
+
+    /**
+     * Rounds a score for a report.
+     * @param {number|null} score - The score.
+     * @returns {number|null} The score rounded to a whole number, or null.
+     */
+    static #round(score) {
+        return score === null ? null : Math.round(score);
+    }
+}
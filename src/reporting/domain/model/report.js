@@ -0,0 +1,96 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+
+/**
+ * Value Object holding the result of a report as a table: named columns and rows of plain values.
+ * Values are strings, numbers or null only, so a report renders the same way as a console table, CSV or JSON;
+ * amounts are exact decimal strings next to a currency column rather than numbers.
+ * @class
+ * @property {string} title - What the report shows, e.g. "Spend by supplier".
+ * @property {{key: string, header: string}[]} columns - The columns, in display order.
+ * @property {Object<string, string|number|null>[]} rows - The rows, keyed by column key.
+ * @property {DateTime} generatedOn - When the report was produced.
+ */
+export class Report {
+    #title
+    #columns
+    #rows
+    #generatedOn
+
+    /**
+     * Creates a new Report instance.
+     * @param {Object} params
+     * @param {string} params.title - What the report shows.
+     * @param {{key: string, header: string}[]} params.columns - The columns, in display order; keys must be unique.
+     * @param {Object<string, string|number|null>[]} params.rows - The rows; missing values become null.
+     * @param {DateTime} [params.generatedOn] - When the report was produced; defaults to now.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({title, columns, rows, generatedOn = new DateTime()}) {
+        if (typeof title !== 'string' || !title.trim())
+            throw new ValidationError('Report title must be a non-empty string', 'title');
+        if (!Array.isArray(columns) || columns.length === 0
+            || columns.some(column => typeof column?.key !== 'string' || typeof column?.header !== 'string'))
+            throw new ValidationError('Report columns must be a non-empty array of {key, header} strings', 'columns');
+        const keys = columns.map(column => column.key);
+        if (new Set(keys).size !== keys.length)
+            throw new ValidationError('Report column keys must be unique', 'columns');
+        if (!Array.isArray(rows) || rows.some(row => row === null || typeof row !== 'object'))
+            throw new ValidationError('Report rows must be an array of objects', 'rows');
+        if (!(generatedOn instanceof DateTime))
+            throw new ValidationError('Generation date must be an instance of DateTime', 'generatedOn');
+        this.#title = title.trim();
+        this.#columns = Object.freeze(columns.map(({key, header}) => Object.freeze({key, header})));
+        this.#rows = Object.freeze(rows.map((row, index) => Object.freeze(Object.fromEntries(keys.map(key => {
+            const value = row[key] ?? null;
+            if (value !== null && typeof value !== 'string' && typeof value !== 'number')
+                throw new ValidationError(`Report value ${key} of row ${index} must be a string, a number or null`, 'rows');
+            return [key, value];
+        })))));
+        this.#generatedOn = generatedOn;
+    }
+
+    /**
+     * Gets what the report shows.
+     * @returns {string} The title.
+     */
+    get title() {
+        return this.#title;
+    }
+
+    /**
+     * Gets the columns, in display order.
+     * @returns {ReadonlyArray<{key: string, header: string}>} The columns.
+     */
+    get columns() {
+        return this.#columns;
+    }
+
+    /**
+     * Gets the rows, keyed by column key.
+     * @returns {ReadonlyArray<Object<string, string|number|null>>} The rows.
+     */
+    get rows() {
+        return this.#rows;
+    }
+
+    /**
+     * Gets when the report was produced.
+     * @returns {DateTime} The generation date.
+     */
+    get generatedOn() {
+        return this.#generatedOn;
+    }
+
+    /**
+     * Returns the JSON representation of the report.
+     * @returns {Object} The title, generation date and rows of the report.
+     */
+    toJSON() {
+        return {
+            title: this.#title,
+            generatedOn: this.#generatedOn.toJSON(),
+            rows: this.#rows.map(row => ({...row}))
+        };
+    }
+}
@@ -0,0 +1,159 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object holding how supplier performance is scored and when a supplier is flagged.
+ * Every criterion is scored from 0 to 100. Lead times score 100 up to their target and lose points linearly
+ * until 0 at three times the target; rates score the share of orders that went well; price changes score 100
+ * when prices are stable and 0 at maxPriceChangePercent on average. A supplier whose overall score is below
+ * alertThreshold is flagged.
+ * @class
+ * @property {number} alertThreshold - Overall score below which a supplier is flagged, from 0 to 100.
+ * @property {number} targetShipDays - Days from approval to shipment that still score 100.
+ * @property {number} targetCompletionDays - Days from shipment to completion that still score 100.
+ * @property {number} maxPriceChangePercent - Average unit price change, in percent, that scores 0.
+ */
+export class ScorecardPolicy {
+    #alertThreshold
+    #targetShipDays
+    #targetCompletionDays
+    #maxPriceChangePercent
+
+    /**
+     * Creates a new ScorecardPolicy instance.
+     * @param {Object} [params]
+     * @param {number} [params.alertThreshold=60] - Overall score below which a supplier is flagged, from 0 to 100.
+     * @param {number} [params.targetShipDays=7] - Days from approval to shipment that still score 100 (positive).
+     * @param {number} [params.targetCompletionDays=14] - Days from shipment to completion that still score 100 (positive).
+     * @param {number} [params.maxPriceChangePercent=10] - Average unit price change that scores 0 (positive).
+     * @throws {ValidationError} If any value is out of range.
+     */
+    constructor({alertThreshold = 60, targetShipDays = 7, targetCompletionDays = 14, maxPriceChangePercent = 10} = {}) {
+        if (typeof alertThreshold !== 'number' || !Number.isFinite(alertThreshold) || alertThreshold < 0 || alertThreshold > 100)
+            throw new ValidationError('Alert threshold must be a score from 0 to 100', 'alertThreshold');
+        for (const [field, value] of Object.entries({targetShipDays, targetCompletionDays, maxPriceChangePercent}))
+            if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)
+                throw new ValidationError('Scorecard targets must be positive numbers', field);
+        this.#alertThreshold = alertThreshold;
+        this.#targetShipDays = targetShipDays;
+        this.#targetCompletionDays = targetCompletionDays;
+        this.#maxPriceChangePercent = maxPriceChangePercent;
+    }
+
+    /**
+     * Scores an average lead time against its target.
+     * @param {number} days - The average lead time.
+     * @param {number} targetDays - The target.
+     * @returns {number} 100 up to the target, decreasing linearly to 0 at three times the target.
+     */
+    static #scoreLeadTime(days, targetDays) {
+        return ScorecardPolicy.#clamp(100 * (1 - (days - targetDays) / (2 * targetDays)));
+    }
+
+    /**
+     * Limits a score to the range from 0 to 100.
+     * @param {number} score - The raw score.
+     * @returns {number} The score.
+     */
+    static #clamp(score) {
+        return Math.min(100, Math.max(0, score));
+    }
+
+    /**
+     * Scores the average time from approval to shipment.
+     * @param {number} days - The average days.
+     * @returns {number} The score, from 0 to 100.
+     */
+    scoreShipDays(days) {
+        return ScorecardPolicy.#scoreLeadTime(days, this.#targetShipDays);
+    }
+
+    /**
+     * Scores the average time from shipment to completion.
+     * @param {number} days - The average days.
+     * @returns {number} The score, from 0 to 100.
+     */
+    scoreCompletionDays(days) {
+        return ScorecardPolicy.#scoreLeadTime(days, this.#targetCompletionDays);
+    }
+
+    /**
+     * Scores the share of orders that went wrong, such as cancelled or short-delivered orders.
+     * @param {number} rate - The share, from 0 to 1.
+     * @returns {number} The score, from 0 to 100.
+     */
+    scoreRate(rate) {
+        return ScorecardPolicy.#clamp(100 * (1 - rate));
+    }
+
+    /**
+     * Scores the average unit price change between consecutive orders of a product.
+     * @param {number} percent - The average change, in percent, either way.
+     * @returns {number} The score, from 0 to 100.
+     */
+    scorePriceChange(percent) {
+        return ScorecardPolicy.#clamp(100 * (1 - percent / this.#maxPriceChangePercent));
+    }
+
+    /**
+     * Gets the overall score below which a supplier is flagged.
+     * @returns {number} The threshold.
+     */
+    get alertThreshold() {
+        return this.#alertThreshold;
+    }
+
+    /**
+     * Gets the days from approval to shipment that still score 100.
+     * @returns {number} The target.
+     */
+    get targetShipDays() {
+        return this.#targetShipDays;
+    }
+
+    /**
+     * Gets the days from shipment to completion that still score 100.
+     * @returns {number} The target.
+     */
+    get targetCompletionDays() {
+        return this.#targetCompletionDays;
+    }
+
+    /**
+     * Gets the average unit price change that scores 0.
+     * @returns {number} The percentage.
+     */
+    get maxPriceChangePercent() {
+        return this.#maxPriceChangePercent;
+    }
+
+    /**
+     * Returns the JSON representation of the policy.
+     * @returns {{alertThreshold: number, targetShipDays: number, targetCompletionDays: number, maxPriceChangePercent: number}}
+     * The policy snapshot.
+     */
+    toJSON() {
+        return {
+            alertThreshold: this.#alertThreshold,
+            targetShipDays: this.#targetShipDays,
+            targetCompletionDays: this.#targetCompletionDays,
+            maxPriceChangePercent: this.#maxPriceChangePercent
+        };
+    }
+
+    /**
+     * Restores a ScorecardPolicy from its JSON representation; missing values take their defaults.
+     * @param {Object} json - The policy snapshot, as produced by {@link ScorecardPolicy#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {ScorecardPolicy} The restored policy.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'ScorecardPolicy');
+        return new ScorecardPolicy({
+            alertThreshold: json.alertThreshold ?? undefined,
+            targetShipDays: json.targetShipDays ?? undefined,
+            targetCompletionDays: json.targetCompletionDays ?? undefined,
+            maxPriceChangePercent: json.maxPriceChangePercent ?? undefined
+        });
+    }
+}
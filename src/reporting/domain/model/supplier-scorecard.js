@@ -0,0 +1,144 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
+import {ScorecardPolicy} from "./scorecard-policy.js";
+
+/**
+ * Performance measured for a supplier over a period, one value per scorecard criterion.
+ * A value is null when the period holds no order it can be measured on.
+ * @typedef {Object} SupplierPerformance
+ * @property {number|null} shipDays - Average days from the final approval to shipment.
+ * @property {number|null} completionDays - Average days from shipment to completion.
+ * @property {number|null} cancellationRate - Share of the closed orders that were cancelled, from 0 to 1.
+ * @property {number|null} shortDeliveryRate - Share of the completed orders with a line closed short, from 0 to 1.
+ * @property {number|null} priceChangePercent - Average unit price change between consecutive orders of a product.
+ */
+
+/**
+ * Value Object holding the performance of a supplier over a period and its scores under a {@link ScorecardPolicy}.
+ * The overall score is the average of the scores of the criteria that could be measured, or null if none could.
+ * @class
+ * @property {SupplierId} supplierId - The supplier scored.
+ * @property {number} orderCount - The orders placed with the supplier in the period.
+ * @property {SupplierPerformance} performance - What was measured.
+ * @property {Object<string, number|null>} scores - The score of each criterion, keyed like the performance.
+ * @property {number|null} score - The overall score, from 0 to 100.
+ * @property {boolean} isBelowThreshold - Whether the overall score is below the alert threshold of the policy.
+ */
+export class SupplierScorecard {
+    static #CRITERIA = ['shipDays', 'completionDays', 'cancellationRate', 'shortDeliveryRate', 'priceChangePercent'];
+    #supplierId
+    #orderCount
+    #performance
+    #scores
+    #score
+    #alertThreshold
+
+    /**
+     * Creates a new SupplierScorecard instance.
+     * @param {Object} params
+     * @param {SupplierId} params.supplierId - The supplier scored.
+     * @param {number} params.orderCount - The orders placed with the supplier in the period (non-negative integer).
+     * @param {SupplierPerformance} params.performance - What was measured; missing values count as null.
+     * @param {ScorecardPolicy} params.policy - How the performance is scored.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({supplierId, orderCount, performance, policy}) {
+        if (!(supplierId instanceof SupplierId))
+            throw new ValidationError('Supplier ID must be an instance of SupplierId', 'supplierId');
+        if (!Number.isInteger(orderCount) || orderCount < 0)
+            throw new ValidationError('Order count must be a non-negative integer', 'orderCount');
+        if (performance === null || typeof performance !== 'object')
+            throw new ValidationError('Performance must be an object', 'performance');
+        if (!(policy instanceof ScorecardPolicy))
+            throw new ValidationError('Policy must be an instance of ScorecardPolicy', 'policy');
+        const measured = Object.fromEntries(SupplierScorecard.#CRITERIA.map(criterion => {
+            const value = performance[criterion] ?? null;
+            if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0))
+                throw new ValidationError('Performance values must be non-negative numbers or null', criterion);
+            return [criterion, value];
+        }));
+        const scoreOf = {
+            shipDays: days => policy.scoreShipDays(days),
+            completionDays: days => policy.scoreCompletionDays(days),
+            cancellationRate: rate => policy.scoreRate(rate),
+            shortDeliveryRate: rate => policy.scoreRate(rate),
+            priceChangePercent: percent => policy.scorePriceChange(percent)
+        };
+        const scores = Object.fromEntries(SupplierScorecard.#CRITERIA.map(criterion =>
+            [criterion, measured[criterion] === null ? null : scoreOf[criterion](measured[criterion])]));
+        const known = Object.values(scores).filter(score => score !== null);
+        this.#supplierId = supplierId;
+        this.#orderCount = orderCount;
+        this.#performance = Object.freeze(measured);
+        this.#scores = Object.freeze(scores);
+        this.#score = known.length === 0 ? null : known.reduce((total, score) => total + score, 0) / known.length;
+        this.#alertThreshold = policy.alertThreshold;
+    }
+
+    /**
+     * Gets the criteria a supplier is scored on, in display order.
+     * @returns {string[]} The criteria, as keys of {@link SupplierPerformance}.
+     */
+    static get CRITERIA() {
+        return [...SupplierScorecard.#CRITERIA];
+    }
+
+    /**
+     * Gets the supplier scored.
+     * @returns {SupplierId} The supplier ID.
+     */
+    get supplierId() {
+        return this.#supplierId;
+    }
+
+    /**
+     * Gets the orders placed with the supplier in the period.
+     * @returns {number} The order count.
+     */
+    get orderCount() {
+        return this.#orderCount;
+    }
+
+    /**
+     * Gets what was measured.
+     * @returns {SupplierPerformance} The performance.
+     */
+    get performance() {
+        return this.#performance;
+    }
+
+    /**
+     * Gets the score of each criterion.
+     * @returns {Object<string, number|null>} The scores, from 0 to 100, or null where nothing was measured.
+     */
+    get scores() {
+        return this.#scores;
+    }
+
+    /**
+     * Gets the overall score.
+     * @returns {number|null} The average of the known criterion scores, or null if no criterion was measured.
+     */
+    get score() {
+        return this.#score;
+    }
+
+    /**
+     * Checks if the overall score is below the alert threshold. Suppliers without a score are not flagged.
+     * @returns {boolean} True if the supplier should be flagged.
+     */
+    get isBelowThreshold() {
+        return this.#score !== null && this.#score < this.#alertThreshold;
+    }
+
+    /**
+     * Finds the criterion the supplier scores lowest on.
+     * @returns {string|null} The criterion, or null if no criterion was measured.
+     */
+    weakestCriterion() {
+        return SupplierScorecard.#CRITERIA
+            .filter(criterion => this.#scores[criterion] !== null)
+            .reduce((weakest, criterion) =>
+                weakest === null || this.#scores[criterion] < this.#scores[weakest] ? criterion : weakest, null);
+    }
+}
@@ -0,0 +1,20 @@
+import {readFile} from "node:fs/promises";
+import {ScorecardPolicy} from "../../domain/model/scorecard-policy.js";
+
+/**
+ * Loads the supplier scorecard policy from a JSON file containing a {@link ScorecardPolicy} snapshot, e.g.
+ * {"alertThreshold": 70, "targetShipDays": 5, "targetCompletionDays": 10, "maxPriceChangePercent": 5}.
+ * @param {string} filePath - Path of the policy file.
+ * @throws {ValidationError} If the file content is not a valid policy; the error names the field.
+ * @returns {Promise<ScorecardPolicy>} The loaded policy, or the default policy if the file does not exist.
+ */
+export async function loadScorecardPolicy(filePath) {
+    let content;
+    try {
+        content = await readFile(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return new ScorecardPolicy();
+        throw error;
+    }
+    return ScorecardPolicy.fromJSON(JSON.parse(content));
+}
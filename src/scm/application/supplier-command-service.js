@@ -0,0 +1,148 @@
+import {Supplier} from "../domain/model/supplier.js";
+import {SupplierId} from "../../shared/domain/model/supplier-id.js";
+import {NotFoundError, ValidationError} from "../../shared/domain/model/errors.js";
+
+/**
+ * Application service handling supplier commands.
+ */
+export class SupplierCommandService {
+    #supplierRepository
+    #auditTrail
+
+    /**
+     * Creates a new SupplierCommandService instance.
+     * @param {Object} params
+     * @param {SupplierRepository} params.supplierRepository - Repository where suppliers are stored.
+     * @param {AuditTrailService|null} [params.auditTrail] - Records every change with before and after snapshots.
+     */
+    constructor({supplierRepository, auditTrail = null}) {
+        this.#supplierRepository = supplierRepository;
+        this.#auditTrail = auditTrail;
+    }
+
+    /**
+     * Registers a new, active supplier with a generated ID.
+     * @param {Object} params
+     * @param {string} params.name - The supplier name.
+     * @param {string|null} [params.contactEmail] - The contact email, if known.
+     * @param {string|null} [params.phone] - The phone number, if known.
+     * @param {Address|null} [params.address] - The postal address, if known.
+     * @param {string|null} [params.taxId] - The tax ID, if known.
+     * @param {PaymentTerms|null} [params.paymentTerms] - The agreed payment terms, if any.
+     * @param {Currency|null} [params.preferredCurrency] - The preferred currency, if any.
+     * @throws {ValidationError} If the supplier data is invalid.
+     * @returns {Promise<Supplier>} The new supplier.
+     */
+    async register({name, contactEmail = null, phone = null, address = null, taxId = null,
+                       paymentTerms = null, preferredCurrency = null}) {
+        const supplier = new Supplier({
+            id: SupplierId.generate(), name, contactEmail, phone, address, taxId, paymentTerms, preferredCurrency,
+            lastOrderTotalPrice: null
+        });
+        await this.#save(supplier, 'register', null);
+        return supplier;
+    }
+
+    /**
+     * Registers a supplier kept elsewhere, e.g. in a spreadsheet, keeping its ID if it has one so that
+     * purchase orders imported later can refer to it. A dry run validates the supplier without saving it.
+     * @param {Object} params - The supplier, as accepted by {@link SupplierCommandService#register}.
+     * @param {SupplierId|null} [params.id] - The ID the supplier already has; a new one is generated if missing.
+     * @param {Object} [options]
+     * @param {boolean} [options.dryRun=false] - Whether to validate the supplier only.
+     * @throws {ValidationError} If the supplier data is invalid or a supplier with the same ID exists.
+     * @returns {Promise<Supplier>} The imported supplier.
+     */
+    async importSupplier({id = null, name, contactEmail = null, phone = null, address = null, taxId = null,
+                             paymentTerms = null, preferredCurrency = null}, {dryRun = false} = {}) {
+        const supplier = new Supplier({
+            id: id ?? SupplierId.generate(), name, contactEmail, phone, address, taxId, paymentTerms, preferredCurrency,
+            lastOrderTotalPrice: null
+        });
+        if (id !== null && await this.#supplierRepository.findById(id))
+            throw new ValidationError(`Supplier ${id.value} already exists`, 'id');
+        if (!dryRun)
+            await this.#save(supplier, 'import', null);
+        return supplier;
+    }
+
+    /**
+     * Updates the profile of a supplier, see {@link Supplier#updateProfile}.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @param {Object} changes - The profile fields to change.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @throws {ValidationError} If any value is invalid.
+     * @returns {Promise<Supplier>} The updated supplier.
+     */
+    async updateProfile(supplierId, changes) {
+        return this.#execute(supplierId, 'updateProfile', supplier => supplier.updateProfile(changes));
+    }
+
+    /**
+     * Suspends an active supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @param {string} reason - Why the supplier is suspended.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @throws {ValidationError} If the reason is empty or the supplier is not active.
+     * @returns {Promise<Supplier>} The updated supplier.
+     */
+    async suspend(supplierId, reason) {
+        return this.#execute(supplierId, 'suspend', supplier => supplier.suspend(reason));
+    }
+
+    /**
+     * Blacklists a supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @param {string} reason - Why the supplier is blacklisted.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @throws {ValidationError} If the reason is empty or the supplier is already blacklisted.
+     * @returns {Promise<Supplier>} The updated supplier.
+     */
+    async blacklist(supplierId, reason) {
+        return this.#execute(supplierId, 'blacklist', supplier => supplier.blacklist(reason));
+    }
+
+    /**
+     * Reactivates a suspended supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @throws {ValidationError} If the supplier is not suspended.
+     * @returns {Promise<Supplier>} The updated supplier.
+     */
+    async reactivate(supplierId) {
+        return this.#execute(supplierId, 'reactivate', supplier => supplier.reactivate());
+    }
+
+    /**
+     * Loads a supplier, applies a change to it and saves it.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @param {string} action - Name of the command, recorded in the audit trail.
+     * @param {function(Supplier): void} change - The change to apply.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @returns {Promise<Supplier>} The updated supplier.
+     */
+    async #execute(supplierId, action, change) {
+        const supplier = await this.#supplierRepository.findById(supplierId);
+        if (!supplier)
+            throw new NotFoundError(`Supplier ${supplierId.value} not found`);
+        const before = supplier.toJSON();
+        change(supplier);
+        await this.#save(supplier, action, before);
+        return supplier;
+    }
+
+    /**
+     * Saves a supplier, then records the change in the audit trail.
+     * @param {Supplier} supplier - The supplier to save.
+     * @param {string} action - Name of the command, recorded in the audit trail.
+     * @param {Object|null} before - Snapshot taken before the change, or null for a new supplier.
+     * @returns {Promise<void>}
+     */
+    async #save(supplier, action, before) {
+        await this.#supplierRepository.save(supplier);
+        await this.#auditTrail?.record({
+            action, aggregateType: 'Supplier', aggregateId: supplier.id.value, supplierId: supplier.id, before,
+            after: supplier.toJSON()
+        });
+    }
+}
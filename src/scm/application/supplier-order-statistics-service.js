@@ -0,0 +1,91 @@
+import {NotFoundError} from "../../shared/domain/model/errors.js";
+import {PurchaseOrderCompleted} from "../../procurement/domain/events/purchase-order-completed.js";
+import {PurchaseOrderCancelled} from "../../procurement/domain/events/purchase-order-cancelled.js";
+
+/**
+ * Application service keeping suppliers in sync with the purchase orders placed with them.
+ * It listens to procurement events: a completed order becomes the supplier's last order, dated when it was completed,
+ * and the value of the goods received on it is added to its spend, so lines closed short count only for what arrived;
+ * a cancelled order counts towards its cancellation rate.
+ */
+export class SupplierOrderStatisticsService {
+    #supplierRepository
+
+    /**
+     * Creates a new SupplierOrderStatisticsService instance.
+     * @param {Object} params
+     * @param {SupplierRepository} params.supplierRepository - Repository where suppliers are stored.
+     */
+    constructor({supplierRepository}) {
+        this.#supplierRepository = supplierRepository;
+    }
+
+    /**
+     * Subscribes this service to the purchase order events it handles.
+     * @param {InProcessEventBus} eventBus - The bus purchase order events are published on.
+     * @returns {function(): void} A function that removes the subscriptions.
+     */
+    subscribeTo(eventBus) {
+        const subscriptions = [
+            eventBus.subscribe(PurchaseOrderCompleted, event => this.recordCompletedOrder(event)),
+            eventBus.subscribe(PurchaseOrderCancelled, event => this.recordCancelledOrder(event)),
+        ];
+        return () => subscriptions.forEach(unsubscribe => unsubscribe());
+    }
+
+    /**
+     * Records a completed purchase order on its supplier.
+     * @param {PurchaseOrderCompleted} event - The event raised when the order was completed.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @returns {Promise<void>}
+     */
+    async recordCompletedOrder(event) {
+        await this.#execute(event.supplierId, supplier => supplier.recordCompletedOrder(event.receivedTotalPrice, event.completedOn));
+    }
+
+    /**
+     * Records a cancelled purchase order on its supplier.
+     * @param {PurchaseOrderCancelled} event - The event raised when the order was cancelled.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @returns {Promise<void>}
+     */
+    async recordCancelledOrder(event) {
+        await this.#execute(event.supplierId, supplier => supplier.recordCancelledOrder());
+    }
+
+    /**
+     * Gets the order statistics of a supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @returns {Promise<SupplierOrderStatistics>} The statistics.
+     */
+    async getStatistics(supplierId) {
+        return (await this.#load(supplierId)).orderStatistics;
+    }
+
+    /**
+     * Loads a supplier, applies a change to it and saves it.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @param {function(Supplier): void} change - The change to apply.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @returns {Promise<void>}
+     */
+    async #execute(supplierId, change) {
+        const supplier = await this.#load(supplierId);
+        change(supplier);
+        await this.#supplierRepository.save(supplier);
+    }
+
+    /**
+     * Loads a supplier.
+     * @param {SupplierId} supplierId - The supplier ID.
+     * @throws {NotFoundError} If the supplier does not exist.
+     * @returns {Promise<Supplier>} The supplier.
+     */
+    async #load(supplierId) {
+        const supplier = await this.#supplierRepository.findById(supplierId);
+        if (!supplier)
+            throw new NotFoundError(`Supplier ${supplierId.value} not found`);
+        return supplier;
+    }
+}
@@ -0,0 +1,136 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {assertSnapshotObject} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object representing a postal address.
+ * @class
+ * @property {string} street - Street and number (1-200 characters).
+ * @property {string} city - City (1-100 characters).
+ * @property {string|null} region - State, province or region, if any.
+ * @property {string|null} postalCode - Postal code, if any.
+ * @property {string} country - ISO 3166-1 alpha-2 country code, e.g. "PE".
+ */
+export class Address {
+    #street
+    #city
+    #region
+    #postalCode
+    #country
+
+    /**
+     * Creates a new Address instance.
+     * @param {Object} params
+     * @param {string} params.street - Street and number.
+     * @param {string} params.city - City.
+     * @param {string|null} [params.region] - State, province or region.
+     * @param {string|null} [params.postalCode] - Postal code.
+     * @param {string} params.country - ISO 3166-1 alpha-2 country code.
+     * @throws {ValidationError} If any part of the address is invalid.
+     */
+    constructor({street, city, region = null, postalCode = null, country}) {
+        if (typeof street !== 'string' || !street.trim() || street.length > 200)
+            throw new ValidationError('Street must be a non-empty string of up to 200 characters');
+        if (typeof city !== 'string' || !city.trim() || city.length > 100)
+            throw new ValidationError('City must be a non-empty string of up to 100 characters');
+        if (region !== null && (typeof region !== 'string' || !region.trim() || region.length > 100))
+            throw new ValidationError('Region must be a non-empty string of up to 100 characters or null');
+        if (postalCode !== null && (typeof postalCode !== 'string' || !/^[A-Za-z0-9 -]{2,12}$/.test(postalCode)))
+            throw new ValidationError('Postal code must be 2-12 letters, digits, spaces or dashes, or null');
+        if (typeof country !== 'string' || !/^[A-Z]{2}$/.test(country))
+            throw new ValidationError('Country must be an ISO 3166-1 alpha-2 code such as "PE"');
+        this.#street = street.trim();
+        this.#city = city.trim();
+        this.#region = region?.trim() ?? null;
+        this.#postalCode = postalCode;
+        this.#country = country;
+    }
+
+    /**
+     * Gets the street and number.
+     * @returns {string} The street.
+     */
+    get street() {
+        return this.#street;
+    }
+
+    /**
+     * Gets the city.
+     * @returns {string} The city.
+     */
+    get city() {
+        return this.#city;
+    }
+
+    /**
+     * Gets the state, province or region.
+     * @returns {string|null} The region, or null.
+     */
+    get region() {
+        return this.#region;
+    }
+
+    /**
+     * Gets the postal code.
+     * @returns {string|null} The postal code, or null.
+     */
+    get postalCode() {
+        return this.#postalCode;
+    }
+
+    /**
+     * Gets the country code.
+     * @returns {string} The ISO 3166-1 alpha-2 country code.
+     */
+    get country() {
+        return this.#country;
+    }
+
+    /**
+     * Returns the JSON representation of the address.
+     * @returns {Object} The address snapshot.
+     */
+    toJSON() {
+        return {
+            street: this.#street,
+            city: this.#city,
+            region: this.#region,
+            postalCode: this.#postalCode,
+            country: this.#country
+        };
+    }
+
+    /**
+     * Restores an Address from its JSON representation.
+     * @param {Object} json - The address snapshot, as produced by {@link Address#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid.
+     * @returns {Address} The restored address.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'Address');
+        return new Address({
+            street: json.street,
+            city: json.city,
+            region: json.region ?? null,
+            postalCode: json.postalCode ?? null,
+            country: json.country
+        });
+    }
+
+    /**
+     * Verifies equality with another Address.
+     * @param {Address} other - The other address.
+     * @returns {boolean} True if both addresses are equal.
+     */
+    equals(other) {
+        return other instanceof Address && JSON.stringify(this.toJSON()) === JSON.stringify(other.toJSON());
+    }
+
+    /**
+     * Returns a single-line representation of the address.
+     * @returns {string} E.g. "Av. Primavera 2390, Lima 15023, PE".
+     */
+    toString() {
+        const locality = [this.#city, this.#region, this.#postalCode].filter(Boolean).join(' ');
+        return `${this.#street}, ${locality}, ${this.#country}`;
+    }
+}
@@ -0,0 +1,79 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+
+/**
+ * Value Object representing the payment terms agreed with a supplier,
+ * expressed as the number of days after the invoice date within which payment is due ("Net 30").
+ * Zero days means payment is due on receipt.
+ */
+export class PaymentTerms {
+    #netDays
+
+    /**
+     * Creates a new PaymentTerms instance.
+     * @param {number} netDays - Days until payment is due, an integer from 0 to 365.
+     * @throws {ValidationError} If the number of days is invalid.
+     */
+    constructor(netDays) {
+        if (!Number.isInteger(netDays) || netDays < 0 || netDays > 365)
+            throw new ValidationError('Payment terms must be a whole number of days between 0 and 365');
+        this.#netDays = netDays;
+    }
+
+    /**
+     * Parses payment terms written as "Net 30", "30" or "Due on receipt".
+     * @param {string} text - The payment terms text.
+     * @throws {ValidationError} If the text cannot be parsed.
+     * @returns {PaymentTerms} The payment terms.
+     */
+    static parse(text) {
+        if (typeof text === 'string' && /^due on receipt$/i.test(text.trim()))
+            return new PaymentTerms(0);
+        const match = typeof text === 'string' ? /^(?:net\s*)?(\d+)$/i.exec(text.trim()) : null;
+        if (!match)
+            throw new ValidationError(`Invalid payment terms: ${text}. Use e.g. "Net 30"`);
+        return new PaymentTerms(Number(match[1]));
+    }
+
+    /**
+     * Gets the number of days until payment is due.
+     * @returns {number} The net days.
+     */
+    get netDays() {
+        return this.#netDays;
+    }
+
+    /**
+     * Returns the JSON representation of the payment terms.
+     * @returns {number} The net days.
+     */
+    toJSON() {
+        return this.#netDays;
+    }
+
+    /**
+     * Restores PaymentTerms from their JSON representation.
+     * @param {number} json - The net days.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {PaymentTerms} The restored payment terms.
+     */
+    static fromJSON(json) {
+        return new PaymentTerms(json);
+    }
+
+    /**
+     * Verifies equality with other PaymentTerms.
+     * @param {PaymentTerms} other - The other payment terms.
+     * @returns {boolean} True if both have the same net days.
+     */
+    equals(other) {
+        return other instanceof PaymentTerms && this.#netDays === other.#netDays;
+    }
+
+    /**
+     * Returns a string representation of the payment terms.
+     * @returns {string} E.g. "Net 30" or "Due on receipt".
+     */
+    toString() {
+        return this.#netDays === 0 ? 'Due on receipt' : `Net ${this.#netDays}`;
+    }
+}
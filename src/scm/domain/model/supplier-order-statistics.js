@@ -0,0 +1,199 @@
+import {ValidationError} from "../../../shared/domain/model/errors.js";
+import {Money} from "../../../shared/domain/model/money.js";
+import {DateTime} from "../../../shared/domain/model/date-time.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+
+/**
+ * Value Object summarizing the order history of a supplier: completed and cancelled order counts,
+ * spend and average order value per currency, and when the last order was completed.
+ * Spend is kept per currency because orders are never converted behind the user's back.
+ */
+export class SupplierOrderStatistics {
+    #spend
+    #cancelledOrderCount
+    #lastOrderDate
+
+    /**
+     * Creates a new SupplierOrderStatistics instance. Defaults to an empty history.
+     * @param {Object} [params]
+     * @param {{total: Money, orderCount: number}[]} [params.spend] - Spend per currency, at most one entry per currency.
+     * @param {number} [params.cancelledOrderCount] - Number of cancelled orders.
+     * @param {DateTime|null} [params.lastOrderDate] - When the last order was completed, or null.
+     * @throws {ValidationError} If any value is invalid.
+     */
+    constructor({spend = [], cancelledOrderCount = 0, lastOrderDate = null} = {}) {
+        if (!Array.isArray(spend))
+            throw new ValidationError('Spend must be an array');
+        spend.forEach(({total, orderCount}, index) => restoreField(`spend[${index}]`, () => {
+            if (!(total instanceof Money))
+                throw new ValidationError('Total must be an instance of Money', 'total');
+            if (!Number.isInteger(orderCount) || orderCount < 1)
+                throw new ValidationError('Order count must be a positive integer', 'orderCount');
+        }));
+        const codes = spend.map(({total}) => total.currency.code);
+        if (new Set(codes).size !== codes.length)
+            throw new ValidationError('Spend must have at most one entry per currency');
+        if (!Number.isInteger(cancelledOrderCount) || cancelledOrderCount < 0)
+            throw new ValidationError('Cancelled order count must be a non-negative integer');
+        if (lastOrderDate !== null && !(lastOrderDate instanceof DateTime))
+            throw new ValidationError('Last order date must be an instance of DateTime or null');
+        this.#spend = spend.map(({total, orderCount}) => ({total, orderCount}));
+        this.#cancelledOrderCount = cancelledOrderCount;
+        this.#lastOrderDate = lastOrderDate;
+    }
+
+    /**
+     * Returns new statistics including a completed order. An order completed before the last one, e.g. an imported
+     * historical order, adds to the spend without moving the last order date back.
+     * @param {Money} totalPrice - The total of the completed order.
+     * @param {DateTime} completedOn - When the order was completed.
+     * @throws {ValidationError} If the total or the date is invalid.
+     * @returns {SupplierOrderStatistics} The updated statistics.
+     */
+    withCompletedOrder(totalPrice, completedOn) {
+        if (!(totalPrice instanceof Money))
+            throw new ValidationError('Total price must be an instance of Money');
+        if (!(completedOn instanceof DateTime))
+            throw new ValidationError('Completion date must be an instance of DateTime');
+        const existing = this.#spendIn(totalPrice.currency);
+        const spend = existing
+            ? this.#spend.map(entry => entry === existing
+                ? {total: entry.total.add(totalPrice), orderCount: entry.orderCount + 1}
+                : entry)
+            : [...this.#spend, {total: totalPrice, orderCount: 1}];
+        const lastOrderDate = this.#lastOrderDate?.isAfter(completedOn) ? this.#lastOrderDate : completedOn;
+        return new SupplierOrderStatistics({spend, cancelledOrderCount: this.#cancelledOrderCount, lastOrderDate});
+    }
+
+    /**
+     * Returns new statistics including a cancelled order.
+     * @returns {SupplierOrderStatistics} The updated statistics.
+     */
+    withCancelledOrder() {
+        return new SupplierOrderStatistics({
+            spend: this.#spend, cancelledOrderCount: this.#cancelledOrderCount + 1, lastOrderDate: this.#lastOrderDate
+        });
+    }
+
+    /**
+     * Finds the spend entry for a currency.
+     * @param {Currency} currency - The currency.
+     * @returns {{total: Money, orderCount: number}|undefined} The entry, or undefined if no order was in that currency.
+     */
+    #spendIn(currency) {
+        return this.#spend.find(({total}) => total.currency.equals(currency));
+    }
+
+    /**
+     * Gets the number of completed orders.
+     * @returns {number} The completed order count.
+     */
+    get orderCount() {
+        return this.#spend.reduce((count, entry) => count + entry.orderCount, 0);
+    }
+
+    /**
+     * Gets the number of cancelled orders.
+     * @returns {number} The cancelled order count.
+     */
+    get cancelledOrderCount() {
+        return this.#cancelledOrderCount;
+    }
+
+    /**
+     * Gets the share of closed orders (completed or cancelled) that were cancelled.
+     * @returns {number|null} A ratio between 0 and 1, or null if no order was closed yet.
+     */
+    get cancellationRate() {
+        const closed = this.orderCount + this.#cancelledOrderCount;
+        return closed === 0 ? null : this.#cancelledOrderCount / closed;
+    }
+
+    /**
+     * Gets when the last order was completed.
+     * @returns {DateTime|null} The date, or null if no order was completed.
+     */
+    get lastOrderDate() {
+        return this.#lastOrderDate;
+    }
+
+    /**
+     * Gets the total spend in every currency the supplier was paid in.
+     * @returns {Money[]} One total per currency, in the order the currencies were first used.
+     */
+    get spendByCurrency() {
+        return this.#spend.map(({total}) => total);
+    }
+
+    /**
+     * Gets the average completed order value in every currency the supplier was paid in.
+     * @returns {Money[]} One average per currency, in the same order as {@link SupplierOrderStatistics#spendByCurrency}.
+     */
+    get averageOrderValues() {
+        return this.#spend.map(({total, orderCount}) => total.divide(orderCount));
+    }
+
+    /**
+     * Gets the number of completed orders in a currency.
+     * @param {Currency} currency - The currency.
+     * @returns {number} The completed order count in that currency.
+     */
+    orderCountIn(currency) {
+        return this.#spendIn(currency)?.orderCount ?? 0;
+    }
+
+    /**
+     * Gets the total spend in a currency.
+     * @param {Currency} currency - The currency.
+     * @returns {Money} The total spend; zero if no order was completed in that currency.
+     */
+    totalSpend(currency) {
+        return this.#spendIn(currency)?.total ?? Money.zero(currency);
+    }
+
+    /**
+     * Gets the average completed order value in a currency.
+     * @param {Currency} currency - The currency.
+     * @returns {Money|null} The average, or null if no order was completed in that currency.
+     */
+    averageOrderValue(currency) {
+        const entry = this.#spendIn(currency);
+        return entry ? entry.total.divide(entry.orderCount) : null;
+    }
+
+    /**
+     * Returns the JSON representation of the statistics.
+     * @returns {Object} The statistics snapshot.
+     */
+    toJSON() {
+        return {
+            spend: this.#spend.map(({total, orderCount}) => ({total: total.toJSON(), orderCount})),
+            cancelledOrderCount: this.#cancelledOrderCount,
+            lastOrderDate: this.#lastOrderDate?.toJSON() ?? null
+        };
+    }
+
+    /**
+     * Restores SupplierOrderStatistics from their JSON representation.
+     * @param {Object} json - The statistics snapshot, as produced by {@link SupplierOrderStatistics#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {SupplierOrderStatistics} The restored statistics.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'SupplierOrderStatistics');
+        const spend = restoreField('spend', () => {
+            if (!Array.isArray(json.spend))
+                throw new ValidationError('Spend must be an array');
+            return json.spend.map((entry, index) => restoreField(`[${index}]`, () => {
+                assertSnapshotObject(entry, 'Spend entry');
+                return {total: restoreField('total', () => Money.fromJSON(entry.total)), orderCount: entry.orderCount};
+            }));
+        });
+        return new SupplierOrderStatistics({
+            spend,
+            cancelledOrderCount: json.cancelledOrderCount,
+            lastOrderDate: json.lastOrderDate == null ? null
+                : restoreField('lastOrderDate', () => DateTime.fromJSON(json.lastOrderDate))
+        });
+    }
+}
@@ -0,0 +1,124 @@
+import {InvalidStateError, ValidationError} from "../../../shared/domain/model/errors.js";
+
+/**
+ * Value Object representing the status of a Supplier.
+ * Valid statuses are: Active, Suspended, Blacklisted. Only active suppliers can receive purchase orders.
+ * Allowed transitions: Active → Suspended | Blacklisted, Suspended → Active | Blacklisted. Blacklisted is final.
+ */
+export class SupplierStatus {
+    static #VALID_STATUSES = {
+        ACTIVE: 'Active',
+        SUSPENDED: 'Suspended',
+        BLACKLISTED: 'Blacklisted',
+    }
+    static #TRANSITIONS = {
+        Active: ['Suspended', 'Blacklisted'],
+        Suspended: ['Active', 'Blacklisted'],
+        Blacklisted: [],
+    }
+    #value;
+
+    /**
+     * Creates a new SupplierStatus.
+     * Defaults to 'Active' if no value is provided.
+     * @param {string} value - The status value.
+     * @throws {ValidationError} If the provided status is invalid.
+     */
+    constructor(value = SupplierStatus.#VALID_STATUSES.ACTIVE) {
+        if (!Object.values(SupplierStatus.#VALID_STATUSES).includes(value))
+            throw new ValidationError(`Invalid supplier status: ${value}. Valid statuses are: ${Object.values(SupplierStatus.#VALID_STATUSES).join(', ')}`);
+        this.#value = value;
+    }
+
+    /**
+     * Gets all valid status values.
+     * @returns {string[]} The valid status values.
+     */
+    static get values() {
+        return Object.values(SupplierStatus.#VALID_STATUSES);
+    }
+
+    /**
+     * Gets the current status value.
+     * @returns {string} The current status.
+     */
+    get value() {
+        return this.#value;
+    }
+
+    /**
+     * Transitions this status to the target status, as permitted by the transition table.
+     * @param {string} target - The target status value.
+     * @throws {ValidationError} If the transition is not allowed.
+     * @returns {SupplierStatus} The new status.
+     */
+    transitionTo(target) {
+        if (!SupplierStatus.#TRANSITIONS[this.#value].includes(target))
+            throw new InvalidStateError(this.#value === SupplierStatus.#VALID_STATUSES.BLACKLISTED
+                ? `Cannot change the status of a blacklisted supplier`
+                : `Cannot change supplier status from ${this.#value} to ${target}`);
+        return new SupplierStatus(target);
+    }
+
+    /**
+     * Transitions the status to 'Active'.
+     * @throws {ValidationError} If the supplier is not suspended.
+     * @returns {SupplierStatus} The new status with value 'Active'.
+     */
+    toActive() {
+        return this.transitionTo(SupplierStatus.#VALID_STATUSES.ACTIVE);
+    }
+
+    /**
+     * Transitions the status to 'Suspended'.
+     * @throws {ValidationError} If the supplier is not active.
+     * @returns {SupplierStatus} The new status with value 'Suspended'.
+     */
+    toSuspended() {
+        return this.transitionTo(SupplierStatus.#VALID_STATUSES.SUSPENDED);
+    }
+
+    /**
+     * Transitions the status to 'Blacklisted'.
+     * @throws {ValidationError} If the supplier is already blacklisted.
+     * @returns {SupplierStatus} The new status with value 'Blacklisted'.
+     */
+    toBlacklisted() {
+        return this.transitionTo(SupplierStatus.#VALID_STATUSES.BLACKLISTED);
+    }
+
+    /**
+     * Checks if the current status is 'Active'.
+     * @returns {boolean} True if the status is 'Active', false otherwise.
+     */
+    isActive() {
+        return this.#value === SupplierStatus.#VALID_STATUSES.ACTIVE;
+    }
+
+    /**
+     * Returns the JSON representation of the status.
+     * @returns {string} The status value.
+     */
+    toJSON() {
+        return this.#value;
+    }
+
+    /**
+     * Restores a SupplierStatus from its JSON representation.
+     * @param {string} json - The status value.
+     * @throws {ValidationError} If the value is not a valid status.
+     * @returns {SupplierStatus} The restored status.
+     */
+    static fromJSON(json) {
+        return new SupplierStatus(json);
+    }
+
+    /**
+     * Verifies equality with another SupplierStatus.
+     * @param {SupplierStatus} other - The other status to compare with.
+     * @returns {boolean} True if both statuses are equal, false otherwise.
+     */
+    equals(other) {
+        return other instanceof SupplierStatus && this.#value === other.#value;
+    }
+}
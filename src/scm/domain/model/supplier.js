@@ -1,21 +1,45 @@
 import {SupplierId} from "../../../shared/domain/model/supplier-id.js";
 import {ValidationError} from "../../../shared/domain/model/errors.js";
 import {Money} from "../../../shared/domain/model/money.js";
+import {Currency} from "../../../shared/domain/model/currency.js";
+import {assertSnapshotObject, restoreField} from "../../../shared/domain/model/snapshot.js";
+import {Address} from "./address.js";
+import {PaymentTerms} from "./payment-terms.js";
+import {SupplierStatus} from "./supplier-status.js";
+import {SupplierOrderStatistics} from "./supplier-order-statistics.js";
 
 /**
  * Represents a supplier in the supply chain management system.
+ * Besides its contact profile, a supplier has a status: only active suppliers can receive purchase orders,
+ * and suspending or blacklisting a supplier requires a reason.
  * @class
  * @property {SupplierId} id - Unique identifier for the supplier.
  * @property {string} name - Name of the supplier (2-100 characters).
  * @property {string|null} contactEmail - Contact email of the supplier (valid email format or null).
+ * @property {string|null} phone - Contact phone number, in international format (e.g. "+51 1 555 0100") or null.
+ * @property {Address|null} address - Postal address of the supplier or null.
+ * @property {string|null} taxId - Tax identification number (5-20 letters, digits or dashes) or null.
+ * @property {PaymentTerms|null} paymentTerms - Agreed payment terms or null.
+ * @property {Currency|null} preferredCurrency - Currency the supplier prefers to be paid in or null.
+ * @property {string} status - Current status (Active, Suspended or Blacklisted).
+ * @property {string|null} statusReason - Why the supplier was suspended or blacklisted, or null if active.
  * @property {Money|null} lastOrderTotalPrice - Total price of the last order from this supplier (Money instance or null).
+ * @property {SupplierOrderStatistics} orderStatistics - Statistics about the completed and cancelled orders of this supplier.
  * @throws {ValidationError} If any property fails validation.
  */
 export class Supplier {
     #id
     #name
     #contactEmail
+    #phone
+    #address
+    #taxId
+    #paymentTerms
+    #preferredCurrency
+    #status
+    #statusReason
     #lastOrderTotalPrice
+    #orderStatistics
 
     /**
      * Creates a new Supplier instance.
@@ -24,21 +48,67 @@ export class Supplier {
      * @param {string} params.name The name of the supplier (2-100 characters).
      * @param {string|null} params.contactEmail The contact email of the supplier (valid email format or null).
      * @param {Money|null} params.lastOrderTotalPrice The total price of the last order from this supplier (Money instance or null).
+     * @param {string|null} [params.phone] The contact phone number.
+     * @param {Address|null} [params.address] The postal address.
+     * @param {string|null} [params.taxId] The tax identification number.
+     * @param {PaymentTerms|null} [params.paymentTerms] The agreed payment terms.
+     * @param {Currency|null} [params.preferredCurrency] The preferred currency.
+     * @param {SupplierStatus} [params.status] The status; defaults to Active.
+     * @param {string|null} [params.statusReason] Why the supplier is suspended or blacklisted.
+     * @param {SupplierOrderStatistics} [params.orderStatistics] The order history statistics; defaults to none.
      * @throws {ValidationError} Throws if any property fails validation.
      */
-    constructor({id, name, contactEmail, lastOrderTotalPrice}) {
+    constructor({id, name, contactEmail, lastOrderTotalPrice, phone = null, address = null, taxId = null,
+                    paymentTerms = null, preferredCurrency = null, status = new SupplierStatus(), statusReason = null,
+                    orderStatistics = new SupplierOrderStatistics()}) {
         if (!(id instanceof SupplierId))
             throw new ValidationError("Supplier ID must be an instance of SupplierId");
-        if (typeof name !== 'string' || name.length < 2 || name.length > 100)
-            throw new ValidationError("Supplier name must be a string between 2 and 100 characters");
-        if (contactEmail !== null && !this.#isValidEmail(contactEmail))
-            throw new ValidationError("Contact email must be a valid email address or null");
         if (lastOrderTotalPrice !== null && !(lastOrderTotalPrice instanceof Money))
             throw new ValidationError("Last order total price must be an instance of Money or null");
+        if (!(status instanceof SupplierStatus))
+            throw new ValidationError("Supplier status must be an instance of SupplierStatus");
+        if (!(orderStatistics instanceof SupplierOrderStatistics))
+            throw new ValidationError("Order statistics must be an instance of SupplierOrderStatistics");
+        if (status.isActive() ? statusReason !== null : !Supplier.#isNonEmptyText(statusReason))
+            throw new ValidationError("A status reason is required for inactive suppliers and not allowed for active ones");
         this.#id = id
-        this.#name = name
-        this.#contactEmail = contactEmail
+        this.#name = Supplier.#validateName(name)
+        this.#contactEmail = Supplier.#validateEmail(contactEmail)
+        this.#phone = Supplier.#validatePhone(phone)
+        this.#address = Supplier.#validateAddress(address)
+        this.#taxId = Supplier.#validateTaxId(taxId)
+        this.#paymentTerms = Supplier.#validatePaymentTerms(paymentTerms)
+        this.#preferredCurrency = Supplier.#validatePreferredCurrency(preferredCurrency)
+        this.#status = status
+        this.#statusReason = statusReason
         this.#lastOrderTotalPrice = lastOrderTotalPrice
+        this.#orderStatistics = orderStatistics
+    }
+
+    /**
+     * Restores a Supplier from its JSON representation.
+     * @param {Object} json - The supplier snapshot, as produced by {@link Supplier#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {Supplier} The restored supplier.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'Supplier');
+        const optional = (field, restore) => json[field] == null ? null : restoreField(field, () => restore(json[field]));
+        return new Supplier({
+            id: restoreField('id', () => SupplierId.fromJSON(json.id)),
+            name: json.name,
+            contactEmail: json.contactEmail ?? null,
+            phone: json.phone ?? null,
+            address: optional('address', Address.fromJSON),
+            taxId: json.taxId ?? null,
+            paymentTerms: optional('paymentTerms', PaymentTerms.fromJSON),
+            preferredCurrency: optional('preferredCurrency', Currency.fromJSON),
+            status: json.status == null ? new SupplierStatus()
+                : restoreField('status', () => SupplierStatus.fromJSON(json.status)),
+            statusReason: json.statusReason ?? null,
+            lastOrderTotalPrice: optional('lastOrderTotalPrice', Money.fromJSON),
+            orderStatistics: optional('orderStatistics', SupplierOrderStatistics.fromJSON) ?? new SupplierOrderStatistics()
+        });
     }
 
     /**
@@ -46,11 +116,267 @@ export class Supplier {
      * @param {string} email - The email to validate.
      * @returns {boolean} True if the email is valid, false otherwise.
      */
-    #isValidEmail(email) {
+    static #isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
     }
 
+    /**
+     * Checks whether a value is a string with visible characters.
+     * @param {*} value - The value to check.
+     * @returns {boolean} True if the value is a non-blank string.
+     */
+    static #isNonEmptyText(value) {
+        return typeof value === 'string' && value.trim().length > 0;
+    }
+
+    /**
+     * Validates the name.
+     * @param {string} name - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {string} The validated value.
+     */
+    static #validateName(name) {
+        if (typeof name !== 'string' || name.length < 2 || name.length > 100)
+            throw new ValidationError("Supplier name must be a string between 2 and 100 characters");
+        return name;
+    }
+
+    /**
+     * Validates the contact email.
+     * @param {string|null} contactEmail - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {string|null} The validated value.
+     */
+    static #validateEmail(contactEmail) {
+        if (contactEmail !== null && !Supplier.#isValidEmail(contactEmail))
+            throw new ValidationError("Contact email must be a valid email address or null");
+        return contactEmail;
+    }
+
+    /**
+     * Validates the phone number.
+     * @param {string|null} phone - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {string|null} The validated value.
+     */
+    static #validatePhone(phone) {
+        if (phone !== null && (typeof phone !== 'string' || !/^\+?[0-9][0-9 ()-]{5,19}$/.test(phone)))
+            throw new ValidationError("Phone must contain 6 to 20 digits, spaces, dashes or parentheses, optionally starting with +, or be null");
+        return phone;
+    }
+
+    /**
+     * Validates the address.
+     * @param {Address|null} address - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {Address|null} The validated value.
+     */
+    static #validateAddress(address) {
+        if (address !== null && !(address instanceof Address))
+            throw new ValidationError("Address must be an instance of Address or null");
+        return address;
+    }
+
+    /**
+     * Validates the tax ID.
+     * @param {string|null} taxId - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {string|null} The validated value.
+     */
+    static #validateTaxId(taxId) {
+        if (taxId !== null && (typeof taxId !== 'string' || !/^[A-Za-z0-9-]{5,20}$/.test(taxId)))
+            throw new ValidationError("Tax ID must be 5 to 20 letters, digits or dashes, or null");
+        return taxId;
+    }
+
+    /**
+     * Validates the payment terms.
+     * @param {PaymentTerms|null} paymentTerms - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {PaymentTerms|null} The validated value.
+     */
+    static #validatePaymentTerms(paymentTerms) {
+        if (paymentTerms !== null && !(paymentTerms instanceof PaymentTerms))
+            throw new ValidationError("Payment terms must be an instance of PaymentTerms or null");
+        return paymentTerms;
+    }
+
+    /**
+     * Validates the preferred currency.
+     * @param {Currency|null} preferredCurrency - The value to validate.
+     * @throws {ValidationError} If the value is invalid.
+     * @returns {Currency|null} The validated value.
+     */
+    static #validatePreferredCurrency(preferredCurrency) {
+        if (preferredCurrency !== null && !(preferredCurrency instanceof Currency))
+            throw new ValidationError("Preferred currency must be an instance of Currency or null");
+        return preferredCurrency;
+    }
+
+    /**
+     * Updates several profile fields at once. Every given field is validated before any is changed,
+     * so an invalid value leaves the supplier untouched. Fields that are not given keep their value;
+     * optional fields can be cleared by passing null.
+     * @param {Object} changes
+     * @param {string} [changes.name] - The new name.
+     * @param {string|null} [changes.contactEmail] - The new contact email.
+     * @param {string|null} [changes.phone] - The new phone number.
+     * @param {Address|null} [changes.address] - The new address.
+     * @param {string|null} [changes.taxId] - The new tax ID.
+     * @param {PaymentTerms|null} [changes.paymentTerms] - The new payment terms.
+     * @param {Currency|null} [changes.preferredCurrency] - The new preferred currency.
+     * @throws {ValidationError} If any value is invalid or an unknown field is given.
+     */
+    updateProfile(changes) {
+        const validators = {
+            name: Supplier.#validateName,
+            contactEmail: Supplier.#validateEmail,
+            phone: Supplier.#validatePhone,
+            address: Supplier.#validateAddress,
+            taxId: Supplier.#validateTaxId,
+            paymentTerms: Supplier.#validatePaymentTerms,
+            preferredCurrency: Supplier.#validatePreferredCurrency,
+        };
+        const unknown = Object.keys(changes).filter(field => !Object.hasOwn(validators, field));
+        if (unknown.length > 0)
+            throw new ValidationError(`Unknown supplier profile fields: ${unknown.join(', ')}`);
+        const validated = Object.fromEntries(Object.entries(changes)
+            .filter(([, value]) => value !== undefined)
+            .map(([field, value]) => [field, restoreField(field, () => validators[field](value))]));
+        if ('name' in validated) this.#name = validated.name;
+        if ('contactEmail' in validated) this.#contactEmail = validated.contactEmail;
+        if ('phone' in validated) this.#phone = validated.phone;
+        if ('address' in validated) this.#address = validated.address;
+        if ('taxId' in validated) this.#taxId = validated.taxId;
+        if ('paymentTerms' in validated) this.#paymentTerms = validated.paymentTerms;
+        if ('preferredCurrency' in validated) this.#preferredCurrency = validated.preferredCurrency;
+    }
+
+    /**
+     * Renames the supplier.
+     * @param {string} name - The new name (2-100 characters).
+     * @throws {ValidationError} If the name is invalid.
+     */
+    rename(name) {
+        this.#name = Supplier.#validateName(name);
+    }
+
+    /**
+     * Changes the contact email.
+     * @param {string|null} contactEmail - The new email, or null to clear it.
+     * @throws {ValidationError} If the email is invalid.
+     */
+    changeContactEmail(contactEmail) {
+        this.#contactEmail = Supplier.#validateEmail(contactEmail);
+    }
+
+    /**
+     * Changes the phone number.
+     * @param {string|null} phone - The new phone number, or null to clear it.
+     * @throws {ValidationError} If the phone number is invalid.
+     */
+    changePhone(phone) {
+        this.#phone = Supplier.#validatePhone(phone);
+    }
+
+    /**
+     * Changes the postal address.
+     * @param {Address|null} address - The new address, or null to clear it.
+     * @throws {ValidationError} If the address is not an Address instance.
+     */
+    changeAddress(address) {
+        this.#address = Supplier.#validateAddress(address);
+    }
+
+    /**
+     * Changes the tax ID.
+     * @param {string|null} taxId - The new tax ID, or null to clear it.
+     * @throws {ValidationError} If the tax ID is invalid.
+     */
+    changeTaxId(taxId) {
+        this.#taxId = Supplier.#validateTaxId(taxId);
+    }
+
+    /**
+     * Changes the payment terms.
+     * @param {PaymentTerms|null} paymentTerms - The new payment terms, or null to clear them.
+     * @throws {ValidationError} If the payment terms are not a PaymentTerms instance.
+     */
+    changePaymentTerms(paymentTerms) {
+        this.#paymentTerms = Supplier.#validatePaymentTerms(paymentTerms);
+    }
+
+    /**
+     * Changes the preferred currency.
+     * @param {Currency|null} preferredCurrency - The new preferred currency, or null to clear it.
+     * @throws {ValidationError} If the currency is not a Currency instance.
+     */
+    changePreferredCurrency(preferredCurrency) {
+        this.#preferredCurrency = Supplier.#validatePreferredCurrency(preferredCurrency);
+    }
+
+    /**
+     * Suspends an active supplier, e.g. while a quality issue is investigated.
+     * @param {string} reason - Why the supplier is suspended.
+     * @throws {ValidationError} If the reason is empty or the supplier is not active.
+     */
+    suspend(reason) {
+        this.#changeStatus(this.#status.toSuspended(), reason);
+    }
+
+    /**
+     * Blacklists the supplier permanently.
+     * @param {string} reason - Why the supplier is blacklisted.
+     * @throws {ValidationError} If the reason is empty or the supplier is already blacklisted.
+     */
+    blacklist(reason) {
+        this.#changeStatus(this.#status.toBlacklisted(), reason);
+    }
+
+    /**
+     * Reactivates a suspended supplier.
+     * @throws {ValidationError} If the supplier is not suspended.
+     */
+    reactivate() {
+        this.#status = this.#status.toActive();
+        this.#statusReason = null;
+    }
+
+    /**
+     * Records that a purchase order from this supplier was completed, adding its total to the order statistics
+     * and making it the last order total unless a later order was completed already.
+     * @param {Money} totalPrice - The total of the completed order.
+     * @param {DateTime} completedOn - When the order was completed.
+     * @throws {ValidationError} If the total or the date is invalid.
+     */
+    recordCompletedOrder(totalPrice, completedOn) {
+        const previousLastOrderDate = this.#orderStatistics.lastOrderDate;
+        this.#orderStatistics = this.#orderStatistics.withCompletedOrder(totalPrice, completedOn);
+        if (!previousLastOrderDate?.isAfter(completedOn))
+            this.#lastOrderTotalPrice = totalPrice;
+    }
+
+    /**
+     * Records that a purchase order from this supplier was cancelled.
+     */
+    recordCancelledOrder() {
+        this.#orderStatistics = this.#orderStatistics.withCancelledOrder();
+    }
+
+    /**
+     * Moves the supplier to an inactive status, recording why.
+     * @param {SupplierStatus} status - The new status, already validated by {@link SupplierStatus}.
+     * @param {string} reason - Why the status changes.
+     * @throws {ValidationError} If the reason is empty.
+     */
+    #changeStatus(status, reason) {
+        if (!Supplier.#isNonEmptyText(reason))
+            throw new ValidationError(`A reason is required to change a supplier to ${status.value}`);
+        this.#status = status;
+        this.#statusReason = reason.trim();
+    }
+
     /**
      * Gets the supplier ID.
      * @returns {SupplierId} The supplier ID.
@@ -75,6 +401,70 @@ export class Supplier {
         return this.#contactEmail;
     }
 
+    /**
+     * Gets the phone number.
+     * @returns {string|null} The phone number or null if not provided.
+     */
+    get phone() {
+        return this.#phone;
+    }
+
+    /**
+     * Gets the postal address.
+     * @returns {Address|null} The address or null if not provided.
+     */
+    get address() {
+        return this.#address;
+    }
+
+    /**
+     * Gets the tax ID.
+     * @returns {string|null} The tax ID or null if not provided.
+     */
+    get taxId() {
+        return this.#taxId;
+    }
+
+    /**
+     * Gets the payment terms.
+     * @returns {PaymentTerms|null} The payment terms or null if not agreed.
+     */
+    get paymentTerms() {
+        return this.#paymentTerms;
+    }
+
+    /**
+     * Gets the preferred currency.
+     * @returns {Currency|null} The preferred currency or null if none.
+     */
+    get preferredCurrency() {
+        return this.#preferredCurrency;
+    }
+
+    /**
+     * Gets the current status.
+     * @returns {string} The status (Active, Suspended or Blacklisted).
+     */
+    get status() {
+        return this.#status.value;
+    }
+
+    /**
+     * Gets why the supplier was suspended or blacklisted.
+     * @returns {string|null} The reason, or null if the supplier is active.
+     */
+    get statusReason() {
+        return this.#statusReason;
+    }
+
+    /**
+     * Checks whether the supplier is active and can therefore receive purchase orders.
+     * @returns {boolean} True if the supplier is active, false otherwise.
+     */
+    get isActive() {
+        return this.#status.isActive();
+    }
+
     /**
      * Gets the total price of the last order.
      * @returns {Money|null} The total price of the last order or null if not available.
@@ -82,4 +472,33 @@ export class Supplier {
     get lastOrderTotalPrice() {
         return this.#lastOrderTotalPrice;
     }
-}
\ No newline at end of file
+
+    /**
+     * Gets the order history statistics.
+     * @returns {SupplierOrderStatistics} The statistics.
+     */
+    get orderStatistics() {
+        return this.#orderStatistics;
+    }
+
+    /**
+     * Returns the JSON representation of the supplier.
+     * @returns {Object} The supplier snapshot.
+     */
+    toJSON() {
+        return {
+            id: this.#id.toJSON(),
+            name: this.#name,
+            contactEmail: this.#contactEmail,
+            phone: this.#phone,
+            address: this.#address?.toJSON() ?? null,
+            taxId: this.#taxId,
+            paymentTerms: this.#paymentTerms?.toJSON() ?? null,
+            preferredCurrency: this.#preferredCurrency?.toJSON() ?? null,
+            status: this.#status.toJSON(),
+            statusReason: this.#statusReason,
+            lastOrderTotalPrice: this.#lastOrderTotalPrice?.toJSON() ?? null,
+            orderStatistics: this.#orderStatistics.toJSON()
+        };
+    }
+}
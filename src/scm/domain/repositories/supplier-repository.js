@@ -0,0 +1,41 @@
+/**
+ * Repository contract for {@link Supplier} entities in the Supply Chain Management bounded context.
+ * Concrete implementations live in the infrastructure layer and decide where suppliers are persisted.
+ * @interface
+ */
+export class SupplierRepository {
+    /**
+     * Persists a supplier, inserting it or replacing a previously saved version with the same ID.
+     * @param {Supplier} supplier - The supplier to save.
+     * @returns {Promise<void>}
+     */
+    async save(supplier) {
+        throw new Error('SupplierRepository.save() must be implemented');
+    }
+
+    /**
+     * Finds a supplier by its identifier.
+     * @param {SupplierId} id - The supplier ID.
+     * @returns {Promise<Supplier|null>} The supplier, or null if none was found.
+     */
+    async findById(id) {
+        throw new Error('SupplierRepository.findById() must be implemented');
+    }
+
+    /**
+     * Finds all stored suppliers.
+     * @returns {Promise<Supplier[]>} All suppliers.
+     */
+    async findAll() {
+        throw new Error('SupplierRepository.findAll() must be implemented');
+    }
+
+    /**
+     * Deletes a supplier by its identifier.
+     * @param {SupplierId} id - The supplier ID.
+     * @returns {Promise<boolean>} True if a supplier was deleted, false if none existed.
+     */
+    async delete(id) {
+        throw new Error('SupplierRepository.delete() must be implemented');
+    }
+}
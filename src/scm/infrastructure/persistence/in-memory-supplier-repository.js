@@ -0,0 +1,31 @@
+import {SupplierRepository} from "../../domain/repositories/supplier-repository.js";
+import {Supplier} from "../../domain/model/supplier.js";
+
+/**
+ * In-memory implementation of {@link SupplierRepository}.
+ * Suppliers are kept as plain records and rebuilt on every read. Data is lost when the process exits.
+ */
+export class InMemorySupplierRepository extends SupplierRepository {
+    #records = new Map()
+
+    /** @inheritDoc */
+    async save(supplier) {
+        this.#records.set(supplier.id.value, supplier.toJSON());
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const record = this.#records.get(id.value);
+        return record ? Supplier.fromJSON(record) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        return [...this.#records.values()].map(record => Supplier.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#records.delete(id.value);
+    }
+}
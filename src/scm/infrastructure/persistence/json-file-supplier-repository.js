@@ -0,0 +1,48 @@
+import {SupplierRepository} from "../../domain/repositories/supplier-repository.js";
+import {JsonFileStore} from "../../../shared/infrastructure/persistence/json-file-store.js";
+import {Supplier} from "../../domain/model/supplier.js";
+
+/**
+ * JSON-file-backed implementation of {@link SupplierRepository}.
+ * Suppliers survive process restarts.
+ */
+export class JsonFileSupplierRepository extends SupplierRepository {
+    #store
+
+    /**
+     * Creates a new JsonFileSupplierRepository instance.
+     * @param {string} filePath - Path of the JSON file holding the suppliers.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /** @inheritDoc */
+    async save(supplier) {
+        await this.#store.update(records => {
+            records[supplier.id.value] = supplier.toJSON();
+        });
+    }
+
+    /** @inheritDoc */
+    async findById(id) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, id.value) ? Supplier.fromJSON(records[id.value]) : null;
+    }
+
+    /** @inheritDoc */
+    async findAll() {
+        const records = await this.#store.readAll();
+        return Object.values(records).map(record => Supplier.fromJSON(record));
+    }
+
+    /** @inheritDoc */
+    async delete(id) {
+        return this.#store.update(records => {
+            if (!Object.hasOwn(records, id.value)) return false;
+            delete records[id.value];
+            return true;
+        });
+    }
+}
@@ -0,0 +1,11 @@
+import {createServer} from "node:http";
+import {composeApplication, logEventHandlerError} from "./composition-root.js";
+import {HttpApi} from "./api/http-api.js";
+
+// HTTP server: serves the API on SCM_HTTP_PORT (3000 by default), with the OpenAPI document at /openapi.json.
+// See composition-root.js for the environment variables configuring where data is kept.
+// A change is answered as saved even if an event handler then fails, e.g. updating supplier statistics; the failure is logged.
+const api = new HttpApi(await composeApplication(process.env, {onEventHandlerError: logEventHandlerError}));
+const port = Number(process.env.SCM_HTTP_PORT ?? 3000);
+const server = createServer((request, response) => api.handle(request, response));
+server.listen(port, () => console.log(`Supply chain API listening on http://localhost:${server.address().port}`));
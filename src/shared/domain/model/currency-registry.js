@@ -0,0 +1,108 @@
+import {ValidationError} from "./errors.js";
+
+/**
+ * Default ISO 4217 currency definitions: code, number of minor-unit digits and English name.
+ * @type {{code: string, minorUnits: number, name: string}[]}
+ */
+const ISO_4217_CURRENCIES = [
+    {code: 'AED', minorUnits: 2, name: 'UAE Dirham'},
+    {code: 'ARS', minorUnits: 2, name: 'Argentine Peso'},
+    {code: 'AUD', minorUnits: 2, name: 'Australian Dollar'},
+    {code: 'BHD', minorUnits: 3, name: 'Bahraini Dinar'},
+    {code: 'BOB', minorUnits: 2, name: 'Boliviano'},
+    {code: 'BRL', minorUnits: 2, name: 'Brazilian Real'},
+    {code: 'CAD', minorUnits: 2, name: 'Canadian Dollar'},
+    {code: 'CHF', minorUnits: 2, name: 'Swiss Franc'},
+    {code: 'CLP', minorUnits: 0, name: 'Chilean Peso'},
+    {code: 'CNY', minorUnits: 2, name: 'Yuan Renminbi'},
+    {code: 'COP', minorUnits: 2, name: 'Colombian Peso'},
+    {code: 'CZK', minorUnits: 2, name: 'Czech Koruna'},
+    {code: 'DKK', minorUnits: 2, name: 'Danish Krone'},
+    {code: 'EUR', minorUnits: 2, name: 'Euro'},
+    {code: 'GBP', minorUnits: 2, name: 'Pound Sterling'},
+    {code: 'HKD', minorUnits: 2, name: 'Hong Kong Dollar'},
+    {code: 'HUF', minorUnits: 2, name: 'Forint'},
+    {code: 'ILS', minorUnits: 2, name: 'New Israeli Sheqel'},
+    {code: 'INR', minorUnits: 2, name: 'Indian Rupee'},
+    {code: 'ISK', minorUnits: 0, name: 'Iceland Krona'},
+    {code: 'JOD', minorUnits: 3, name: 'Jordanian Dinar'},
+    {code: 'JPY', minorUnits: 0, name: 'Yen'},
+    {code: 'KRW', minorUnits: 0, name: 'Won'},
+    {code: 'KWD', minorUnits: 3, name: 'Kuwaiti Dinar'},
+    {code: 'MXN', minorUnits: 2, name: 'Mexican Peso'},
+    {code: 'NOK', minorUnits: 2, name: 'Norwegian Krone'},
+    {code: 'NZD', minorUnits: 2, name: 'New Zealand Dollar'},
+    {code: 'OMR', minorUnits: 3, name: 'Rial Omani'},
+    {code: 'PEN', minorUnits: 2, name: 'Sol'},
+    {code: 'PLN', minorUnits: 2, name: 'Zloty'},
+    {code: 'PYG', minorUnits: 0, name: 'Guarani'},
+    {code: 'SAR', minorUnits: 2, name: 'Saudi Riyal'},
+    {code: 'SEK', minorUnits: 2, name: 'Swedish Krona'},
+    {code: 'SGD', minorUnits: 2, name: 'Singapore Dollar'},
+    {code: 'TND', minorUnits: 3, name: 'Tunisian Dinar'},
+    {code: 'TRY', minorUnits: 2, name: 'Turkish Lira'},
+    {code: 'USD', minorUnits: 2, name: 'US Dollar'},
+    {code: 'UYU', minorUnits: 2, name: 'Peso Uruguayo'},
+    {code: 'VND', minorUnits: 0, name: 'Dong'},
+    {code: 'ZAR', minorUnits: 2, name: 'Rand'},
+];
+
+/**
+ * Registry of the currencies the application accepts, with the number of minor-unit digits of each
+ * (e.g. 2 for USD cents, 0 for JPY). Starts with a set of ISO 4217 currencies and can be extended or replaced.
+ */
+export class CurrencyRegistry {
+    #definitions = new Map()
+
+    /**
+     * Creates a new CurrencyRegistry instance.
+     * @param {{code: string, minorUnits: number, name?: string}[]} [definitions] - Currencies to register;
+     * defaults to the built-in ISO 4217 list.
+     * @throws {ValidationError} If any definition is invalid.
+     */
+    constructor(definitions = ISO_4217_CURRENCIES) {
+        definitions.forEach(definition => this.register(definition));
+    }
+
+    /**
+     * Registers a currency, replacing any existing definition with the same code.
+     * @param {Object} definition
+     * @param {string} definition.code - Three-letter uppercase ISO 4217 code.
+     * @param {number} definition.minorUnits - Number of minor-unit digits (0 to 4).
+     * @param {string} [definition.name] - Human-readable name; defaults to the code.
+     * @throws {ValidationError} If the code or minor units are invalid.
+     */
+    register({code, minorUnits, name = code}) {
+        if (typeof code !== 'string' || !/^[A-Z]{3}$/.test(code))
+            throw new ValidationError(`Invalid currency code: ${code}. Codes must be three uppercase letters`);
+        if (!Number.isInteger(minorUnits) || minorUnits < 0 || minorUnits > 4)
+            throw new ValidationError(`Invalid minor units for ${code}: ${minorUnits}. Must be an integer between 0 and 4`);
+        this.#definitions.set(code, Object.freeze({code, minorUnits, name}));
+    }
+
+    /**
+     * Checks whether a currency code is registered.
+     * @param {string} code - The currency code.
+     * @returns {boolean} True if the code is registered, false otherwise.
+     */
+    has(code) {
+        return this.#definitions.has(code);
+    }
+
+    /**
+     * Gets the definition of a registered currency.
+     * @param {string} code - The currency code.
+     * @returns {{code: string, minorUnits: number, name: string}|null} The definition, or null if not registered.
+     */
+    get(code) {
+        return this.#definitions.get(code) ?? null;
+    }
+
+    /**
+     * Gets all registered currency codes, sorted alphabetically.
+     * @returns {string[]} The registered codes.
+     */
+    get codes() {
+        return [...this.#definitions.keys()].sort();
+    }
+}
@@ -1,23 +1,48 @@
 import {ValidationError} from "./errors.js";
+import {CurrencyRegistry} from "./currency-registry.js";
 
 /**
- * Represents a currency with a specific code (e.g., USD, EUR).
- * Validates the currency code upon instantiation.
+ * Represents a currency with a specific ISO 4217 code (e.g., USD, EUR).
+ * Validates the currency code upon instantiation against the active {@link CurrencyRegistry},
+ * which also provides the number of minor-unit digits of the currency (e.g. 2 for USD, 0 for JPY).
  * Provides methods to access the code and compare two Currency instances.
  */
 export class Currency {
-    static #VALID_CODES = ['USD', 'EUR', 'GBP', 'JPY'];
+    static #registry = new CurrencyRegistry();
     #code;
+    #minorUnits;
 
     /**
      * Creates a new Currency instance.
      * @param {string} code - The currency code (e.g., 'USD', 'EUR').
-     * @throws {ValidationError} If the provided code is not valid.
+     * @throws {ValidationError} If the provided code is not registered.
      */
     constructor(code) {
-        if (!Currency.#VALID_CODES.includes(code))
-            throw new ValidationError(`Invalid code: ${code}. Valid codes are: ${Currency.#VALID_CODES.join(', ')}`);
+        const definition = Currency.#registry.get(code);
+        if (!definition)
+            throw new ValidationError(`Invalid code: ${code}. Valid codes are: ${Currency.#registry.codes.join(', ')}`);
         this.#code = code;
+        this.#minorUnits = definition.minorUnits;
+    }
+
+    /**
+     * Gets the registry used to validate currency codes.
+     * @returns {CurrencyRegistry} The active registry.
+     */
+    static get registry() {
+        return Currency.#registry;
+    }
+
+    /**
+     * Replaces the registry used to validate new currencies, e.g. to restrict or extend the accepted codes.
+     * Existing Currency instances are not affected.
+     * @param {CurrencyRegistry} registry - The registry to use.
+     * @throws {ValidationError} If the registry is not a CurrencyRegistry instance.
+     */
+    static useRegistry(registry) {
+        if (!(registry instanceof CurrencyRegistry))
+            throw new ValidationError('registry must be an instance of CurrencyRegistry');
+        Currency.#registry = registry;
     }
 
     /**
@@ -28,6 +53,32 @@ export class Currency {
         return this.#code;
     }
 
+    /**
+     * Gets the number of minor-unit digits of the currency, e.g. 2 for USD cents and 0 for JPY.
+     * @returns {number} The number of decimal digits.
+     */
+    get minorUnits() {
+        return this.#minorUnits;
+    }
+
+    /**
+     * Returns the JSON representation of the currency.
+     * @returns {string} The currency code.
+     */
+    toJSON() {
+        return this.#code;
+    }
+
+    /**
+     * Restores a Currency from its JSON representation.
+     * @param {string} json - The currency code.
+     * @throws {ValidationError} If the code is not a valid currency code.
+     * @returns {Currency} The restored Currency.
+     */
+    static fromJSON(json) {
+        return new Currency(json);
+    }
+
     /**
      * Compares this {@link Currency} instance with another for equality.
      * @param {Currency} other - Another {@link Currency} instance to compare with.
@@ -36,4 +87,4 @@ export class Currency {
     equals(other) {
         return other instanceof Currency && this.#code === other.#code;
     }
-}
\ No newline at end of file
+}
@@ -1,9 +1,17 @@
 import {ValidationError} from "./errors.js";
+import {LocaleSettings} from "./locale-settings.js";
 
 /**
  * Class representing a date and time with validation.
+ * Day arithmetic works on UTC calendar days of 24 hours; business days are Monday to Friday, without holidays.
  */
 export class DateTime {
+    static #MS_PER_DAY = 86_400_000;
+    static #STYLES = ['full', 'long', 'medium', 'short'];
+    static #PATTERN = new RegExp('^(?:(?<year>\\d{4})-(?<isoMonth>\\d{1,2})-(?<isoDay>\\d{1,2})'
+        + '|(?<first>\\d{1,4})[./-](?<second>\\d{1,2})[./-](?<third>\\d{1,4}))'
+        + '(?:(?:T|\\s+)(?<hour>\\d{1,2}):(?<minute>\\d{2})(?::(?<seconds>\\d{2})(?:\\.(?<fraction>\\d+))?)?(?:\\s*(?<meridiem>[AaPp][Mm]))?)?'
+        + '(?:\\s*(?<zone>[Zz]|[+-]\\d{2}:?\\d{2})|\\s+(?<zoneName>[A-Za-z_]+(?:/[A-Za-z0-9_+-]+)*))?$');
     #date
 
     /**
@@ -35,12 +43,260 @@ export class DateTime {
     }
 
     /**
-     * Returns a human-readable string representation of the date.
-     * @returns {string} A human-readable string representation of the date.
+     * Returns the calendar day of the date in a time zone, in ISO 8601 format.
+     * @param {Object} [options]
+     * @param {LocaleSettings} [options.settings] - The time zone; defaults to {@link LocaleSettings.default}.
+     * @throws {ValidationError} If the settings are invalid.
+     * @returns {string} The day, e.g. "2026-03-01".
+     */
+    toISODate({settings = LocaleSettings.default} = {}) {
+        if (!(settings instanceof LocaleSettings))
+            throw new ValidationError('Settings must be an instance of LocaleSettings', 'settings');
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: settings.timeZone, year: 'numeric', month: '2-digit', day: '2-digit'
+        }).formatToParts(this.#date).map(part => [part.type, part.value]));
+        return `${parts.year.padStart(4, '0')}-${parts.month}-${parts.day}`;
+    }
+
+    /**
+     * Returns a human-readable string representation of the date, see {@link DateTime#format}.
+     * @returns {string} The date and time in the default locale and time zone, e.g. "March 1, 2026 at 2:00 PM".
      */
     toString() {
-        let options = { year: 'numeric', month: 'long', day: 'numeric',
-        hour: '2-digit', minute: '2-digit', hour12: true };
+        return this.format();
+    }
+
+    /**
+     * Formats the date for people to read, with `Intl.DateTimeFormat`.
+     * @param {Object} [options]
+     * @param {LocaleSettings} [options.settings] - The locale and time zone; defaults to {@link LocaleSettings.default}.
+     * @param {string} [options.dateStyle='long'] - How to write the date: full, long, medium or short.
+     * @param {string|null} [options.timeStyle='short'] - How to write the time: full, long, medium or short; null to omit it.
+     * @throws {ValidationError} If the settings or a style are invalid.
+     * @returns {string} The formatted date, e.g. "1 de marzo de 2026, 14:00" in es-ES and Europe/Madrid.
+     */
+    format({settings = LocaleSettings.default, dateStyle = 'long', timeStyle = 'short'} = {}) {
+        if (!(settings instanceof LocaleSettings))
+            throw new ValidationError('Settings must be an instance of LocaleSettings', 'settings');
+        if (!DateTime.#STYLES.includes(dateStyle))
+            throw new ValidationError(`Invalid date style: ${dateStyle}. Valid styles are: ${DateTime.#STYLES.join(', ')}`, 'dateStyle');
+        if (timeStyle !== null && !DateTime.#STYLES.includes(timeStyle))
+            throw new ValidationError(`Invalid time style: ${timeStyle}. Valid styles are: ${DateTime.#STYLES.join(', ')}`, 'timeStyle');
+        return new Intl.DateTimeFormat(settings.locale, {dateStyle, timeStyle: timeStyle ?? undefined, timeZone: settings.timeZone})
+            .format(this.#date);
+    }
+
+    /**
+     * Parses a date entered by a person. Besides ISO 8601 it accepts a space instead of the "T", numeric dates in the
+     * field order of the locale (e.g. "01/03/2026" is the 1st of March in es-ES and January 3rd in en-US), a time with
+     * or without seconds and AM/PM, and a trailing "Z", UTC offset or IANA time zone name,
+     * e.g. "2026-03-01 14:00 Europe/Madrid". A date without a time is midnight; without a zone it is in the time zone
+     * of the settings.
+     * @param {string} text - The text to parse.
+     * @param {Object} [options]
+     * @param {LocaleSettings} [options.settings] - The locale and time zone; defaults to {@link LocaleSettings.default}.
+     * @throws {ValidationError} If the text is not a date, names an unknown time zone, or the date does not exist.
+     * @returns {DateTime} The parsed moment.
+     */
+    static parse(text, {settings = LocaleSettings.default} = {}) {
+        if (!(settings instanceof LocaleSettings))
+            throw new ValidationError('Settings must be an instance of LocaleSettings', 'settings');
+        if (typeof text !== 'string')
+            throw new ValidationError(`Invalid date: ${text}`);
+        const match = DateTime.#PATTERN.exec(text.trim());
+        if (!match)
+            throw new ValidationError(`Invalid date: ${text}`);
+        const {year, isoMonth, isoDay, first, second, third, meridiem, zone, zoneName} = match.groups;
+        const fields = year !== undefined
+            ? {year: Number(year), month: Number(isoMonth), day: Number(isoDay)}
+            : first.length === 4
+                ? {year: Number(first), month: Number(second), day: Number(third)}
+                : Object.fromEntries(settings.dateFieldOrder.map((field, index) => [field, Number([first, second, third][index])]));
+        const time = {
+            hour: Number(match.groups.hour ?? 0),
+            minute: Number(match.groups.minute ?? 0),
+            second: Number(match.groups.seconds ?? 0),
+            millisecond: Number((match.groups.fraction ?? '').padEnd(3, '0').slice(0, 3))
+        };
+        if (meridiem) {
+            if (time.hour < 1 || time.hour > 12)
+                throw new ValidationError(`Invalid date: ${text}`);
+            time.hour = time.hour % 12 + (meridiem.toLowerCase() === 'pm' ? 12 : 0);
+        }
+        const wallClock = Date.UTC(fields.year, fields.month - 1, fields.day, time.hour, time.minute, time.second, time.millisecond);
+        const check = new Date(wallClock);
+        if (fields.year < 1000 || check.getUTCFullYear() !== fields.year || check.getUTCMonth() !== fields.month - 1
+            || check.getUTCDate() !== fields.day || check.getUTCHours() !== time.hour || check.getUTCMinutes() !== time.minute
+            || check.getUTCSeconds() !== time.second)
+            throw new ValidationError(`Invalid date: ${text}`);
+        return new DateTime(new Date(wallClock - DateTime.#offsetOf(zone ?? zoneName ?? settings.timeZone, wallClock)));
+    }
+
+    /**
+     * Works out how far ahead of UTC a zone is at a wall-clock time, in milliseconds.
+     * @param {string} zone - "Z", a UTC offset such as "+01:00", or an IANA time zone name.
+     * @param {number} wallClock - The wall-clock time in the zone, as milliseconds since the epoch read as if in UTC.
+     * @throws {ValidationError} If the time zone is unknown.
+     * @returns {number} The offset in milliseconds.
+     */
+    static #offsetOf(zone, wallClock) {
+        if (zone === 'Z' || zone === 'z') return 0;
+        const offset = /^(?<sign>[+-])(?<hours>\d{2}):?(?<minutes>\d{2})$/.exec(zone);
+        if (offset) {
+            const {sign, hours, minutes} = offset.groups;
+            return (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes)) * 60_000;
+        }
+        const timeZone = new LocaleSettings({locale: 'en-US', timeZone: zone}).timeZone;
+        const offsetAt = instant => {
+            const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+                timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+                hour: 'numeric', minute: 'numeric', second: 'numeric'
+            }).formatToParts(new Date(instant)).map(part => [part.type, Number(part.value)]));
+            const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+            return local - (instant - instant % 1000);
+        };
+        // Around a transition the wall-clock time may occur twice, then the first occurrence is taken, or not at all,
+        // then it is moved forward by the length of the gap.
+        const before = offsetAt(wallClock - DateTime.#MS_PER_DAY);
+        const after = offsetAt(wallClock + DateTime.#MS_PER_DAY);
+        const valid = [before, after].filter(offset => offsetAt(wallClock - offset) === offset);
+        return valid.length === 0 ? before : Math.max(...valid);
+    }
+
+    /**
+     * Returns the moment a number of days later, at the same time of day.
+     * @param {number} days - The days to add (integer); negative to go back.
+     * @throws {ValidationError} If the number of days is not an integer or the result is out of range.
+     * @returns {DateTime} The new moment.
+     */
+    addDays(days) {
+        if (!Number.isInteger(days))
+            throw new ValidationError('Days must be an integer', 'days');
+        return new DateTime(new Date(this.#date.getTime() + days * DateTime.#MS_PER_DAY));
+    }
+
+    /**
+     * Returns the moment a number of business days later, at the same time of day, skipping Saturdays and Sundays.
+     * Adding zero business days returns the same moment, even on a weekend.
+     * @param {number} days - The business days to add (integer); negative to go back.
+     * @throws {ValidationError} If the number of days is not an integer or the result is out of range.
+     * @returns {DateTime} The new moment.
+     */
+    addBusinessDays(days) {
+        if (!Number.isInteger(days))
+            throw new ValidationError('Business days must be an integer', 'days');
+        const step = Math.sign(days);
+        let result = this;
+        for (let remaining = Math.abs(days); remaining > 0;) {
+            result = result.addDays(step);
+            if (!result.isWeekend) remaining--;
+        }
+        return result;
+    }
+
+    /**
+     * Counts the days from this moment to another, with fractions.
+     * @param {DateTime} other - The other moment.
+     * @throws {ValidationError} If the other moment is not a DateTime.
+     * @returns {number} The days; negative if the other moment is earlier.
+     */
+    daysUntil(other) {
+        return (DateTime.#assertDateTime(other).date.getTime() - this.#date.getTime()) / DateTime.#MS_PER_DAY;
+    }
+
+    /**
+     * Counts the whole business days from this moment to another: the inverse of {@link DateTime#addBusinessDays}.
+     * @param {DateTime} other - The other moment.
+     * @throws {ValidationError} If the other moment is not a DateTime.
+     * @returns {number} The business days; negative if the other moment is earlier.
+     */
+    businessDaysUntil(other) {
+        if (DateTime.#assertDateTime(other).isBefore(this))
+            return -other.businessDaysUntil(this);
+        const days = Math.floor(this.daysUntil(other));
+        let count = Math.floor(days / 7) * 5;
+        for (let day = 1; day <= days % 7; day++)
+            if (!DateTime.#isWeekendDay((this.#date.getUTCDay() + day) % 7)) count++;
+        return count;
+    }
+
+    /**
+     * Checks whether this moment falls on a Saturday or a Sunday, in UTC.
+     * @returns {boolean} True on a weekend.
+     */
+    get isWeekend() {
+        return DateTime.#isWeekendDay(this.#date.getUTCDay());
+    }
+
+    /**
+     * Checks whether this moment is earlier than another.
+     * @param {DateTime} other - The other moment.
+     * @throws {ValidationError} If the other moment is not a DateTime.
+     * @returns {boolean} True if this moment is earlier.
+     */
+    isBefore(other) {
+        return this.compareTo(other) < 0;
+    }
+
+    /**
+     * Checks whether this moment is later than another.
+     * @param {DateTime} other - The other moment.
+     * @throws {ValidationError} If the other moment is not a DateTime.
+     * @returns {boolean} True if this moment is later.
+     */
+    isAfter(other) {
+        return this.compareTo(other) > 0;
+    }
+
+    /**
+     * Compares this moment with another, e.g. to sort moments with `(a, b) => a.compareTo(b)`.
+     * @param {DateTime} other - The other moment.
+     * @throws {ValidationError} If the other moment is not a DateTime.
+     * @returns {number} Negative if this moment is earlier, 0 if they are equal, positive if it is later.
+     */
+    compareTo(other) {
+        return this.#date.getTime() - DateTime.#assertDateTime(other).date.getTime();
+    }
+
+    /**
+     * Ensures a value is a DateTime.
+     * @param {*} other - The value.
+     * @throws {ValidationError} If the value is not a DateTime.
+     * @returns {DateTime} The value.
+     */
+    static #assertDateTime(other) {
+        if (!(other instanceof DateTime))
+            throw new ValidationError('Can only compare with another DateTime');
+        return other;
+    }
+
+    /**
+     * Checks whether a day of the week is a Saturday or a Sunday.
+     * @param {number} day - The day of the week, 0 for Sunday.
+     * @returns {boolean} True on a weekend.
+     */
+    static #isWeekendDay(day) {
+        return day === 0 || day === 6;
+    }
+
+    /**
+     * Returns the JSON representation of the date.
+     * @returns {string} The ISO string representation of the date.
+     */
+    toJSON() {
+        return this.toISOString();
+    }
+
+    /**
+     * Restores a DateTime from its JSON representation.
+     * @param {string} json - An ISO 8601 date string.
+     * @throws {ValidationError} If the value is not a string or not a valid date.
+     * @returns {DateTime} The restored DateTime.
+     */
+    static fromJSON(json) {
+        if (typeof json !== 'string')
+            throw new ValidationError(`DateTime must be an ISO 8601 string, got: ${json}`);
+        return new DateTime(json);
     }
 
     /**
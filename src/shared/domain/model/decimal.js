@@ -0,0 +1,67 @@
+import {RoundingMode} from "./rounding-mode.js";
+
+/**
+ * Exact decimal helpers used by {@link Money}. Decimals are represented as an integer mantissa (BigInt)
+ * and a scale, the value being mantissa / 10^scale, so no floating-point error is ever introduced.
+ */
+
+/**
+ * Parses a non-negative number or decimal string into an exact mantissa and scale.
+ * Numbers are read from their shortest round-trip representation, so 0.1 is parsed as exactly 1/10.
+ * @param {number|string} value - The value to parse, e.g. 12.5, "12.50" or 1e-7.
+ * @returns {{mantissa: bigint, scale: number}|null} The parsed decimal, or null if the value is not a
+ * non-negative finite decimal.
+ */
+export function parseDecimal(value) {
+    if (typeof value === 'number' && !Number.isFinite(value)) return null;
+    if (typeof value !== 'number' && typeof value !== 'string') return null;
+    const match = /^\+?(\d+)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+    if (!match) return null;
+    const [, integerDigits, fractionDigits = '', exponent = '0'] = match;
+    let mantissa = BigInt(integerDigits + fractionDigits);
+    let scale = fractionDigits.length - Number(exponent);
+    if (scale < 0) {
+        mantissa *= 10n ** BigInt(-scale);
+        scale = 0;
+    }
+    return {mantissa, scale};
+}
+
+/**
+ * Divides two non-negative integers, rounding the quotient according to a rounding mode.
+ * @param {bigint} numerator - The non-negative numerator.
+ * @param {bigint} denominator - The positive denominator.
+ * @param {RoundingMode} mode - The rounding mode.
+ * @returns {bigint} The rounded quotient.
+ */
+export function divideAndRound(numerator, denominator, mode) {
+    const quotient = numerator / denominator;
+    const doubledRemainder = (numerator % denominator) * 2n;
+    if (doubledRemainder < denominator) return quotient;
+    if (doubledRemainder > denominator) return quotient + 1n;
+    if (mode === RoundingMode.HALF_EVEN) return quotient % 2n === 0n ? quotient : quotient + 1n;
+    return quotient + 1n;
+}
+
+/**
+ * Rescales a decimal to a given number of digits, rounding if digits are dropped.
+ * @param {{mantissa: bigint, scale: number}} decimal - The decimal to rescale.
+ * @param {number} digits - The target number of decimal digits.
+ * @param {RoundingMode} mode - The rounding mode.
+ * @returns {bigint} The mantissa at the target scale.
+ */
+export function rescale({mantissa, scale}, digits, mode) {
+    if (scale <= digits) return mantissa * 10n ** BigInt(digits - scale);
+    return divideAndRound(mantissa, 10n ** BigInt(scale - digits), mode);
+}
+
+/**
+ * Formats an integer mantissa as a plain decimal string with a fixed number of digits.
+ * @param {bigint} mantissa - The non-negative mantissa.
+ * @param {number} digits - The number of decimal digits.
+ * @returns {string} The decimal string, e.g. "1234.50".
+ */
+export function formatDecimal(mantissa, digits) {
+    const text = mantissa.toString().padStart(digits + 1, '0');
+    return digits === 0 ? text : `${text.slice(0, -digits)}.${text.slice(-digits)}`;
+}
@@ -0,0 +1,46 @@
+import {ValidationError} from "./errors.js";
+import {DateTime} from "./date-time.js";
+
+/**
+ * Base class for domain events.
+ * A domain event records something meaningful that happened to an aggregate, and when it happened.
+ * Events are immutable once created.
+ */
+export class DomainEvent {
+    #occurredOn
+
+    /**
+     * Creates a new DomainEvent instance.
+     * @param {DateTime} [occurredOn=new DateTime()] - When the event happened; defaults to now.
+     * @throws {ValidationError} If occurredOn is not a DateTime instance.
+     */
+    constructor(occurredOn = new DateTime()) {
+        if (!(occurredOn instanceof DateTime))
+            throw new ValidationError('occurredOn must be an instance of DateTime');
+        this.#occurredOn = occurredOn;
+    }
+
+    /**
+     * Gets the name of the event type, e.g. "PurchaseOrderApproved".
+     * @returns {string} The event type name.
+     */
+    get eventType() {
+        return this.constructor.name;
+    }
+
+    /**
+     * Gets the moment the event happened.
+     * @returns {DateTime} The occurrence timestamp.
+     */
+    get occurredOn() {
+        return this.#occurredOn;
+    }
+
+    /**
+     * Returns the JSON representation of the event. Subclasses add their own fields to it.
+     * @returns {Object} The event snapshot, with the event type and occurrence timestamp.
+     */
+    toJSON() {
+        return {eventType: this.eventType, occurredOn: this.#occurredOn.toJSON()};
+    }
+}
@@ -1,9 +1,56 @@
 /**
  * Custom error class for validation errors.
+ * When the error concerns a specific field (e.g. while restoring a snapshot), the field path is
+ * exposed through {@link ValidationError#field} and prefixed to the message.
  */
 export class ValidationError extends Error {
+    /**
+     * Creates a new ValidationError instance.
+     * @param {string} message - Description of the validation failure.
+     * @param {string|null} [field=null] - Path of the offending field, e.g. "items[0].unitPrice.amount".
+     */
+    constructor(message, field = null) {
+        super(field ? `${field}: ${message}` : message);
+        this.name = 'ValidationError';
+        this.field = field;
+        this.reason = message;
+    }
+}
+
+/**
+ * Custom error class for commands that are valid in themselves but not allowed in the current state of an aggregate,
+ * such as shipping a draft purchase order or reactivating a blacklisted supplier.
+ * It is a {@link ValidationError}, so callers that do not need the distinction can keep handling both alike.
+ */
+export class InvalidStateError extends ValidationError {
+    /**
+     * Creates a new InvalidStateError instance.
+     * @param {string} message - Why the command is not allowed now.
+     * @param {string|null} [field=null] - Path of the field concerned, if any.
+     */
+    constructor(message, field = null) {
+        super(message, field);
+        this.name = 'InvalidStateError';
+    }
+}
+
+/**
+ * Custom error class raised when a requested aggregate or entity does not exist.
+ */
+export class NotFoundError extends Error {
     constructor(message) {
         super(message);
-        this.name = 'ValidationError';
+        this.name = 'NotFoundError';
+    }
+}
+
+/**
+ * Custom error class raised when an aggregate was changed by someone else since it was loaded,
+ * so saving it would overwrite their change. Reload the aggregate and retry the command.
+ */
+export class ConcurrencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConcurrencyError';
     }
-}
\ No newline at end of file
+}
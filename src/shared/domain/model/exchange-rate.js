@@ -0,0 +1,113 @@
+import {ValidationError} from "./errors.js";
+import {Currency} from "./currency.js";
+import {DateTime} from "./date-time.js";
+import {assertSnapshotObject, restoreField} from "./snapshot.js";
+
+/**
+ * Value Object representing the rate at which one unit of a base currency converts into a quote currency,
+ * effective from a given date (e.g. 1 USD = 0.92 EUR from 2026-01-01).
+ */
+export class ExchangeRate {
+    #baseCurrency
+    #quoteCurrency
+    #rate
+    #effectiveDate
+
+    /**
+     * Creates a new ExchangeRate instance.
+     * @param {Object} params
+     * @param {Currency} params.baseCurrency - The currency being converted from.
+     * @param {Currency} params.quoteCurrency - The currency being converted to.
+     * @param {number} params.rate - Units of quote currency per unit of base currency (positive finite number).
+     * @param {DateTime} params.effectiveDate - The date from which the rate applies.
+     * @throws {ValidationError} If any parameter is invalid.
+     */
+    constructor({baseCurrency, quoteCurrency, rate, effectiveDate}) {
+        if (!(baseCurrency instanceof Currency))
+            throw new ValidationError('baseCurrency must be an instance of Currency');
+        if (!(quoteCurrency instanceof Currency))
+            throw new ValidationError('quoteCurrency must be an instance of Currency');
+        if (!Number.isFinite(rate) || rate <= 0)
+            throw new ValidationError('rate must be a positive finite number');
+        if (!(effectiveDate instanceof DateTime))
+            throw new ValidationError('effectiveDate must be an instance of DateTime');
+        this.#baseCurrency = baseCurrency;
+        this.#quoteCurrency = quoteCurrency;
+        this.#rate = rate;
+        this.#effectiveDate = effectiveDate;
+    }
+
+    /**
+     * Gets the base currency.
+     * @returns {Currency} The currency being converted from.
+     */
+    get baseCurrency() {
+        return this.#baseCurrency;
+    }
+
+    /**
+     * Gets the quote currency.
+     * @returns {Currency} The currency being converted to.
+     */
+    get quoteCurrency() {
+        return this.#quoteCurrency;
+    }
+
+    /**
+     * Gets the rate.
+     * @returns {number} Units of quote currency per unit of base currency.
+     */
+    get rate() {
+        return this.#rate;
+    }
+
+    /**
+     * Gets the date from which the rate applies.
+     * @returns {DateTime} The effective date.
+     */
+    get effectiveDate() {
+        return this.#effectiveDate;
+    }
+
+    /**
+     * Returns the rate for the opposite direction, effective from the same date.
+     * @returns {ExchangeRate} The inverse rate.
+     */
+    inverse() {
+        return new ExchangeRate({
+            baseCurrency: this.#quoteCurrency,
+            quoteCurrency: this.#baseCurrency,
+            rate: 1 / this.#rate,
+            effectiveDate: this.#effectiveDate
+        });
+    }
+
+    /**
+     * Returns the JSON representation of the exchange rate.
+     * @returns {{baseCurrency: string, quoteCurrency: string, rate: number, effectiveDate: string}} The rate snapshot.
+     */
+    toJSON() {
+        return {
+            baseCurrency: this.#baseCurrency.toJSON(),
+            quoteCurrency: this.#quoteCurrency.toJSON(),
+            rate: this.#rate,
+            effectiveDate: this.#effectiveDate.toJSON()
+        };
+    }
+
+    /**
+     * Restores an ExchangeRate from its JSON representation.
+     * @param {Object} json - The rate snapshot, as produced by {@link ExchangeRate#toJSON}.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid; the error names the field.
+     * @returns {ExchangeRate} The restored exchange rate.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'ExchangeRate');
+        return new ExchangeRate({
+            baseCurrency: restoreField('baseCurrency', () => Currency.fromJSON(json.baseCurrency)),
+            quoteCurrency: restoreField('quoteCurrency', () => Currency.fromJSON(json.quoteCurrency)),
+            rate: json.rate,
+            effectiveDate: restoreField('effectiveDate', () => DateTime.fromJSON(json.effectiveDate))
+        });
+    }
+}
@@ -0,0 +1,108 @@
+import {ValidationError} from "./errors.js";
+
+/**
+ * Value Object holding the locale and time zone that dates and amounts are formatted and parsed in,
+ * e.g. `new LocaleSettings({locale: 'es-ES', timeZone: 'Europe/Madrid'})`.
+ * The settings used when none are given explicitly default to US English in UTC and can be replaced at startup.
+ */
+export class LocaleSettings {
+    static #default = new LocaleSettings();
+    #locale
+    #timeZone
+
+    /**
+     * Creates a new LocaleSettings instance.
+     * @param {Object} [params]
+     * @param {string} [params.locale='en-US'] - A BCP 47 language tag, e.g. "de-DE".
+     * @param {string} [params.timeZone='UTC'] - An IANA time zone name, e.g. "Europe/Madrid".
+     * @throws {ValidationError} If the locale or the time zone is unknown.
+     */
+    constructor({locale = 'en-US', timeZone = 'UTC'} = {}) {
+        this.#locale = LocaleSettings.#canonicalize('locale', locale,
+            () => Intl.getCanonicalLocales(locale)[0]);
+        this.#timeZone = LocaleSettings.#canonicalize('timeZone', timeZone,
+            () => new Intl.DateTimeFormat('en-US', {timeZone}).resolvedOptions().timeZone);
+    }
+
+    /**
+     * Validates a setting by asking Intl for its canonical form.
+     * @param {string} field - The setting name.
+     * @param {*} value - The value to validate.
+     * @param {function(): string} canonicalize - Returns the canonical form; throws a RangeError if the value is unknown.
+     * @throws {ValidationError} If the value is not a string Intl accepts.
+     * @returns {string} The canonical value.
+     */
+    static #canonicalize(field, value, canonicalize) {
+        const label = field === 'locale' ? 'locale' : 'time zone';
+        if (typeof value !== 'string' || value.trim() === '')
+            throw new ValidationError(`The ${label} must be a non-empty string`, field);
+        try {
+            return canonicalize();
+        } catch (error) {
+            if (error instanceof RangeError) throw new ValidationError(`Unknown ${label}: ${value}`, field);
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the settings used when none are given explicitly.
+     * @returns {LocaleSettings} The default settings.
+     */
+    static get default() {
+        return LocaleSettings.#default;
+    }
+
+    /**
+     * Replaces the settings used when none are given explicitly.
+     * @param {LocaleSettings} settings - The settings to use by default.
+     * @throws {ValidationError} If the settings are not a LocaleSettings instance.
+     */
+    static useDefault(settings) {
+        if (!(settings instanceof LocaleSettings))
+            throw new ValidationError('settings must be an instance of LocaleSettings');
+        LocaleSettings.#default = settings;
+    }
+
+    /**
+     * Gets the locale.
+     * @returns {string} The canonical BCP 47 language tag.
+     */
+    get locale() {
+        return this.#locale;
+    }
+
+    /**
+     * Gets the time zone.
+     * @returns {string} The IANA time zone name.
+     */
+    get timeZone() {
+        return this.#timeZone;
+    }
+
+    /**
+     * Gets the character the locale separates decimals with.
+     * @returns {string} The decimal separator, e.g. "," for de-DE.
+     */
+    get decimalSeparator() {
+        return new Intl.NumberFormat(this.#locale).formatToParts(1.5).find(part => part.type === 'decimal').value;
+    }
+
+    /**
+     * Gets the order the locale writes the fields of a numeric date in.
+     * @returns {string[]} "day", "month" and "year" in order, e.g. ["month", "day", "year"] for en-US.
+     */
+    get dateFieldOrder() {
+        return new Intl.DateTimeFormat(this.#locale, {timeZone: 'UTC'}).formatToParts(new Date(0))
+            .map(part => part.type)
+            .filter(type => type === 'day' || type === 'month' || type === 'year');
+    }
+
+    /**
+     * Compares these settings with others for equality.
+     * @param {LocaleSettings} other - The other settings.
+     * @returns {boolean} True if both have the same locale and time zone.
+     */
+    equals(other) {
+        return other instanceof LocaleSettings && this.#locale === other.locale && this.#timeZone === other.timeZone;
+    }
+}
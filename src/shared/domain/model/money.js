@@ -1,35 +1,110 @@
 import {ValidationError} from "./errors.js";
 import {Currency} from "./currency.js";
+import {DateTime} from "./date-time.js";
+import {LocaleSettings} from "./locale-settings.js";
+import {RoundingMode, isRoundingMode} from "./rounding-mode.js";
+import {divideAndRound, formatDecimal, parseDecimal, rescale} from "./decimal.js";
+import {assertSnapshotObject, restoreField} from "./snapshot.js";
 
 /**
  * Represents a monetary value with an amount and a currency.
+ * Amounts are held exactly as an integer number of minor units of their currency (e.g. cents for USD,
+ * whole yen for JPY), so arithmetic never accumulates floating-point error. Whenever a result has more
+ * digits than the currency allows it is rounded with a {@link RoundingMode}, {@link RoundingMode.HALF_UP} by default.
  */
 export class Money {
-    #amount
+    static #defaultRoundingMode = RoundingMode.HALF_UP;
+    static #CURRENCY_DISPLAYS = ['symbol', 'narrowSymbol', 'code', 'name'];
+    #minorAmount
     #currency
 
     /**
      * Creates a new Money instance.
      * @param {Object} params - The parameters for the Money instance.
-     * @param {number} params.amount - The monetary amount (non-negative).
+     * @param {number|string} params.amount - The monetary amount (non-negative), as a number or a decimal string such as "12.50".
      * @param {Currency} params.currency - The currency of the monetary amount.
-     * @throws {ValidationError} If the amount is negative or not a finite number, or if the currency is not a Currency instance.
+     * @param {RoundingMode} [params.roundingMode] - How to round the amount to the currency's precision; defaults to {@link Money.defaultRoundingMode}.
+     * @throws {ValidationError} If the amount is negative or not a finite decimal, if the currency is not a Currency instance, or if the rounding mode is unknown.
      */
-    constructor({ amount, currency }) {
-        if (!Number.isFinite(amount) || amount < 0)
+    constructor({ amount, currency, roundingMode = Money.#defaultRoundingMode }) {
+        const decimal = parseDecimal(amount);
+        if (!decimal)
             throw new ValidationError("Amount must be a non-negative finite number");
         if (!(currency instanceof Currency))
             throw new ValidationError("Currency must be an instance of Currency");
-        this.#amount = Number(amount.toFixed(2)); // Round to 2 decimal places
+        Money.#validateRoundingMode(roundingMode);
+        this.#minorAmount = rescale(decimal, currency.minorUnits, roundingMode);
         this.#currency = currency;
     }
 
+    /**
+     * Creates a Money instance from an integer number of minor units, e.g. 1050 cents for 10.50 USD.
+     * @param {bigint|number} minorAmount - The non-negative integer amount in minor units.
+     * @param {Currency} currency - The currency of the monetary amount.
+     * @throws {ValidationError} If the amount is not a non-negative integer or the currency is invalid.
+     * @returns {Money} The new Money instance.
+     */
+    static fromMinorUnits(minorAmount, currency) {
+        if (!(currency instanceof Currency))
+            throw new ValidationError("Currency must be an instance of Currency");
+        const isInteger = typeof minorAmount === 'bigint' || Number.isSafeInteger(minorAmount);
+        if (!isInteger || minorAmount < 0)
+            throw new ValidationError("Minor amount must be a non-negative integer");
+        return new Money({amount: formatDecimal(BigInt(minorAmount), currency.minorUnits), currency});
+    }
+
+    /**
+     * Creates a zero amount in a currency.
+     * @param {Currency} currency - The currency.
+     * @returns {Money} A Money instance with amount 0.
+     */
+    static zero(currency) {
+        return Money.fromMinorUnits(0n, currency);
+    }
+
+    /**
+     * Gets the rounding mode used when none is given explicitly.
+     * @returns {RoundingMode} The default rounding mode.
+     */
+    static get defaultRoundingMode() {
+        return Money.#defaultRoundingMode;
+    }
+
+    /**
+     * Replaces the rounding mode used when none is given explicitly.
+     * @param {RoundingMode} roundingMode - The rounding mode to use by default.
+     * @throws {ValidationError} If the rounding mode is unknown.
+     */
+    static useRoundingMode(roundingMode) {
+        Money.#validateRoundingMode(roundingMode);
+        Money.#defaultRoundingMode = roundingMode;
+    }
+
+    /**
+     * Validates a rounding mode.
+     * @param {*} roundingMode - The rounding mode to validate.
+     * @throws {ValidationError} If the rounding mode is unknown.
+     */
+    static #validateRoundingMode(roundingMode) {
+        if (!isRoundingMode(roundingMode))
+            throw new ValidationError(`Invalid rounding mode: ${roundingMode}. Valid modes are: ${Object.values(RoundingMode).join(', ')}`);
+    }
+
     /**
      * Gets the amount of the monetary value.
+     * Use {@link Money#toDecimalString} or {@link Money#minorAmount} when an exact value is required.
      * @returns {number} The monetary amount.
      */
     get amount() {
-        return this.#amount;
+        return Number(this.toDecimalString());
+    }
+
+    /**
+     * Gets the exact amount as an integer number of minor units, e.g. 1050n for 10.50 USD.
+     * @returns {bigint} The amount in minor units.
+     */
+    get minorAmount() {
+        return this.#minorAmount;
     }
 
     /**
@@ -40,6 +115,17 @@ export class Money {
         return this.#currency;
     }
 
+    /**
+     * Validates that another Money instance can be combined with this one.
+     * @param {Money} other - The other Money instance.
+     * @param {string} operation - The operation name, used in the error message.
+     * @throws {ValidationError} If other is not Money or its currency differs.
+     */
+    #assertSameCurrency(other, operation) {
+        if (!(other instanceof Money) || !this.#currency.equals(other.currency))
+            throw new ValidationError(`Can only ${operation} Money with the same currency`);
+    }
+
     /**
      * Adds another Money instance to this one, if they have the same currency.
      * @param {Money} other - The other Money instance to add.
@@ -47,33 +133,325 @@ export class Money {
      * @returns {Money} A new Money instance representing the sum.
      */
     add(other) {
-        if (!(other instanceof Money) || !this.#currency.equals(other.currency))
-            throw new ValidationError("Can only add Money with the same currency");
-        return new Money({
-            amount: this.#amount + other.amount,
-            currency: this.#currency });
+        this.#assertSameCurrency(other, 'add');
+        return Money.fromMinorUnits(this.#minorAmount + other.minorAmount, this.#currency);
+    }
+
+    /**
+     * Subtracts another Money instance from this one, if they have the same currency.
+     * @param {Money} other - The other Money instance to subtract.
+     * @throws {ValidationError} If the currencies do not match or the result would be negative.
+     * @returns {Money} A new Money instance representing the difference.
+     */
+    subtract(other) {
+        this.#assertSameCurrency(other, 'subtract');
+        if (other.minorAmount > this.#minorAmount)
+            throw new ValidationError(`Cannot subtract ${other} from ${this}: the result would be negative`);
+        return Money.fromMinorUnits(this.#minorAmount - other.minorAmount, this.#currency);
     }
 
     /**
      * Multiplies the monetary amount by a non-negative finite number.
      * @param {number} multiplier - The multiplier (non-negative finite number).
+     * @param {RoundingMode} [roundingMode] - How to round the product; defaults to {@link Money.defaultRoundingMode}.
      * @throws {ValidationError} If the multiplier is negative or not a finite number.
      * @returns {Money} A new Money instance representing the product.
      */
-    multiply(multiplier) {
-        if (!Number.isFinite(multiplier) || multiplier < 0)
+    multiply(multiplier, roundingMode = Money.#defaultRoundingMode) {
+        const factor = typeof multiplier === 'number' ? parseDecimal(multiplier) : null;
+        if (!factor)
             throw new ValidationError("Multiplier must be a non-negative finite number");
-        return new Money({
-            amount: this.#amount * multiplier,
-            currency: this.#currency });
+        Money.#validateRoundingMode(roundingMode);
+        const product = {mantissa: this.#minorAmount * factor.mantissa, scale: factor.scale};
+        return Money.fromMinorUnits(rescale(product, 0, roundingMode), this.#currency);
+    }
+
+    /**
+     * Calculates a percentage of the monetary amount exactly, e.g. 7.5 for 7.5%.
+     * @param {number} percent - The percentage (non-negative finite number).
+     * @param {RoundingMode} [roundingMode] - How to round the result; defaults to {@link Money.defaultRoundingMode}.
+     * @throws {ValidationError} If the percentage is negative or not a finite number.
+     * @returns {Money} A new Money instance representing the percentage of this amount.
+     */
+    percentage(percent, roundingMode = Money.#defaultRoundingMode) {
+        const factor = typeof percent === 'number' ? parseDecimal(percent) : null;
+        if (!factor)
+            throw new ValidationError("Percentage must be a non-negative finite number");
+        Money.#validateRoundingMode(roundingMode);
+        const product = {mantissa: this.#minorAmount * factor.mantissa, scale: factor.scale + 2};
+        return Money.fromMinorUnits(rescale(product, 0, roundingMode), this.#currency);
+    }
+
+    /**
+     * Divides the monetary amount by a positive finite number.
+     * To split an amount into parts that add up exactly to the original, use {@link Money#allocate} instead.
+     * @param {number} divisor - The divisor (positive finite number).
+     * @param {RoundingMode} [roundingMode] - How to round the quotient; defaults to {@link Money.defaultRoundingMode}.
+     * @throws {ValidationError} If the divisor is not a positive finite number.
+     * @returns {Money} A new Money instance representing the quotient.
+     */
+    divide(divisor, roundingMode = Money.#defaultRoundingMode) {
+        const decimal = typeof divisor === 'number' ? parseDecimal(divisor) : null;
+        if (!decimal || decimal.mantissa === 0n)
+            throw new ValidationError("Divisor must be a positive finite number");
+        Money.#validateRoundingMode(roundingMode);
+        const quotient = divideAndRound(this.#minorAmount * 10n ** BigInt(decimal.scale), decimal.mantissa, roundingMode);
+        return Money.fromMinorUnits(quotient, this.#currency);
+    }
+
+    /**
+     * Splits the monetary amount into parts proportional to the given ratios, e.g. [1, 1, 1] for three equal parts.
+     * The parts always add up exactly to this amount: minor units left over after proportional division are
+     * handed out one at a time to the parts that lost the largest fractions, earlier parts first on ties.
+     * @param {number[]} ratios - Non-negative ratios, at least one of them positive.
+     * @throws {ValidationError} If the ratios are empty, negative, not finite, or all zero.
+     * @returns {Money[]} The parts, in the same order as the ratios.
+     */
+    allocate(ratios) {
+        const decimals = Array.isArray(ratios) ? ratios.map(ratio => typeof ratio === 'number' ? parseDecimal(ratio) : null) : [];
+        if (decimals.length === 0 || decimals.includes(null))
+            throw new ValidationError("Ratios must be a non-empty array of non-negative finite numbers");
+        const scale = Math.max(...decimals.map(decimal => decimal.scale));
+        const weights = decimals.map(decimal => rescale(decimal, scale, RoundingMode.HALF_UP));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0n);
+        if (totalWeight === 0n)
+            throw new ValidationError("At least one ratio must be positive");
+        const shares = weights.map(weight => this.#minorAmount * weight / totalWeight);
+        let leftover = this.#minorAmount - shares.reduce((sum, share) => sum + share, 0n);
+        const byLostFraction = weights
+            .map((weight, index) => ({index, lost: this.#minorAmount * weight % totalWeight}))
+            .sort((a, b) => a.lost === b.lost ? a.index - b.index : (a.lost > b.lost ? -1 : 1));
+        for (const {index} of byLostFraction) {
+            if (leftover === 0n) break;
+            shares[index] += 1n;
+            leftover -= 1n;
+        }
+        return shares.map(share => Money.fromMinorUnits(share, this.#currency));
+    }
+
+    /**
+     * Compares this Money instance with another of the same currency.
+     * @param {Money} other - The other Money instance.
+     * @throws {ValidationError} If the currencies do not match.
+     * @returns {number} -1 if this amount is smaller, 0 if equal, 1 if greater.
+     */
+    compareTo(other) {
+        this.#assertSameCurrency(other, 'compare');
+        if (this.#minorAmount === other.minorAmount) return 0;
+        return this.#minorAmount < other.minorAmount ? -1 : 1;
     }
 
     /**
-     * Returns a string representation of the Money instance.
-     * @returns {string} A string in the format "amount currencyCode", e.g., "100.00 USD".
+     * Checks whether this amount is greater than another of the same currency.
+     * @param {Money} other - The other Money instance.
+     * @throws {ValidationError} If the currencies do not match.
+     * @returns {boolean} True if this amount is greater.
+     */
+    greaterThan(other) {
+        return this.compareTo(other) > 0;
+    }
+
+    /**
+     * Checks whether this amount is less than another of the same currency.
+     * @param {Money} other - The other Money instance.
+     * @throws {ValidationError} If the currencies do not match.
+     * @returns {boolean} True if this amount is less.
+     */
+    lessThan(other) {
+        return this.compareTo(other) < 0;
+    }
+
+    /**
+     * Checks whether this amount is zero.
+     * @returns {boolean} True if the amount is zero.
+     */
+    isZero() {
+        return this.#minorAmount === 0n;
+    }
+
+    /**
+     * Converts this monetary value into another currency.
+     * @param {Currency} currency - The target currency.
+     * @param {ExchangeRateProvider} rates - Provider of the exchange rate to apply.
+     * @param {DateTime} [asOf=new DateTime()] - The moment whose rate applies; defaults to now.
+     * @param {RoundingMode} [roundingMode] - How to round the converted amount; defaults to {@link Money.defaultRoundingMode}.
+     * @throws {ValidationError} If the currency is invalid or no rate is available.
+     * @returns {Money} A new Money instance in the target currency, rounded to its precision.
+     */
+    convertTo(currency, rates, asOf = new DateTime(), roundingMode = Money.#defaultRoundingMode) {
+        if (!(currency instanceof Currency))
+            throw new ValidationError("Currency must be an instance of Currency");
+        if (this.#currency.equals(currency))
+            return this;
+        Money.#validateRoundingMode(roundingMode);
+        const rate = parseDecimal(rates.getRate(this.#currency, currency, asOf).rate);
+        const converted = {
+            mantissa: this.#minorAmount * rate.mantissa,
+            scale: this.#currency.minorUnits + rate.scale
+        };
+        return Money.fromMinorUnits(rescale(converted, currency.minorUnits, roundingMode), currency);
+    }
+
+    /**
+     * Returns the exact amount as a plain decimal string with the currency's precision.
+     * @returns {string} The amount, e.g. "100.00" for USD or "1500" for JPY.
+     */
+    toDecimalString() {
+        return formatDecimal(this.#minorAmount, this.#currency.minorUnits);
+    }
+
+    /**
+     * Returns a string representation of the Money instance, the same in every locale; see {@link Money#format}.
+     * @returns {string} A string in the format "amount currencyCode", e.g., "100.00 USD" or "1500 JPY".
      */
     toString() {
-        return `${this.#amount.toFixed(2)} ${this.#currency.code}`;
+        return `${this.toDecimalString()} ${this.#currency.code}`;
+    }
+
+    /**
+     * Formats the amount for people to read, with `Intl.NumberFormat`: grouped digits, the decimal separator of the
+     * locale and exactly as many decimals as the currency has minor units, e.g. "1.234,50 €" in de-DE or "￥1,500" in ja-JP.
+     * The digits are exact, whatever the size of the amount.
+     * Use {@link Money#toString} where a locale-independent representation is required, e.g. in messages and exports.
+     * @param {Object} [options]
+     * @param {LocaleSettings} [options.settings] - The locale; defaults to {@link LocaleSettings.default}.
+     * @param {string} [options.currencyDisplay='symbol'] - How to show the currency: symbol, narrowSymbol, code or name.
+     * @throws {ValidationError} If the settings or the currency display are invalid.
+     * @returns {string} The formatted amount.
+     */
+    format({settings = LocaleSettings.default, currencyDisplay = 'symbol'} = {}) {
+        if (!(settings instanceof LocaleSettings))
+            throw new ValidationError('Settings must be an instance of LocaleSettings', 'settings');
+        if (!Money.#CURRENCY_DISPLAYS.includes(currencyDisplay))
+            throw new ValidationError(`Invalid currency display: ${currencyDisplay}. Valid displays are: ${Money.#CURRENCY_DISPLAYS.join(', ')}`, 'currencyDisplay');
+        return Money.#numberFormat(settings, this.#currency, currencyDisplay).format(this.toDecimalString());
+    }
+
+    /**
+     * Parses an amount entered by a person, e.g. "1.234,50 €", "$1,234.50", "1 234,5 EUR" or "12.5".
+     * The currency is read from an ISO code or a symbol before or after the digits; a symbol several currencies share in
+     * the locale, such as "$", resolves to the expected currency when it is one of them. When both "." and "," appear
+     * the last one separates the decimals, and a single one does unless it is not the decimal separator of the locale
+     * and is followed by exactly three digits, e.g. "1,234" is 1234 in en-US. The other separators, or spaces and
+     * apostrophes, must group the digits in threes. Amounts are never rounded: one with more decimals than the
+     * currency allows is rejected, which also catches grouping meant for another locale, e.g. "€1.234" in en-US.
+     * @param {string} text - The text to parse.
+     * @param {Object} [options]
+     * @param {Currency|null} [options.currency=null] - The expected currency; required if the text names none.
+     * @param {LocaleSettings} [options.settings] - The locale; defaults to {@link LocaleSettings.default}.
+     * @throws {ValidationError} If the text is not a non-negative amount, is grouped wrongly, has more decimals than
+     * its currency, or its currency is unknown, ambiguous or differs from the expected one, or no currency is given.
+     * @returns {Money} The parsed amount.
+     */
+    static parse(text, {currency = null, settings = LocaleSettings.default} = {}) {
+        if (currency !== null && !(currency instanceof Currency))
+            throw new ValidationError("Currency must be an instance of Currency", 'currency');
+        if (!(settings instanceof LocaleSettings))
+            throw new ValidationError('Settings must be an instance of LocaleSettings', 'settings');
+        const match = typeof text === 'string'
+            ? /^(?<prefix>[^\d\s.,]*)\s*(?<digits>\d[\d\s.,'\u00a0\u202f]*?)\s*(?<suffix>[^\d\s.,]*)$/u.exec(text.trim())
+            : null;
+        if (!match || (match.groups.prefix && match.groups.suffix))
+            throw new ValidationError(`Invalid amount: ${text}`, 'amount');
+        const marker = match.groups.prefix || match.groups.suffix;
+        const named = marker ? Money.#currencyMarkedBy(marker, currency, settings) : currency;
+        if (!named)
+            throw new ValidationError(`The currency of ${text} is required`, 'currency');
+        if (currency && !currency.equals(named))
+            throw new ValidationError(`Expected an amount in ${currency.code}, got: ${text}`, 'currency');
+        const amount = Money.#normalizeDigits(match.groups.digits, settings.decimalSeparator);
+        if (amount === null)
+            throw new ValidationError(`Invalid amount: ${text}`, 'amount');
+        if ((amount.split('.')[1]?.length ?? 0) > named.minorUnits)
+            throw new ValidationError(`${named.code} amounts have at most ${named.minorUnits} decimals, got: ${text}`, 'amount');
+        return new Money({amount, currency: named});
+    }
+
+    /**
+     * Finds the currency an ISO code or symbol stands for in a locale.
+     * @param {string} marker - The code or symbol, e.g. "EUR" or "€".
+     * @param {Currency|null} expected - The currency expected, which wins when the symbol is shared.
+     * @param {LocaleSettings} settings - The locale.
+     * @throws {ValidationError} If no registered currency, or more than one, uses the marker.
+     * @returns {Currency} The currency.
+     */
+    static #currencyMarkedBy(marker, expected, settings) {
+        if (/^[A-Za-z]{3}$/.test(marker))
+            return restoreField('currency', () => new Currency(marker.toUpperCase()));
+        const symbolOf = (currency, currencyDisplay) => Money.#numberFormat(settings, currency, currencyDisplay)
+            .formatToParts(0).find(part => part.type === 'currency').value;
+        if (expected && ['symbol', 'narrowSymbol'].some(display => symbolOf(expected, display) === marker))
+            return expected;
+        const candidates = Currency.registry.codes
+            .map(code => new Currency(code))
+            .filter(currency => symbolOf(currency, 'symbol') === marker);
+        if (candidates.length === 1)
+            return candidates[0];
+        throw new ValidationError(candidates.length === 0
+            ? `Unknown currency symbol: ${marker}`
+            : `Ambiguous currency symbol ${marker}: give the currency code instead`, 'currency');
+    }
+
+    /**
+     * Turns the digits of an amount written with separators into a plain decimal string.
+     * Digits before the decimals may be grouped with one kind of separator, in groups of three after the first.
+     * @param {string} digits - The digits with separators, e.g. "1.234,50".
+     * @param {string} decimalSeparator - The decimal separator of the locale.
+     * @returns {string|null} The decimal string, e.g. "1234.50", or null if the separators make no sense.
+     */
+    static #normalizeDigits(digits, decimalSeparator) {
+        const text = digits.replace(/[\s\u00a0\u202f]/gu, ' ');
+        const points = [...new Set(text.replace(/[^.,]/g, ''))];
+        let decimal = null;
+        if (points.length === 2)
+            decimal = text.replace(/[\d ']/g, '').at(-1);
+        else if (points.length === 1 && text.split(points[0]).length === 2)
+            decimal = points[0] !== decimalSeparator && /^\d{3}$/.test(text.split(points[0])[1]) ? null : points[0];
+        const [whole, fraction, ...rest] = decimal === null ? [text] : text.split(decimal);
+        if (rest.length > 0 || (fraction !== undefined && !/^\d+$/.test(fraction))) return null;
+        const groupSeparators = new Set(whole.replace(/\d/g, ''));
+        const groups = whole.split(/[., ']/);
+        if (groupSeparators.size > 1 || groups.some(group => group === '')) return null;
+        if (groups.length > 1 && (groups[0].length > 3 || groups.slice(1).some(group => group.length !== 3))) return null;
+        return fraction === undefined ? groups.join('') : `${groups.join('')}.${fraction}`;
+    }
+
+    /**
+     * Creates the number format of a currency in a locale.
+     * @param {LocaleSettings} settings - The locale.
+     * @param {Currency} currency - The currency.
+     * @param {string} currencyDisplay - How to show the currency.
+     * @returns {Intl.NumberFormat} The number format.
+     */
+    static #numberFormat(settings, currency, currencyDisplay) {
+        return new Intl.NumberFormat(settings.locale, {
+            style: 'currency',
+            currency: currency.code,
+            currencyDisplay,
+            minimumFractionDigits: currency.minorUnits,
+            maximumFractionDigits: currency.minorUnits
+        });
+    }
+
+    /**
+     * Returns the JSON representation of the Money instance.
+     * The amount is an exact decimal string so that no precision is lost, whatever its size.
+     * @returns {{amount: string, currency: string}} The amount and currency code.
+     */
+    toJSON() {
+        return {amount: this.toDecimalString(), currency: this.#currency.toJSON()};
+    }
+
+    /**
+     * Restores a Money instance from its JSON representation.
+     * @param {{amount: string|number, currency: string}} json - The amount (decimal string or number) and currency code.
+     * @throws {ValidationError} If the snapshot or any of its fields is invalid.
+     * @returns {Money} The restored Money instance.
+     */
+    static fromJSON(json) {
+        assertSnapshotObject(json, 'Money');
+        const currency = restoreField('currency', () => Currency.fromJSON(json.currency));
+        return restoreField('amount', () => new Money({amount: json.amount, currency}));
     }
 
     /**
@@ -83,7 +461,7 @@ export class Money {
      */
     equals(other) {
         return other instanceof Money &&
-               this.#amount === other.amount &&
+               this.#minorAmount === other.minorAmount &&
                this.#currency.equals(other.currency);
     }
-}
\ No newline at end of file
+}
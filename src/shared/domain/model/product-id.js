@@ -34,6 +34,24 @@ export class ProductId {
         return this.#value;
     }
 
+    /**
+     * Returns the JSON representation of the ProductId.
+     * @returns {string} The UUID string.
+     */
+    toJSON() {
+        return this.#value;
+    }
+
+    /**
+     * Restores a ProductId from its JSON representation.
+     * @param {string} json - The UUID string.
+     * @throws {ValidationError} If the value is not a valid UUID.
+     * @returns {ProductId} The restored ProductId.
+     */
+    static fromJSON(json) {
+        return new ProductId(json);
+    }
+
     /**
      * Checks if this ProductId is equal to another ProductId.
      * @param {ProductId} other - The other ProductId to compare with.
@@ -0,0 +1,20 @@
+/**
+ * Rounding modes applied when a monetary amount has more decimal digits than its currency allows.
+ * @readonly
+ * @enum {string}
+ */
+export const RoundingMode = Object.freeze({
+    /** Rounds half-way values away from zero (2.345 → 2.35, 2.355 → 2.36). */
+    HALF_UP: 'HALF_UP',
+    /** Rounds half-way values to the nearest even digit, a.k.a. banker's rounding (2.345 → 2.34, 2.355 → 2.36). */
+    HALF_EVEN: 'HALF_EVEN',
+});
+
+/**
+ * Checks whether a value is one of the supported {@link RoundingMode}s.
+ * @param {*} mode - The value to check.
+ * @returns {boolean} True if the value is a supported rounding mode.
+ */
+export function isRoundingMode(mode) {
+    return Object.values(RoundingMode).includes(mode);
+}
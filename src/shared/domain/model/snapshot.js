@@ -0,0 +1,32 @@
+import {ValidationError} from "./errors.js";
+
+/**
+ * Ensures a snapshot is a plain object before its fields are read.
+ * @param {*} snapshot - The snapshot to check.
+ * @param {string} typeName - Name of the type being restored, used in the error message.
+ * @throws {ValidationError} If the snapshot is not a non-null, non-array object.
+ */
+export function assertSnapshotObject(snapshot, typeName) {
+    if (typeof snapshot !== 'object' || snapshot === null || Array.isArray(snapshot))
+        throw new ValidationError(`${typeName} snapshot must be an object`);
+}
+
+/**
+ * Restores a single field of a snapshot, qualifying any {@link ValidationError} with the field path.
+ * The error keeps its class, so e.g. an {@link InvalidStateError} is still one. Nested calls compose paths, so a failure deep inside an aggregate reports e.g. "items[2].unitPrice.amount".
+ * @template T
+ * @param {string} field - Name of the field being restored, or an array index such as "[2]".
+ * @param {function(): T} restore - Function restoring the field value.
+ * @throws {ValidationError} If the field cannot be restored.
+ * @returns {T} The restored value.
+ */
+export function restoreField(field, restore) {
+    try {
+        return restore();
+    } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        const path = !error.field ? field
+            : error.field.startsWith('[') ? `${field}${error.field}` : `${field}.${error.field}`;
+        throw new error.constructor(error.reason, path);
+    }
+}
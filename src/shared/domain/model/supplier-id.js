@@ -14,7 +14,7 @@ export class SupplierId {
      */
     constructor(value) {
         if(!isValidUUID(value))
-            throw ValidationError(`Invalid Supplier ID: Value ${value} is not a valid UUID.`);
+            throw new ValidationError(`Invalid Supplier ID: Value ${value} is not a valid UUID.`);
         this.#value = value;
     }
 
@@ -34,6 +34,24 @@ export class SupplierId {
         return this.#value;
     }
 
+    /**
+     * Returns the JSON representation of the SupplierId.
+     * @returns {string} The UUID string.
+     */
+    toJSON() {
+        return this.#value;
+    }
+
+    /**
+     * Restores a SupplierId from its JSON representation.
+     * @param {string} json - The UUID string.
+     * @throws {ValidationError} If the value is not a valid UUID.
+     * @returns {SupplierId} The restored SupplierId.
+     */
+    static fromJSON(json) {
+        return new SupplierId(json);
+    }
+
     /**
      * Checks equality between this SupplierId and another.
      * @param {SupplierId} other - The other SupplierId to compare with.
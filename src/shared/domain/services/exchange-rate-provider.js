@@ -0,0 +1,18 @@
+/**
+ * Contract for services that supply dated exchange rates between currencies.
+ * Implementations live in the infrastructure layer.
+ * @interface
+ */
+export class ExchangeRateProvider {
+    /**
+     * Gets the exchange rate from one currency to another that was in effect at a given moment.
+     * @param {Currency} from - The currency to convert from.
+     * @param {Currency} to - The currency to convert to.
+     * @param {DateTime} asOf - The moment for which the rate is requested.
+     * @throws {ValidationError} If no rate is known for the currency pair at that moment.
+     * @returns {ExchangeRate} The exchange rate in effect.
+     */
+    getRate(from, to, asOf) {
+        throw new Error('ExchangeRateProvider.getRate() must be implemented');
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Synchronous-delivery, in-process event bus.
+ * Handlers subscribe to a domain event class and receive every published event that is an instance of it,
+ * so subscribing to a base class (e.g. {@link DomainEvent}) receives all of its subclasses as well.
+ */
+export class InProcessEventBus {
+    #subscriptions = []
+    #onHandlerError
+
+    /**
+     * Creates a new InProcessEventBus instance.
+     * @param {Object} [options]
+     * @param {function(Error, DomainEvent): void|null} [options.onHandlerError=null] - Receives each handler failure
+     * instead of the publisher, e.g. to log it where the change that raised the event must not fail once saved.
+     * @throws {TypeError} If the error handler is not a function.
+     */
+    constructor({onHandlerError = null} = {}) {
+        if (onHandlerError !== null && typeof onHandlerError !== 'function')
+            throw new TypeError('onHandlerError must be a function');
+        this.#onHandlerError = onHandlerError;
+    }
+
+    /**
+     * Subscribes a handler to a type of domain event.
+     * @param {Function} eventType - The domain event class to listen to.
+     * @param {function(DomainEvent): (void|Promise<void>)} handler - The handler to invoke for each matching event.
+     * @throws {TypeError} If the event type or handler is not a function.
+     * @returns {function(): void} A function that removes the subscription.
+     */
+    subscribe(eventType, handler) {
+        if (typeof eventType !== 'function')
+            throw new TypeError('eventType must be a domain event class');
+        if (typeof handler !== 'function')
+            throw new TypeError('handler must be a function');
+        const subscription = {eventType, handler};
+        this.#subscriptions.push(subscription);
+        return () => {
+            this.#subscriptions = this.#subscriptions.filter(current => current !== subscription);
+        };
+    }
+
+    /**
+     * Publishes a domain event to every matching handler, in subscription order.
+     * All handlers run even if some of them fail; failures are then passed to the error handler, if the bus has one,
+     * or reported together.
+     * @param {DomainEvent} event - The event to publish.
+     * @throws {AggregateError} If one or more handlers failed and the bus has no error handler.
+     * @returns {Promise<void>}
+     */
+    async publish(event) {
+        const errors = [];
+        for (const {eventType, handler} of [...this.#subscriptions]) {
+            if (!(event instanceof eventType)) continue;
+            try {
+                await handler(event);
+            } catch (error) {
+                errors.push(error);
+            }
+        }
+        if (errors.length > 0 && this.#onHandlerError)
+            errors.forEach(error => this.#onHandlerError(error, event));
+        else if (errors.length > 0)
+            throw new AggregateError(errors, `${errors.length} handler(s) failed for ${event.eventType}`);
+    }
+
+    /**
+     * Publishes several domain events in order.
+     * @param {DomainEvent[]} events - The events to publish.
+     * @returns {Promise<void>}
+     */
+    async publishAll(events) {
+        for (const event of events)
+            await this.publish(event);
+    }
+}
@@ -0,0 +1,67 @@
+import {readFile} from "node:fs/promises";
+import {ExchangeRateProvider} from "../../domain/services/exchange-rate-provider.js";
+import {ExchangeRate} from "../../domain/model/exchange-rate.js";
+import {ValidationError} from "../../domain/model/errors.js";
+import {restoreField} from "../../domain/model/snapshot.js";
+
+/**
+ * In-memory implementation of {@link ExchangeRateProvider} holding a history of dated rates.
+ * For a requested moment, the most recent rate effective on or before it is used. A rate registered in one
+ * direction also serves the opposite direction through its inverse, and same-currency conversions use a rate of 1.
+ */
+export class InMemoryExchangeRateProvider extends ExchangeRateProvider {
+    #rates = []
+
+    /**
+     * Creates a new InMemoryExchangeRateProvider instance.
+     * @param {ExchangeRate[]} [rates] - Initial rates.
+     * @throws {ValidationError} If any rate is not an ExchangeRate instance.
+     */
+    constructor(rates = []) {
+        super();
+        rates.forEach(rate => this.addRate(rate));
+    }
+
+    /**
+     * Loads rates from a JSON fixture file containing an array of {@link ExchangeRate} snapshots,
+     * e.g. [{"baseCurrency": "USD", "quoteCurrency": "EUR", "rate": 0.92, "effectiveDate": "2026-01-01T00:00:00Z"}].
+     * @param {string} filePath - Path of the fixture file.
+     * @throws {ValidationError} If the file content is not an array of valid rate snapshots.
+     * @returns {Promise<InMemoryExchangeRateProvider>} A provider holding the loaded rates.
+     */
+    static async fromFile(filePath) {
+        const json = JSON.parse(await readFile(filePath, 'utf8'));
+        if (!Array.isArray(json))
+            throw new ValidationError(`Exchange rate fixture ${filePath} must contain an array of rates`);
+        return new InMemoryExchangeRateProvider(
+            json.map((rate, index) => restoreField(`[${index}]`, () => ExchangeRate.fromJSON(rate))));
+    }
+
+    /**
+     * Adds a rate to the history.
+     * @param {ExchangeRate} rate - The rate to add.
+     * @throws {ValidationError} If the rate is not an ExchangeRate instance.
+     */
+    addRate(rate) {
+        if (!(rate instanceof ExchangeRate))
+            throw new ValidationError('rate must be an instance of ExchangeRate');
+        this.#rates.push(rate);
+    }
+
+    /** @inheritDoc */
+    getRate(from, to, asOf) {
+        if (from.equals(to))
+            return new ExchangeRate({baseCurrency: from, quoteCurrency: to, rate: 1, effectiveDate: asOf});
+        const candidates = this.#rates
+            .filter(rate => rate.effectiveDate.date.getTime() <= asOf.date.getTime())
+            .flatMap(rate => {
+                if (rate.baseCurrency.equals(from) && rate.quoteCurrency.equals(to)) return [rate];
+                if (rate.baseCurrency.equals(to) && rate.quoteCurrency.equals(from)) return [rate.inverse()];
+                return [];
+            });
+        if (candidates.length === 0)
+            throw new ValidationError(`No exchange rate from ${from.code} to ${to.code} as of ${asOf.toISOString()}`);
+        return candidates.reduce((latest, rate) =>
+            rate.effectiveDate.date.getTime() >= latest.effectiveDate.date.getTime() ? rate : latest);
+    }
+}
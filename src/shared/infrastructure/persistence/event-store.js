@@ -0,0 +1,66 @@
+/**
+ * Storage contract for event streams: the append-only history of each event-sourced aggregate,
+ * plus snapshots of the aggregate taken along the way so that it can be rebuilt without replaying everything.
+ * Events and snapshots are plain JSON records; the version of an event is its 1-based position in its stream.
+ * @interface
+ */
+export class EventStore {
+    /**
+     * Appends events to a stream, provided nobody else appended to it since the caller read it.
+     * @param {string} streamId - The stream ID, usually the aggregate ID.
+     * @param {number} expectedVersion - The number of events the caller knows of; 0 for a new stream.
+     * @param {Object[]} events - The event records to append, oldest first.
+     * @throws {ConcurrencyError} If the stream does not hold exactly expectedVersion events.
+     * @returns {Promise<number>} The version of the stream after the append.
+     */
+    async append(streamId, expectedVersion, events) {
+        throw new Error('EventStore.append() must be implemented');
+    }
+
+    /**
+     * Reads the events of a stream, oldest first.
+     * @param {string} streamId - The stream ID.
+     * @param {Object} [options]
+     * @param {number} [options.afterVersion=0] - Skip the events up to and including this version.
+     * @returns {Promise<Object[]>} The event records; empty if the stream does not exist.
+     */
+    async readEvents(streamId, {afterVersion = 0} = {}) {
+        throw new Error('EventStore.readEvents() must be implemented');
+    }
+
+    /**
+     * Stores a snapshot of the aggregate of a stream.
+     * @param {string} streamId - The stream ID.
+     * @param {{version: number, state: Object}} snapshot - The aggregate state after its first `version` events.
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(streamId, snapshot) {
+        throw new Error('EventStore.saveSnapshot() must be implemented');
+    }
+
+    /**
+     * Reads the snapshots of a stream, oldest first.
+     * @param {string} streamId - The stream ID.
+     * @returns {Promise<{version: number, state: Object}[]>} The snapshots; empty if there are none.
+     */
+    async readSnapshots(streamId) {
+        throw new Error('EventStore.readSnapshots() must be implemented');
+    }
+
+    /**
+     * Lists the IDs of all streams.
+     * @returns {Promise<string[]>} The stream IDs.
+     */
+    async streamIds() {
+        throw new Error('EventStore.streamIds() must be implemented');
+    }
+
+    /**
+     * Deletes a stream with its events and snapshots.
+     * @param {string} streamId - The stream ID.
+     * @returns {Promise<boolean>} True if a stream was deleted, false if none existed.
+     */
+    async deleteStream(streamId) {
+        throw new Error('EventStore.deleteStream() must be implemented');
+    }
+}
@@ -0,0 +1,46 @@
+import {EventStore} from "./event-store.js";
+import {ConcurrencyError} from "../../domain/model/errors.js";
+
+/**
+ * In-memory implementation of {@link EventStore}.
+ * Records are copied on the way in and out, so callers cannot alter stored history. Data is lost when the process exits.
+ */
+export class InMemoryEventStore extends EventStore {
+    #streams = new Map()
+
+    /** @inheritDoc */
+    async append(streamId, expectedVersion, events) {
+        const stream = this.#streams.get(streamId) ?? {events: [], snapshots: []};
+        if (stream.events.length !== expectedVersion)
+            throw new ConcurrencyError(`Stream ${streamId} is at version ${stream.events.length}, not ${expectedVersion}; `
+                + 'it was changed by someone else');
+        stream.events.push(...structuredClone(events));
+        this.#streams.set(streamId, stream);
+        return stream.events.length;
+    }
+
+    /** @inheritDoc */
+    async readEvents(streamId, {afterVersion = 0} = {}) {
+        return structuredClone(this.#streams.get(streamId)?.events.slice(afterVersion) ?? []);
+    }
+
+    /** @inheritDoc */
+    async saveSnapshot(streamId, snapshot) {
+        this.#streams.get(streamId)?.snapshots.push(structuredClone(snapshot));
+    }
+
+    /** @inheritDoc */
+    async readSnapshots(streamId) {
+        return structuredClone(this.#streams.get(streamId)?.snapshots ?? []);
+    }
+
+    /** @inheritDoc */
+    async streamIds() {
+        return [...this.#streams.keys()];
+    }
+
+    /** @inheritDoc */
+    async deleteStream(streamId) {
+        return this.#streams.delete(streamId);
+    }
+}
@@ -0,0 +1,68 @@
+import {EventStore} from "./event-store.js";
+import {JsonFileStore} from "./json-file-store.js";
+import {ConcurrencyError} from "../../domain/model/errors.js";
+
+/**
+ * JSON-file-backed implementation of {@link EventStore}.
+ * Each stream is stored as a record holding its events and snapshots; streams survive process restarts.
+ * The expected version is checked in the same queued update of the file as the append, so of two concurrent
+ * appends at the same version only one succeeds.
+ */
+export class JsonFileEventStore extends EventStore {
+    #store
+
+    /**
+     * Creates a new JsonFileEventStore instance.
+     * @param {string} filePath - Path of the JSON file holding the streams.
+     */
+    constructor(filePath) {
+        super();
+        this.#store = new JsonFileStore(filePath);
+    }
+
+    /** @inheritDoc */
+    async append(streamId, expectedVersion, events) {
+        return this.#store.update(records => {
+            const stream = records[streamId] ?? {events: [], snapshots: []};
+            if (stream.events.length !== expectedVersion)
+                throw new ConcurrencyError(`Stream ${streamId} is at version ${stream.events.length}, not ${expectedVersion}; `
+                    + 'it was changed by someone else');
+            stream.events.push(...events);
+            records[streamId] = stream;
+            return stream.events.length;
+        });
+    }
+
+    /** @inheritDoc */
+    async readEvents(streamId, {afterVersion = 0} = {}) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, streamId) ? records[streamId].events.slice(afterVersion) : [];
+    }
+
+    /** @inheritDoc */
+    async saveSnapshot(streamId, snapshot) {
+        await this.#store.update(records => {
+            if (Object.hasOwn(records, streamId)) records[streamId].snapshots.push(snapshot);
+        });
+    }
+
+    /** @inheritDoc */
+    async readSnapshots(streamId) {
+        const records = await this.#store.readAll();
+        return Object.hasOwn(records, streamId) ? records[streamId].snapshots : [];
+    }
+
+    /** @inheritDoc */
+    async streamIds() {
+        return Object.keys(await this.#store.readAll());
+    }
+
+    /** @inheritDoc */
+    async deleteStream(streamId) {
+        return this.#store.update(records => {
+            if (!Object.hasOwn(records, streamId)) return false;
+            delete records[streamId];
+            return true;
+        });
+    }
+}
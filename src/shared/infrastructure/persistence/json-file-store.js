@@ -0,0 +1,123 @@
+import {access, mkdir, readFile, rename, unlink, writeFile} from "node:fs/promises";
+import {randomBytes} from "node:crypto";
+import {dirname, resolve} from "node:path";
+
+/**
+ * Stores a collection of plain records in a single JSON file, keyed by record ID.
+ * The whole file is read on every access and replaced atomically on every write,
+ * so separate runs of the application always observe the latest saved state.
+ * Writes to the same file are queued within the process, even across store instances, so that concurrent
+ * read-modify-write cycles made through {@link JsonFileStore#update} do not overwrite each other.
+ */
+export class JsonFileStore {
+    static #queues = new Map()
+    #filePath
+    #queueKey
+
+    /**
+     * Creates a new JsonFileStore instance.
+     * @param {string} filePath - Path of the JSON file; it is created on the first write if missing.
+     * @throws {TypeError} If the file path is not a non-empty string.
+     */
+    constructor(filePath) {
+        if (typeof filePath !== 'string' || !filePath)
+            throw new TypeError('filePath must be a non-empty string');
+        this.#filePath = filePath;
+        this.#queueKey = resolve(filePath);
+    }
+
+    /**
+     * Gets the path of the underlying JSON file.
+     * @returns {string} The file path.
+     */
+    get filePath() {
+        return this.#filePath;
+    }
+
+    /**
+     * Checks whether the file has been written yet.
+     * @returns {Promise<boolean>} True if the file exists.
+     */
+    async exists() {
+        try {
+            await access(this.#filePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Reads all records from the file.
+     * @returns {Promise<Object<string, Object>>} Records keyed by ID; empty if the file does not exist yet.
+     */
+    async readAll() {
+        let content;
+        try {
+            content = await readFile(this.#filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            throw error;
+        }
+        return content.trim() ? JSON.parse(content) : {};
+    }
+
+    /**
+     * Replaces the content of the file with the given records, after the writes already queued for the file.
+     * @param {Object<string, Object>} records - Records keyed by ID.
+     * @returns {Promise<void>}
+     */
+    async writeAll(records) {
+        return this.#enqueue(() => this.#write(records));
+    }
+
+    /**
+     * Reads all records, lets a function change them in place and writes them back, after the writes already
+     * queued for the file and before any queued later, so no other write of this process can slip in between.
+     * @param {function(Object<string, Object>): *} change - Changes the records; may be async. If it throws,
+     * nothing is written.
+     * @returns {Promise<*>} Whatever the function returned.
+     */
+    async update(change) {
+        return this.#enqueue(async () => {
+            const records = await this.readAll();
+            const result = await change(records);
+            await this.#write(records);
+            return result;
+        });
+    }
+
+    /**
+     * Runs a write once every write queued before it for the same file has settled.
+     * @param {function(): Promise<*>} write - The write to run.
+     * @returns {Promise<*>} The outcome of the write.
+     */
+    #enqueue(write) {
+        const queues = JsonFileStore.#queues;
+        const result = (queues.get(this.#queueKey) ?? Promise.resolve()).then(write);
+        const settled = result.catch(() => {});
+        queues.set(this.#queueKey, settled);
+        settled.then(() => {
+            if (queues.get(this.#queueKey) === settled) queues.delete(this.#queueKey);
+        });
+        return result;
+    }
+
+    /**
+     * Writes the records to a temporary file of its own, then renames it over the file in one atomic step.
+     * @param {Object<string, Object>} records - Records keyed by ID.
+     * @returns {Promise<void>}
+     */
+    async #write(records) {
+        await mkdir(dirname(this.#filePath), {recursive: true});
+        const temporaryPath = `${this.#filePath}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+        try {
+            await writeFile(temporaryPath, JSON.stringify(records, null, 2), 'utf8');
+            await rename(temporaryPath, this.#filePath);
+        } catch (error) {
+            await unlink(temporaryPath).catch(() => {});
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,181 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {createServer} from "node:http";
+import {mkdtemp, rm} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {composeApplication} from "../../src/composition-root.js";
+import {HttpApi} from "../../src/api/http-api.js";
+import {UnitOfMeasure} from "../../src/catalog/domain/model/unit-of-measure.js";
+
+describe('HttpApi', () => {
+    let directory, application, server, baseUrl;
+    let productCount = 0;
+
+    before(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'http-api-'));
+        application = await composeApplication({SCM_DATA_DIR: directory, SCM_ACTOR: 'server'});
+        const api = new HttpApi(application);
+        server = createServer((request, response) => api.handle(request, response));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    /**
+     * Sends a request to the API.
+     * @param {string} method - The request method.
+     * @param {string} path - The request path.
+     * @param {Object} [body] - The JSON body, if any.
+     * @returns {Promise<{status: number, headers: Headers, body: *}>} The response, with its JSON body parsed.
+     */
+    async function request(method, path, body) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: body === undefined ? {} : {'Content-Type': 'application/json'},
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const text = await response.text();
+        return {status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null};
+    }
+
+    /**
+     * Registers a supplier through the API.
+     * @returns {Promise<Object>} The supplier.
+     */
+    async function supplier() {
+        return (await request('POST', '/suppliers', {name: 'Acme Corp', preferredCurrency: 'USD'})).body;
+    }
+
+    /**
+     * Registers a product in the catalog.
+     * @returns {Promise<string>} The product ID.
+     */
+    async function product() {
+        const registered = await application.productCommandService.register({
+            sku: `SKU-${++productCount}`, name: 'Bolt', unitOfMeasure: new UnitOfMeasure('EA'), category: 'Hardware'
+        });
+        return registered.id.value;
+    }
+
+    /**
+     * Opens a draft order through the API, with a line of 10 units at 2.00 of a new product.
+     * @returns {Promise<{order: Object, productId: string}>} The order and the product of its line.
+     */
+    async function draftOrder() {
+        const {id: supplierId} = await supplier();
+        const order = (await request('POST', '/purchase-orders', {supplierId, currency: 'USD'})).body;
+        const productId = await product();
+        await request('POST', `/purchase-orders/${order.id}/items`, {productId, quantity: 10, unitPrice: 2});
+        return {order, productId};
+    }
+
+    describe('suppliers', () => {
+        it('registers, shows, lists and edits suppliers', async () => {
+            const registered = await request('POST', '/suppliers', {name: 'Acme Corp', contactEmail: 'sales@acme.test'});
+            assert.equal(registered.status, 201);
+            assert.equal(registered.headers.get('location'), `/suppliers/${registered.body.id}`);
+            assert.equal((await request('GET', `/suppliers/${registered.body.id}`)).body.contactEmail, 'sales@acme.test');
+            assert.ok((await request('GET', '/suppliers')).body.some(listed => listed.id === registered.body.id));
+            const edited = await request('PATCH', `/suppliers/${registered.body.id}`, {name: 'Acme Corporation'});
+            assert.equal(edited.status, 200);
+            assert.equal(edited.body.name, 'Acme Corporation');
+        });
+
+        it('suspends and reactivates a supplier', async () => {
+            const {id} = await supplier();
+            assert.equal((await request('POST', `/suppliers/${id}/suspend`, {reason: 'Late deliveries'})).body.status, 'Suspended');
+            assert.equal((await request('POST', `/suppliers/${id}/reactivate`)).body.status, 'Active');
+        });
+
+        it('answers 400 with the field for invalid input and 404 for unknown suppliers', async () => {
+            const invalid = await request('POST', '/suppliers', {});
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.error.field, 'name');
+            assert.equal((await request('POST', '/suppliers', {name: 'Acme', fax: '1'})).status, 400);
+            assert.equal((await request('GET', '/suppliers/00000000-0000-4000-8000-000000000000')).status, 404);
+            assert.equal((await request('GET', '/suppliers/not-an-id')).status, 404);
+        });
+    });
+
+    describe('purchase orders', () => {
+        it('adds, changes and removes the lines of a draft order', async () => {
+            const {order, productId} = await draftOrder();
+            const path = `/purchase-orders/${order.id}/items/${productId}`;
+            assert.equal((await request('GET', path)).body.quantity, 10);
+            assert.equal((await request('PATCH', path, {quantity: 4, unitPrice: 3})).body.quantity, 4);
+            assert.equal((await request('GET', `/purchase-orders/${order.id}`)).body.totalPrice.amount, '12.00');
+            const added = await request('POST', `/purchase-orders/${order.id}/items`, {productId: await product(), quantity: 1, unitPrice: 1});
+            assert.equal(added.status, 201);
+            assert.equal((await request('DELETE', path)).status, 204);
+            assert.equal((await request('GET', `/purchase-orders/${order.id}/items`)).body.length, 1);
+            assert.equal((await request('GET', path)).status, 404);
+        });
+
+        it('takes an order through its lifecycle and finds it by state', async () => {
+            const {order, productId} = await draftOrder();
+            const post = (action, body) => request('POST', `/purchase-orders/${order.id}/${action}`, body);
+            assert.equal((await post('submit')).body.state, 'Submitted');
+            assert.equal((await post('approve', {approverId: 'ann'})).body.state, 'Approved');
+            assert.equal((await post('ship')).body.state, 'Shipped');
+            assert.equal((await post('receipts', {lines: [{productId, receivedQuantity: 4}]})).body.state, 'PartiallyReceived');
+            assert.equal((await post('receipts', {lines: [{productId, receivedQuantity: 6}]})).body.state, 'Completed');
+            const found = await request('GET', '/purchase-orders?state=Completed');
+            assert.ok(found.body.items.some(summary => summary.id === order.id));
+        });
+
+        it('answers 409 for commands the state does not allow', async () => {
+            const {order, productId} = await draftOrder();
+            const shipped = await request('POST', `/purchase-orders/${order.id}/ship`);
+            assert.equal(shipped.status, 409);
+            assert.equal(shipped.body.error.type, 'InvalidStateError');
+            await request('POST', `/purchase-orders/${order.id}/submit`);
+            assert.equal((await request('PATCH', `/purchase-orders/${order.id}/items/${productId}`, {quantity: 2})).status, 409);
+        });
+
+        it('keeps every line added concurrently or answers 409, never 500', async () => {
+            const {order} = await draftOrder();
+            const products = await Promise.all([1, 2, 3, 4, 5, 6].map(() => product()));
+            const responses = await Promise.all(products.map(productId =>
+                request('POST', `/purchase-orders/${order.id}/items`, {productId, quantity: 1, unitPrice: 1})));
+            const statuses = responses.map(response => response.status);
+            assert.ok(statuses.every(status => status === 201 || status === 409), statuses.join(', '));
+            const added = statuses.filter(status => status === 201).length;
+            assert.ok(added >= 1);
+            assert.equal((await request('GET', `/purchase-orders/${order.id}/items`)).body.length, 1 + added);
+        });
+    });
+
+    describe('protocol', () => {
+        it('does not delete suppliers or purchase orders', async () => {
+            const {order} = await draftOrder();
+            const deleted = await request('DELETE', `/purchase-orders/${order.id}`);
+            assert.equal(deleted.status, 405);
+            assert.equal(deleted.headers.get('allow'), 'GET');
+            assert.equal((await request('GET', `/purchase-orders/${order.id}`)).status, 200);
+            const {id} = await supplier();
+            assert.equal((await request('DELETE', `/suppliers/${id}`)).headers.get('allow'), 'GET, PATCH');
+        });
+
+        it('answers 404 for unknown paths and rejects bodies that are not JSON objects', async () => {
+            assert.equal((await request('GET', '/warehouses')).status, 404);
+            const notJson = await fetch(`${baseUrl}/suppliers`, {method: 'POST', headers: {'Content-Type': 'text/plain'}, body: 'name=Acme'});
+            assert.equal(notJson.status, 415);
+            const malformed = await fetch(`${baseUrl}/suppliers`, {method: 'POST', headers: {'Content-Type': 'application/json'}, body: '{"name"'});
+            assert.equal(malformed.status, 400);
+            assert.equal((await request('POST', '/suppliers', ['Acme'])).status, 400);
+        });
+
+        it('serves the OpenAPI document of the routes', async () => {
+            const {status, body} = await request('GET', '/openapi.json');
+            assert.equal(status, 200);
+            assert.equal(body.openapi, '3.0.3');
+            assert.deepEqual(Object.keys(body.paths['/purchase-orders/{id}']), ['get']);
+            assert.ok(body.paths['/purchase-orders/{id}/items/{productId}'].delete);
+        });
+    });
+});
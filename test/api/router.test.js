@@ -0,0 +1,32 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {Router} from "../../src/api/router.js";
+import {HttpError} from "../../src/api/http-error.js";
+
+describe('Router', () => {
+    const router = new Router()
+        .add('GET', '/orders', () => 'list')
+        .add('GET', '/orders/:id', () => 'show')
+        .add('PATCH', '/orders/:id', () => 'update')
+        .add('POST', '/orders/:id/items', () => 'add item');
+
+    it('finds the handler of a method and path, with the path parameters decoded', () => {
+        const {handler, params} = router.match('GET', '/orders/a%20b/');
+        assert.equal(handler(), 'show');
+        assert.deepEqual(params, {id: 'a b'});
+        assert.equal(router.match('POST', '/orders/7/items').handler(), 'add item');
+    });
+
+    it('answers 404 for a path no route has', () => {
+        assert.throws(() => router.match('GET', '/orders/7/notes'), error => error instanceof HttpError && error.status === 404);
+    });
+
+    it('answers 405 with the allowed methods for a method the path does not take', () => {
+        assert.throws(() => router.match('DELETE', '/orders/7'),
+            error => error.status === 405 && error.headers.Allow === 'GET, PATCH');
+    });
+
+    it('answers 400 for a path segment that is not validly encoded', () => {
+        assert.throws(() => router.match('GET', '/orders/%E0%A4%A'), error => error.status === 400);
+    });
+});
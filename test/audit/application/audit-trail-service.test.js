@@ -0,0 +1,118 @@
+import {after, before, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {createServer} from "node:http";
+import {mkdtemp, rm} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {setImmediate as nextTurn} from "node:timers/promises";
+import {AuditTrailService} from "../../../src/audit/application/audit-trail-service.js";
+import {InMemoryAuditLog} from "../../../src/audit/infrastructure/persistence/in-memory-audit-log.js";
+import {composeApplication} from "../../../src/composition-root.js";
+import {HttpApi} from "../../../src/api/http-api.js";
+import {SupplierId} from "../../../src/shared/domain/model/supplier-id.js";
+
+/**
+ * Records a change to a supplier, as a command service would after saving it.
+ * @param {AuditTrailService} auditTrail - The audit trail.
+ * @param {string} action - The action recorded.
+ * @returns {Promise<AuditEntry>} The recorded entry.
+ */
+function recordChange(auditTrail, action) {
+    const supplierId = SupplierId.generate();
+    return auditTrail.record({
+        action, aggregateType: 'Supplier', aggregateId: supplierId.value, supplierId, before: null, after: {}
+    });
+}
+
+describe('AuditTrailService', () => {
+    const auditTrail = new AuditTrailService({auditLog: new InMemoryAuditLog(), currentActor: () => 'console-user'});
+
+    it('records changes as the current actor outside runAs', async () => {
+        assert.equal((await recordChange(auditTrail, 'register')).actor, 'console-user');
+    });
+
+    it('records changes made in runAs as its actor, also after awaiting', async () => {
+        const entry = await auditTrail.runAs('alice', async () => {
+            await nextTurn();
+            await new Promise(resolve => setTimeout(resolve, 1));
+            return recordChange(auditTrail, 'update');
+        });
+        assert.equal(entry.actor, 'alice');
+        assert.equal((await recordChange(auditTrail, 'update')).actor, 'console-user');
+    });
+
+    it('keeps the actor of each piece of work running concurrently', async () => {
+        const entries = await Promise.all(['alice', 'bob', 'carol'].map((actor, index) =>
+            auditTrail.runAs(actor, async () => {
+                await new Promise(resolve => setTimeout(resolve, 3 - index));
+                return recordChange(auditTrail, 'update');
+            })));
+        assert.deepEqual(entries.map(entry => entry.actor), ['alice', 'bob', 'carol']);
+    });
+
+    it('returns what the work returns, also when it is not async', () => {
+        assert.equal(auditTrail.runAs('alice', () => 42), 42);
+    });
+});
+
+describe('AuditTrailService behind the HTTP API', () => {
+    let directory, application, server, baseUrl;
+
+    before(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'audit-http-'));
+        application = await composeApplication({SCM_DATA_DIR: directory, SCM_ACTOR: 'server'});
+        const api = new HttpApi(application);
+        server = createServer((request, response) => api.handle(request, response));
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    /**
+     * Registers a supplier through the API.
+     * @param {Object<string, string>} [headers] - Extra request headers.
+     * @returns {Promise<Response>} The response.
+     */
+    function registerSupplier(headers = {}) {
+        return fetch(`${baseUrl}/suppliers`, {
+            method: 'POST',
+            headers: {'Content-Type': 'application/json', ...headers},
+            body: JSON.stringify({name: 'Acme Corp'})
+        });
+    }
+
+    /**
+     * Gets who the audit trail says registered a supplier.
+     * @param {Response} response - The response to the registration.
+     * @returns {Promise<string[]>} The actors of the entries of the supplier.
+     */
+    async function actorsOf(response) {
+        const {id} = await response.json();
+        const entries = await application.auditTrailService.findEntries({supplierId: SupplierId.fromJSON(id)});
+        return entries.map(entry => entry.actor);
+    }
+
+    it('records changes as the actor named in the X-Actor header', async () => {
+        const response = await registerSupplier({'X-Actor': '  alice  '});
+        assert.equal(response.status, 201);
+        assert.deepEqual(await actorsOf(response), ['alice']);
+    });
+
+    it('records changes without the header as the actor of the server', async () => {
+        assert.deepEqual(await actorsOf(await registerSupplier()), ['server']);
+    });
+
+    it('keeps the actor of each of concurrent requests', async () => {
+        const responses = await Promise.all(['alice', 'bob', 'carol'].map(actor => registerSupplier({'X-Actor': actor})));
+        assert.deepEqual(await Promise.all(responses.map(actorsOf)), [['alice'], ['bob'], ['carol']]);
+    });
+
+    it('rejects an empty or overlong X-Actor header', async () => {
+        assert.equal((await registerSupplier({'X-Actor': ' '})).status, 400);
+        assert.equal((await registerSupplier({'X-Actor': 'x'.repeat(101)})).status, 400);
+    });
+});
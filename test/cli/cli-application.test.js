@@ -0,0 +1,68 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {mkdtemp, rm} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {CliApplication, ExitCode} from "../../src/cli/cli-application.js";
+import {createCommandGroups} from "../../src/cli/commands/command-groups.js";
+import {composeApplication} from "../../src/composition-root.js";
+import {NotFoundError} from "../../src/shared/domain/model/errors.js";
+
+/**
+ * Collects what an application writes, one entry per call.
+ * @returns {{log: function(string): void, error: function(string): void, logged: string[], errors: string[]}} The output.
+ */
+function recordingOutput() {
+    const logged = [];
+    const errors = [];
+    return {log: text => logged.push(text), error: text => errors.push(text), logged, errors};
+}
+
+describe('CliApplication', () => {
+    it('dispatches a command to the group declaring it, with its arguments and options', async () => {
+        const calls = [];
+        const output = recordingOutput();
+        const application = new CliApplication({output, commandGroups: [
+            {definitions: () => [['order show', '<order-id>', 'Show an order', async (...args) => calls.push(['show', ...args])]]},
+            {definitions: () => [['stock list', '[--below]', 'List stock', async (...args) => calls.push(['list', ...args])]]}
+        ]});
+
+        assert.equal(await application.execute(['stock', 'list', '--below']), ExitCode.SUCCESS);
+        assert.equal(await application.execute(['order', 'show', '3f2a']), ExitCode.SUCCESS);
+        assert.deepEqual(calls, [['list', [], {below: true}], ['show', ['3f2a'], {}]]);
+        assert.equal(application.helpText(),
+            'Commands:\n  order show <order-id>\n      Show an order\n  stock list [--below]\n      List stock');
+    });
+
+    it('maps usage errors to 2 and domain errors to 1', async () => {
+        const output = recordingOutput();
+        const application = new CliApplication({output, commandGroups: [{definitions: () => [
+            ['order show', '<order-id>', 'Show an order', async () => { throw new NotFoundError('No purchase order found'); }]
+        ]}]});
+
+        assert.equal(await application.execute(['order', 'ship']), ExitCode.USAGE);
+        assert.equal(await application.execute(['order', 'show', '3f2a']), ExitCode.FAILURE);
+        assert.deepEqual(output.errors, [
+            'Usage error: Unknown command: order ship. Run "help" to list the available commands',
+            'Error: No purchase order found'
+        ]);
+    });
+
+    it('lists every group of the application in the help text, suppliers first and stock last', async () => {
+        const dataDir = await mkdtemp(join(tmpdir(), 'scm-cli-'));
+        try {
+            const output = recordingOutput();
+            const services = await composeApplication({SCM_DATA_DIR: dataDir});
+            const application = new CliApplication({output, commandGroups: createCommandGroups(services, output)});
+            const groups = [...application.helpText().matchAll(/^ {2}(\w+) /gm)].map(([, group]) => group);
+            assert.deepEqual([...new Set(groups)], ['supplier', 'product', 'price', 'order', 'audit', 'report', 'import', 'invoice', 'stock']);
+
+            assert.equal(await application.execute(['supplier', 'list']), ExitCode.SUCCESS);
+            assert.equal(await application.execute(['order', 'show', 'nope']), ExitCode.FAILURE);
+            assert.deepEqual(output.logged, ['No suppliers found']);
+            assert.deepEqual(output.errors, ['Error: No purchase order found with ID nope']);
+        } finally {
+            await rm(dataDir, {recursive: true, force: true});
+        }
+    });
+});
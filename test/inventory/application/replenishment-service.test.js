@@ -0,0 +1,183 @@
+import {beforeEach, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {ReplenishmentService} from "../../../src/inventory/application/replenishment-service.js";
+import {InventoryLevel} from "../../../src/inventory/domain/model/inventory-level.js";
+import {InMemoryInventoryLevelRepository} from "../../../src/inventory/infrastructure/persistence/in-memory-inventory-level-repository.js";
+import {Product} from "../../../src/catalog/domain/model/product.js";
+import {UnitOfMeasure} from "../../../src/catalog/domain/model/unit-of-measure.js";
+import {PriceListEntry} from "../../../src/catalog/domain/model/price-list-entry.js";
+import {SupplierPriceList} from "../../../src/catalog/domain/model/supplier-price-list.js";
+import {InMemoryProductRepository} from "../../../src/catalog/infrastructure/persistence/in-memory-product-repository.js";
+import {InMemorySupplierPriceListRepository} from "../../../src/catalog/infrastructure/persistence/in-memory-supplier-price-list-repository.js";
+import {Supplier} from "../../../src/scm/domain/model/supplier.js";
+import {InMemorySupplierRepository} from "../../../src/scm/infrastructure/persistence/in-memory-supplier-repository.js";
+import {PurchaseOrder} from "../../../src/procurement/domain/model/purchase-order.js";
+import {InMemoryPurchaseOrderRepository} from "../../../src/procurement/infrastructure/persistence/in-memory-purchase-order-repository.js";
+import {SupplierId} from "../../../src/shared/domain/model/supplier-id.js";
+import {ProductId} from "../../../src/shared/domain/model/product-id.js";
+import {Currency} from "../../../src/shared/domain/model/currency.js";
+import {DateTime} from "../../../src/shared/domain/model/date-time.js";
+import {Money} from "../../../src/shared/domain/model/money.js";
+
+const usd = new Currency('USD');
+const eur = new Currency('EUR');
+const asOf = new DateTime(new Date('2026-03-01T00:00:00Z'));
+
+describe('InventoryLevel.replenishmentQuantity', () => {
+    const level = new InventoryLevel({productId: ProductId.generate(), onHand: 12, reserved: 7, reorderPoint: 10, reorderQuantity: 20});
+
+    it('buys whole reorder quantities until the projection is above the reorder point', () => {
+        assert.equal(level.replenishmentQuantity(), 20);
+        assert.equal(new InventoryLevel({productId: ProductId.generate(), reorderPoint: 30, reorderQuantity: 20}).replenishmentQuantity(), 40);
+    });
+
+    it('counts the units on order', () => {
+        assert.equal(level.replenishmentQuantity(5), 20);
+        assert.equal(level.replenishmentQuantity(6), 0);
+    });
+});
+
+describe('ReplenishmentService', () => {
+    let inventoryLevels, purchaseOrders, suppliers, products, priceLists, opened, service;
+    let skuCount = 0;
+
+    beforeEach(() => {
+        inventoryLevels = new InMemoryInventoryLevelRepository();
+        purchaseOrders = new InMemoryPurchaseOrderRepository();
+        suppliers = new InMemorySupplierRepository();
+        products = new InMemoryProductRepository();
+        priceLists = new InMemorySupplierPriceListRepository();
+        opened = [];
+        service = new ReplenishmentService({
+            inventoryLevelRepository: inventoryLevels,
+            purchaseOrderRepository: purchaseOrders,
+            purchaseOrderCommandService: {
+                open: async params => {
+                    opened.push(params);
+                    return params;
+                }
+            },
+            supplierRepository: suppliers,
+            productRepository: products,
+            priceListRepository: priceLists
+        });
+    });
+
+    /**
+     * Registers an active supplier.
+     * @param {Object} [options]
+     * @param {Currency|null} [options.preferredCurrency] - The currency the supplier prefers.
+     * @returns {Promise<Supplier>} The supplier.
+     */
+    async function supplier({preferredCurrency = null} = {}) {
+        const registered = new Supplier({id: SupplierId.generate(), name: 'Acme Corp', contactEmail: null,
+            lastOrderTotalPrice: null, preferredCurrency});
+        await suppliers.save(registered);
+        return registered;
+    }
+
+    /**
+     * Registers a product tracked in stock, below its reorder point, with prices of a supplier.
+     * @param {Supplier|null} preferredSupplier - The supplier replenishment orders go to.
+     * @param {Object} [options]
+     * @param {string} [options.sku] - The SKU; a new one by default.
+     * @param {number} [options.reorderQuantity=20] - Units bought at a time.
+     * @param {Currency[]} [options.quotedIn] - Currencies the supplier quotes the product in.
+     * @returns {Promise<Product>} The product.
+     */
+    async function product(preferredSupplier, {sku = `SKU-${++skuCount}`, reorderQuantity = 20, quotedIn = [usd]} = {}) {
+        const registered = new Product({id: ProductId.generate(), sku, name: sku, unitOfMeasure: new UnitOfMeasure('EA'), category: 'Hardware'});
+        await products.save(registered);
+        await inventoryLevels.save(new InventoryLevel({productId: registered.id, onHand: 0, reorderPoint: 5, reorderQuantity,
+            preferredSupplierId: preferredSupplier?.id ?? null}));
+        if (preferredSupplier && quotedIn.length > 0) {
+            const priceList = await priceLists.findBySupplierId(preferredSupplier.id) ?? new SupplierPriceList({supplierId: preferredSupplier.id});
+            for (const currency of quotedIn)
+                priceList.setPrice(new PriceListEntry({productId: registered.id, unitPrice: new Money({amount: 2, currency}),
+                    validFrom: new DateTime(new Date('2026-01-01T00:00:00Z'))}));
+            await priceLists.save(priceList);
+        }
+        return registered;
+    }
+
+    const linesOf = proposal => proposal.lines.map(({productId, quantity}) => [productId.value, quantity]);
+
+    it('proposes one order per supplier for the products at their reorder point', async () => {
+        const acme = await supplier();
+        const bolt = await product(acme);
+        const nut = await product(acme, {reorderQuantity: 50});
+        const {proposals, skipped} = await service.plan({asOf});
+        assert.equal(proposals.length, 1);
+        assert.ok(proposals[0].supplierId.equals(acme.id));
+        assert.ok(proposals[0].currency.equals(usd));
+        assert.deepEqual(linesOf(proposals[0]), [[bolt.id.value, 20], [nut.id.value, 50]]);
+        assert.deepEqual(skipped, []);
+    });
+
+    it('counts units still expected from open orders, drafts included, but not from closed ones', async () => {
+        const acme = await supplier();
+        const bolt = await product(acme);
+        const draft = new PurchaseOrder({supplierId: acme.id, currency: usd});
+        draft.addItem({productId: bolt.id, quantity: 6, unitPrice: 2});
+        await purchaseOrders.save(draft);
+        assert.deepEqual((await service.plan({asOf})).proposals, []);
+        draft.cancel();
+        await purchaseOrders.save(draft);
+        assert.equal((await service.plan({asOf})).proposals.length, 1);
+    });
+
+    it('orders in the preferred currency of the supplier when the product is quoted in it', async () => {
+        const acme = await supplier({preferredCurrency: usd});
+        await product(acme, {quotedIn: [eur, usd]});
+        const other = await supplier();
+        await product(other, {quotedIn: [usd, eur]});
+        const currencies = (await service.plan({asOf})).proposals.map(proposal => proposal.currency.code);
+        assert.deepEqual(currencies.sort(), ['EUR', 'USD']);
+    });
+
+    it('lists the products it cannot order, with the reason', async () => {
+        const acme = await supplier();
+        await product(null, {sku: 'ORPHAN'});
+        const inactive = await product(acme, {sku: 'OLD'});
+        inactive.deactivate();
+        await products.save(inactive);
+        await product(acme, {sku: 'UNPRICED', quotedIn: []});
+        const suspended = await supplier();
+        await product(suspended, {sku: 'HELD'});
+        suspended.suspend('Quality audit');
+        await suppliers.save(suspended);
+        const {proposals, skipped} = await service.plan({asOf});
+        assert.deepEqual(proposals, []);
+        assert.deepEqual(skipped.map(({quantity, reason}) => [quantity, reason]).sort(), [
+            [20, 'No preferred supplier'],
+            [20, 'Product OLD is inactive'],
+            [20, 'Supplier Acme Corp has no current price for product UNPRICED'],
+            [20, 'Supplier Acme Corp is Suspended']
+        ]);
+    });
+
+    it('splits orders that would exceed the units per line or the items per order', async () => {
+        const acme = await supplier();
+        const bulk = await product(acme, {reorderQuantity: 2500});
+        for (let index = 0; index < 50; index++) await product(acme);
+        const {proposals} = await service.plan({asOf});
+        assert.ok(proposals.every(proposal => proposal.lines.length <= 50
+            && proposal.lines.every(line => line.quantity <= 1000)));
+        const bulkQuantities = proposals.flatMap(proposal => proposal.lines)
+            .filter(line => line.productId.equals(bulk.id)).map(line => line.quantity);
+        assert.deepEqual(bulkQuantities, [1000, 1000, 500]);
+        assert.equal(proposals.reduce((count, proposal) => count + proposal.lines.length, 0), 53);
+    });
+
+    it('opens the proposed orders on the day given', async () => {
+        const acme = await supplier();
+        const bolt = await product(acme);
+        await product(null);
+        const {orders, skipped} = await service.replenish({asOf});
+        assert.equal(orders.length, 1);
+        assert.equal(skipped.length, 1);
+        assert.deepEqual(opened.map(({supplierId, currency, orderDate, items}) =>
+            [supplierId.value, currency.code, orderDate.toISOString(), items.map(item => [item.productId.value, item.quantity])]),
+        [[acme.id.value, 'USD', asOf.toISOString(), [[bolt.id.value, 20]]]]);
+    });
+});
@@ -0,0 +1,150 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {ThreeWayMatcher} from "../../../../src/invoicing/domain/services/three-way-matcher.js";
+import {MatchTolerance} from "../../../../src/invoicing/domain/model/match-tolerance.js";
+import {Invoice} from "../../../../src/invoicing/domain/model/invoice.js";
+import {InvoiceLine} from "../../../../src/invoicing/domain/model/invoice-line.js";
+import {PurchaseOrder} from "../../../../src/procurement/domain/model/purchase-order.js";
+import {Discount} from "../../../../src/procurement/domain/model/discount.js";
+import {ValidationError} from "../../../../src/shared/domain/model/errors.js";
+import {SupplierId} from "../../../../src/shared/domain/model/supplier-id.js";
+import {ProductId} from "../../../../src/shared/domain/model/product-id.js";
+import {Currency} from "../../../../src/shared/domain/model/currency.js";
+import {Money} from "../../../../src/shared/domain/model/money.js";
+
+const usd = new Currency('USD');
+const supplierId = SupplierId.generate();
+const bolts = ProductId.generate();
+const nuts = ProductId.generate();
+
+/**
+ * Builds a purchase order for 10 bolts at 10.00 and 20 nuts at 1.00, shipped unless stated otherwise.
+ * @param {Object} [options]
+ * @param {string} [options.upTo='Shipped'] - The state to bring the order to: "Submitted", "Approved" or "Shipped".
+ * @param {number} [options.boltsDiscount] - A percentage discount on the bolts line.
+ * @returns {PurchaseOrder} The order.
+ */
+function purchaseOrder({upTo = 'Shipped', boltsDiscount} = {}) {
+    const order = new PurchaseOrder({supplierId, currency: usd});
+    order.addItem({productId: bolts, quantity: 10, unitPrice: 10,
+        discount: boltsDiscount ? new Discount({type: 'Percentage', percentage: boltsDiscount}) : null});
+    order.addItem({productId: nuts, quantity: 20, unitPrice: 1});
+    order.submit();
+    if (upTo === 'Submitted') return order;
+    order.approve({approverId: 'ann'});
+    if (upTo === 'Shipped') order.ship();
+    return order;
+}
+
+/**
+ * Builds an invoice for a purchase order.
+ * @param {PurchaseOrder} order - The order invoiced.
+ * @param {{productId: ProductId, quantity: number, unitPrice: string}[]} lines - The invoiced lines.
+ * @param {Object} [overrides] - Other invoice fields, e.g. another supplier.
+ * @returns {Invoice} The invoice.
+ */
+function invoice(order, lines, overrides = {}) {
+    return new Invoice({
+        invoiceNumber: 'INV-1', supplierId, purchaseOrderId: order.id, currency: usd,
+        lines: lines.map(({productId, quantity, unitPrice}) =>
+            new InvoiceLine({productId, quantity, unitPrice: new Money({amount: unitPrice, currency: overrides.currency ?? usd})})),
+        ...overrides
+    });
+}
+
+const typesOf = discrepancies => discrepancies.map(discrepancy => discrepancy.type);
+
+describe('ThreeWayMatcher', () => {
+    const matcher = new ThreeWayMatcher();
+
+    it('finds nothing when the invoice agrees with the order and the goods received', () => {
+        const order = purchaseOrder();
+        order.receiveGoods({lines: [{productId: bolts, receivedQuantity: 10}]});
+        assert.deepEqual(matcher.match({invoice: invoice(order, [{productId: bolts, quantity: 10, unitPrice: '10.00'}]), purchaseOrder: order}), []);
+    });
+
+    it('refuses an invoice for another purchase order', () => {
+        const order = purchaseOrder();
+        assert.throws(() => matcher.match({invoice: invoice(purchaseOrder(), []), purchaseOrder: order}), ValidationError);
+    });
+
+    it('reports another supplier, and stops at another currency', () => {
+        const order = purchaseOrder();
+        const eur = new Currency('EUR');
+        assert.deepEqual(typesOf(matcher.match({
+            invoice: invoice(order, [{productId: bolts, quantity: 1, unitPrice: '1.00'}], {supplierId: SupplierId.generate(), currency: eur}),
+            purchaseOrder: order
+        })), ['SupplierMismatch', 'CurrencyMismatch']);
+    });
+
+    it('reports orders that are not approved yet', () => {
+        const order = purchaseOrder({upTo: 'Submitted'});
+        assert.ok(typesOf(matcher.match({invoice: invoice(order, []), purchaseOrder: order})).includes('OrderNotApproved'));
+    });
+
+    it('reports products that were not ordered', () => {
+        const order = purchaseOrder();
+        const discrepancies = matcher.match({
+            invoice: invoice(order, [{productId: ProductId.generate(), quantity: 1, unitPrice: '1.00'}]), purchaseOrder: order
+        });
+        assert.deepEqual(typesOf(discrepancies), ['ProductNotOrdered']);
+    });
+
+    it('reports more units than ordered', () => {
+        const order = purchaseOrder();
+        assert.deepEqual(typesOf(matcher.match({
+            invoice: invoice(order, [{productId: nuts, quantity: 21, unitPrice: '1.00'}]), purchaseOrder: order
+        })), ['QuantityOverOrdered']);
+    });
+
+    it('holds units not received yet while the goods are still expected', () => {
+        const order = purchaseOrder();
+        order.receiveGoods({lines: [{productId: nuts, receivedQuantity: 5}]});
+        const [discrepancy] = matcher.match({invoice: invoice(order, [{productId: nuts, quantity: 8, unitPrice: '1.00'}]), purchaseOrder: order});
+        assert.equal(discrepancy.type, 'QuantityNotReceived');
+        assert.ok(discrepancy.isHold);
+        assert.match(discrepancy.message, /15 still expected/);
+    });
+
+    it('disputes units not received once no more goods are expected', () => {
+        const order = purchaseOrder();
+        order.receiveGoods({lines: [{productId: nuts, receivedQuantity: 5}]});
+        order.complete();
+        const [discrepancy] = matcher.match({invoice: invoice(order, [{productId: nuts, quantity: 8, unitPrice: '1.00'}]), purchaseOrder: order});
+        assert.equal(discrepancy.type, 'QuantityOverReceived');
+        assert.ok(!discrepancy.isHold);
+    });
+
+    it('counts the units already invoiced on other invoices', () => {
+        const order = purchaseOrder();
+        order.receiveGoods({lines: [{productId: nuts, receivedQuantity: 20}]});
+        const discrepancies = matcher.match({
+            invoice: invoice(order, [{productId: nuts, quantity: 10, unitPrice: '1.00'}]),
+            purchaseOrder: order,
+            invoicedElsewhere: new Map([[nuts.value, 15]])
+        });
+        assert.deepEqual(typesOf(discrepancies), ['QuantityOverOrdered']);
+        assert.match(discrepancies[0].message, /Invoiced 25 \(15 on other invoices\)/);
+    });
+
+    it('compares unit prices net of the line discount', () => {
+        const order = purchaseOrder({boltsDiscount: 10});
+        order.receiveGoods({lines: [{productId: bolts, receivedQuantity: 10}]});
+        const match = unitPrice => matcher.match({invoice: invoice(order, [{productId: bolts, quantity: 10, unitPrice}]), purchaseOrder: order});
+        assert.deepEqual(match('9.00'), []);
+        const [discrepancy] = match('10.00');
+        assert.equal(discrepancy.type, 'UnitPriceMismatch');
+        assert.match(discrepancy.message, /ordered at 9\.00 USD \(10\.00 USD before the line discount/);
+    });
+
+    it('accepts differences within the tolerance', () => {
+        const tolerant = new ThreeWayMatcher(new MatchTolerance({quantityPercent: 10, unitPricePercent: 5}));
+        const order = purchaseOrder();
+        order.receiveGoods({lines: [{productId: nuts, receivedQuantity: 20}]});
+        const match = (quantity, unitPrice) => typesOf(tolerant.match({
+            invoice: invoice(order, [{productId: nuts, quantity, unitPrice}]), purchaseOrder: order
+        }));
+        assert.deepEqual(match(22, '1.05'), []);
+        assert.deepEqual(match(23, '1.06'), ['QuantityOverOrdered', 'UnitPriceMismatch']);
+    });
+});
@@ -0,0 +1,64 @@
+import {beforeEach, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {PurchaseOrderCommandService} from "../../../src/procurement/application/purchase-order-command-service.js";
+import {InMemoryPurchaseOrderRepository} from "../../../src/procurement/infrastructure/persistence/in-memory-purchase-order-repository.js";
+import {PurchaseOrderGoodsReceived} from "../../../src/procurement/domain/events/purchase-order-goods-received.js";
+import {InventoryCommandService} from "../../../src/inventory/application/inventory-command-service.js";
+import {InventoryLevel} from "../../../src/inventory/domain/model/inventory-level.js";
+import {InMemoryInventoryLevelRepository} from "../../../src/inventory/infrastructure/persistence/in-memory-inventory-level-repository.js";
+import {InMemoryProductRepository} from "../../../src/catalog/infrastructure/persistence/in-memory-product-repository.js";
+import {Supplier} from "../../../src/scm/domain/model/supplier.js";
+import {InMemorySupplierRepository} from "../../../src/scm/infrastructure/persistence/in-memory-supplier-repository.js";
+import {InProcessEventBus} from "../../../src/shared/infrastructure/events/in-process-event-bus.js";
+import {SupplierId} from "../../../src/shared/domain/model/supplier-id.js";
+import {ProductId} from "../../../src/shared/domain/model/product-id.js";
+import {Currency} from "../../../src/shared/domain/model/currency.js";
+import {DateTime} from "../../../src/shared/domain/model/date-time.js";
+
+const usd = new Currency('USD');
+
+describe('PurchaseOrderCommandService.importOrder', () => {
+    let supplierId, productId, inventoryLevels, receipts, service;
+
+    beforeEach(async () => {
+        const suppliers = new InMemorySupplierRepository();
+        const supplier = new Supplier({id: SupplierId.generate(), name: 'Acme Corp', contactEmail: null,
+            lastOrderTotalPrice: null, preferredCurrency: usd});
+        await suppliers.save(supplier);
+        supplierId = supplier.id;
+        productId = ProductId.generate();
+        inventoryLevels = new InMemoryInventoryLevelRepository();
+        await inventoryLevels.save(new InventoryLevel({productId, onHand: 3, reorderPoint: 0, reorderQuantity: 10}));
+        const eventBus = new InProcessEventBus();
+        new InventoryCommandService({
+            inventoryLevelRepository: inventoryLevels, productRepository: new InMemoryProductRepository(), supplierRepository: suppliers
+        }).subscribeTo(eventBus);
+        receipts = [];
+        eventBus.subscribe(PurchaseOrderGoodsReceived, event => receipts.push(event));
+        service = new PurchaseOrderCommandService({
+            purchaseOrderRepository: new InMemoryPurchaseOrderRepository(), supplierRepository: suppliers, eventBus
+        });
+    });
+
+    const onHand = async () => (await inventoryLevels.findByProductId(productId)).onHand;
+
+    it('marks the delivery of a completed order as imported, so it does not add to stock again', async () => {
+        const imported = await service.importOrder({
+            supplierId, currency: usd, orderDate: new DateTime(new Date('2026-01-10T00:00:00Z')),
+            items: [{productId, quantity: 5, unitPrice: 2}], state: 'Completed', approverId: 'ann'
+        });
+        assert.equal(imported.state, 'Completed');
+        assert.deepEqual(receipts.map(event => event.imported), [true]);
+        assert.equal(PurchaseOrderGoodsReceived.fromJSON(JSON.parse(JSON.stringify(receipts[0]))).imported, true);
+        assert.equal(await onHand(), 3);
+    });
+
+    it('still adds the goods of deliveries recorded after the import', async () => {
+        const imported = await service.importOrder({
+            supplierId, currency: usd, items: [{productId, quantity: 5, unitPrice: 2}], state: 'Shipped', approverId: 'ann'
+        });
+        await service.receiveGoods(imported.id, {lines: [{productId, receivedQuantity: 5}]});
+        assert.deepEqual(receipts.map(event => event.imported), [false]);
+        assert.equal(await onHand(), 8);
+    });
+});
@@ -0,0 +1,139 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {PurchaseOrderState} from "../../../../src/procurement/domain/model/purchase-order-state.js";
+import {PurchaseOrder} from "../../../../src/procurement/domain/model/purchase-order.js";
+import {InvalidStateError, ValidationError} from "../../../../src/shared/domain/model/errors.js";
+import {SupplierId} from "../../../../src/shared/domain/model/supplier-id.js";
+import {ProductId} from "../../../../src/shared/domain/model/product-id.js";
+import {Currency} from "../../../../src/shared/domain/model/currency.js";
+
+const TRANSITIONS = {
+    Draft: ['Submitted', 'Cancelled'],
+    Submitted: ['Approved', 'Draft', 'Cancelled'],
+    Approved: ['Shipped', 'Cancelled'],
+    Shipped: ['PartiallyReceived', 'Completed', 'Cancelled'],
+    PartiallyReceived: ['Completed'],
+    Completed: [],
+    Cancelled: []
+};
+
+describe('PurchaseOrderState', () => {
+    it('starts as Draft', () => {
+        assert.equal(new PurchaseOrderState().value, 'Draft');
+    });
+
+    it('rejects unknown states', () => {
+        assert.throws(() => new PurchaseOrderState('Lost'), ValidationError);
+    });
+
+    for (const [from, allowed] of Object.entries(TRANSITIONS)) {
+        it(`allows exactly ${allowed.join(', ') || 'nothing'} from ${from}`, () => {
+            const state = new PurchaseOrderState(from);
+            assert.deepEqual(state.allowedNextStates(), allowed);
+            for (const target of PurchaseOrderState.values) {
+                if (allowed.includes(target))
+                    assert.equal(state.transitionTo(target).value, target);
+                else
+                    assert.throws(() => state.transitionTo(target), InvalidStateError);
+            }
+        });
+    }
+
+    it('explains why a transition is refused', () => {
+        assert.equal(new PurchaseOrderState('Shipped').explainTransition('Completed'), null);
+        assert.match(new PurchaseOrderState('Draft').explainTransition('Shipped'), /allowed next states are Submitted, Cancelled/);
+        assert.match(new PurchaseOrderState('Completed').explainTransition('Cancelled'), /Completed is a final state/);
+        assert.match(new PurchaseOrderState('Draft').explainTransition('Lost'), /not a valid purchase order state/);
+    });
+
+    it('never changes in place', () => {
+        const draft = new PurchaseOrderState();
+        draft.toSubmittedFrom(draft);
+        assert.equal(draft.value, 'Draft');
+    });
+});
+
+describe('PurchaseOrder lifecycle', () => {
+    const productId = ProductId.generate();
+    const draftOrder = () => {
+        const order = new PurchaseOrder({supplierId: SupplierId.generate(), currency: new Currency('USD')});
+        order.addItem({productId, quantity: 10, unitPrice: 2});
+        return order;
+    };
+    const eventTypes = order => order.pullDomainEvents().map(event => event.eventType);
+
+    it('goes from Draft to Completed through approval, shipping and deliveries', () => {
+        const order = draftOrder();
+        order.submit();
+        assert.equal(order.state, 'Submitted');
+        order.approve({approverId: 'ann'});
+        assert.equal(order.state, 'Approved');
+        order.ship();
+        assert.equal(order.state, 'Shipped');
+        order.receiveGoods({lines: [{productId, receivedQuantity: 4}]});
+        assert.equal(order.state, 'PartiallyReceived');
+        order.receiveGoods({lines: [{productId, receivedQuantity: 6}]});
+        assert.equal(order.state, 'Completed');
+        assert.deepEqual(eventTypes(order), [
+            'PurchaseOrderCreated', 'PurchaseOrderItemAdded', 'PurchaseOrderSubmitted', 'PurchaseOrderApprovalRecorded',
+            'PurchaseOrderApproved', 'PurchaseOrderShipped', 'PurchaseOrderGoodsReceived', 'PurchaseOrderPartiallyReceived',
+            'PurchaseOrderGoodsReceived', 'PurchaseOrderCompleted'
+        ]);
+    });
+
+    it('returns to Draft with the reason when rejected, and can be submitted again', () => {
+        const order = draftOrder();
+        order.submit();
+        order.reject('Too expensive');
+        assert.equal(order.state, 'Draft');
+        assert.equal(order.rejectionReason, 'Too expensive');
+        order.submit();
+        assert.equal(order.state, 'Submitted');
+        assert.equal(order.rejectionReason, null);
+    });
+
+    it('cannot be submitted without items', () => {
+        const order = new PurchaseOrder({supplierId: SupplierId.generate(), currency: new Currency('USD')});
+        assert.throws(() => order.submit(), InvalidStateError);
+        assert.equal(order.state, 'Draft');
+    });
+
+    it('cannot skip a state', () => {
+        const order = draftOrder();
+        assert.throws(() => order.ship(), InvalidStateError);
+        order.submit();
+        assert.throws(() => order.receiveGoods({lines: [{productId, receivedQuantity: 1}]}), InvalidStateError);
+        assert.equal(order.state, 'Submitted');
+    });
+
+    it('needs an approver to be approved', () => {
+        const order = draftOrder();
+        order.submit();
+        assert.throws(() => order.approve(), {name: 'ValidationError', field: 'approverId'});
+        assert.equal(order.state, 'Submitted');
+    });
+
+    it('can be cancelled until goods arrive, but not once completed', () => {
+        const order = draftOrder();
+        order.submit();
+        order.approve({approverId: 'ann'});
+        order.cancel();
+        assert.equal(order.state, 'Cancelled');
+        assert.throws(() => order.submit(), InvalidStateError);
+
+        const completed = draftOrder();
+        completed.submit();
+        completed.approve({approverId: 'ann'});
+        completed.ship();
+        completed.receiveGoods({lines: [{productId, receivedQuantity: 10}]});
+        assert.throws(() => completed.cancel(), InvalidStateError);
+        assert.equal(completed.state, 'Completed');
+    });
+
+    it('only edits lines while a draft', () => {
+        const order = draftOrder();
+        order.submit();
+        assert.throws(() => order.updateItemQuantity(productId, 5), InvalidStateError);
+        assert.equal(order.items[0].quantity, 10);
+    });
+});
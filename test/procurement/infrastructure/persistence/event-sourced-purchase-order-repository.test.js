@@ -0,0 +1,86 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {EventSourcedPurchaseOrderRepository} from "../../../../src/procurement/infrastructure/persistence/event-sourced-purchase-order-repository.js";
+import {InMemoryEventStore} from "../../../../src/shared/infrastructure/persistence/in-memory-event-store.js";
+import {PurchaseOrder} from "../../../../src/procurement/domain/model/purchase-order.js";
+import {ConcurrencyError} from "../../../../src/shared/domain/model/errors.js";
+import {SupplierId} from "../../../../src/shared/domain/model/supplier-id.js";
+import {ProductId} from "../../../../src/shared/domain/model/product-id.js";
+import {Currency} from "../../../../src/shared/domain/model/currency.js";
+import {DateTime} from "../../../../src/shared/domain/model/date-time.js";
+
+/**
+ * Saves a purchase order the way the command service does: save first, then pull the recorded events.
+ * @param {EventSourcedPurchaseOrderRepository} repository - The repository to save to.
+ * @param {PurchaseOrder} purchaseOrder - The purchase order to save.
+ * @returns {Promise<void>}
+ */
+async function save(repository, purchaseOrder) {
+    await repository.save(purchaseOrder);
+    purchaseOrder.pullDomainEvents();
+}
+
+describe('EventSourcedPurchaseOrderRepository', () => {
+    const productId = ProductId.generate();
+
+    /**
+     * Creates a repository over a fresh in-memory event store, holding a saved draft with one line.
+     * @returns {Promise<{eventStore: InMemoryEventStore, repository: EventSourcedPurchaseOrderRepository,
+     * purchaseOrder: PurchaseOrder}>} The store, the repository and the saved purchase order.
+     */
+    async function withDraft() {
+        const eventStore = new InMemoryEventStore();
+        const repository = new EventSourcedPurchaseOrderRepository({eventStore});
+        const purchaseOrder = new PurchaseOrder({supplierId: SupplierId.generate(), currency: new Currency('USD')});
+        purchaseOrder.addItem({productId, quantity: 1, unitPrice: 10});
+        await save(repository, purchaseOrder);
+        return {eventStore, repository, purchaseOrder};
+    }
+
+    it('rebuilds a purchase order by replaying its events', async () => {
+        const {eventStore, repository, purchaseOrder} = await withDraft();
+        purchaseOrder.updateItemQuantity(productId, 4);
+        purchaseOrder.submit();
+        purchaseOrder.approve({approverId: 'ann'});
+        await save(repository, purchaseOrder);
+        const loaded = await repository.findById(purchaseOrder.id);
+        assert.deepEqual(loaded.toJSON(), purchaseOrder.toJSON());
+        assert.equal(loaded.version, (await eventStore.readEvents(purchaseOrder.id)).length);
+        assert.deepEqual((await repository.findHistory(purchaseOrder.id)).map(event => event.eventType).slice(0, 3),
+            ['PurchaseOrderCreated', 'PurchaseOrderItemAdded', 'PurchaseOrderItemUpdated']);
+    });
+
+    it('takes a snapshot every 20 events and loads from the latest one', async () => {
+        const {eventStore, repository, purchaseOrder} = await withDraft();
+        for (let quantity = 2; quantity <= 44; quantity++) {
+            purchaseOrder.updateItemQuantity(productId, quantity);
+            if (quantity % 5 === 0) await save(repository, purchaseOrder);
+        }
+        await save(repository, purchaseOrder);
+        assert.equal(purchaseOrder.version, 45);
+        assert.deepEqual((await eventStore.readSnapshots(purchaseOrder.id)).map(snapshot => snapshot.version), [21, 41]);
+        const loaded = await repository.findById(purchaseOrder.id);
+        assert.equal(loaded.version, 45);
+        assert.equal(loaded.items[0].quantity, 44);
+    });
+
+    it('rebuilds the purchase order as it was at an earlier moment', async () => {
+        const {repository, purchaseOrder} = await withDraft();
+        const before = new DateTime();
+        await new Promise(resolve => setTimeout(resolve, 5));
+        purchaseOrder.updateItemQuantity(productId, 7);
+        await save(repository, purchaseOrder);
+        assert.equal((await repository.findByIdAsOf(purchaseOrder.id, before)).items[0].quantity, 1);
+        assert.equal((await repository.findByIdAsOf(purchaseOrder.id, new DateTime())).items[0].quantity, 7);
+    });
+
+    it('refuses to save over a change made since the purchase order was loaded', async () => {
+        const {repository, purchaseOrder} = await withDraft();
+        const [mine, theirs] = await Promise.all([repository.findById(purchaseOrder.id), repository.findById(purchaseOrder.id)]);
+        theirs.updateItemQuantity(productId, 2);
+        await save(repository, theirs);
+        mine.updateItemQuantity(productId, 3);
+        await assert.rejects(repository.save(mine), ConcurrencyError);
+        assert.equal((await repository.findById(purchaseOrder.id)).items[0].quantity, 2);
+    });
+});
@@ -0,0 +1,84 @@
+import {describe, it, before, after} from "node:test";
+import assert from "node:assert/strict";
+import {mkdtemp, rm} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {JsonFilePurchaseOrderRepository} from "../../../../src/procurement/infrastructure/persistence/json-file-purchase-order-repository.js";
+import {JsonFileStore} from "../../../../src/shared/infrastructure/persistence/json-file-store.js";
+import {PurchaseOrder} from "../../../../src/procurement/domain/model/purchase-order.js";
+import {ConcurrencyError} from "../../../../src/shared/domain/model/errors.js";
+import {SupplierId} from "../../../../src/shared/domain/model/supplier-id.js";
+import {ProductId} from "../../../../src/shared/domain/model/product-id.js";
+import {Currency} from "../../../../src/shared/domain/model/currency.js";
+
+/**
+ * Saves a purchase order the way the command service does: save first, then pull the recorded events.
+ * @param {JsonFilePurchaseOrderRepository} repository - The repository to save to.
+ * @param {PurchaseOrder} purchaseOrder - The purchase order to save.
+ * @returns {Promise<void>}
+ */
+async function save(repository, purchaseOrder) {
+    await repository.save(purchaseOrder);
+    purchaseOrder.pullDomainEvents();
+}
+
+describe('JsonFilePurchaseOrderRepository', () => {
+    let directory;
+    before(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'purchase-orders-'));
+    });
+    after(async () => {
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    /**
+     * Creates a repository over a file of its own, holding a saved draft purchase order.
+     * @param {string} name - Name of the file.
+     * @returns {Promise<{repository: JsonFilePurchaseOrderRepository, purchaseOrder: PurchaseOrder}>} Both.
+     */
+    async function withDraft(name) {
+        const repository = new JsonFilePurchaseOrderRepository(join(directory, name));
+        const purchaseOrder = new PurchaseOrder({supplierId: SupplierId.generate(), currency: new Currency('USD')});
+        await save(repository, purchaseOrder);
+        return {repository, purchaseOrder};
+    }
+
+    it('loads a purchase order at the version it was saved with', async () => {
+        const {repository, purchaseOrder} = await withDraft('versions.json');
+        purchaseOrder.addItem({productId: ProductId.generate(), quantity: 2, unitPrice: 5});
+        await save(repository, purchaseOrder);
+        const loaded = await repository.findById(purchaseOrder.id);
+        assert.equal(loaded.version, purchaseOrder.version);
+        assert.deepEqual(loaded.toJSON(), purchaseOrder.toJSON());
+    });
+
+    it('refuses to save over a change made since the purchase order was loaded', async () => {
+        const {repository, purchaseOrder} = await withDraft('conflict.json');
+        const [mine, theirs] = await Promise.all([repository.findById(purchaseOrder.id), repository.findById(purchaseOrder.id)]);
+        theirs.addItem({productId: ProductId.generate(), quantity: 1, unitPrice: 1});
+        await save(repository, theirs);
+        mine.addItem({productId: ProductId.generate(), quantity: 3, unitPrice: 1});
+        await assert.rejects(repository.save(mine), ConcurrencyError);
+        assert.equal((await repository.findById(purchaseOrder.id)).items[0].quantity, 1);
+    });
+
+    it('lets exactly one of two concurrent saves of the same version through', async () => {
+        const {repository, purchaseOrder} = await withDraft('race.json');
+        const copies = await Promise.all([repository.findById(purchaseOrder.id), repository.findById(purchaseOrder.id)]);
+        copies.forEach(copy => copy.addItem({productId: ProductId.generate(), quantity: 1, unitPrice: 1}));
+        const outcomes = await Promise.allSettled(copies.map(copy => repository.save(copy)));
+        assert.deepEqual(outcomes.map(outcome => outcome.status).sort(), ['fulfilled', 'rejected']);
+        assert.ok(outcomes.find(outcome => outcome.status === 'rejected').reason instanceof ConcurrencyError);
+    });
+
+    it('reads records saved without a version as version 0', async () => {
+        const filePath = join(directory, 'legacy.json');
+        const purchaseOrder = new PurchaseOrder({supplierId: SupplierId.generate(), currency: new Currency('USD')});
+        await new JsonFileStore(filePath).writeAll({[purchaseOrder.id]: purchaseOrder.toJSON()});
+        const repository = new JsonFilePurchaseOrderRepository(filePath);
+        const loaded = await repository.findById(purchaseOrder.id);
+        assert.equal(loaded.version, 0);
+        loaded.addItem({productId: ProductId.generate(), quantity: 1, unitPrice: 1});
+        await repository.save(loaded);
+    });
+});
@@ -0,0 +1,66 @@
+import {beforeEach, describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {SpendAnalyticsService} from "../../../src/reporting/application/spend-analytics-service.js";
+import {PurchaseOrder} from "../../../src/procurement/domain/model/purchase-order.js";
+import {InMemoryPurchaseOrderRepository} from "../../../src/procurement/infrastructure/persistence/in-memory-purchase-order-repository.js";
+import {InMemorySupplierRepository} from "../../../src/scm/infrastructure/persistence/in-memory-supplier-repository.js";
+import {InMemoryProductRepository} from "../../../src/catalog/infrastructure/persistence/in-memory-product-repository.js";
+import {SupplierId} from "../../../src/shared/domain/model/supplier-id.js";
+import {ProductId} from "../../../src/shared/domain/model/product-id.js";
+import {Currency} from "../../../src/shared/domain/model/currency.js";
+
+const usd = new Currency('USD');
+const supplierId = SupplierId.generate();
+const bolts = ProductId.generate();
+const nuts = ProductId.generate();
+
+describe('SpendAnalyticsService', () => {
+    let purchaseOrders, service;
+
+    beforeEach(() => {
+        purchaseOrders = new InMemoryPurchaseOrderRepository();
+        service = new SpendAnalyticsService({
+            purchaseOrderRepository: purchaseOrders,
+            supplierRepository: new InMemorySupplierRepository(),
+            productRepository: new InMemoryProductRepository()
+        });
+    });
+
+    /**
+     * Saves an approved order for 10 bolts at 10.00 and 20 nuts at 1.00.
+     * @param {function(PurchaseOrder): void} [progress] - Takes the order further once approved.
+     * @returns {Promise<PurchaseOrder>} The order.
+     */
+    async function order(progress = () => {}) {
+        const purchaseOrder = new PurchaseOrder({supplierId, currency: usd});
+        purchaseOrder.addItem({productId: bolts, quantity: 10, unitPrice: 10});
+        purchaseOrder.addItem({productId: nuts, quantity: 20, unitPrice: 1});
+        purchaseOrder.submit();
+        purchaseOrder.approve({approverId: 'ann'});
+        progress(purchaseOrder);
+        await purchaseOrders.save(purchaseOrder);
+        return purchaseOrder;
+    }
+
+    const closedShort = purchaseOrder => {
+        purchaseOrder.ship();
+        purchaseOrder.receiveGoods({lines: [{productId: bolts, receivedQuantity: 4}, {productId: nuts, receivedQuantity: 20}]});
+        purchaseOrder.complete();
+    };
+
+    it('counts orders completed with lines closed short at the goods received', async () => {
+        await order(closedShort);
+        await order();
+        const [row] = (await service.spendBy('supplier')).rows;
+        assert.equal(row.amount, '180.00');
+        assert.deepEqual((await service.spendBy('state')).rows.map(({state, amount}) => [state, amount]).sort(),
+            [['Approved', '120.00'], ['Completed', '60.00']]);
+    });
+
+    it('splits the spend on a completed order across the units received of each product', async () => {
+        await order(closedShort);
+        const rows = (await service.spendBy('product')).rows;
+        assert.deepEqual(rows.map(({productId, quantity, amount}) => [productId, quantity, amount]),
+            [[bolts.value, 4, '40.00'], [nuts.value, 20, '20.00']]);
+    });
+});
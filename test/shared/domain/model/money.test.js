@@ -0,0 +1,183 @@
+import {describe, it} from "node:test";
+import assert from "node:assert/strict";
+import {Money} from "../../../../src/shared/domain/model/money.js";
+import {Currency} from "../../../../src/shared/domain/model/currency.js";
+import {DateTime} from "../../../../src/shared/domain/model/date-time.js";
+import {ExchangeRate} from "../../../../src/shared/domain/model/exchange-rate.js";
+import {RoundingMode} from "../../../../src/shared/domain/model/rounding-mode.js";
+import {ValidationError} from "../../../../src/shared/domain/model/errors.js";
+import {LocaleSettings} from "../../../../src/shared/domain/model/locale-settings.js";
+import {InMemoryExchangeRateProvider} from "../../../../src/shared/infrastructure/exchange-rates/in-memory-exchange-rate-provider.js";
+
+const usd = new Currency('USD');
+const eur = new Currency('EUR');
+const jpy = new Currency('JPY');
+const money = (amount, currency = usd) => new Money({amount, currency});
+
+describe('Money', () => {
+    describe('construction', () => {
+        it('keeps the amount as exact minor units', () => {
+            assert.equal(money('0.10').add(money('0.20')).toDecimalString(), '0.30');
+            assert.equal(money(12.5).minorAmount, 1250n);
+            assert.equal(money(1500, jpy).toDecimalString(), '1500');
+        });
+
+        it('rounds to the precision of the currency', () => {
+            assert.equal(money('2.345').toDecimalString(), '2.35');
+            assert.equal(new Money({amount: '2.345', currency: usd, roundingMode: RoundingMode.HALF_EVEN}).toDecimalString(), '2.34');
+            assert.equal(new Money({amount: '2.355', currency: usd, roundingMode: RoundingMode.HALF_EVEN}).toDecimalString(), '2.36');
+            assert.equal(money('99.5', jpy).toDecimalString(), '100');
+        });
+
+        it('rejects negative and non-finite amounts', () => {
+            assert.throws(() => money(-1), ValidationError);
+            assert.throws(() => money(Number.NaN), ValidationError);
+            assert.throws(() => money('abc'), ValidationError);
+        });
+
+        it('rejects unknown rounding modes', () => {
+            assert.throws(() => new Money({amount: 1, currency: usd, roundingMode: 'UP'}), ValidationError);
+        });
+    });
+
+    describe('arithmetic', () => {
+        it('adds and subtracts amounts of the same currency', () => {
+            assert.equal(money('10.25').add(money('0.75')).toDecimalString(), '11.00');
+            assert.equal(money('10.25').subtract(money('0.25')).toDecimalString(), '10.00');
+        });
+
+        it('refuses to mix currencies', () => {
+            assert.throws(() => money(1).add(money(1, eur)), ValidationError);
+            assert.throws(() => money(1).compareTo(money(1, eur)), ValidationError);
+        });
+
+        it('refuses a negative difference', () => {
+            assert.throws(() => money(1).subtract(money(2)), ValidationError);
+        });
+
+        it('multiplies, takes percentages and divides with rounding', () => {
+            assert.equal(money('19.99').multiply(3).toDecimalString(), '59.97');
+            assert.equal(money('10.00').multiply(0.125).toDecimalString(), '1.25');
+            assert.equal(money('200.00').percentage(7.5).toDecimalString(), '15.00');
+            assert.equal(money('10.00').divide(3).toDecimalString(), '3.33');
+            assert.equal(money('0.05').divide(2, RoundingMode.HALF_EVEN).toDecimalString(), '0.02');
+        });
+
+        it('rejects invalid multipliers and divisors', () => {
+            assert.throws(() => money(1).multiply(-1), ValidationError);
+            assert.throws(() => money(1).divide(0), ValidationError);
+        });
+    });
+
+    describe('allocate', () => {
+        it('splits an amount into parts that add up exactly', () => {
+            const parts = money('100.00').allocate([1, 1, 1]);
+            assert.deepEqual(parts.map(part => part.toDecimalString()), ['33.34', '33.33', '33.33']);
+            assert.equal(parts.reduce((sum, part) => sum.add(part)).toDecimalString(), '100.00');
+        });
+
+        it('hands leftover minor units to the parts that lost the largest fractions', () => {
+            assert.deepEqual(money('0.10').allocate([1, 2]).map(part => part.toDecimalString()), ['0.03', '0.07']);
+        });
+
+        it('hands leftover minor units to earlier parts on ties', () => {
+            assert.deepEqual(money('0.05').allocate([1, 1]).map(part => part.toDecimalString()), ['0.03', '0.02']);
+        });
+
+        it('gives nothing to zero ratios', () => {
+            assert.deepEqual(money('10.00').allocate([0, 2]).map(part => part.toDecimalString()), ['0.00', '10.00']);
+        });
+
+        it('rejects empty, negative or all-zero ratios', () => {
+            assert.throws(() => money(1).allocate([]), ValidationError);
+            assert.throws(() => money(1).allocate([1, -1]), ValidationError);
+            assert.throws(() => money(1).allocate([0, 0]), ValidationError);
+        });
+    });
+
+    describe('comparison', () => {
+        it('orders amounts of the same currency', () => {
+            assert.equal(money(2).compareTo(money(1)), 1);
+            assert.equal(money(1).compareTo(money('1.00')), 0);
+            assert.ok(money(1).lessThan(money(2)));
+            assert.ok(money(2).greaterThan(money(1)));
+            assert.ok(Money.zero(usd).isZero());
+        });
+
+        it('is equal only in the same currency', () => {
+            assert.ok(money(1).equals(money('1.00')));
+            assert.ok(!money(1).equals(money(1, eur)));
+        });
+    });
+
+    describe('conversion', () => {
+        const rates = new InMemoryExchangeRateProvider([
+            new ExchangeRate({baseCurrency: eur, quoteCurrency: usd, rate: 1.08, effectiveDate: new DateTime(new Date('2026-01-01T00:00:00Z'))}),
+            new ExchangeRate({baseCurrency: eur, quoteCurrency: usd, rate: 1.1, effectiveDate: new DateTime(new Date('2026-02-01T00:00:00Z'))})
+        ]);
+
+        it('applies the latest rate effective at the moment', () => {
+            assert.equal(money(100, eur).convertTo(usd, rates, new DateTime(new Date('2026-01-15T00:00:00Z'))).toDecimalString(), '108.00');
+            assert.equal(money(100, eur).convertTo(usd, rates, new DateTime(new Date('2026-02-15T00:00:00Z'))).toDecimalString(), '110.00');
+        });
+
+        it('uses the inverse of a rate registered the other way', () => {
+            const converted = money('110.00').convertTo(eur, rates, new DateTime(new Date('2026-02-15T00:00:00Z')));
+            assert.equal(converted.toDecimalString(), '100.00');
+        });
+
+        it('fails without a rate in effect', () => {
+            assert.throws(() => money(100, eur).convertTo(usd, rates, new DateTime(new Date('2025-12-31T00:00:00Z'))), ValidationError);
+        });
+    });
+
+    describe('parse', () => {
+        const us = new LocaleSettings({locale: 'en-US'});
+        const de = new LocaleSettings({locale: 'de-DE'});
+        const fr = new LocaleSettings({locale: 'fr-FR'});
+        const parse = (text, options) => Money.parse(text, options).toString();
+
+        it('reads the currency from a symbol or code and the separators from the locale', () => {
+            assert.equal(parse('$1,234.50', {settings: us}), '1234.50 USD');
+            assert.equal(parse('1.234,50 €', {settings: de}), '1234.50 EUR');
+            assert.equal(parse('1 234,5 EUR', {settings: fr}), '1234.50 EUR');
+            assert.equal(parse('1.234.567,8 EUR', {settings: de}), '1234567.80 EUR');
+        });
+
+        it('reads a single separator followed by three digits as grouping unless it is the decimal separator', () => {
+            assert.equal(parse('1,234', {settings: us, currency: usd}), '1234.00 USD');
+            assert.equal(parse('1.234', {settings: de, currency: usd}), '1234.00 USD');
+            assert.equal(parse('12.5', {settings: us, currency: usd}), '12.50 USD');
+            assert.throws(() => Money.parse('1,234', {settings: de, currency: usd}), {field: 'amount'});
+        });
+
+        it('parses what it formats', () => {
+            for (const settings of [us, de, fr]) {
+                const amount = money('1234.5', eur);
+                assert.ok(Money.parse(amount.format({settings}), {settings}).equals(amount));
+            }
+        });
+
+        it('rejects digits grouped wrongly', () => {
+            assert.throws(() => Money.parse('1,23,4', {settings: us, currency: usd}), {name: 'ValidationError', field: 'amount'});
+            assert.throws(() => Money.parse('1,234.567.8', {settings: us, currency: usd}), {name: 'ValidationError', field: 'amount'});
+        });
+
+        it('rejects more decimals than the currency has instead of rounding', () => {
+            assert.throws(() => Money.parse('12.345', {settings: us, currency: usd}), {field: 'amount', message: /at most 2 decimals/});
+            assert.throws(() => Money.parse('€1.234', {settings: us}), {field: 'amount', message: /at most 2 decimals/});
+        });
+
+        it('requires a currency that agrees with the expected one', () => {
+            assert.throws(() => Money.parse('5', {settings: us}), {name: 'ValidationError', field: 'currency'});
+            assert.throws(() => Money.parse('$5', {settings: us, currency: eur}), {name: 'ValidationError', field: 'currency'});
+        });
+    });
+
+    describe('snapshots', () => {
+        it('round-trips through JSON', () => {
+            const restored = Money.fromJSON(JSON.parse(JSON.stringify(money('1234.56', eur))));
+            assert.ok(restored.equals(money('1234.56', eur)));
+        });
+    });
+});
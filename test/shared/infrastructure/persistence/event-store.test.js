@@ -0,0 +1,65 @@
+import {describe, it, before, after} from "node:test";
+import assert from "node:assert/strict";
+import {mkdtemp, rm} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {InMemoryEventStore} from "../../../../src/shared/infrastructure/persistence/in-memory-event-store.js";
+import {JsonFileEventStore} from "../../../../src/shared/infrastructure/persistence/json-file-event-store.js";
+import {ConcurrencyError} from "../../../../src/shared/domain/model/errors.js";
+
+let directory;
+before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'event-store-'));
+});
+after(async () => {
+    await rm(directory, {recursive: true, force: true});
+});
+
+let files = 0;
+const implementations = {
+    InMemoryEventStore: () => new InMemoryEventStore(),
+    JsonFileEventStore: () => new JsonFileEventStore(join(directory, `events-${++files}.json`))
+};
+
+for (const [name, createStore] of Object.entries(implementations)) {
+    describe(name, () => {
+        it('appends events at the expected version and reads them back in order', async () => {
+            const store = createStore();
+            assert.equal(await store.append('a', 0, [{n: 1}, {n: 2}]), 2);
+            assert.equal(await store.append('a', 2, [{n: 3}]), 3);
+            assert.deepEqual(await store.readEvents('a'), [{n: 1}, {n: 2}, {n: 3}]);
+            assert.deepEqual(await store.readEvents('a', {afterVersion: 2}), [{n: 3}]);
+            assert.deepEqual(await store.readEvents('missing'), []);
+        });
+
+        it('refuses an append at another version than the stream is at', async () => {
+            const store = createStore();
+            await store.append('a', 0, [{n: 1}]);
+            await assert.rejects(store.append('a', 0, [{n: 2}]), ConcurrencyError);
+            await assert.rejects(store.append('b', 1, [{n: 1}]), ConcurrencyError);
+            assert.deepEqual(await store.readEvents('a'), [{n: 1}]);
+        });
+
+        it('lets exactly one of concurrent appends at the same version through', async () => {
+            const store = createStore();
+            await store.append('a', 0, [{n: 0}]);
+            const outcomes = await Promise.allSettled([1, 2, 3].map(n => store.append('a', 1, [{n}])));
+            assert.equal(outcomes.filter(outcome => outcome.status === 'fulfilled').length, 1);
+            assert.ok(outcomes.filter(outcome => outcome.status === 'rejected')
+                .every(outcome => outcome.reason instanceof ConcurrencyError));
+            assert.equal((await store.readEvents('a')).length, 2);
+        });
+
+        it('keeps snapshots per stream and deletes streams with them', async () => {
+            const store = createStore();
+            await store.append('a', 0, [{n: 1}]);
+            await store.saveSnapshot('a', {version: 1, state: {n: 1}});
+            await store.saveSnapshot('missing', {version: 1, state: {}});
+            assert.deepEqual(await store.readSnapshots('a'), [{version: 1, state: {n: 1}}]);
+            assert.deepEqual(await store.streamIds(), ['a']);
+            assert.equal(await store.deleteStream('a'), true);
+            assert.equal(await store.deleteStream('a'), false);
+            assert.deepEqual(await store.readSnapshots('a'), []);
+        });
+    });
+}
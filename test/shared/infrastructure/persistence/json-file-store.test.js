@@ -0,0 +1,49 @@
+import {describe, it, before, after} from "node:test";
+import assert from "node:assert/strict";
+import {mkdtemp, readdir, rm} from "node:fs/promises";
+import {tmpdir} from "node:os";
+import {join} from "node:path";
+import {JsonFileStore} from "../../../../src/shared/infrastructure/persistence/json-file-store.js";
+
+describe('JsonFileStore', () => {
+    let directory;
+    before(async () => {
+        directory = await mkdtemp(join(tmpdir(), 'json-file-store-'));
+    });
+    after(async () => {
+        await rm(directory, {recursive: true, force: true});
+    });
+
+    it('reads nothing before the first write', async () => {
+        const store = new JsonFileStore(join(directory, 'missing.json'));
+        assert.equal(await store.exists(), false);
+        assert.deepEqual(await store.readAll(), {});
+    });
+
+    it('keeps every change made by concurrent updates, across store instances', async () => {
+        const filePath = join(directory, 'concurrent.json');
+        const stores = [new JsonFileStore(filePath), new JsonFileStore(filePath)];
+        await Promise.all(Array.from({length: 12}, (_, index) =>
+            stores[index % 2].update(records => {
+                records[`record-${index}`] = {index};
+            })));
+        assert.equal(Object.keys(await stores[0].readAll()).length, 12);
+        assert.deepEqual(await readdir(directory).then(names => names.filter(name => name.endsWith('.tmp'))), []);
+    });
+
+    it('resolves with what the change returned and writes nothing if it throws', async () => {
+        const store = new JsonFileStore(join(directory, 'failing.json'));
+        assert.equal(await store.update(records => {
+            records.a = {};
+            return 'done';
+        }), 'done');
+        await assert.rejects(store.update(records => {
+            records.b = {};
+            throw new Error('refused');
+        }), /refused/);
+        await store.update(records => {
+            records.c = {};
+        });
+        assert.deepEqual(Object.keys(await store.readAll()), ['a', 'c']);
+    });
+});